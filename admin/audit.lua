@@ -3,11 +3,15 @@
     Original: mh-parking by MaDHouSe79
     Enhanced: DPS Development
 
-    Discord webhook and logging for audit trail.
+    Discord webhook and logging for audit trail, and the admin panel's
+    audit log viewer (filtered search, paging and CSV/JSON export).
 ]]
 
 Audit = {}
 
+-- Longest accepted text filter
+local MAX_FILTER_LENGTH = 50
+
 -- ============================================
 -- DISCORD WEBHOOK
 -- ============================================
@@ -43,6 +47,178 @@ function Audit.LogToDiscord(title, description, color, fields)
     end, 'POST', json.encode({ embeds = embed }), { ['Content-Type'] = 'application/json' })
 end
 
+-- ============================================
+-- AUDIT VIEWER
+-- ============================================
+
+---Get a text filter, dropping empty ones
+---@param value any
+---@return string|nil
+local function CleanText(value)
+    if type(value) ~= 'string' or Utils.IsEmpty(value) then
+        return nil
+    end
+    return Utils.Trim(value):sub(1, MAX_FILTER_LENGTH)
+end
+
+---Validate filters sent by the NUI
+---@param filters any { action, citizenid, plate, from, to } from/to: unix time
+---@return table filters
+local function CleanFilters(filters)
+    filters = type(filters) == 'table' and filters or {}
+    local plate = CleanText(filters.plate)
+
+    return {
+        action = CleanText(filters.action),
+        citizenid = CleanText(filters.citizenid),
+        plate = plate and Utils.FormatPlate(plate) or nil,
+        from = tonumber(filters.from),
+        to = tonumber(filters.to),
+    }
+end
+
+---Search the audit log for the admin panel
+---@param source number
+---@param filters table { action, citizenid, plate, from, to }
+---@param beforeId? number Page cursor: only entries older than this id
+---@return table|nil page { entries, total, nextBefore, actions }
+---@return string|nil error
+function Audit.Search(source, filters, beforeId)
+    if not Bridge.IsAdmin(source) then
+        return nil, L('admin_only')
+    end
+
+    filters = CleanFilters(filters)
+    local pageSize = Config.Admin.auditPageSize
+
+    -- One extra row tells whether an older page exists
+    local entries = DB.SearchAuditLog(filters, tonumber(beforeId), pageSize + 1)
+    local hasMore = #entries > pageSize
+    if hasMore then
+        table.remove(entries)
+    end
+
+    return {
+        entries = entries,
+        total = DB.CountAuditLog(filters),
+        nextBefore = hasMore and entries[#entries].id or nil,
+        actions = DB.GetAuditActions(),
+    }
+end
+
+---Quote a CSV field when it needs it
+---@param value any
+---@return string
+local function CsvField(value)
+    if value == nil then return '' end
+
+    value = tostring(value)
+    if value:find('[,"\r\n]') then
+        return '"' .. value:gsub('"', '""') .. '"'
+    end
+    return value
+end
+
+---Build the export file contents
+---@param entries table Audit entries
+---@param format string 'csv' or 'json'
+---@return string content
+local function BuildExport(entries, format)
+    if format == 'json' then
+        local rows = {}
+        for _, entry in ipairs(entries) do
+            table.insert(rows, {
+                id = entry.id,
+                createdAt = os.date('!%Y-%m-%dT%H:%M:%SZ', entry.createdAt),
+                action = entry.action,
+                citizenid = entry.citizenid,
+                plate = entry.plate,
+                details = entry.details,
+            })
+        end
+        return json.encode(rows, { indent = true })
+    end
+
+    local lines = { 'id,created_at,action,citizenid,plate,details' }
+    for _, entry in ipairs(entries) do
+        table.insert(lines, table.concat({
+            CsvField(entry.id),
+            CsvField(os.date('!%Y-%m-%d %H:%M:%S', entry.createdAt)),
+            CsvField(entry.action),
+            CsvField(entry.citizenid),
+            CsvField(entry.plate),
+            CsvField(next(entry.details) and json.encode(entry.details) or nil),
+        }, ','))
+    end
+    return table.concat(lines, '\n')
+end
+
+---Export the filtered audit log
+---The content goes back to the admin panel, and a copy is written to
+---Config.Admin.auditExportDir (outside the resource) when that folder exists.
+---@param source number
+---@param filters table { action, citizenid, plate, from, to }
+---@param format string 'csv' or 'json'
+---@return table|nil export { file, content, format, count, limited }, file is nil when it could not be written
+---@return string|nil error
+function Audit.Export(source, filters, format)
+    if not Bridge.IsAdmin(source) then
+        return nil, L('admin_only')
+    end
+
+    if format ~= 'csv' and format ~= 'json' then
+        return nil, L('audit_invalid_format')
+    end
+
+    filters = CleanFilters(filters)
+    local limit = Config.Admin.auditExportLimit
+    local entries = DB.SearchAuditLog(filters, nil, limit)
+    if #entries == 0 then
+        return nil, L('audit_export_empty')
+    end
+
+    local content = BuildExport(entries, format)
+    local file = ('%s/audit_%s.%s'):format(Config.Admin.auditExportDir, os.date('%Y%m%d_%H%M%S'), format)
+
+    local handle = io.open(file, 'w')
+    if handle then
+        handle:write(content)
+        handle:close()
+    else
+        file = nil
+    end
+
+    if DB and DB.AuditLog then
+        DB.AuditLog('admin_audit_export', nil, nil, {
+            admin = Bridge.GetPlayerName(source),
+            format = format,
+            count = #entries,
+            filters = filters,
+        })
+    end
+
+    return {
+        file = file,
+        content = content,
+        format = format,
+        count = #entries,
+        limited = #entries >= limit,
+    }
+end
+
+-- Check the export folder at startup so a missing one is reported before an export
+CreateThread(function()
+    local probe = ('%s/.dps_parking_write_test'):format(Config.Admin.auditExportDir)
+    local handle = io.open(probe, 'w')
+    if not handle then
+        print(('^3[DPS-Parking] Audit exports: folder "%s" is missing or not writable, exports are only sent to the admin panel^0'):format(Config.Admin.auditExportDir))
+        return
+    end
+
+    handle:close()
+    os.remove(probe)
+end)
+
 -- ============================================
 -- EVENT SUBSCRIPTIONS
 -- ============================================
@@ -103,6 +279,27 @@ EventBus.Subscribe('meters:ticketIssued', function(data)
     )
 end)
 
+-- Log admin panel and command actions
+EventBus.Subscribe('admin:action', function(data)
+    local fields = {
+        { name = 'Admin', value = data.details.admin or 'Unknown', inline = true },
+    }
+
+    if data.citizenid then
+        table.insert(fields, { name = 'Player', value = data.citizenid, inline = true })
+    end
+    if data.plate then
+        table.insert(fields, { name = 'Plate', value = data.plate, inline = true })
+    end
+
+    Audit.LogToDiscord(
+        'Admin Action',
+        ('**%s** used **%s**'):format(data.details.admin or 'Unknown', data.action),
+        10181046, -- Purple
+        fields
+    )
+end)
+
 print('^2[DPS-Parking] Audit logging loaded^0')
 
 return Audit
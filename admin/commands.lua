@@ -4,6 +4,7 @@
     Enhanced: DPS Development
 
     Administrative commands for parking management.
+    The actions themselves live in admin/panel.lua, shared with the NUI admin panel.
 ]]
 
 -- ============================================
@@ -18,10 +19,19 @@ RegisterCommand(Config.Commands.addVip, function(source, args)
     end
 
     local targetId = tonumber(args[1])
-    local slots = tonumber(args[2]) or Config.VIP.defaultSlots or 10
+    local tier = args[2] and args[2]:lower() or Config.VIP.defaultTier
+    local customSlots = tonumber(args[3])
+    local days = tonumber(args[4])
+
+    -- Legacy form: /addparkvip [id] [slots] on the default tier
+    if tonumber(args[2]) then
+        tier = Config.VIP.defaultTier
+        customSlots = tonumber(args[2])
+        days = tonumber(args[3])
+    end
 
     if not targetId then
-        Bridge.Notify(source, 'Usage: /' .. Config.Commands.addVip .. ' [id] [slots]', 'error')
+        Bridge.Notify(source, 'Usage: /' .. Config.Commands.addVip .. ' [id] [tier] [slots] [days]', 'error')
         return
     end
 
@@ -31,23 +41,16 @@ RegisterCommand(Config.Commands.addVip, function(source, args)
         return
     end
 
-    State.SetVipPlayer(citizenid, {
-        slots = slots,
-        perks = Config.VIP.perks,
-        addedAt = os.time(),
-        addedBy = source == 0 and 'Console' or Bridge.GetPlayerName(source)
-    })
-
-    -- Update database
-    local tbl = Bridge.IsESX() and 'users' or 'players'
-    local col = Bridge.IsESX() and 'identifier' or 'citizenid'
-    MySQL.update.await(('UPDATE %s SET parkvip = 1, parkmax = ? WHERE %s = ?'):format(tbl, col), {slots, citizenid})
+    local success, message = AdminPanel.GrantVip(source, citizenid, tier, customSlots, days)
+    if not success then
+        Bridge.Notify(source, message, 'error')
+        return
+    end
 
-    Bridge.Notify(targetId, L('vip_added'), 'success')
     if source ~= 0 then
-        Bridge.Notify(source, 'VIP status granted to player', 'success')
+        Bridge.Notify(source, message, 'success')
     end
-    print(('[DPS-Parking] VIP added: %s with %d slots'):format(citizenid, slots))
+    print(('[DPS-Parking] VIP added: %s (%s) with %d slots'):format(citizenid, tier, State.GetMaxSlots(citizenid)))
 end, true)
 
 -- Remove VIP
@@ -69,16 +72,14 @@ RegisterCommand(Config.Commands.removeVip, function(source, args)
         return
     end
 
-    State.RemoveVipPlayer(citizenid)
-
-    -- Update database
-    local tbl = Bridge.IsESX() and 'users' or 'players'
-    local col = Bridge.IsESX() and 'identifier' or 'citizenid'
-    MySQL.update.await(('UPDATE %s SET parkvip = 0, parkmax = 0 WHERE %s = ?'):format(tbl, col), {citizenid})
+    local success, message = AdminPanel.RevokeVip(source, citizenid)
+    if not success then
+        Bridge.Notify(source, message, 'error')
+        return
+    end
 
-    Bridge.Notify(targetId, L('vip_removed'), 'info')
     if source ~= 0 then
-        Bridge.Notify(source, 'VIP status removed from player', 'success')
+        Bridge.Notify(source, message, 'success')
     end
     print(('[DPS-Parking] VIP removed: %s'):format(citizenid))
 end, true)
@@ -102,29 +103,13 @@ RegisterCommand(Config.Commands.resetPlayer, function(source, args)
         return
     end
 
-    -- Get player's parked vehicles
-    local vehicles = State.GetPlayerParkedVehicles(citizenid)
-
-    -- Delete entities and remove from state
-    for plate, data in pairs(vehicles) do
-        if data.entity and DoesEntityExist(data.entity) then
-            DeleteEntity(data.entity)
-        end
-        State.RemoveParkedVehicle(plate)
+    -- Naming the player on the command line is the confirmation
+    local success, message = AdminPanel.ResetPlayer(source, citizenid, citizenid)
+    if not success then
+        Bridge.Notify(source, message, 'error')
+        return
     end
 
-    -- Reset in database
-    local tbl = Bridge.DB.GetVehicleTable()
-    local owner = Bridge.DB.GetOwnerColumn()
-    local state = Bridge.DB.GetStateColumn()
-    MySQL.update.await(
-        ('UPDATE %s SET %s = 1, location = NULL, street = NULL WHERE %s = ? AND %s = 3'):format(tbl, state, owner, state),
-        {citizenid}
-    )
-
-    TriggerClientEvent('dps-parking:client:syncParkedVehicles', -1, { vehicles = Parking.GetAllParked() })
-
-    Bridge.Notify(targetId, L('parking_reset', 'your'), 'info')
     if source ~= 0 then
         Bridge.Notify(source, L('parking_reset', Bridge.GetPlayerName(targetId)), 'success')
     end
@@ -137,29 +122,17 @@ RegisterCommand(Config.Commands.resetAll, function(source, args)
         return
     end
 
-    -- Delete all parked vehicle entities
-    local allParked = State.GetAllParkedVehicles()
-    for plate, data in pairs(allParked) do
-        if data.entity and DoesEntityExist(data.entity) then
-            DeleteEntity(data.entity)
-        end
-        State.RemoveParkedVehicle(plate)
+    -- The confirmation phrase is typed after the command
+    local confirmation = table.concat(args, ' ')
+    if confirmation ~= Config.Admin.resetAllPhrase then
+        Bridge.Notify(source, 'Usage: /' .. Config.Commands.resetAll .. ' ' .. Config.Admin.resetAllPhrase, 'error')
+        return
     end
 
-    -- Reset database
-    local tbl = Bridge.DB.GetVehicleTable()
-    local state = Bridge.DB.GetStateColumn()
-    MySQL.update.await(
-        ('UPDATE %s SET %s = 1, location = NULL, street = NULL, parktime = 0 WHERE %s = 3'):format(tbl, state, state),
-        {}
-    )
-
-    TriggerClientEvent('dps-parking:client:syncParkedVehicles', -1, { vehicles = {} })
-
+    local success, message = AdminPanel.ResetAll(source, confirmation)
     if source ~= 0 then
-        Bridge.Notify(source, L('all_parking_reset'), 'success')
+        Bridge.Notify(source, message, success and 'success' or 'error')
     end
-    print('[DPS-Parking] All parking reset by admin')
 end, true)
 
 -- Toggle debug
@@ -189,25 +162,10 @@ RegisterCommand(Config.Commands.deleteParked, function(source, args)
         return
     end
 
-    plate = Utils.FormatPlate(plate)
-    local parkedVehicle = State.GetParkedVehicle(plate)
-
-    if not parkedVehicle then
-        Bridge.Notify(source, 'Vehicle not found', 'error')
-        return
-    end
-
-    if parkedVehicle.entity and DoesEntityExist(parkedVehicle.entity) then
-        DeleteEntity(parkedVehicle.entity)
-    end
-
-    State.RemoveParkedVehicle(plate)
-    Bridge.DB.SetVehicleOut(plate)
-
-    TriggerClientEvent('dps-parking:client:vehicleUnparked', -1, { plate = plate, netId = parkedVehicle.netid })
-
+    -- Naming the plate on the command line is the confirmation
+    local success, message = AdminPanel.DeleteParked(source, plate, plate)
     if source ~= 0 then
-        Bridge.Notify(source, 'Vehicle ' .. plate .. ' removed', 'success')
+        Bridge.Notify(source, message, success and 'success' or 'error')
     end
 end, true)
 
@@ -219,12 +177,13 @@ end, true)
 RegisterCommand('dpsparking', function(source, args)
     if source == 0 then
         print('=== DPS-Parking Admin Commands ===')
-        print('/' .. Config.Commands.addVip .. ' [id] [slots] - Add VIP')
+        print('/' .. Config.Commands.addVip .. ' [id] [tier] [slots] [days] - Add VIP')
         print('/' .. Config.Commands.removeVip .. ' [id] - Remove VIP')
         print('/' .. Config.Commands.resetPlayer .. ' [id] - Reset player parking')
-        print('/' .. Config.Commands.resetAll .. ' - Reset all parking')
+        print('/' .. Config.Commands.resetAll .. ' ' .. Config.Admin.resetAllPhrase .. ' - Reset all parking')
         print('/' .. Config.Commands.debugPoly .. ' - Toggle debug')
         print('/' .. Config.Commands.deleteParked .. ' [plate] - Delete parked vehicle')
+        print('/' .. Config.Commands.adminPanel .. ' - Open the admin panel (in game)')
         return
     end
 
@@ -236,4 +195,19 @@ RegisterCommand('dpsparking', function(source, args)
     Bridge.Notify(source, 'DPS-Parking v1.0.0 - Check console for commands', 'info')
 end, true)
 
+-- Open the admin panel
+RegisterCommand(Config.Commands.adminPanel, function(source, args)
+    if source == 0 then
+        print('[DPS-Parking] The admin panel can only be opened in game')
+        return
+    end
+
+    if not Bridge.IsAdmin(source) then
+        Bridge.Notify(source, L('admin_only'), 'error')
+        return
+    end
+
+    TriggerClientEvent('dps-parking:client:openAdmin', source)
+end, true)
+
 print('^2[DPS-Parking] Admin commands loaded^0')
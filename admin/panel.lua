@@ -0,0 +1,597 @@
+--[[
+    DPS-Parking - Admin Panel (Server)
+    Original: mh-parking by MaDHouSe79
+    Enhanced: DPS Development
+
+    Admin actions shared by the NUI admin panel and the admin commands:
+    - Player and plate search, player records
+    - VIP grants with slots and expiry, and revokes
+    - Force-unpark, delete and impound release of any vehicle
+    - Ticket dismissal
+    - Player and server-wide parking resets behind a typed confirmation
+    - Health figures from the StateManager and EventBus
+]]
+
+AdminPanel = {}
+
+-- Longest accepted search and dismissal reason
+local MAX_QUERY_LENGTH = 50
+local MAX_REASON_LENGTH = 200
+
+-- Vehicle states from the framework's vehicle table, by Bridge.DB.States value
+local VEHICLE_STATUS = {
+    [0] = 'out',
+    [1] = 'garage',
+    [2] = 'impound',
+    [3] = 'parked',
+}
+
+-- ============================================
+-- HELPERS
+-- ============================================
+
+---Is a source allowed to use admin actions (console always is)
+---@param source number
+---@return boolean
+local function IsAuthorized(source)
+    return source == 0 or Bridge.IsAdmin(source)
+end
+
+---Get the name recorded for an admin action
+---@param source number
+---@return string
+local function GetAdminName(source)
+    return source == 0 and 'Console' or Bridge.GetPlayerName(source)
+end
+
+---Record an admin action in the audit log and tell audit subscribers
+---@param source number Admin
+---@param action string
+---@param citizenid string|nil
+---@param plate string|nil
+---@param details? table
+local function LogAction(source, action, citizenid, plate, details)
+    details = details or {}
+    details.admin = GetAdminName(source)
+
+    if DB and DB.AuditLog then
+        DB.AuditLog(action, citizenid, plate, details)
+    end
+
+    EventBus.Publish('admin:action', {
+        action = action,
+        citizenid = citizenid,
+        plate = plate,
+        details = details,
+    })
+end
+
+---Mirror VIP on the framework's players/users row
+---@param citizenid string
+---@param slots number|nil nil clears VIP
+local function SetFrameworkVip(citizenid, slots)
+    local tbl = Bridge.IsESX() and 'users' or 'players'
+    local col = Bridge.IsESX() and 'identifier' or 'citizenid'
+
+    MySQL.update.await(
+        ('UPDATE %s SET parkvip = ?, parkmax = ? WHERE %s = ?'):format(tbl, col),
+        {slots and 1 or 0, slots or 0, citizenid}
+    )
+end
+
+---Remove a parked vehicle's entity and state
+---@param plate string
+---@param parkedVehicle table
+local function RemoveParked(plate, parkedVehicle)
+    if parkedVehicle.entity and DoesEntityExist(parkedVehicle.entity) then
+        DeleteEntity(parkedVehicle.entity)
+    end
+
+    State.RemoveParkedVehicle(plate)
+end
+
+---Get a whole number inside a range
+---@param value any
+---@param min number
+---@param max number
+---@return number|nil
+local function GetWholeNumber(value, min, max)
+    value = tonumber(value)
+    if not value or value ~= math.floor(value) or value < min or value > max then
+        return nil
+    end
+    return value
+end
+
+-- ============================================
+-- SEARCH
+-- ============================================
+
+---Get a vehicle's status for the panel
+---@param plate string
+---@param state number|nil Framework vehicle state
+---@return string status 'parked', 'impound', 'garage' or 'out'
+local function GetVehicleStatus(plate, state)
+    if State.GetParkedVehicle(plate) then
+        return 'parked'
+    elseif Impound._vehicles[plate] then
+        return 'impound'
+    end
+    return VEHICLE_STATUS[tonumber(state)] or 'out'
+end
+
+---Build a vehicle row for the panel
+---@param plate string
+---@param citizenid string|nil
+---@param state number|nil Framework vehicle state
+---@return table vehicle { plate, citizenid, status, street, parkedAt, impound }
+local function FormatVehicle(plate, citizenid, state)
+    local parked = State.GetParkedVehicle(plate)
+
+    return {
+        plate = plate,
+        citizenid = citizenid,
+        status = GetVehicleStatus(plate, state),
+        street = parked and parked.street or nil,
+        parkedAt = parked and parked.parkedAt or nil,
+        impound = Impound.GetDetails(plate),
+    }
+end
+
+---Build a player row for the panel
+---@param citizenid string
+---@param name string|nil
+---@return table player { citizenid, name, online, vip, parked, unpaidTickets }
+local function FormatPlayer(citizenid, name)
+    local source = Bridge.GetSourceByCitizenId(citizenid)
+    local vipData = State.GetVipPlayer(citizenid)
+
+    return {
+        citizenid = citizenid,
+        name = source and Bridge.GetPlayerName(source) or name or Bridge.DB.GetPlayerName(citizenid),
+        online = source,
+        vip = vipData and (VIP.GetPlayerTier(citizenid)) or nil,
+        parked = State.CountPlayerParkedVehicles(citizenid),
+        unpaidTickets = Violations.CountUnpaidTickets(citizenid),
+    }
+end
+
+---Search players by server id, citizen ID or name, and plates
+---@param source number Admin
+---@param query string
+---@return table|nil results { players, vehicles }
+---@return string|nil error
+function AdminPanel.Search(source, query)
+    if not IsAuthorized(source) then
+        return nil, L('admin_only')
+    end
+
+    if type(query) ~= 'string' or Utils.IsEmpty(query) then
+        return nil, L('admin_search_empty')
+    end
+
+    query = Utils.Trim(query):sub(1, MAX_QUERY_LENGTH)
+    local limit = Config.Admin.searchLimit
+    local players, seen = {}, {}
+
+    -- A server id finds that online player
+    local targetId = tonumber(query)
+    local targetCitizenId = targetId and Bridge.GetCitizenId(targetId)
+    if targetCitizenId then
+        table.insert(players, FormatPlayer(targetCitizenId))
+        seen[targetCitizenId] = true
+    end
+
+    for _, row in ipairs(Bridge.DB.SearchPlayers(query, limit)) do
+        if not seen[row.citizenid] then
+            table.insert(players, FormatPlayer(row.citizenid, row.name))
+            seen[row.citizenid] = true
+        end
+    end
+
+    local vehicles = {}
+    for _, row in ipairs(Bridge.DB.SearchVehicles(query:upper(), limit)) do
+        table.insert(vehicles, FormatVehicle(Utils.FormatPlate(row.plate), row.citizenid, row.state))
+    end
+
+    return { players = players, vehicles = vehicles }
+end
+
+---Get a player's parking record
+---@param source number Admin
+---@param citizenid string
+---@return table|nil record { player, vip, maxSlots, vehicles, tickets }
+---@return string|nil error
+function AdminPanel.GetPlayer(source, citizenid)
+    if not IsAuthorized(source) then
+        return nil, L('admin_only')
+    end
+
+    local player = type(citizenid) == 'string' and FormatPlayer(citizenid)
+    if not player or not player.name then
+        return nil, L('player_not_found')
+    end
+
+    local vipData = State.GetVipPlayer(citizenid)
+    local tier = vipData and (VIP.GetPlayerTier(citizenid)) or nil
+
+    local vehicles = {}
+    for _, row in ipairs(Bridge.DB.GetPlayerVehicles(citizenid)) do
+        table.insert(vehicles, FormatVehicle(Utils.FormatPlate(row.plate), citizenid, row.state))
+    end
+
+    local tickets = Violations.GetPlayerTickets(citizenid)
+    table.sort(tickets, function(a, b) return a.issuedAt > b.issuedAt end)
+
+    return {
+        player = player,
+        vip = vipData and {
+            tier = tier,
+            slots = vipData.slots,
+            expiresAt = vipData.expiresAt,
+            addedBy = vipData.addedBy,
+        } or nil,
+        maxSlots = State.GetMaxSlots(citizenid),
+        vehicles = vehicles,
+        tickets = tickets,
+    }
+end
+
+-- ============================================
+-- VIP
+-- ============================================
+
+---Grant VIP to a player
+---@param source number Admin
+---@param citizenid string
+---@param tier? string Defaults to Config.VIP.defaultTier
+---@param slots? number Overrides the tier's slots
+---@param days? number Membership length, nil never expires
+---@return boolean success
+---@return string message
+function AdminPanel.GrantVip(source, citizenid, tier, slots, days)
+    if not IsAuthorized(source) then
+        return false, L('admin_only')
+    end
+
+    if slots ~= nil then
+        slots = GetWholeNumber(slots, 1, Config.Admin.maxVipSlots)
+        if not slots then
+            return false, L('admin_invalid_slots', Config.Admin.maxVipSlots)
+        end
+    end
+
+    local expiresAt = nil
+    if days ~= nil then
+        days = GetWholeNumber(days, 1, Config.Admin.maxVipDays)
+        if not days then
+            return false, L('admin_invalid_days', Config.Admin.maxVipDays)
+        end
+        expiresAt = os.time() + days * 86400
+    end
+
+    local success, message = VIP.Grant(citizenid, tier, slots, GetAdminName(source), expiresAt)
+    if not success then
+        return false, message
+    end
+
+    SetFrameworkVip(citizenid, State.GetMaxSlots(citizenid))
+    LogAction(source, 'admin_vip_grant', citizenid, nil, {
+        tier = tier or Config.VIP.defaultTier,
+        slots = slots,
+        expiresAt = expiresAt,
+    })
+
+    local targetSource = Bridge.GetSourceByCitizenId(citizenid)
+    if targetSource then
+        Bridge.Notify(targetSource, L('vip_added'), 'success')
+    end
+
+    return true, message
+end
+
+---Revoke a player's VIP
+---@param source number Admin
+---@param citizenid string
+---@return boolean success
+---@return string message
+function AdminPanel.RevokeVip(source, citizenid)
+    if not IsAuthorized(source) then
+        return false, L('admin_only')
+    end
+
+    if not State.GetVipPlayer(citizenid) then
+        return false, L('admin_not_vip')
+    end
+
+    VIP.Revoke(citizenid)
+    SetFrameworkVip(citizenid, nil)
+    LogAction(source, 'admin_vip_revoke', citizenid)
+
+    local targetSource = Bridge.GetSourceByCitizenId(citizenid)
+    if targetSource then
+        Bridge.Notify(targetSource, L('vip_removed'), 'info')
+    end
+
+    return true, L('admin_vip_revoked')
+end
+
+-- ============================================
+-- VEHICLES
+-- ============================================
+
+---Move a parked vehicle to its owner's garage
+---@param source number Admin
+---@param plate string
+---@return boolean success
+---@return string message
+function AdminPanel.ForceUnpark(source, plate)
+    if not IsAuthorized(source) then
+        return false, L('admin_only')
+    end
+
+    plate = Utils.FormatPlate(plate)
+    local parkedVehicle = State.GetParkedVehicle(plate)
+    if not parkedVehicle then
+        return false, L('vehicle_not_parked')
+    end
+
+    RemoveParked(plate, parkedVehicle)
+
+    local tbl = Bridge.DB.GetVehicleTable()
+    local state = Bridge.DB.GetStateColumn()
+    MySQL.update.await(
+        ('UPDATE %s SET %s = ?, location = NULL, street = NULL, trailerdata = NULL WHERE plate = ?'):format(tbl, state),
+        {Bridge.DB.States.GARAGE, plate}
+    )
+
+    TriggerClientEvent('dps-parking:client:vehicleUnparked', -1, { plate = plate, netId = parkedVehicle.netid })
+    LogAction(source, 'admin_unpark', parkedVehicle.citizenid, plate, { street = parkedVehicle.street })
+
+    return true, L('admin_vehicle_unparked', plate)
+end
+
+---Delete a parked vehicle from the world, leaving it out of any garage
+---@param source number Admin
+---@param plate string
+---@param confirmation string Must be the plate
+---@return boolean success
+---@return string message
+function AdminPanel.DeleteParked(source, plate, confirmation)
+    if not IsAuthorized(source) then
+        return false, L('admin_only')
+    end
+
+    plate = Utils.FormatPlate(plate)
+    if type(confirmation) ~= 'string' or Utils.FormatPlate(confirmation) ~= plate then
+        return false, L('admin_confirm_mismatch')
+    end
+
+    local parkedVehicle = State.GetParkedVehicle(plate)
+    if not parkedVehicle then
+        return false, L('vehicle_not_parked')
+    end
+
+    RemoveParked(plate, parkedVehicle)
+    Bridge.DB.SetVehicleOut(plate)
+
+    TriggerClientEvent('dps-parking:client:vehicleUnparked', -1, { plate = plate, netId = parkedVehicle.netid })
+    LogAction(source, 'admin_delete', parkedVehicle.citizenid, plate, { street = parkedVehicle.street })
+
+    return true, L('admin_vehicle_deleted', plate)
+end
+
+---Release an impounded vehicle without a fee
+---@param source number Admin
+---@param plate string
+---@return boolean success
+---@return string message
+function AdminPanel.ReleaseImpound(source, plate)
+    if not IsAuthorized(source) then
+        return false, L('admin_only')
+    end
+
+    plate = Utils.FormatPlate(plate)
+    local impoundData = Impound._vehicles[plate]
+    if not impoundData then
+        return false, L('admin_not_impounded')
+    end
+
+    Impound.Release(plate)
+    LogAction(source, 'impound_admin_release', nil, plate, { reason = impoundData.reason })
+
+    return true, L('admin_impound_released', plate)
+end
+
+-- ============================================
+-- TICKETS
+-- ============================================
+
+---Dismiss a ticket
+---@param source number Admin
+---@param ticketId string
+---@param reason string
+---@return boolean success
+---@return string message
+function AdminPanel.DismissTicket(source, ticketId, reason)
+    if not IsAuthorized(source) then
+        return false, L('admin_only')
+    end
+
+    if type(reason) ~= 'string' or Utils.IsEmpty(reason) then
+        return false, L('admin_reason_required')
+    end
+
+    local ticket = Violations.GetTicket(ticketId)
+    if not ticket then
+        return false, L('admin_ticket_not_found')
+    end
+
+    if ticket.status ~= 'unpaid' and ticket.status ~= 'contested' then
+        return false, L('admin_ticket_closed')
+    end
+
+    -- Violations.DismissTicket checks the admin and writes its own audit entry
+    return Violations.DismissTicket(source, ticketId, Utils.Trim(reason):sub(1, MAX_REASON_LENGTH))
+end
+
+-- ============================================
+-- RESETS
+-- ============================================
+
+---Return all of a player's parked vehicles to their garage
+---@param source number Admin
+---@param citizenid string
+---@param confirmation string Must be the citizen ID
+---@return boolean success
+---@return string message
+function AdminPanel.ResetPlayer(source, citizenid, confirmation)
+    if not IsAuthorized(source) then
+        return false, L('admin_only')
+    end
+
+    if type(citizenid) ~= 'string' or confirmation ~= citizenid then
+        return false, L('admin_confirm_mismatch')
+    end
+
+    local vehicles = State.GetPlayerParkedVehicles(citizenid)
+    local count = 0
+
+    for plate, data in pairs(vehicles) do
+        RemoveParked(plate, data)
+        count = count + 1
+    end
+
+    local tbl = Bridge.DB.GetVehicleTable()
+    local owner = Bridge.DB.GetOwnerColumn()
+    local state = Bridge.DB.GetStateColumn()
+    MySQL.update.await(
+        ('UPDATE %s SET %s = ?, location = NULL, street = NULL WHERE %s = ? AND %s = ?'):format(tbl, state, owner, state),
+        {Bridge.DB.States.GARAGE, citizenid, Bridge.DB.States.PARKED}
+    )
+
+    TriggerClientEvent('dps-parking:client:syncParkedVehicles', -1, { vehicles = Parking.GetAllParked() })
+    LogAction(source, 'admin_reset_player', citizenid, nil, { vehicles = count })
+
+    local targetSource = Bridge.GetSourceByCitizenId(citizenid)
+    if targetSource then
+        Bridge.Notify(targetSource, L('parking_reset', 'your'), 'info')
+    end
+
+    return true, L('parking_reset', Bridge.DB.GetPlayerName(citizenid) or citizenid)
+end
+
+---Return every parked vehicle to its owner's garage
+---@param source number Admin
+---@param confirmation string Must be Config.Admin.resetAllPhrase
+---@return boolean success
+---@return string message
+function AdminPanel.ResetAll(source, confirmation)
+    if not IsAuthorized(source) then
+        return false, L('admin_only')
+    end
+
+    if confirmation ~= Config.Admin.resetAllPhrase then
+        return false, L('admin_confirm_mismatch')
+    end
+
+    local count = 0
+    for plate, data in pairs(State.GetAllParkedVehicles()) do
+        RemoveParked(plate, data)
+        count = count + 1
+    end
+
+    local tbl = Bridge.DB.GetVehicleTable()
+    local state = Bridge.DB.GetStateColumn()
+    MySQL.update.await(
+        ('UPDATE %s SET %s = ?, location = NULL, street = NULL, parktime = 0 WHERE %s = ?'):format(tbl, state, state),
+        {Bridge.DB.States.GARAGE, Bridge.DB.States.PARKED}
+    )
+
+    TriggerClientEvent('dps-parking:client:syncParkedVehicles', -1, { vehicles = {} })
+    LogAction(source, 'admin_reset_all', nil, nil, { vehicles = count })
+
+    print(('[DPS-Parking] All parking reset by %s'):format(GetAdminName(source)))
+    return true, L('all_parking_reset')
+end
+
+-- ============================================
+-- HEALTH
+-- ============================================
+
+---Get the resource health figures
+---@return table health { state, events, hooks, impounded, tickets, onlinePlayers }
+function AdminPanel.GetHealth()
+    local stats = EventBus.GetStats()
+
+    local events = {}
+    for event, subscribers in pairs(stats.events) do
+        table.insert(events, { event = event, subscribers = subscribers })
+    end
+    table.sort(events, function(a, b) return a.event < b.event end)
+
+    local hooks = {}
+    for stage, actions in pairs(stats.hooks) do
+        for action, count in pairs(actions) do
+            table.insert(hooks, { action = action, stage = stage, hooks = count })
+        end
+    end
+    table.sort(hooks, function(a, b) return a.action < b.action end)
+
+    local unpaid = 0
+    for _, ticket in pairs(Violations._tickets) do
+        if ticket.status == 'unpaid' then
+            unpaid = unpaid + 1
+        end
+    end
+
+    return {
+        state = State.GetSnapshot(),
+        events = events,
+        hooks = hooks,
+        impounded = Utils.Count(Impound._vehicles),
+        unpaidTickets = unpaid,
+        onlinePlayers = #Bridge.GetOnlinePlayers(),
+    }
+end
+
+---Get the admin panel setup
+---@param source number
+---@return table|nil panel { admin, tiers, limits, resetAllPhrase, health }
+function AdminPanel.Get(source)
+    if not Bridge.IsAdmin(source) then
+        return nil
+    end
+
+    local tiers = {}
+    for _, tier in ipairs(VIP.GetRegistry()) do
+        if VIP.IsValidTier(tier.key) then
+            table.insert(tiers, { key = tier.key, label = tier.label, slots = tier.slots })
+        end
+    end
+
+    return {
+        admin = Bridge.GetPlayerName(source),
+        tiers = tiers,
+        defaultTier = Config.VIP.defaultTier,
+        limits = {
+            maxVipSlots = Config.Admin.maxVipSlots,
+            maxVipDays = Config.Admin.maxVipDays,
+        },
+        resetAllPhrase = Config.Admin.resetAllPhrase,
+        health = AdminPanel.GetHealth(),
+    }
+end
+
+-- ============================================
+-- EVENTS
+-- ============================================
+
+-- Expired memberships clear the framework's VIP flag too
+EventBus.Subscribe('vip:expired', function(data)
+    SetFrameworkVip(data.citizenid, nil)
+end, EventBus.Priority.NORMAL)
+
+print('^2[DPS-Parking] Admin panel (server) loaded^0')
+
+return AdminPanel
@@ -17,6 +17,20 @@ Config.Debug = false                          -- Enable debug mode
 Config.DevMode = false                        -- Enable developer mode (extra logging)
 Config.Locale = 'en'                          -- Language (en, nl, etc.)
 
+-- ============================================
+-- CURRENCY
+-- ============================================
+
+Config.Currency = {
+    symbol = '$',                             -- Currency symbol
+    position = 'before',                      -- 'before' ($100) or 'after' (100 €)
+    space = false,                            -- Space between symbol and amount
+    locale = 'en-US',                         -- UI number format (e.g. 'de-DE' for 1.234,50)
+    decimals = 0,                             -- Fraction digits shown
+    thousandsSeparator = ',',                 -- Notifications (Lua has no locale formatting)
+    decimalSeparator = '.',                   -- Notifications (Lua has no locale formatting)
+}
+
 -- ============================================
 -- CORE PARKING SETTINGS
 -- ============================================
@@ -86,9 +100,44 @@ Config.Meters = {
     ticketAmount = 150,                       -- Fine for expired meter
     towAfterMinutes = 30,                     -- Tow X minutes after expiry
 
-    -- Premium zones (higher rates)
+    -- Low-time alerts (minutes remaining), players can turn them off
+    alerts = { 10, 2 },
+
+    -- Auto-renew for vehicles players mark on the Meters tab
+    autoRenew = {
+        increment = 30,                       -- Minutes bought per renewal
+        leadSeconds = 120,                    -- Renew this long before the meter runs out
+        caps = { 100, 250, 500, 1000 },       -- Spending caps per session players can pick
+        defaultCap = 250,
+    },
+
+    -- Meter props players can interact with
+    propModels = { 'prop_parknmeter_01', 'prop_parknmeter_02' },
+    propRadius = 20.0,                        -- Max distance from meter to a parked vehicle
+
+    -- Premium zones (higher rates), capacity enables surge pricing for the zone
     premiumZones = {
-        -- { coords = vector3(-250.0, -900.0, 31.0), radius = 100.0, multiplier = 2.0, name = 'Downtown' },
+        -- { coords = vector3(-250.0, -900.0, 31.0), radius = 100.0, multiplier = 2.0, name = 'Downtown', capacity = 40 },
+    },
+
+    -- Dynamic pricing (see modules/meters/pricing.lua)
+    pricing = {
+        -- Rate multiplier by hour of day (server time), first matching window wins
+        schedule = {
+            -- { startHour = 7, endHour = 10, multiplier = 1.5, label = 'Morning peak' },
+            -- { startHour = 16, endHour = 19, multiplier = 1.5, label = 'Evening peak' },
+            -- { startHour = 0, endHour = 6, multiplier = 0.5, label = 'Overnight' },
+        },
+
+        -- Surge by how full the vehicle's parking lot (or premium zone with a
+        -- capacity) is, the highest tier reached applies
+        surge = {
+            enabled = false,
+            tiers = {
+                { occupancy = 0.75, multiplier = 1.25 },
+                { occupancy = 0.9, multiplier = 1.5 },
+            },
+        },
     },
 
     -- Free parking hours
@@ -106,8 +155,10 @@ Config.Meters = {
 Config.Delivery = {
     enabled = true,                           -- Enable delivery service
     baseCost = 500,                           -- Base delivery fee
-    perMileCost = 50,                         -- Additional per mile
+    perMileCost = 50,                         -- Additional per distance unit
+    distanceUnit = 'mi',                      -- Unit distance is priced and shown in ('mi' or 'km')
     rushMultiplier = 2.0,                     -- Rush delivery cost multiplier
+    driverCost = 250,                         -- NPC driver surcharge
 
     standardTime = 5,                         -- Standard delivery time (minutes)
     rushTime = 2,                             -- Rush delivery time (minutes)
@@ -115,6 +166,22 @@ Config.Delivery = {
     maxPerHour = 3,                           -- Max deliveries per hour per player
     cooldownMinutes = 10,                     -- Cooldown between deliveries
 
+    -- Tracking timeline (seconds after the request)
+    dispatchDelay = 15,                       -- Driver assigned
+    pickupTime = 15,                          -- Driver collects the car and sets off
+
+    -- Cancellation
+    cancelRefund = 0.75,                      -- Share of the fee refunded
+    cancelCutoff = 30,                        -- Seconds before arrival when cancelling closes
+
+    -- Scheduled bookings (charged when dispatched, the owner must be online)
+    scheduling = {
+        enabled = true,
+        maxBookings = 5,                      -- Per player, recurring bookings included
+        minMinutesAhead = 10,                 -- Earliest arrival that can be booked
+        maxDaysAhead = 14,                    -- Latest arrival that can be booked
+    },
+
     -- Job discounts
     discounts = {
         ['mechanic'] = 0.50,                  -- 50% off
@@ -158,14 +225,50 @@ Config.Business = {
 Config.VIP = {
     enabled = true,                           -- Enable VIP system
     useAsVip = false,                         -- Require VIP for any parking
-
-    -- VIP perks
-    perks = {
-        freeMeters = false,                   -- Free parking meters
-        discountPercent = 25,                 -- Discount on all parking
-        priorityDelivery = true,              -- Faster delivery times
-        reservedSpots = true,                 -- Access to reserved spots
-    }
+    defaultTier = 'bronze',                   -- Tier granted when none is given
+
+    -- Tier registry, enforced by the server and shown in the dashboard
+    -- 'standard' applies to players without VIP
+    -- slots: max parked vehicles (nil = Config.Parking.defaultMaxSlots)
+    -- discounts: fraction off per service (0.25 = 25%)
+    -- delivery: hourly limit (-1 = unlimited) and minutes cut from delivery time
+    tiers = {
+        standard = {
+            label = 'Standard', color = '#9ca3af', icon = 'fa-user', rank = 0,
+            slots = nil,
+            discounts = { delivery = 0, meters = 0, rentals = 0 },
+            perks = { rushDelivery = false, npcDriver = false, freeMeters = false, reservedSpots = false, valetPriority = false },
+            delivery = { maxPerHour = 2, priorityMinutes = 0 },
+        },
+        bronze = {
+            label = 'Bronze', color = '#cd7f32', icon = 'fa-medal', rank = 1,
+            slots = 10,
+            discounts = { delivery = 0.10, meters = 0.10, rentals = 0.10 },
+            perks = { rushDelivery = true, npcDriver = false, freeMeters = false, reservedSpots = true, valetPriority = true },
+            delivery = { maxPerHour = 3, priorityMinutes = 1 },
+        },
+        silver = {
+            label = 'Silver', color = '#c0c0c0', icon = 'fa-crown', rank = 2,
+            slots = 12,
+            discounts = { delivery = 0.20, meters = 0.15, rentals = 0.20 },
+            perks = { rushDelivery = true, npcDriver = true, freeMeters = false, reservedSpots = true, valetPriority = true },
+            delivery = { maxPerHour = 5, priorityMinutes = 2 },
+        },
+        gold = {
+            label = 'Gold', color = '#ffd700', icon = 'fa-crown', rank = 3,
+            slots = 15,
+            discounts = { delivery = 0.35, meters = 0.25, rentals = 0.35 },
+            perks = { rushDelivery = true, npcDriver = true, freeMeters = false, reservedSpots = true, valetPriority = true },
+            delivery = { maxPerHour = 10, priorityMinutes = 3 },
+        },
+        platinum = {
+            label = 'Platinum', color = '#e5e4e2', icon = 'fa-gem', rank = 4,
+            slots = 20,
+            discounts = { delivery = 0.50, meters = 0.35, rentals = 0.50 },
+            perks = { rushDelivery = true, npcDriver = true, freeMeters = false, reservedSpots = true, valetPriority = true },
+            delivery = { maxPerHour = -1, priorityMinutes = 5 },
+        },
+    },
 }
 
 -- ============================================
@@ -222,6 +325,7 @@ Config.Commands = {
     createLot = 'createlot',                  -- Create parking lot
     deleteLot = 'deletelot',                  -- Delete parking lot
     deleteParked = 'deletepark',              -- Delete parked vehicle
+    adminPanel = 'parkadmin',                 -- Open the admin panel
 }
 
 -- ============================================
@@ -246,6 +350,37 @@ Config.Blips = {
     }
 }
 
+-- ============================================
+-- DASHBOARD MAP
+-- ============================================
+
+Config.Map = {
+    enabled = false,                          -- Show the map tab in the dashboard (add the image first)
+    image = 'img/map.jpg',                    -- Map image, relative to ui/ (or a full URL), not shipped
+    -- World area covered by the image, edge to edge
+    -- Must be calibrated to the image you use or markers will drift
+    bounds = {
+        minX = -4000.0, maxX = 6000.0,
+        minY = -4000.0, maxY = 8000.0,
+    },
+}
+
+-- ============================================
+-- ADMIN PANEL
+-- ============================================
+
+Config.Admin = {
+    searchLimit = 20,                         -- Max players and plates per search
+    maxVipSlots = 50,                         -- Highest slot override a grant may set
+    maxVipDays = 365,                         -- Longest VIP grant with an expiry (days)
+    resetAllPhrase = 'RESET ALL',             -- Typed to confirm resetting all parking
+
+    -- Audit log viewer
+    auditPageSize = 25,                       -- Entries per page
+    auditExportLimit = 5000,                  -- Max entries in one export
+    auditExportDir = 'audit_exports',         -- Folder for export copies, relative to where FXServer runs (checked at startup)
+}
+
 -- ============================================
 -- NO PARKING ZONES
 -- ============================================
@@ -317,6 +317,23 @@ function Bridge.Target.AddEntity(entities, options)
     end
 end
 
+---Add model target
+---@param models string|table
+---@param options table
+function Bridge.Target.AddModel(models, options)
+    local target = Bridge.Resources.GetTarget()
+    if not target then return end
+
+    if target == 'ox_target' then
+        exports.ox_target:addModel(models, options)
+    elseif target == 'qb-target' then
+        exports['qb-target']:AddTargetModel(models, {
+            options = options,
+            distance = 2.5
+        })
+    end
+end
+
 ---Remove zone
 ---@param name string
 function Bridge.Target.RemoveZone(name)
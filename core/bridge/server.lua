@@ -35,6 +35,16 @@ function Bridge.GetPlayerByCitizenId(citizenid)
     end
 end
 
+---Get the server ID of an online player by citizen ID
+---@param citizenid string
+---@return number|nil source nil when offline
+function Bridge.GetSourceByCitizenId(citizenid)
+    local player = Bridge.GetPlayerByCitizenId(citizenid)
+    if not player then return nil end
+
+    return Bridge.IsESX() and player.source or player.PlayerData.source
+end
+
 ---Get citizen ID from source
 ---@param source number
 ---@return string|nil
@@ -346,14 +356,16 @@ end
 ---@param steerangle number
 ---@param fuel number
 ---@param trailerdata? table
+---@return boolean updated
 function Bridge.DB.SetVehicleParked(plate, location, street, steerangle, fuel, trailerdata)
     local tbl = Bridge.DB.GetVehicleTable()
     local state = Bridge.DB.GetStateColumn()
 
-    MySQL.update.await(
+    local affected = MySQL.update.await(
         ('UPDATE %s SET %s = ?, location = ?, street = ?, steerangle = ?, fuel = ?, trailerdata = ? WHERE plate = ?'):format(tbl, state),
         {Bridge.DB.States.PARKED, json.encode(location), street, steerangle, fuel, json.encode(trailerdata or {}), plate}
     )
+    return (affected or 0) > 0
 end
 
 ---Set vehicle as out (unparked)
@@ -399,6 +411,93 @@ function Bridge.DB.PlayerOwnsVehicle(citizenid, plate)
     return result and #result > 0
 end
 
+---Get a player's owned vehicles with their state
+---@param citizenid string
+---@return table vehicles { { plate, state } }
+function Bridge.DB.GetPlayerVehicles(citizenid)
+    local tbl = Bridge.DB.GetVehicleTable()
+    local owner = Bridge.DB.GetOwnerColumn()
+    local state = Bridge.DB.GetStateColumn()
+
+    return MySQL.query.await(
+        ('SELECT plate, %s AS state FROM %s WHERE %s = ? ORDER BY plate'):format(state, tbl, owner),
+        {citizenid}
+    ) or {}
+end
+
+---Search owned vehicles by plate
+---@param query string Part of a plate
+---@param limit number
+---@return table vehicles { { plate, citizenid, state } }
+function Bridge.DB.SearchVehicles(query, limit)
+    local tbl = Bridge.DB.GetVehicleTable()
+    local owner = Bridge.DB.GetOwnerColumn()
+    local state = Bridge.DB.GetStateColumn()
+
+    return MySQL.query.await(
+        ('SELECT plate, %s AS citizenid, %s AS state FROM %s WHERE plate LIKE ? ORDER BY plate LIMIT ?'):format(owner, state, tbl),
+        {'%' .. query .. '%', limit}
+    ) or {}
+end
+
+---Get a character's name from a players/users row
+---@param row table
+---@return string
+local function GetRowName(row)
+    if Bridge.IsESX() then
+        return Utils.Trim((row.firstname or '') .. ' ' .. (row.lastname or ''))
+    end
+
+    local charinfo = row.charinfo and json.decode(row.charinfo)
+    return charinfo and (charinfo.firstname .. ' ' .. charinfo.lastname) or 'Unknown'
+end
+
+---Search characters by citizen ID or name, online or not
+---@param query string
+---@param limit number
+---@return table players { { citizenid, name } }
+function Bridge.DB.SearchPlayers(query, limit)
+    local pattern = '%' .. query .. '%'
+    local result
+
+    if Bridge.IsESX() then
+        result = MySQL.query.await([[
+            SELECT identifier AS citizenid, firstname, lastname FROM users
+            WHERE identifier LIKE ? OR CONCAT(firstname, ' ', lastname) LIKE ?
+            LIMIT ?
+        ]], {pattern, pattern, limit})
+    else
+        -- charinfo is JSON text, matching inside it finds first and last names
+        result = MySQL.query.await([[
+            SELECT citizenid, charinfo FROM players
+            WHERE citizenid LIKE ? OR charinfo LIKE ?
+            LIMIT ?
+        ]], {pattern, pattern, limit})
+    end
+
+    local players = {}
+    for _, row in ipairs(result or {}) do
+        table.insert(players, { citizenid = row.citizenid, name = GetRowName(row) })
+    end
+
+    return players
+end
+
+---Get a character's name by citizen ID, online or not
+---@param citizenid string
+---@return string|nil name
+function Bridge.DB.GetPlayerName(citizenid)
+    local result
+
+    if Bridge.IsESX() then
+        result = MySQL.query.await('SELECT firstname, lastname FROM users WHERE identifier = ?', {citizenid})
+    else
+        result = MySQL.query.await('SELECT charinfo FROM players WHERE citizenid = ?', {citizenid})
+    end
+
+    return result and result[1] and GetRowName(result[1]) or nil
+end
+
 -- ============================================
 -- ADMIN CHECK
 -- ============================================
@@ -201,7 +201,7 @@ end
 ---@return table
 function DB.GetAllVipPlayers()
     local result = MySQL.query.await([[
-        SELECT citizenid, slots, perks, expires_at
+        SELECT citizenid, tier, slots, UNIX_TIMESTAMP(expires_at) AS expires_at
         FROM dps_parking_vip
         WHERE expires_at IS NULL OR expires_at > NOW()
     ]])
@@ -212,8 +212,8 @@ function DB.GetAllVipPlayers()
     for _, row in ipairs(result) do
         vips[row.citizenid] = {
             citizenid = row.citizenid,
+            tier = row.tier,
             slots = row.slots,
-            perks = row.perks and json.decode(row.perks) or {},
             expiresAt = row.expires_at,
         }
     end
@@ -223,21 +223,21 @@ end
 
 ---Set VIP player
 ---@param citizenid string
----@param slots number
----@param perks table|nil
----@param expiresAt string|nil
-function DB.SetVipPlayer(citizenid, slots, perks, expiresAt)
+---@param tier string Key in Config.VIP.tiers
+---@param slots number|nil Overrides the tier's slots
+---@param expiresAt number|nil Unix time, nil never expires
+function DB.SetVipPlayer(citizenid, tier, slots, expiresAt)
     MySQL.insert.await([[
-        INSERT INTO dps_parking_vip (citizenid, slots, perks, expires_at)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO dps_parking_vip (citizenid, tier, slots, expires_at)
+        VALUES (?, ?, ?, FROM_UNIXTIME(?))
         ON DUPLICATE KEY UPDATE
+            tier = VALUES(tier),
             slots = VALUES(slots),
-            perks = VALUES(perks),
             expires_at = VALUES(expires_at)
     ]], {
         citizenid,
+        tier,
         slots,
-        perks and json.encode(perks) or nil,
         expiresAt
     })
 end
@@ -266,8 +266,11 @@ function DB.GetAllBusinessOwners()
 
     local owners = {}
     for _, row in ipairs(result) do
-        owners[row.lot_id] = {
-            lotId = row.lot_id,
+        -- lot_id is stored as text; config lot IDs are numeric
+        local lotId = tonumber(row.lot_id) or row.lot_id
+
+        owners[lotId] = {
+            lotId = lotId,
             citizenid = row.citizenid,
             purchasedAt = row.purchased_at,
             revenue = row.revenue,
@@ -320,6 +323,49 @@ function DB.RemoveBusinessOwner(lotId)
     ]], {lotId})
 end
 
+---Add a business ledger entry
+---@param lotId number
+---@param entryType string income, tax, payout, upgrade
+---@param amount number Positive for money in, negative for money out
+---@param description string
+---@param citizenid string|nil
+function DB.AddBusinessLedgerEntry(lotId, entryType, amount, description, citizenid)
+    MySQL.insert.await([[
+        INSERT INTO dps_parking_business_ledger (lot_id, type, amount, description, citizenid)
+        VALUES (?, ?, ?, ?, ?)
+    ]], {lotId, entryType, amount, description, citizenid})
+end
+
+---Get recent business ledger entries, newest first
+---@param lotId number
+---@param limit number
+---@return table
+function DB.GetBusinessLedger(lotId, limit)
+    local result = MySQL.query.await([[
+        SELECT id, type, amount, description, citizenid, UNIX_TIMESTAMP(created_at) AS created_at
+        FROM dps_parking_business_ledger
+        WHERE lot_id = ?
+        ORDER BY id DESC
+        LIMIT ?
+    ]], {lotId, limit})
+
+    if not result then return {} end
+
+    local entries = {}
+    for _, row in ipairs(result) do
+        table.insert(entries, {
+            id = row.id,
+            type = row.type,
+            amount = row.amount,
+            description = row.description,
+            citizenid = row.citizenid,
+            createdAt = row.created_at,
+        })
+    end
+
+    return entries
+end
+
 -- ============================================
 -- METER QUERIES
 -- ============================================
@@ -362,6 +408,176 @@ function DB.ExpireMeter(plate)
     ]], {plate})
 end
 
+---Get every player's meter settings
+---@return table settings citizenid -> { autoRenew = { [plate] = true }, alerts, renewCap }
+function DB.GetAllMeterSettings()
+    local result = MySQL.query.await([[
+        SELECT citizenid, auto_renew, alerts, renew_cap FROM dps_parking_meter_settings
+    ]])
+
+    if not result then return {} end
+
+    local settings = {}
+    for _, row in ipairs(result) do
+        local autoRenew = {}
+        for _, plate in ipairs(row.auto_renew and json.decode(row.auto_renew) or {}) do
+            autoRenew[plate] = true
+        end
+
+        settings[row.citizenid] = {
+            autoRenew = autoRenew,
+            alerts = row.alerts == 1 or row.alerts == true,
+            renewCap = row.renew_cap,
+        }
+    end
+
+    return settings
+end
+
+---Save a player's meter settings
+---@param citizenid string
+---@param plates table Array of plates set to auto-renew
+---@param alerts boolean Low-time alerts
+---@param renewCap number Auto-renew spending cap
+function DB.SaveMeterSettings(citizenid, plates, alerts, renewCap)
+    MySQL.insert.await([[
+        INSERT INTO dps_parking_meter_settings (citizenid, auto_renew, alerts, renew_cap)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE auto_renew = VALUES(auto_renew), alerts = VALUES(alerts), renew_cap = VALUES(renew_cap)
+    ]], {citizenid, json.encode(plates), alerts and 1 or 0, renewCap})
+end
+
+-- ============================================
+-- DELIVERY QUERIES
+-- ============================================
+
+---Record a dispatched delivery
+---@param deliveryId string
+---@param citizenid string
+---@param plate string
+---@param from table Pickup {x, y, z, street}
+---@param to table Drop-off {x, y, z, street}
+---@param fee number
+function DB.CreateDelivery(deliveryId, citizenid, plate, from, to, fee)
+    MySQL.insert.await([[
+        INSERT INTO dps_parking_deliveries (delivery_id, citizenid, plate, from_location, to_location, fee, status)
+        VALUES (?, ?, ?, ?, ?, ?, 'in_progress')
+    ]], {deliveryId, citizenid, plate, json.encode(from), json.encode(to), fee})
+end
+
+---Close a delivery record
+---@param deliveryId string
+---@param status string 'completed' or 'cancelled'
+---@param refund number
+function DB.FinishDelivery(deliveryId, status, refund)
+    MySQL.update.await([[
+        UPDATE dps_parking_deliveries SET status = ?, refund = ?, completed_at = NOW() WHERE delivery_id = ?
+    ]], {status, refund, deliveryId})
+end
+
+---Get a player's completed, cancelled and failed deliveries, newest first
+---@param citizenid string
+---@param limit number
+---@return table
+function DB.GetDeliveryHistory(citizenid, limit)
+    local result = MySQL.query.await([[
+        SELECT delivery_id, plate, from_location, to_location, fee, refund, status,
+            UNIX_TIMESTAMP(created_at) AS created_at, UNIX_TIMESTAMP(completed_at) AS completed_at
+        FROM dps_parking_deliveries
+        WHERE citizenid = ? AND status IN ('completed', 'cancelled', 'failed')
+        ORDER BY id DESC
+        LIMIT ?
+    ]], {citizenid, limit})
+
+    if not result then return {} end
+
+    local entries = {}
+    for _, row in ipairs(result) do
+        table.insert(entries, {
+            id = row.delivery_id,
+            plate = row.plate,
+            from = json.decode(row.from_location),
+            to = json.decode(row.to_location),
+            fee = row.fee,
+            refund = row.refund,
+            status = row.status,
+            createdAt = row.created_at,
+            completedAt = row.completed_at,
+        })
+    end
+
+    return entries
+end
+
+---Record a scheduled delivery booking
+---@param booking table { id, citizenid, plate, pickup, dropoff, scheduledAt, recurrence, rush, withDriver }
+function DB.CreateScheduledDelivery(booking)
+    MySQL.insert.await([[
+        INSERT INTO dps_parking_deliveries
+            (delivery_id, citizenid, plate, from_location, to_location, status, scheduled_at, recurrence, options)
+        VALUES (?, ?, ?, ?, ?, 'scheduled', FROM_UNIXTIME(?), ?, ?)
+    ]], {
+        booking.id,
+        booking.citizenid,
+        booking.plate,
+        json.encode(booking.pickup),
+        json.encode(booking.dropoff),
+        booking.scheduledAt,
+        booking.recurrence,
+        json.encode({ rush = booking.rush, withDriver = booking.withDriver }),
+    })
+end
+
+---Move a recurring booking to its next arrival time
+---@param bookingId string
+---@param scheduledAt number Unix time
+function DB.RescheduleDelivery(bookingId, scheduledAt)
+    MySQL.update.await([[
+        UPDATE dps_parking_deliveries SET scheduled_at = FROM_UNIXTIME(?) WHERE delivery_id = ? AND status = 'scheduled'
+    ]], {scheduledAt, bookingId})
+end
+
+---Delete a scheduled booking
+---@param bookingId string
+function DB.RemoveScheduledDelivery(bookingId)
+    MySQL.query.await([[
+        DELETE FROM dps_parking_deliveries WHERE delivery_id = ? AND status = 'scheduled'
+    ]], {bookingId})
+end
+
+---Get every pending scheduled booking
+---@return table
+function DB.GetScheduledDeliveries()
+    local result = MySQL.query.await([[
+        SELECT delivery_id, citizenid, plate, from_location, to_location, recurrence, options,
+            UNIX_TIMESTAMP(scheduled_at) AS scheduled_at, UNIX_TIMESTAMP(created_at) AS created_at
+        FROM dps_parking_deliveries
+        WHERE status = 'scheduled'
+    ]])
+
+    if not result then return {} end
+
+    local bookings = {}
+    for _, row in ipairs(result) do
+        local options = row.options and json.decode(row.options) or {}
+
+        table.insert(bookings, {
+            id = row.delivery_id,
+            citizenid = row.citizenid,
+            plate = row.plate,
+            pickup = json.decode(row.from_location),
+            dropoff = json.decode(row.to_location),
+            scheduledAt = row.scheduled_at,
+            recurrence = row.recurrence or 'once',
+            rush = options.rush == true,
+            withDriver = options.withDriver == true,
+            createdAt = row.created_at,
+        })
+    end
+
+    return bookings
+end
+
 -- ============================================
 -- AUDIT QUERIES
 -- ============================================
@@ -383,6 +599,113 @@ function DB.AuditLog(action, citizenid, plate, details)
     })
 end
 
+---Build audit entries from audit rows
+---@param result table|nil
+---@return table entries { id, action, citizenid, plate, details, createdAt }
+local function FormatAuditRows(result)
+    local entries = {}
+
+    for _, row in ipairs(result or {}) do
+        table.insert(entries, {
+            id = row.id,
+            action = row.action,
+            citizenid = row.citizenid,
+            plate = row.plate,
+            details = row.details and json.decode(row.details) or {},
+            createdAt = row.created_at,
+        })
+    end
+
+    return entries
+end
+
+---Get a plate's audit entries for the given actions, newest first
+---@param plate string
+---@param actions table Action names
+---@param limit number
+---@return table
+function DB.GetPlateAuditLog(plate, actions, limit)
+    local result = MySQL.query.await([[
+        SELECT id, action, citizenid, plate, details, UNIX_TIMESTAMP(created_at) AS created_at
+        FROM dps_parking_audit
+        WHERE plate = ? AND action IN (?)
+        ORDER BY id DESC
+        LIMIT ?
+    ]], {plate, actions, limit})
+
+    return FormatAuditRows(result)
+end
+
+---Build the WHERE clause for audit log filters
+---Equality on action and citizenid and the created_at range use the idx_audit_* indexes.
+---@param filters table { action, citizenid, plate, from, to } from/to: unix time
+---@param beforeId? number Only entries older than this id
+---@return string where
+---@return table params
+local function BuildAuditFilter(filters, beforeId)
+    local conditions, params = {}, {}
+
+    local function Add(condition, value)
+        table.insert(conditions, condition)
+        table.insert(params, value)
+    end
+
+    if filters.action then Add('action = ?', filters.action) end
+    if filters.citizenid then Add('citizenid = ?', filters.citizenid) end
+    if filters.plate then Add('plate = ?', filters.plate) end
+    if filters.from then Add('created_at >= FROM_UNIXTIME(?)', filters.from) end
+    if filters.to then Add('created_at < FROM_UNIXTIME(?)', filters.to) end
+    if beforeId then Add('id < ?', beforeId) end
+
+    if #conditions == 0 then
+        return '', params
+    end
+
+    return 'WHERE ' .. table.concat(conditions, ' AND '), params
+end
+
+---Search the audit log, newest first
+---Pages by id rather than OFFSET so later pages cost the same as the first.
+---@param filters table { action, citizenid, plate, from, to }
+---@param beforeId number|nil Only entries older than this id
+---@param limit number
+---@return table entries
+function DB.SearchAuditLog(filters, beforeId, limit)
+    local where, params = BuildAuditFilter(filters, beforeId)
+    table.insert(params, limit)
+
+    local result = MySQL.query.await(([[
+        SELECT id, action, citizenid, plate, details, UNIX_TIMESTAMP(created_at) AS created_at
+        FROM dps_parking_audit
+        %s
+        ORDER BY id DESC
+        LIMIT ?
+    ]]):format(where), params)
+
+    return FormatAuditRows(result)
+end
+
+---Count the audit entries matching filters
+---@param filters table { action, citizenid, plate, from, to }
+---@return number
+function DB.CountAuditLog(filters)
+    local where, params = BuildAuditFilter(filters)
+    return MySQL.scalar.await(('SELECT COUNT(*) FROM dps_parking_audit %s'):format(where), params) or 0
+end
+
+---Get every action name in the audit log
+---@return table actions Sorted names
+function DB.GetAuditActions()
+    local result = MySQL.query.await('SELECT DISTINCT action FROM dps_parking_audit ORDER BY action')
+
+    local actions = {}
+    for _, row in ipairs(result or {}) do
+        table.insert(actions, row.action)
+    end
+
+    return actions
+end
+
 print('^2[DPS-Parking] Database queries loaded^0')
 
 return DB
@@ -14,6 +14,7 @@ State._data = {
     parkedVehicles = {},      -- plate -> vehicle data
     activeMeters = {},        -- plate -> meter data
     activeDeliveries = {},    -- deliveryId -> delivery data
+    scheduledDeliveries = {}, -- bookingId -> booking data
     businessOwners = {},      -- lotId -> owner data
     vipPlayers = {},          -- citizenid -> vip data
     playerSlots = {},         -- citizenid -> slot count
@@ -204,6 +205,35 @@ function State.GetExpiredMeters()
     return expired
 end
 
+---Get meters that run out within a number of seconds, including expired ones
+---@param seconds number
+---@return table<string, table>
+function State.GetExpiringMeters(seconds)
+    local expiring = {}
+    local cutoff = os.time() + seconds
+
+    for plate, data in pairs(State._data.activeMeters) do
+        if data.expiresAt and data.expiresAt <= cutoff then
+            expiring[plate] = data
+        end
+    end
+
+    return expiring
+end
+
+---Get player's active meters
+---@param citizenid string
+---@return table<string, table>
+function State.GetPlayerMeters(citizenid)
+    local meters = {}
+    for plate, data in pairs(State._data.activeMeters) do
+        if data.citizenid == citizenid then
+            meters[plate] = data
+        end
+    end
+    return meters
+end
+
 -- ============================================
 -- DELIVERIES
 -- ============================================
@@ -247,6 +277,55 @@ function State.RemoveDelivery(deliveryId)
     end
 end
 
+-- ============================================
+-- SCHEDULED DELIVERIES
+-- ============================================
+
+---Get a scheduled delivery by ID
+---@param bookingId string
+---@return table|nil
+function State.GetScheduledDelivery(bookingId)
+    return State._data.scheduledDeliveries[bookingId]
+end
+
+---Get all scheduled deliveries
+---@return table<string, table>
+function State.GetAllScheduledDeliveries()
+    return State._data.scheduledDeliveries
+end
+
+---Get player's scheduled deliveries
+---@param citizenid string
+---@return table<string, table>
+function State.GetPlayerScheduledDeliveries(citizenid)
+    local bookings = {}
+    for id, data in pairs(State._data.scheduledDeliveries) do
+        if data.citizenid == citizenid then
+            bookings[id] = data
+        end
+    end
+    return bookings
+end
+
+---Set scheduled delivery
+---@param bookingId string
+---@param data table
+function State.SetScheduledDelivery(bookingId, data)
+    local old = State._data.scheduledDeliveries[bookingId]
+    State._data.scheduledDeliveries[bookingId] = data
+    NotifySubscribers('scheduledDeliveries', old, data)
+end
+
+---Remove scheduled delivery
+---@param bookingId string
+function State.RemoveScheduledDelivery(bookingId)
+    local old = State._data.scheduledDeliveries[bookingId]
+    State._data.scheduledDeliveries[bookingId] = nil
+    if old then
+        NotifySubscribers('scheduledDeliveries', old, nil)
+    end
+end
+
 -- ============================================
 -- VIP PLAYERS
 -- ============================================
@@ -267,7 +346,7 @@ end
 
 ---Set VIP player
 ---@param citizenid string
----@param data table { slots, perks, ... }
+---@param data table { tier, slots, ... }
 function State.SetVipPlayer(citizenid, data)
     local old = State._data.vipPlayers[citizenid]
     State._data.vipPlayers[citizenid] = data
@@ -292,10 +371,14 @@ end
 ---@param citizenid string
 ---@return number
 function State.GetMaxSlots(citizenid)
-    -- Check VIP first
+    -- Check VIP first: a per-player override, then the tier's slots
     local vipData = State.GetVipPlayer(citizenid)
-    if vipData and vipData.slots then
-        return vipData.slots
+    if vipData then
+        local tierData = Config.VIP.tiers[vipData.tier or Config.VIP.defaultTier]
+        local slots = vipData.slots or (tierData and tierData.slots)
+        if slots then
+            return slots
+        end
     end
 
     -- Check custom slots
@@ -405,6 +488,7 @@ function State.GetSnapshot()
         parkedVehicles = State.CountAll('parkedVehicles'),
         activeMeters = State.CountAll('activeMeters'),
         activeDeliveries = State.CountAll('activeDeliveries'),
+        scheduledDeliveries = State.CountAll('scheduledDeliveries'),
         vipPlayers = State.CountAll('vipPlayers'),
         businessOwners = State.CountAll('businessOwners'),
     }
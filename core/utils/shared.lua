@@ -39,11 +39,29 @@ function Utils.FormatNumber(n)
     return formatted
 end
 
----Format currency
+---Format currency using Config.Currency
 ---@param amount number
 ---@return string
 function Utils.FormatMoney(amount)
-    return '$' .. Utils.FormatNumber(amount)
+    local currency = Config.Currency or {}
+    local decimals = currency.decimals or 0
+    amount = tonumber(amount) or 0
+
+    local fixed = ('%.' .. decimals .. 'f'):format(math.abs(amount))
+    local whole, fraction = fixed:match('^(%d+)%.?(%d*)$')
+
+    local number = Utils.FormatNumber(whole):gsub(',', currency.thousandsSeparator or ',')
+    if fraction ~= '' then
+        number = number .. (currency.decimalSeparator or '.') .. fraction
+    end
+
+    local symbol = currency.symbol or '$'
+    local gap = currency.space and ' ' or ''
+    local formatted = currency.position == 'after'
+        and number .. gap .. symbol
+        or symbol .. gap .. number
+
+    return (amount < 0 and '-' or '') .. formatted
 end
 
 ---Format time from seconds
@@ -140,12 +140,14 @@ function VehicleData.GetDamageState(vehicle)
         damage.windows[i] = IsVehicleWindowIntact(vehicle, i)
     end
 
-    -- Doors (0-5)
+    -- Doors (0-5), skipping doors this model doesn't have
     for i = 0, 5 do
-        damage.doors[i] = {
-            damaged = IsVehicleDoorDamaged(vehicle, i),
-            open = GetVehicleDoorAngleRatio(vehicle, i) > 0.0,
-        }
+        if GetIsDoorValid(vehicle, i) then
+            damage.doors[i] = {
+                damaged = IsVehicleDoorDamaged(vehicle, i),
+                open = GetVehicleDoorAngleRatio(vehicle, i) > 0.0,
+            }
+        end
     end
 
     -- Tyres (0-7, includes spare tyres on some vehicles)
@@ -235,7 +237,7 @@ function VehicleData.GetVisualState(vehicle)
 
         -- Tyre smoke
         tyreSmokeColor = nil,
-    end
+    }
 
     -- Get colors
     local colorPrimary, colorSecondary = GetVehicleColours(vehicle)
@@ -45,14 +45,38 @@ CREATE INDEX IF NOT EXISTS `idx_parking_lot` ON `owned_vehicles` (`parking_lot`)
 CREATE TABLE IF NOT EXISTS `dps_parking_vip` (
     `id` INT AUTO_INCREMENT PRIMARY KEY,
     `citizenid` VARCHAR(50) NOT NULL UNIQUE,
-    `slots` INT DEFAULT 10,
-    `perks` JSON DEFAULT NULL COMMENT 'Additional VIP perks',
+    `tier` VARCHAR(20) NOT NULL DEFAULT 'bronze' COMMENT 'Key in Config.VIP.tiers',
+    `slots` INT DEFAULT NULL COMMENT 'Overrides the tier slots',
     `expires_at` TIMESTAMP NULL DEFAULT NULL,
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX `idx_vip_expires` (`expires_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
+-- Existing installs: tiers replace the per-player perks JSON
+-- Every existing VIP is backfilled as `bronze`; move players to higher tiers
+-- afterwards with /addparkvip or the admin panel.
+SET @vip_legacy = (
+    SELECT COUNT(*) FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'dps_parking_vip' AND COLUMN_NAME = 'perks'
+);
+
+ALTER TABLE `dps_parking_vip`
+    ADD COLUMN IF NOT EXISTS `tier` VARCHAR(20) NOT NULL DEFAULT 'bronze' COMMENT 'Key in Config.VIP.tiers' AFTER `citizenid`,
+    MODIFY COLUMN `slots` INT DEFAULT NULL COMMENT 'Overrides the tier slots';
+
+-- The old column default (10) would override the tier's slots, so those rows
+-- fall back to their tier. Only runs while the legacy perks column is still
+-- there, so re-importing this file keeps slot overrides set since.
+SET @vip_migrate = IF(@vip_legacy > 0,
+    'UPDATE `dps_parking_vip` SET `slots` = NULL WHERE `slots` = 10',
+    'DO 0');
+PREPARE vip_migrate FROM @vip_migrate;
+EXECUTE vip_migrate;
+DEALLOCATE PREPARE vip_migrate;
+
+ALTER TABLE `dps_parking_vip` DROP COLUMN IF EXISTS `perks`;
+
 -- ==========================================
 -- DPS-Parking: Business Ownership table
 -- ==========================================
@@ -69,6 +93,21 @@ CREATE TABLE IF NOT EXISTS `dps_parking_business` (
     INDEX `idx_business_owner` (`citizenid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
+-- ==========================================
+-- DPS-Parking: Business Ledger table
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `dps_parking_business_ledger` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY,
+    `lot_id` VARCHAR(50) NOT NULL,
+    `type` ENUM('income', 'tax', 'payout', 'upgrade') NOT NULL,
+    `amount` INT NOT NULL COMMENT 'Positive = money in, negative = money out',
+    `description` VARCHAR(255) DEFAULT NULL,
+    `citizenid` VARCHAR(50) DEFAULT NULL COMMENT 'Player who caused the entry',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX `idx_ledger_lot` (`lot_id`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
 -- ==========================================
 -- DPS-Parking: Meter Sessions table
 -- ==========================================
@@ -87,6 +126,19 @@ CREATE TABLE IF NOT EXISTS `dps_parking_meters` (
     INDEX `idx_meter_status` (`status`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
+-- ==========================================
+-- DPS-Parking: Meter Settings table
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `dps_parking_meter_settings` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY,
+    `citizenid` VARCHAR(50) NOT NULL UNIQUE,
+    `auto_renew` JSON DEFAULT NULL COMMENT 'Plates whose meter renews when it runs out',
+    `alerts` TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Low-time meter alerts',
+    `renew_cap` INT DEFAULT NULL COMMENT 'Auto-renew spending cap per session',
+    `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
 -- ==========================================
 -- DPS-Parking: Delivery History table
 -- ==========================================
@@ -99,13 +151,28 @@ CREATE TABLE IF NOT EXISTS `dps_parking_deliveries` (
     `from_location` JSON NOT NULL COMMENT 'Pickup coordinates',
     `to_location` JSON NOT NULL COMMENT 'Delivery coordinates',
     `fee` INT DEFAULT 0,
-    `status` ENUM('pending', 'in_progress', 'completed', 'cancelled') DEFAULT 'pending',
+    `refund` INT DEFAULT 0,
+    `status` ENUM('pending', 'scheduled', 'in_progress', 'completed', 'cancelled', 'failed') DEFAULT 'pending',
+    `scheduled_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'Arrival time of a scheduled booking',
+    `recurrence` VARCHAR(10) DEFAULT NULL COMMENT 'once, daily or weekly',
+    `options` JSON DEFAULT NULL COMMENT 'Booked rush and driver options',
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     `completed_at` TIMESTAMP NULL DEFAULT NULL,
     INDEX `idx_delivery_citizen` (`citizenid`),
     INDEX `idx_delivery_status` (`status`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
+-- Existing installs: refunds shown in the delivery history
+ALTER TABLE `dps_parking_deliveries`
+    ADD COLUMN IF NOT EXISTS `refund` INT DEFAULT 0 AFTER `fee`;
+
+-- Existing installs: scheduled and recurring bookings
+ALTER TABLE `dps_parking_deliveries`
+    MODIFY COLUMN `status` ENUM('pending', 'scheduled', 'in_progress', 'completed', 'cancelled', 'failed') DEFAULT 'pending',
+    ADD COLUMN IF NOT EXISTS `scheduled_at` TIMESTAMP NULL DEFAULT NULL COMMENT 'Arrival time of a scheduled booking' AFTER `status`,
+    ADD COLUMN IF NOT EXISTS `recurrence` VARCHAR(10) DEFAULT NULL COMMENT 'once, daily or weekly' AFTER `scheduled_at`,
+    ADD COLUMN IF NOT EXISTS `options` JSON DEFAULT NULL COMMENT 'Booked rush and driver options' AFTER `recurrence`;
+
 -- ==========================================
 -- DPS-Parking: Audit Log table
 -- ==========================================
@@ -119,5 +186,10 @@ CREATE TABLE IF NOT EXISTS `dps_parking_audit` (
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     INDEX `idx_audit_action` (`action`),
     INDEX `idx_audit_citizen` (`citizenid`),
+    INDEX `idx_audit_plate` (`plate`, `id`),
     INDEX `idx_audit_date` (`created_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Existing installs: plate lookups (vehicle history, audit viewer)
+ALTER TABLE `dps_parking_audit`
+    ADD INDEX IF NOT EXISTS `idx_audit_plate` (`plate`, `id`);
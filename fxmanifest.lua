@@ -55,7 +55,8 @@ client_scripts {
     'core/bridge/client.lua',
     'core/state/client.lua',
 
-    -- Modules
+    -- Modules (dashboard first: it provides the NUI bridge)
+    'modules/dashboard/client.lua',
     'modules/zones/client.lua',
     'modules/parking/client.lua',
     'modules/meters/client.lua',
@@ -66,7 +67,7 @@ client_scripts {
     'modules/reserved/client.lua',
 
     -- Integrations
-    'integrations/phone.lua',
+    'integrations/phone_client.lua',
 }
 
 -- Server scripts
@@ -85,11 +86,14 @@ server_scripts {
     'integrations/permissions.lua',
     'integrations/dispatch.lua',
     'integrations/billing.lua',
+    'integrations/phone.lua',
 
-    -- Modules
+    -- Modules (vip first: other modules read its tier registry)
+    'modules/vip/server.lua',
     'modules/zones/server.lua',
     'modules/parking/server.lua',
     'modules/parking/api.lua',
+    'modules/meters/pricing.lua',
     'modules/meters/server.lua',
     'modules/meters/api.lua',
     'modules/business/server.lua',
@@ -100,8 +104,10 @@ server_scripts {
     'modules/impound/server.lua',
     'modules/violations/server.lua',
     'modules/reserved/server.lua',
+    'modules/dashboard/server.lua',
 
     -- Admin
+    'admin/panel.lua',
     'admin/commands.lua',
     'admin/audit.lua',
 }
@@ -112,10 +118,23 @@ ui_page 'ui/index.html'
 files {
     'ui/index.html',
     'ui/styles/main.css',
+    'ui/js/locale.js',
     'ui/js/utils.js',
+    'ui/js/render.js',
+    'ui/js/rates.js',
     'ui/js/app.js',
+    'ui/js/map.js',
+    'ui/js/enforcement.js',
+    'ui/js/admin.js',
+    'ui/img/*',
     'ui/meters/index.html',
+    'ui/meters/meter.css',
+    'ui/meters/meter.js',
     'ui/phone/index.html',
+    'ui/phone/phone.css',
+    'ui/phone/adapters.js',
+    'ui/phone/phone.js',
+    'ui/phone/icon.svg',
 }
 
 -- Exports (for other resources)
@@ -103,18 +103,15 @@ function Billing.CreateTicketInvoice(citizenid, amount, reason, plate, ticketId)
 
     elseif script == 'qb-billing' then
         -- QB Billing (older style)
-        local player = Bridge.GetPlayerByCitizenId(citizenid)
-        if player then
-            local playerSource = Bridge.IsESX() and player.source or player.PlayerData.source
-            if playerSource then
-                TriggerClientEvent('qb-billing:client:ReceiveInvoice', playerSource, {
-                    sender = Billing.Config.invoiceLabel,
-                    amount = amount,
-                    reason = description,
-                    society = Billing.Config.societyAccount,
-                })
-                return true, 'Invoice sent - check your bills'
-            end
+        local playerSource = Bridge.GetSourceByCitizenId(citizenid)
+        if playerSource then
+            TriggerClientEvent('qb-billing:client:ReceiveInvoice', playerSource, {
+                sender = Billing.Config.invoiceLabel,
+                amount = amount,
+                reason = description,
+                society = Billing.Config.societyAccount,
+            })
+            return true, 'Invoice sent - check your bills'
         end
         return false, 'Could not send invoice'
 
@@ -176,18 +173,15 @@ function Billing.CreateInvoice(citizenid, amount, description, invoiceType)
         return success, success and 'Invoice created' or 'Failed to create invoice'
 
     elseif script == 'qb-billing' then
-        local player = Bridge.GetPlayerByCitizenId(citizenid)
-        if player then
-            local playerSource = Bridge.IsESX() and player.source or player.PlayerData.source
-            if playerSource then
-                TriggerClientEvent('qb-billing:client:ReceiveInvoice', playerSource, {
-                    sender = Billing.Config.invoiceLabel,
-                    amount = amount,
-                    reason = description,
-                    society = Billing.Config.societyAccount,
-                })
-                return true, 'Invoice sent'
-            end
+        local playerSource = Bridge.GetSourceByCitizenId(citizenid)
+        if playerSource then
+            TriggerClientEvent('qb-billing:client:ReceiveInvoice', playerSource, {
+                sender = Billing.Config.invoiceLabel,
+                amount = amount,
+                reason = description,
+                society = Billing.Config.societyAccount,
+            })
+            return true, 'Invoice sent'
         end
         return false, 'Could not send invoice'
     end
@@ -1,9 +1,10 @@
 --[[
-    DPS-Parking - Phone Integration
+    DPS-Parking - Phone Integration (Server)
     Original: mh-parking by MaDHouSe79
     Enhanced: DPS Development
 
-    Integration with phone resources (lb-phone, qs-smartphone, etc.)
+    Server callbacks for the phone app (ui/phone).
+    App registration and the phone adapters live in integrations/phone_client.lua.
 ]]
 
 if not Config.Integration.phoneEnabled then
@@ -11,35 +12,6 @@ if not Config.Integration.phoneEnabled then
     return
 end
 
--- ============================================
--- PHONE APP REGISTRATION
--- ============================================
-
-local function RegisterPhoneApp()
-    -- Try lb-phone
-    if GetResourceState('lb-phone') == 'started' then
-        exports['lb-phone']:AddCustomApp({
-            identifier = 'dps-parking',
-            name = 'Parking',
-            description = 'Manage your parked vehicles',
-            developer = 'DPS Development',
-            defaultApp = false,
-            ui = GetCurrentResourceName() .. '/ui/phone/index.html'
-        })
-        print('^2[DPS-Parking] Registered with lb-phone^0')
-        return true
-    end
-
-    -- Try qs-smartphone-pro
-    if GetResourceState('qs-smartphone-pro') == 'started' then
-        -- QS smartphone uses different registration
-        print('^2[DPS-Parking] QS Smartphone detected - use built-in integration^0')
-        return true
-    end
-
-    return false
-end
-
 -- ============================================
 -- PHONE CALLBACKS
 -- ============================================
@@ -47,23 +19,34 @@ end
 Bridge.CreateCallback('dps-parking:phone:getVehicles', function(source, cb)
     local citizenid = Bridge.GetCitizenId(source)
     local vehicles = State.GetPlayerParkedVehicles(citizenid)
+    local now = os.time()
 
     local formatted = {}
     for plate, data in pairs(vehicles) do
+        local meter = State.GetActiveMeter(plate)
+
         table.insert(formatted, {
             plate = plate,
             model = data.model,
             street = data.street,
             parkedAt = data.parkedAt,
-            hasActiveMeter = State.GetActiveMeter(plate) ~= nil
+            hasActiveMeter = meter ~= nil,
+            meter = meter and {
+                expiresAt = meter.expiresAt,
+                remaining = meter.expiresAt - now,
+            } or nil,
         })
     end
 
+    table.sort(formatted, function(a, b)
+        return (a.parkedAt or 0) > (b.parkedAt or 0)
+    end)
+
     cb(formatted)
 end)
 
 Bridge.CreateCallback('dps-parking:phone:requestDelivery', function(source, cb, plate, coords, rush)
-    local success, message = Delivery.Request(source, plate, coords, rush)
+    local success, message = Delivery.Request(source, plate, coords, { rush = rush == true })
     cb({ success = success, message = message })
 end)
 
@@ -80,13 +63,30 @@ Bridge.CreateCallback('dps-parking:phone:getMeterStatus', function(source, cb, p
     end
 end)
 
--- ============================================
--- INITIALIZE
--- ============================================
+Bridge.CreateCallback('dps-parking:phone:getTickets', function(source, cb)
+    local citizenid = Bridge.GetCitizenId(source)
+    local unpaid = {}
+    local total = 0
+
+    for _, ticket in ipairs(Violations.GetPlayerTickets(citizenid)) do
+        if ticket.status == 'unpaid' then
+            total = total + ticket.fine
+            table.insert(unpaid, {
+                id = ticket.id,
+                plate = ticket.plate,
+                type = ticket.type,
+                fine = ticket.fine,
+                isLate = ticket.isLate,
+                issuedAt = ticket.issuedAt,
+            })
+        end
+    end
+
+    table.sort(unpaid, function(a, b)
+        return a.issuedAt > b.issuedAt
+    end)
 
-CreateThread(function()
-    Wait(5000) -- Wait for phone resources to load
-    RegisterPhoneApp()
+    cb({ count = #unpaid, total = total, tickets = unpaid })
 end)
 
 print('^2[DPS-Parking] Phone integration loaded^0')
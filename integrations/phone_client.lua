@@ -0,0 +1,202 @@
+--[[
+    DPS-Parking - Phone Integration (Client)
+    Original: mh-parking by MaDHouSe79
+    Enhanced: DPS Development
+
+    Registers the parking app (ui/phone) with the running phone resource:
+    - lb-phone: custom app, updates pushed with SendCustomAppMessage, notifications
+      with SendNotification
+    - qs-smartphone-pro: custom app, the app polls for updates
+    Answers the app's NUI callbacks with { ok, error, data } results.
+]]
+
+if not Config.Integration.phoneEnabled then return end
+
+Phone = {}
+
+local APP_ID = 'dps-parking'
+local APP_NAME = 'Parking'
+local APP_DESCRIPTION = 'Manage your parked vehicles'
+
+-- Active phone adapter
+Phone._adapter = nil
+
+---Get a URL for a file in this resource's ui/phone folder
+---@param file string
+---@param prefix? boolean Prefix with the cfx-nui origin
+---@return string
+local function AppUrl(file, prefix)
+    local path = GetCurrentResourceName() .. '/ui/phone/' .. file
+    if prefix then
+        return 'https://cfx-nui-' .. path
+    end
+    return path
+end
+
+-- ============================================
+-- ADAPTERS
+-- ============================================
+
+-- Each adapter knows how to register the app with one phone and, when the
+-- phone supports it, how to push a message into the app's iframe and how to
+-- show a phone notification.
+local adapters = {
+    {
+        resource = 'lb-phone',
+        register = function()
+            exports['lb-phone']:AddCustomApp({
+                identifier = APP_ID,
+                name = APP_NAME,
+                description = APP_DESCRIPTION,
+                developer = 'DPS Development',
+                defaultApp = false,
+                icon = AppUrl('icon.svg', true),
+                ui = AppUrl('index.html?phone=lb'),
+            })
+        end,
+        send = function(data)
+            exports['lb-phone']:SendCustomAppMessage(APP_ID, data)
+        end,
+        notify = function(title, message)
+            exports['lb-phone']:SendNotification({
+                app = APP_ID,
+                title = title,
+                content = message,
+            })
+        end,
+    },
+    {
+        resource = 'qs-smartphone-pro',
+        register = function()
+            exports['qs-smartphone-pro']:addCustomApp({
+                app = APP_ID,
+                label = APP_NAME,
+                description = APP_DESCRIPTION,
+                creator = 'DPS Development',
+                category = 'utilities',
+                image = AppUrl('icon.svg', true),
+                ui = AppUrl('index.html?phone=qs', true),
+                isGame = false,
+                job = false,
+                blockedJobs = {},
+                timeout = 5000,
+                age = '16+',
+            })
+        end,
+    },
+}
+
+---Register the app with the first running phone
+---@return boolean registered
+function Phone.Register()
+    for _, adapter in ipairs(adapters) do
+        if GetResourceState(adapter.resource) == 'started' then
+            local success, err = pcall(adapter.register)
+            if success then
+                Phone._adapter = adapter
+                print(('^2[DPS-Parking] Registered with %s^0'):format(adapter.resource))
+                return true
+            end
+            print(('^1[DPS-Parking] Failed to register with %s: %s^0'):format(adapter.resource, err))
+        end
+    end
+
+    return false
+end
+
+---Push a message to the phone app, if the phone supports it
+---@param data table Message with an action field
+function Phone.Send(data)
+    local adapter = Phone._adapter
+    if adapter and adapter.send then
+        pcall(adapter.send, data)
+    end
+end
+
+---Show a notification on the phone, or a toast in the app when the phone has
+---no notification API
+---@param title string
+---@param message string
+---@param notifyType? string 'success', 'error', 'warning' or 'info'
+function Phone.Notify(title, message, notifyType)
+    local adapter = Phone._adapter
+    if adapter and adapter.notify then
+        pcall(adapter.notify, title, message)
+        return
+    end
+
+    Phone.Send({ action = 'toast', message = message, type = notifyType or 'info' })
+end
+
+-- ============================================
+-- NUI CALLBACKS
+-- ============================================
+
+Dashboard.RegisterAction('phone:getData', function()
+    local vehicles = Bridge.Callback('dps-parking:phone:getVehicles')
+    local tickets = Bridge.Callback('dps-parking:phone:getTickets')
+
+    if not vehicles or not tickets then
+        return { ok = false, error = L('error') }
+    end
+
+    return { ok = true, data = {
+        vehicles = vehicles,
+        tickets = tickets,
+        locale = Locale.GetUI(),
+        currency = Config.Currency,
+    } }
+end)
+
+Dashboard.RegisterAction('phone:getMeterStatus', function(data)
+    local status = Bridge.Callback('dps-parking:phone:getMeterStatus', data.plate)
+    if not status then
+        return { ok = false, error = L('error') }
+    end
+    return { ok = true, data = status }
+end)
+
+Dashboard.RegisterAction('phone:requestDelivery', function(data)
+    if not data.plate then
+        return { ok = false, error = L('vehicle_not_parked') }
+    end
+
+    local result = Bridge.Callback('dps-parking:phone:requestDelivery', data.plate, Dashboard.GetPlayerDestination(), data.rush == true)
+
+    if not result or not result.success then
+        return { ok = false, error = result and result.message or L('error') }
+    end
+
+    return { ok = true, data = { plate = data.plate, message = result.message } }
+end)
+
+-- ============================================
+-- PUSH UPDATES
+-- ============================================
+
+-- Events that change what the app shows
+local refreshEvents = {
+    'dps-parking:client:vehicleParked',
+    'dps-parking:client:vehicleUnparked',
+    'dps-parking:client:meterPaid',
+    'dps-parking:client:meterExpired',
+    'dps-parking:client:receivedTicket',
+    'dps-parking:client:deliveryArrived',
+}
+
+for _, eventName in ipairs(refreshEvents) do
+    AddEventHandler(eventName, function()
+        Phone.Send({ action = 'refresh' })
+    end)
+end
+
+-- ============================================
+-- INITIALIZE
+-- ============================================
+
+CreateThread(function()
+    Wait(5000) -- Wait for phone resources to load
+    Phone.Register()
+end)
+
+print('^2[DPS-Parking] Phone integration (client) loaded^0')
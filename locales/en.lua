@@ -14,9 +14,11 @@ Locale.en = {
     ['confirm'] = 'Confirm',
     ['cancel'] = 'Cancel',
     ['close'] = 'Close',
+    ['not_authorized'] = 'Not authorized',
 
     -- Parking actions
     ['vehicle_parked'] = 'Vehicle parked successfully',
+    ['vehicle_parked_fee'] = 'Vehicle parked, paid %s at %s',
     ['vehicle_unparked'] = 'Vehicle unparked',
     ['parking_failed'] = 'Failed to park vehicle',
     ['unparking_failed'] = 'Failed to unpark vehicle',
@@ -42,6 +44,31 @@ Locale.en = {
     ['no_active_meter'] = 'No active parking meter',
     ['meter_already_paid'] = 'Meter already paid',
     ['free_parking_hours'] = 'Free parking is active',
+    ['meter_at_max'] = 'This meter already has the maximum time',
+    ['meter_price_changed'] = 'The meter price went up to %s, check the new price and pay again',
+    ['meter_quote_required'] = 'Check the meter price before paying',
+    ['no_meter_vehicle'] = 'None of your parked vehicles are near this meter',
+    ['use_meter'] = 'Use Parking Meter',
+    ['meter_auto_renewed'] = 'Meter for %s renewed automatically: %s',
+    ['meter_auto_renew_failed'] = 'Could not renew the meter for %s: %s',
+    ['meter_auto_renew_cap'] = 'your %s spending cap is reached',
+    ['meter_alert'] = 'Meter for %s on %s runs out in %s',
+    ['meter_alert_title'] = 'Parking Meter',
+    ['meter_invalid_cap'] = 'Pick one of the listed spending caps',
+    ['meter_settings_saved'] = 'Meter settings saved',
+    ['auto_renew_enabled'] = 'Auto-renew turned on for %s',
+    ['auto_renew_disabled'] = 'Auto-renew turned off for %s',
+
+    -- Bulk actions
+    ['bulk_none'] = 'Select at least one vehicle',
+    ['bulk_meters_extended'] = 'Extended %s of %s meter(s)',
+    ['bulk_deliveries_requested'] = 'Dispatched %s of %s vehicle(s)',
+    ['bulk_auto_renew_on'] = 'Auto-renew turned on for %s of %s vehicle(s)',
+    ['bulk_auto_renew_off'] = 'Auto-renew turned off for %s of %s vehicle(s)',
+    ['bulk_no_tickets'] = 'No tickets to pay',
+    ['bulk_tickets_paid_partial'] = 'Paid %s of %s tickets',
+    ['bulk_tickets_paid'] = 'Paid %s ticket(s)',
+    ['lookup_plate_required'] = 'Enter a plate to look up',
 
     -- Delivery
     ['delivery_ordered'] = 'Delivery ordered. Your vehicle will arrive in %s',
@@ -50,7 +77,24 @@ Locale.en = {
     ['delivery_cooldown'] = 'Please wait %s before ordering another delivery',
     ['delivery_max_reached'] = 'Maximum deliveries reached for this hour',
     ['delivery_cost'] = 'Delivery cost: %s',
+    ['delivery_item_base'] = 'Base fee',
+    ['delivery_item_distance'] = 'Distance (%.1f %s)',
+    ['delivery_item_rush'] = 'Rush delivery',
+    ['delivery_item_driver'] = 'NPC driver',
+    ['delivery_item_vip'] = 'VIP discount (%d%%)',
+    ['delivery_item_job'] = 'Job discount (%d%%)',
+    ['distance_unit_mi'] = 'mi',
+    ['distance_unit_km'] = 'km',
     ['rush_delivery'] = 'Rush delivery: %s',
+    ['delivery_scheduled'] = 'Delivery of %s booked',
+    ['delivery_schedule_disabled'] = 'Scheduled deliveries are disabled',
+    ['delivery_schedule_too_soon'] = 'Book at least %d minutes ahead',
+    ['delivery_schedule_too_far'] = 'Bookings can be at most %d days ahead',
+    ['delivery_schedule_limit'] = 'You already have the maximum number of bookings',
+    ['delivery_schedule_dispatched'] = 'Scheduled delivery of %s: %s',
+    ['delivery_schedule_failed'] = 'Scheduled delivery of %s failed: %s',
+    ['delivery_schedule_missed'] = 'The booked time passed while the service was down',
+    ['delivery_schedule_cancelled'] = 'Scheduled delivery cancelled',
 
     -- Business
     ['lot_purchased'] = 'You purchased %s for %s',
@@ -75,6 +119,23 @@ Locale.en = {
     ['all_parking_reset'] = 'All parking data has been reset',
     ['debug_enabled'] = 'Debug mode enabled',
     ['debug_disabled'] = 'Debug mode disabled',
+    ['admin_search_empty'] = 'Enter a name, citizen ID, server ID or plate',
+    ['admin_invalid_slots'] = 'Slots must be a whole number from 1 to %s',
+    ['admin_invalid_days'] = 'VIP length must be a whole number of days from 1 to %s',
+    ['admin_not_vip'] = 'This player is not a VIP',
+    ['admin_vip_revoked'] = 'VIP status removed from player',
+    ['admin_vehicle_unparked'] = 'Vehicle %s returned to its garage',
+    ['admin_vehicle_deleted'] = 'Vehicle %s removed',
+    ['admin_impound_released'] = 'Vehicle %s released from the impound',
+    ['admin_not_impounded'] = 'This vehicle is not impounded',
+    ['admin_reason_required'] = 'Enter a reason for dismissing the ticket',
+    ['admin_ticket_closed'] = 'Only unpaid or contested tickets can be dismissed',
+    ['admin_ticket_not_found'] = 'Ticket not found',
+    ['admin_confirm_mismatch'] = 'The confirmation text does not match',
+    ['audit_invalid_format'] = 'Export format must be CSV or JSON',
+    ['audit_export_empty'] = 'No audit entries match these filters',
+    ['audit_exported'] = 'Exported %s entries to %s',
+    ['audit_exported_panel_only'] = 'Exported %s entries. The server folder %s is missing, so no file was saved',
 
     -- Money
     ['insufficient_funds'] = 'Insufficient funds. Need: %s',
@@ -89,6 +150,8 @@ Locale.en = {
     ['my_vehicles'] = 'My Parked Vehicles',
     ['park_vehicle'] = 'Park Vehicle',
     ['unpark_vehicle'] = 'Unpark Vehicle',
+    ['gps_vehicle_set'] = 'GPS set to your vehicle',
+    ['gps_set'] = 'GPS set',
     ['request_delivery'] = 'Request Delivery',
     ['pay_meter'] = 'Pay Meter',
     ['view_tickets'] = 'View Tickets',
@@ -104,19 +167,582 @@ Locale.en = {
     ['impound_warning'] = 'Warning: Vehicle will be impounded in %s',
 }
 
+-- NUI strings, sent to the dashboard when it opens.
+-- Placeholders use {name}; plural entries pick a form by {count}.
+Locale.ui = Locale.ui or {}
+
+Locale.ui.en = {
+    -- General
+    ['unknown'] = 'Unknown',
+    ['unknown_location'] = 'Unknown Location',
+    ['not_available'] = 'N/A',
+    ['total'] = 'Total',
+    ['confirm'] = 'Confirm',
+    ['confirm_amount'] = 'Confirm {amount}',
+    ['cancel'] = 'Cancel',
+    ['generic_error'] = 'Something went wrong',
+    ['search_plate'] = 'Search by plate...',
+    ['per_hour'] = '{amount}/hr',
+    ['label_vehicle'] = 'Vehicle',
+    ['label_model'] = 'Model',
+    ['label_location'] = 'Location',
+    ['label_parked'] = 'Parked',
+    ['label_spot'] = 'Spot',
+    ['label_time_left'] = 'Time Left',
+
+    -- Time
+    ['time_just_now'] = 'Just now',
+    ['time_minutes_ago'] = { one = '{count} minute ago', other = '{count} minutes ago' },
+    ['time_hours_ago'] = { one = '{count} hour ago', other = '{count} hours ago' },
+    ['time_days_ago'] = { one = '{count} day ago', other = '{count} days ago' },
+    ['time_weeks_ago'] = { one = '{count} week ago', other = '{count} weeks ago' },
+    ['time_expired'] = 'Expired',
+    ['time_arriving'] = 'Arriving...',
+    ['time_seconds_short'] = '{count}s',
+    ['time_minutes_short'] = '{count} min',
+    ['duration_minutes'] = '{minutes}m',
+    ['duration_hours'] = '{hours}h {minutes}m',
+    ['distance_meters'] = '{distance} m',
+    ['distance_kilometers'] = '{distance} km',
+
+    -- VIP tiers
+    ['vip_standard'] = 'Standard',
+    ['vip_bronze'] = 'Bronze',
+    ['vip_silver'] = 'Silver',
+    ['vip_gold'] = 'Gold',
+    ['vip_platinum'] = 'Platinum',
+    ['vip_discount_delivery'] = '{percent}% off deliveries',
+    ['vip_discount_meters'] = '{percent}% off meters',
+    ['vip_discount_rentals'] = '{percent}% off spot rentals',
+    ['vip_perk_rushDelivery'] = 'Rush delivery',
+    ['vip_perk_npcDriver'] = 'NPC delivery driver',
+    ['vip_perk_freeMeters'] = 'Free parking meters',
+    ['vip_perk_reservedSpots'] = 'VIP reserved spots',
+    ['vip_perk_valetPriority'] = 'Valet priority',
+    ['vip_no_perks'] = 'No VIP perks',
+
+    -- Tabs
+    ['tab_vehicles'] = 'My Vehicles',
+    ['tab_deliveries'] = 'Deliveries',
+    ['tab_meters'] = 'Meters',
+    ['tab_tickets'] = 'Tickets',
+    ['tab_valet'] = 'Valet',
+    ['tab_reserved'] = 'Reserved',
+    ['tab_impound'] = 'Impound',
+    ['tab_map'] = 'Map',
+    ['tab_business'] = 'Business',
+
+    -- Vehicles
+    ['vehicles_title'] = 'Parked Vehicles',
+    ['vehicles_empty_title'] = 'No Parked Vehicles',
+    ['vehicles_empty_text'] = 'Park a vehicle using /park or press F5 near your car',
+    ['vehicles_no_results'] = 'No vehicles found',
+    ['vehicles_sort_recent'] = 'Recently parked',
+    ['vehicles_sort_oldest'] = 'Parked longest',
+    ['vehicles_sort_fuel'] = 'Lowest fuel',
+    ['vehicles_sort_body'] = 'Worst body',
+    ['vehicles_sort_engine'] = 'Worst engine',
+    ['vehicles_sort_location'] = 'Location',
+    ['vehicles_group_none'] = 'No grouping',
+    ['vehicles_group_lot'] = 'Group by lot',
+    ['vehicles_group_street'] = 'Group by street',
+    ['vehicles_street_parking'] = 'Street parking',
+    ['vehicles_filter_lowFuel'] = 'Low fuel',
+    ['vehicles_filter_damaged'] = 'Damaged',
+    ['vehicles_filter_meterExpiring'] = 'Meter expiring',
+    ['vehicles_filter_unpaidTicket'] = 'Unpaid ticket',
+    ['vehicle_class_car'] = 'Cars',
+    ['vehicle_class_suv'] = 'SUVs',
+    ['vehicle_class_motorcycle'] = 'Motorcycles',
+    ['vehicle_class_boat'] = 'Boats',
+    ['vehicle_class_helicopter'] = 'Helicopters',
+    ['vehicle_class_plane'] = 'Planes',
+    ['vehicle_class_truck'] = 'Trucks',
+    ['vehicle_class_van'] = 'Vans',
+    ['vehicle_class_bicycle'] = 'Bicycles',
+    ['stat_fuel'] = 'Fuel',
+    ['stat_body'] = 'Body',
+    ['stat_engine'] = 'Engine',
+    ['view_on_map'] = 'View on Map',
+    ['vehicle_details_loading'] = 'Loading vehicle details...',
+    ['vehicle_condition'] = 'Condition',
+    ['vehicle_condition_unknown'] = 'No condition recorded for this vehicle',
+    ['vehicle_doors'] = 'Doors',
+    ['vehicle_windows'] = 'Windows',
+    ['vehicle_tyres'] = 'Tyres',
+    ['vehicle_deformed'] = 'Bodywork deformed',
+    ['vehicle_part_front_left'] = 'Front left',
+    ['vehicle_part_front_right'] = 'Front right',
+    ['vehicle_part_rear_left'] = 'Rear left',
+    ['vehicle_part_rear_right'] = 'Rear right',
+    ['vehicle_part_hood'] = 'Hood',
+    ['vehicle_part_trunk'] = 'Trunk',
+    ['vehicle_part_windscreen'] = 'Windscreen',
+    ['vehicle_part_rear_windscreen'] = 'Rear windscreen',
+    ['vehicle_state_ok'] = 'OK',
+    ['vehicle_state_damaged'] = 'Damaged',
+    ['vehicle_state_broken'] = 'Broken',
+    ['vehicle_state_burst'] = 'Burst',
+    ['vehicle_state_flat'] = 'Flat',
+    ['vehicle_mods'] = 'Mods & Extras',
+    ['vehicle_mods_none'] = 'Stock vehicle',
+    ['vehicle_mod_level'] = '{mod} {level}',
+    ['vehicle_mod_engine'] = 'Engine',
+    ['vehicle_mod_transmission'] = 'Transmission',
+    ['vehicle_mod_brakes'] = 'Brakes',
+    ['vehicle_mod_suspension'] = 'Suspension',
+    ['vehicle_mod_armor'] = 'Armor',
+    ['vehicle_mod_turbo'] = 'Turbo',
+    ['vehicle_mod_xenon'] = 'Xenon lights',
+    ['vehicle_extra'] = 'Extra {id}',
+    ['vehicle_neon'] = 'Neon ({count} sides)',
+    ['vehicle_history'] = 'History',
+    ['vehicle_history_empty'] = 'No history for this vehicle yet',
+
+    -- Deliveries
+    ['deliveries_title'] = 'Deliveries',
+    ['deliveries_active'] = 'In Progress',
+    ['deliveries_scheduled'] = 'Scheduled',
+    ['deliveries_history'] = 'History',
+    ['deliveries_empty_title'] = 'No Active Deliveries',
+    ['deliveries_empty_text'] = 'Request a delivery from your parked vehicles',
+    ['request_delivery'] = 'Request Delivery',
+    ['delivery_standard'] = 'Standard Delivery',
+    ['delivery_standard_time'] = '5-10 minutes',
+    ['delivery_rush'] = 'Rush Delivery',
+    ['delivery_rush_time'] = '2-3 minutes',
+    ['delivery_type_standard'] = 'Standard',
+    ['delivery_type_rush'] = 'Rush',
+    ['delivery_status_in_progress'] = 'In Progress',
+    ['delivery_status_requested'] = 'Requested',
+    ['delivery_status_dispatched'] = 'Dispatched',
+    ['delivery_status_en_route'] = 'En Route',
+    ['delivery_status_arriving'] = 'Arriving',
+    ['delivery_status_delivered'] = 'Delivered',
+    ['delivery_status_completed'] = 'Delivered',
+    ['delivery_status_cancelled'] = 'Cancelled',
+    ['delivery_status_failed'] = 'Failed',
+    ['delivery_when_now'] = 'Now',
+    ['delivery_when_schedule'] = 'Schedule',
+    ['delivery_schedule_time'] = 'Arrive at',
+    ['delivery_schedule_repeat'] = 'Repeat',
+    ['delivery_repeat_once'] = 'Once',
+    ['delivery_repeat_daily'] = 'Every day',
+    ['delivery_repeat_weekly'] = 'Every week',
+    ['delivery_schedule_note'] = 'Delivered to where you are standing now. You are charged when the driver is dispatched and need to be in the city.',
+    ['delivery_schedule_pick_time'] = 'Pick an arrival time',
+    ['delivery_book'] = 'Book Delivery',
+    ['delivery_pickup'] = 'Pickup',
+    ['delivery_dropoff'] = 'Drop-off',
+    ['delivery_refund_policy'] = '{percent}% refunded if cancelled more than {seconds}s before arrival',
+    ['delivery_cancel_refund'] = 'Cancel ({amount} back)',
+    ['delivery_cancel_closed'] = 'Too late to cancel',
+    ['delivery_refunded'] = '{amount} refunded',
+    ['npc_driver'] = 'NPC Valet Driver',
+    ['npc_driver_note'] = 'Driver delivers your car (VIP {tier}+)',
+    ['npc_driver_note_any'] = 'Driver delivers your car',
+    ['confirm_delivery'] = 'Confirm Delivery',
+    ['delivery_rush_unavailable'] = 'Rush delivery is not included in your tier',
+    ['delivery_quote_failed'] = 'Unable to quote delivery',
+    ['delivery_complete'] = 'Vehicle delivered!',
+
+    -- Meters
+    ['meters_title'] = 'Parking Meters',
+    ['meters_empty_title'] = 'No Active Meters',
+    ['meters_empty_text'] = 'Pay a meter near your parked vehicle',
+    ['meter_add_time'] = 'Add Time',
+    ['meter_pay_now'] = 'Pay Now',
+    ['meter_ticket_in'] = 'Ticket in {time}',
+    ['meter_tow_in'] = 'Tow in {time}',
+    ['meter_tow_due'] = 'Tow due',
+    ['auto_renew_on'] = 'Meter auto-renews',
+    ['meter_auto_renew'] = 'Auto-renew',
+    ['meter_renew_spent'] = '{spent} of {cap} spent on renewals',
+    ['meter_alerts'] = 'Low-time alerts',
+    ['meter_alerts_note'] = 'Notify me {times} before a meter runs out',
+    ['meter_renew_cap'] = 'Auto-renew spending cap',
+    ['meter_renew_note'] = 'Renews {duration} at a time, up to this much per parking session',
+    ['rates_now'] = 'Now {rate}',
+    ['rates_per_hour'] = '{rate}/hr',
+    ['rates_free'] = 'Free',
+    ['rates_bar'] = '{hour}: {rate}',
+    ['rates_surge'] = 'Surge x{multiplier}: {name} is {percent}% full',
+    ['rates_occupancy'] = '{name} is {percent}% full',
+    ['rates_note'] = 'Hourly meter rates today, before VIP discounts',
+
+    -- Bulk actions
+    ['bulk_select'] = 'Select',
+    ['bulk_selected'] = '{count} selected',
+    ['bulk_select_all'] = 'Select all',
+    ['bulk_done'] = 'Done',
+    ['bulk_action_deliver'] = 'Deliver here',
+    ['bulk_action_extend'] = 'Extend meters',
+    ['bulk_action_autoRenew'] = 'Auto-renew',
+    ['bulk_title_deliver'] = 'Deliver Vehicles',
+    ['bulk_title_extend'] = 'Extend Meters',
+    ['bulk_title_autoRenew'] = 'Meter Auto-Renew',
+    ['bulk_confirm_deliver'] = 'Deliver {count} Vehicle(s)',
+    ['bulk_confirm_extend'] = 'Extend {count} Meter(s)',
+    ['bulk_confirm_autoRenew'] = 'Update {count} Vehicle(s)',
+    ['bulk_extend_by'] = 'Add time to each meter',
+    ['bulk_minutes'] = '{minutes} min',
+    ['bulk_item_minutes'] = '+{minutes} min',
+    ['bulk_item_eta'] = 'arrives in {minutes} min',
+    ['bulk_item_renew_on'] = 'auto-renew on',
+    ['bulk_item_renew_off'] = 'auto-renew off',
+    ['bulk_on'] = 'On',
+    ['bulk_off'] = 'Off',
+    ['bulk_deliver_note'] = 'Vehicles are lined up where you are standing. The fleet counts as one delivery toward your limits and each vehicle is charged on its own.',
+    ['bulk_auto_renew_note'] = 'A marked meter is renewed {duration} at a time before it runs out, up to {cap} per parking session, as long as you are in the city.',
+    ['bulk_quote_failed'] = 'Unable to price the selected vehicles',
+
+    -- Tickets
+    ['tickets_title'] = 'Parking Tickets',
+    ['tickets_outstanding'] = 'Outstanding',
+    ['tickets_history'] = 'History',
+    ['tickets_pay_all'] = 'Pay All',
+    ['tickets_filter_all'] = 'All',
+    ['tickets_filter_unpaid'] = 'Unpaid',
+    ['tickets_filter_contested'] = 'Contested',
+    ['tickets_filter_paid'] = 'Paid',
+    ['tickets_filter_dismissed'] = 'Dismissed',
+    ['tickets_empty_title'] = 'No Outstanding Tickets',
+    ['tickets_empty_text'] = "You're all clear!",
+    ['tickets_none_found'] = 'No Tickets Found',
+    ['tickets_none_match'] = 'No tickets match this filter',
+    ['ticket_status_unpaid'] = 'Unpaid',
+    ['ticket_status_contested'] = 'Under Review',
+    ['ticket_status_paid'] = 'Paid',
+    ['ticket_status_dismissed'] = 'Dismissed',
+    ['ticket_status_overdue'] = 'Overdue',
+    ['ticket_default_reason'] = 'Parking Violation',
+    ['ticket_contest'] = 'Contest',
+    ['ticket_pay'] = 'Pay',
+    ['ticket_late_fee'] = 'incl. {amount} late fee',
+    ['ticket_late_fee_upcoming'] = 'x{multiplier} after {hours}h',
+    ['ticket_paid_resolution'] = 'Paid {amount}',
+    ['ticket_paid_resolution_ago'] = 'Paid {amount} · {ago}',
+    ['ticket_dismissed_resolution'] = 'Dismissed',
+    ['ticket_dismissed_resolution_reason'] = 'Dismissed: {reason}',
+    ['ticket_contested_resolution'] = 'Contested',
+    ['ticket_contested_resolution_reason'] = 'Contested: "{reason}"',
+    ['ticket_not_contestable'] = 'This ticket cannot be contested',
+    ['ticket_paid_toast'] = 'Ticket paid!',
+    ['contest_title'] = 'Contest Ticket',
+    ['contest_reason_label'] = 'Reason for contest',
+    ['contest_reason_placeholder'] = 'Explain why this ticket should be dismissed...',
+    ['contest_submit'] = 'Submit Contest',
+
+    -- Valet
+    ['valet_title'] = 'Valet Service',
+    ['valet_in_progress'] = 'In Progress',
+    ['valet_held'] = 'Held by Valet',
+    ['valet_empty_title'] = 'No Valet Vehicles',
+    ['valet_empty_text'] = 'Drive up to a valet stand to have your vehicle parked',
+    ['valet_parking'] = 'Parking',
+    ['valet_parking_at'] = 'Parking at {location}',
+    ['valet_retrieving'] = 'Retrieving',
+    ['valet_retrieving_at'] = 'Retrieving at {location}',
+    ['valet_queue_position'] = '#{position} of {size} in queue',
+    ['valet_on_it'] = 'Valet is on it',
+    ['valet_stand'] = 'Valet stand',
+    ['valet_retrieve'] = 'Retrieve',
+    ['valet_park_title'] = 'Valet Parking',
+    ['valet_retrieve_title'] = 'Retrieve Vehicle',
+    ['valet_tip_none'] = 'No Tip',
+    ['valet_tip_small'] = 'Small Tip',
+    ['valet_tip_medium'] = 'Medium Tip',
+    ['valet_tip_large'] = 'Large Tip',
+
+    -- Reserved spots
+    ['reserved_title'] = 'Reserved Spots',
+    ['reserved_my_rentals'] = 'My Rentals',
+    ['reserved_available'] = 'Available to Rent',
+    ['reserved_empty_title'] = 'No Spots Available',
+    ['reserved_empty_text'] = 'Every rental spot is taken right now. Check back later',
+    ['rental_vip_discount'] = '{percent}% VIP discount',
+    ['rental_rent'] = 'Rent',
+    ['rental_renew'] = 'Renew',
+    ['rental_rent_title'] = 'Rent Spot',
+    ['rental_renew_title'] = 'Renew Rental',
+    ['rental_hours'] = { one = '{count} hour', other = '{count} hours' },
+    ['rental_rate_line'] = '{hours} × {rate}/hr',
+    ['rental_discount_line'] = 'VIP discount ({percent}%)',
+    ['rental_at_max'] = 'This rental is already at the maximum length',
+
+    -- Impound
+    ['impound_title'] = 'Impounded Vehicles',
+    ['impound_empty_title'] = 'No Impounded Vehicles',
+    ['impound_empty_text'] = 'None of your vehicles are in the impound lot',
+    ['impound_default_reason'] = 'Impounded',
+    ['impound_held_days'] = { one = 'Held {count} day', other = 'Held {count} days' },
+    ['impound_today'] = 'Impounded today',
+    ['impound_pay_retrieve'] = 'Pay {amount} & Retrieve',
+
+    -- Map
+    ['map_title'] = 'Map',
+    ['map_layer_vehicles'] = 'Vehicles',
+    ['map_layer_meters'] = 'Meters',
+    ['map_layer_rentals'] = 'Rentals',
+    ['map_layer_valet'] = 'Valet',
+    ['map_layer_lots'] = 'Lots',
+    ['map_you'] = 'You',
+    ['map_lot_capacity'] = '{capacity} spaces',
+    ['map_valet_stand'] = 'Valet stand',
+    ['map_distance'] = '{distance} away',
+
+    -- Business
+    ['business_title'] = 'Business Console',
+    ['business_uncollected'] = 'Uncollected',
+    ['business_occupancy'] = 'Occupancy',
+    ['business_parking_price'] = 'Parking Price',
+    ['business_employees'] = 'Employees',
+    ['business_revenue'] = 'Revenue',
+    ['business_uncollected_revenue'] = 'Uncollected revenue',
+    ['business_city_tax'] = 'City tax ({percent}%)',
+    ['business_payout'] = 'Payout',
+    ['business_collect'] = 'Collect {amount}',
+    ['business_pricing'] = 'Pricing',
+    ['business_save_price'] = 'Save Price',
+    ['business_price_of_base'] = '{percent}% of {base}',
+    ['business_employees_count'] = 'Employees ({count}/{max})',
+    ['business_hired'] = 'Hired {ago}',
+    ['business_fire'] = 'Fire',
+    ['business_hire'] = 'Hire',
+    ['business_no_employees'] = 'No employees yet',
+    ['business_player_id'] = 'Player ID',
+    ['business_enter_player_id'] = 'Enter a player ID',
+    ['business_upgrades'] = 'Upgrades',
+    ['business_installed'] = 'Installed',
+    ['business_ledger'] = 'Ledger',
+    ['business_no_transactions'] = 'No transactions yet',
+    ['upgrade_security'] = 'Security',
+    ['upgrade_lighting'] = 'Lighting',
+    ['upgrade_capacity'] = 'Expansion',
+    ['upgrade_evCharging'] = 'EV Charging',
+    ['upgrade_carwash'] = 'Car Wash',
+    ['upgrade_valet'] = 'Valet Stand',
+    ['ledger_income'] = 'Income',
+    ['ledger_tax'] = 'Tax',
+    ['ledger_payout'] = 'Payout',
+    ['ledger_upgrade'] = 'Upgrade',
+
+    -- Enforcement tablet
+    ['enforcement_title'] = 'Parking Enforcement',
+    ['enforcement_officer'] = 'Officer',
+    ['enforcement_on_duty'] = 'On Duty',
+    ['enforcement_off_duty'] = 'Off Duty',
+    ['lookup_placeholder'] = 'Enter plate...',
+    ['lookup_button'] = 'Look Up',
+    ['lookup_empty_title'] = 'No Plate Selected',
+    ['lookup_empty_text'] = 'Look up a plate to see its parking record',
+    ['lookup_enter_plate'] = 'Enter a plate to look up',
+    ['record_registered'] = 'Registered',
+    ['record_unregistered'] = 'Unregistered',
+    ['record_parked'] = 'Parked',
+    ['record_not_parked'] = 'Not parked',
+    ['record_unknown_owner'] = 'Unknown owner',
+    ['record_meter'] = 'Meter',
+    ['record_no_meter'] = 'No meter',
+    ['record_meter_left'] = '{time} left',
+    ['record_unpaid_tickets'] = 'Unpaid Tickets',
+    ['record_impound_eligible'] = 'Eligible for impound',
+    ['record_impound'] = 'Impound',
+    ['record_impound_owed'] = '{amount} owed',
+    ['record_not_impounded'] = 'Not impounded',
+    ['record_impound_history'] = 'Impound History',
+    ['record_no_history'] = 'No impound history for this plate',
+    ['history_impound'] = 'Impounded',
+    ['history_impound_retrieve'] = 'Retrieved',
+    ['history_impound_admin_release'] = 'Released by admin',
+    ['history_park'] = 'Parked',
+    ['history_unpark'] = 'Unparked',
+    ['history_meter_paid'] = 'Meter paid',
+    ['history_meter_towed'] = 'Towed from meter',
+    ['history_ticket_issued'] = 'Ticket issued',
+    ['history_ticket_paid'] = 'Ticket paid',
+    ['history_ticket_contested'] = 'Ticket contested',
+    ['history_ticket_dismissed'] = 'Ticket dismissed',
+    ['history_delivery_complete'] = 'Delivered',
+    ['form_ticket'] = 'Ticket',
+    ['form_impound'] = 'Impound',
+    ['form_violation'] = 'Violation',
+    ['form_reason'] = 'Reason',
+    ['form_notes'] = 'Notes',
+    ['form_rank_too_low'] = '{label} (rank too low)',
+    ['ticket_notes_placeholder'] = 'Optional notes for the ticket...',
+    ['impound_notes_placeholder'] = 'Optional notes for the impound report...',
+    ['issue_ticket'] = 'Issue Ticket',
+    ['impound_vehicle'] = 'Impound Vehicle',
+
+    -- Admin panel
+    ['admin_title'] = 'Parking Admin',
+    ['admin_tab_search'] = 'Players & Plates',
+    ['admin_tab_audit'] = 'Audit Log',
+    ['admin_tab_health'] = 'Health',
+    ['admin_search_placeholder'] = 'Name, citizen ID, server ID or plate...',
+    ['admin_search_button'] = 'Search',
+    ['admin_search_empty'] = 'Enter a name, citizen ID, server ID or plate',
+    ['admin_empty_title'] = 'Nothing Searched Yet',
+    ['admin_empty_text'] = 'Search for a player or plate to manage their parking',
+    ['admin_players'] = 'Players',
+    ['admin_no_players'] = 'No matching players',
+    ['admin_vehicles'] = 'Vehicles',
+    ['admin_no_vehicles'] = 'No matching vehicles',
+    ['admin_tickets'] = 'Tickets',
+    ['admin_no_tickets'] = 'No tickets',
+    ['admin_online'] = 'Online (ID {id})',
+    ['admin_offline'] = 'Offline',
+    ['admin_parked_count'] = { one = '{count} parked', other = '{count} parked' },
+    ['admin_unpaid_count'] = { one = '{count} unpaid ticket', other = '{count} unpaid tickets' },
+    ['admin_slots_used'] = '{used}/{max} slots used',
+    ['admin_status_parked'] = 'Parked',
+    ['admin_status_impound'] = 'Impounded',
+    ['admin_status_garage'] = 'In garage',
+    ['admin_status_out'] = 'Out',
+    ['admin_back'] = 'Results',
+    ['admin_unpark'] = 'To Garage',
+    ['admin_delete'] = 'Delete',
+    ['admin_release'] = 'Release',
+    ['admin_dismiss'] = 'Dismiss',
+    ['admin_vip'] = 'VIP',
+    ['admin_vip_none'] = 'Not a VIP',
+    ['admin_vip_permanent'] = '{tier} · never expires',
+    ['admin_vip_until'] = '{tier} · until {date}',
+    ['admin_vip_slot_override'] = { one = 'Slot override: {count} slot', other = 'Slot override: {count} slots' },
+    ['admin_vip_added_by'] = 'Granted by {name}',
+    ['admin_vip_tier'] = 'Tier',
+    ['admin_tier_option'] = '{label} ({slots} slots)',
+    ['admin_vip_slots'] = 'Slots',
+    ['admin_vip_slots_placeholder'] = 'Tier default',
+    ['admin_vip_days'] = 'Days',
+    ['admin_vip_days_placeholder'] = 'Never expires',
+    ['admin_vip_grant'] = 'Grant VIP',
+    ['admin_vip_update'] = 'Update VIP',
+    ['admin_vip_revoke'] = 'Revoke VIP',
+    ['admin_reset_player'] = 'Reset Parking',
+    ['admin_reset_player_title'] = 'Reset Player Parking',
+    ['admin_reset_player_text'] = 'Every vehicle {name} has parked goes back to their garage.',
+    ['admin_reset_all'] = 'Reset All Parking',
+    ['admin_reset_all_title'] = 'Reset All Parking',
+    ['admin_reset_all_text'] = 'Every parked vehicle on the server is sent back to a garage. This cannot be undone.',
+    ['admin_reset_all_note'] = 'Sends every parked vehicle on the server back to a garage',
+    ['admin_danger_zone'] = 'Danger Zone',
+    ['admin_delete_title'] = 'Delete Parked Vehicle',
+    ['admin_delete_text'] = '{plate} is removed from the world without going back to a garage.',
+    ['admin_dismiss_title'] = 'Dismiss Ticket',
+    ['admin_dismiss_text'] = 'The owner is told the ticket was dismissed.',
+    ['admin_dismiss_reason'] = 'Reason for dismissal',
+    ['admin_confirm_type'] = 'Type {phrase} to confirm',
+    ['admin_confirm_button'] = 'Confirm',
+    ['admin_health_refresh'] = 'Refresh',
+    ['admin_health_parked'] = 'Parked Vehicles',
+    ['admin_health_meters'] = 'Active Meters',
+    ['admin_health_deliveries'] = 'Active Deliveries',
+    ['admin_health_scheduled'] = 'Scheduled Deliveries',
+    ['admin_health_vip'] = 'VIP Players',
+    ['admin_health_business'] = 'Lot Owners',
+    ['admin_health_impounded'] = 'Impounded',
+    ['admin_health_unpaid'] = 'Unpaid Tickets',
+    ['admin_health_online'] = 'Players Online',
+    ['admin_health_events'] = 'Event Subscribers',
+    ['admin_health_hooks'] = 'Action Hooks',
+    ['admin_health_subscribers'] = { one = '{count} subscriber', other = '{count} subscribers' },
+    ['admin_health_hook_count'] = { one = '{count} hook', other = '{count} hooks' },
+    ['admin_health_none'] = 'None registered',
+    ['admin_audit_player'] = 'Audit Log',
+
+    -- Audit log viewer
+    ['audit_action'] = 'Action',
+    ['audit_all_actions'] = 'All actions',
+    ['audit_citizenid'] = 'Citizen ID',
+    ['audit_plate'] = 'Plate',
+    ['audit_from'] = 'From',
+    ['audit_to'] = 'To',
+    ['audit_search'] = 'Apply',
+    ['audit_clear'] = 'Clear',
+    ['audit_export_csv'] = 'CSV',
+    ['audit_export_json'] = 'JSON',
+    ['audit_total'] = { one = '{count} entry', other = '{count} entries' },
+    ['audit_page'] = 'Page {page}',
+    ['audit_newer'] = 'Newer',
+    ['audit_older'] = 'Older',
+    ['audit_empty'] = 'No audit entries match these filters',
+    ['audit_no_details'] = 'No details recorded',
+    ['audit_export_limited'] = 'Export stopped at the newest {count} entries',
+    ['audit_export_copied'] = 'Export copied to the clipboard',
+    ['audit_export_copy_failed'] = 'Could not copy the export to the clipboard',
+
+    -- Meter and phone frames
+    ['meter_frame_title'] = 'Parking Meter',
+    ['meter_time_remaining'] = 'Time remaining',
+    ['meter_session_expired'] = 'Session expired',
+    ['meter_no_session'] = 'No active session',
+    ['meter_until'] = 'Until {time}',
+    ['meter_pay'] = 'Pay',
+    ['meter_pay_amount'] = 'Pay {amount}',
+    ['meter_extend'] = 'Extend',
+    ['meter_extend_amount'] = 'Extend {amount}',
+    ['meter_free_price'] = '(Free)',
+    ['meter_quote_base'] = '{duration} at {rate}',
+    ['meter_quote_peak'] = 'Peak hours',
+    ['meter_quote_off_peak'] = 'Off-peak hours',
+    ['meter_quote_zone'] = 'Premium zone',
+    ['meter_quote_surge'] = 'Surge (x{multiplier}, {percent}% full)',
+    ['meter_quote_vip'] = 'VIP discount',
+    ['meter_quote_free_vip'] = 'VIP free meters',
+    ['meter_quote_free_hours'] = 'Free parking hours',
+    ['meter_quote_free'] = 'Free',
+    ['meter_quote_failed'] = 'Unable to price this meter',
+    ['meter_payment_failed'] = 'Payment failed',
+    ['meter_payment_done'] = 'Meter paid',
+    ['phone_title'] = 'Parking',
+    ['phone_refresh'] = 'Refresh',
+    ['phone_rush'] = 'Rush delivery',
+    ['phone_rush_note'] = 'Faster arrival, higher fee',
+    ['phone_my_vehicles'] = 'My Vehicles',
+    ['phone_empty_text'] = 'Park a vehicle to see it here',
+    ['phone_unpaid_tickets'] = { one = '{count} unpaid ticket', other = '{count} unpaid tickets' },
+    ['phone_overdue_tickets'] = '{count} overdue with late fees',
+    ['phone_delivery_failed'] = 'Delivery failed',
+    ['phone_delivery_requested'] = 'Delivery requested',
+}
+
 -- Set default locale
 Locale.Current = Locale.en
 
+---Get the active locale table, falling back to English
+---@return table
+local function GetCurrent()
+    return Locale[Config.Locale] or Locale.Current
+end
+
 ---Get localized string
 ---@param key string
 ---@param ... any Format arguments
 ---@return string
 function L(key, ...)
-    local text = Locale.Current[key] or Locale.en[key] or key
+    local text = GetCurrent()[key] or Locale.en[key] or key
     if select('#', ...) > 0 then
         return string.format(text, ...)
     end
     return text
 end
 
+---Get the NUI strings for the active locale, with English filling any gaps
+---@return table { lang, strings }
+function Locale.GetUI()
+    local strings = {}
+
+    for key, text in pairs(Locale.ui.en) do
+        strings[key] = text
+    end
+
+    for key, text in pairs(Locale.ui[Config.Locale] or {}) do
+        strings[key] = text
+    end
+
+    return { lang = Config.Locale or 'en', strings = strings }
+end
+
 return Locale
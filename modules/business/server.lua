@@ -3,11 +3,58 @@
     Original: mh-parking by MaDHouSe79
     Enhanced: DPS Development
 
-    Parking lot ownership and business management.
+    Parking lot ownership and business management:
+    - Lot purchase and revenue collection
+    - Revenue ledger
+    - Employees, upgrades and pricing (owner console)
 ]]
 
 Business = {}
 
+-- Ledger entries shown in the owner console
+local LEDGER_LIMIT = 25
+
+-- ============================================
+-- PERSISTENCE
+-- ============================================
+
+---Load lot owners from the database
+function Business.Initialize()
+    local owners = DB.GetAllBusinessOwners()
+    local count = 0
+
+    for lotId, owner in pairs(owners) do
+        State.SetBusinessOwner(lotId, owner)
+        count = count + 1
+    end
+
+    print(('[DPS-Parking] Business: Loaded %d owned lots'):format(count))
+end
+
+---Store an owner record in state and the database
+---@param lotId number
+---@param owner table
+local function SaveOwner(lotId, owner)
+    State.SetBusinessOwner(lotId, owner)
+    DB.SetBusinessOwner(lotId, owner)
+end
+
+---Get a lot the player owns
+---@param source number
+---@param lotId number
+---@return table|nil owner
+---@return table|nil lot
+local function GetOwnedLot(source, lotId)
+    local citizenid = Bridge.GetCitizenId(source)
+    local owner = State.GetBusinessOwner(lotId)
+
+    if not citizenid or not owner or owner.citizenid ~= citizenid then
+        return nil
+    end
+
+    return owner, Zones.GetParkingLot(lotId)
+end
+
 -- ============================================
 -- OWNERSHIP
 -- ============================================
@@ -59,13 +106,14 @@ function Business.PurchaseLot(source, lotId)
     -- Process purchase
     Bridge.RemoveMoney(source, 'bank', price, 'Parking lot purchase')
 
-    State.SetBusinessOwner(lotId, {
+    SaveOwner(lotId, {
         citizenid = citizenid,
         lotId = lotId,
         purchasedAt = os.time(),
         revenue = 0,
         employees = {},
-        upgrades = {}
+        upgrades = {},
+        settings = { priceMultiplier = 1.0 },
     })
 
     return true, L('lot_purchased', lot.name, Utils.FormatMoney(price))
@@ -97,28 +145,299 @@ function Business.CollectRevenue(source, lotId)
 
     -- Reset revenue
     owner.revenue = 0
-    State.SetBusinessOwner(lotId, owner)
+    SaveOwner(lotId, owner)
+
+    if tax > 0 then
+        DB.AddBusinessLedgerEntry(lotId, 'tax', -tax, ('City tax (%d%%)'):format(Config.Business.taxPercent), citizenid)
+    end
+    DB.AddBusinessLedgerEntry(lotId, 'payout', -payout, 'Revenue collected', citizenid)
 
     return true, L('revenue_collected', Utils.FormatMoney(payout))
 end
 
+-- ============================================
+-- PRICING
+-- ============================================
+
+---Get a lot's price multiplier
+---@param lotId number
+---@return number multiplier
+function Business.GetPriceMultiplier(lotId)
+    local owner = State.GetBusinessOwner(lotId)
+    return owner and owner.settings and owner.settings.priceMultiplier or 1.0
+end
+
+---Get a lot's parking price after the owner's multiplier
+---@param lot table Parking lot config
+---@return number price
+function Business.GetLotPrice(lot)
+    local base = lot.basePrice or Config.Parking.parkingFee
+    return math.floor(base * Business.GetPriceMultiplier(lot.id))
+end
+
+---Set a lot's price multiplier
+---@param source number
+---@param lotId number
+---@param multiplier number
+---@return boolean success
+---@return string message
+function Business.SetPriceMultiplier(source, lotId, multiplier)
+    local owner, lot = GetOwnedLot(source, lotId)
+    if not owner then
+        return false, L('not_lot_owner')
+    end
+
+    multiplier = tonumber(multiplier)
+    if not multiplier then
+        return false, 'Invalid price'
+    end
+
+    multiplier = Utils.Round(Utils.Clamp(multiplier, Config.Business.minPriceMultiplier, Config.Business.maxPriceMultiplier), 2)
+
+    owner.settings = owner.settings or {}
+    owner.settings.priceMultiplier = multiplier
+    SaveOwner(lotId, owner)
+
+    return true, ('%s now charges %s'):format(lot and lot.name or 'Lot', Utils.FormatMoney(Business.GetLotPrice(lot)))
+end
+
+---Does a player own or work at a lot
+---@param lotId number
+---@param citizenid string
+---@return boolean
+function Business.IsStaff(lotId, citizenid)
+    local owner = State.GetBusinessOwner(lotId)
+    if not owner then return false end
+
+    if owner.citizenid == citizenid then
+        return true
+    end
+
+    for _, employee in ipairs(owner.employees or {}) do
+        if employee.citizenid == citizenid then
+            return true
+        end
+    end
+
+    return false
+end
+
+---Get the fee for parking at a position
+---Only owned lots charge; their owner and staff park free.
+---@param citizenid string
+---@param coords vector3
+---@return number fee
+---@return table|nil lot The owned lot charging the fee
+function Business.GetParkingFee(citizenid, coords)
+    if not Config.Business.enabled then return 0 end
+
+    local inLot, lot = Utils.IsInParkingLot(coords)
+    if not inLot or not State.GetBusinessOwner(lot.id) or Business.IsStaff(lot.id, citizenid) then
+        return 0
+    end
+
+    return Business.GetLotPrice(lot), lot
+end
+
+-- ============================================
+-- EMPLOYEES
+-- ============================================
+
+---Hire an online player at an owned lot
+---@param source number
+---@param lotId number
+---@param targetId number Server ID of the player to hire
+---@return boolean success
+---@return string message
+function Business.HireEmployee(source, lotId, targetId)
+    local owner = GetOwnedLot(source, lotId)
+    if not owner then
+        return false, L('not_lot_owner')
+    end
+
+    owner.employees = owner.employees or {}
+
+    if #owner.employees >= Config.Business.maxEmployeesPerLot then
+        return false, ('This lot already has %d employees'):format(Config.Business.maxEmployeesPerLot)
+    end
+
+    targetId = tonumber(targetId)
+    local citizenid = targetId and Bridge.GetCitizenId(targetId)
+    if not citizenid then
+        return false, 'Player not found'
+    end
+
+    if citizenid == owner.citizenid then
+        return false, 'You cannot hire yourself'
+    end
+
+    for _, employee in ipairs(owner.employees) do
+        if employee.citizenid == citizenid then
+            return false, 'This player already works here'
+        end
+    end
+
+    table.insert(owner.employees, {
+        citizenid = citizenid,
+        name = Bridge.GetPlayerName(targetId),
+        hiredAt = os.time(),
+    })
+    SaveOwner(lotId, owner)
+
+    local lot = Zones.GetParkingLot(lotId)
+    Bridge.Notify(targetId, ('You were hired at %s'):format(lot and lot.name or 'a parking lot'), 'success')
+
+    return true, L('employee_added')
+end
+
+---Fire an employee from an owned lot
+---@param source number
+---@param lotId number
+---@param citizenid string
+---@return boolean success
+---@return string message
+function Business.FireEmployee(source, lotId, citizenid)
+    local owner = GetOwnedLot(source, lotId)
+    if not owner then
+        return false, L('not_lot_owner')
+    end
+
+    for i, employee in ipairs(owner.employees or {}) do
+        if employee.citizenid == citizenid then
+            table.remove(owner.employees, i)
+            SaveOwner(lotId, owner)
+            return true, L('employee_removed')
+        end
+    end
+
+    return false, 'Employee not found'
+end
+
+-- ============================================
+-- UPGRADES
+-- ============================================
+
+---Does a lot have an upgrade
+---@param lotId number
+---@param upgrade string Key in Config.Business.upgrades
+---@return boolean
+function Business.HasUpgrade(lotId, upgrade)
+    local owner = State.GetBusinessOwner(lotId)
+    return owner ~= nil and owner.upgrades ~= nil and owner.upgrades[upgrade] ~= nil
+end
+
+---Buy an upgrade for an owned lot
+---@param source number
+---@param lotId number
+---@param upgrade string Key in Config.Business.upgrades
+---@return boolean success
+---@return string message
+function Business.PurchaseUpgrade(source, lotId, upgrade)
+    local owner = GetOwnedLot(source, lotId)
+    if not owner then
+        return false, L('not_lot_owner')
+    end
+
+    local upgradeData = Config.Business.upgrades[upgrade]
+    if not upgradeData then
+        return false, 'Upgrade not found'
+    end
+
+    if Business.HasUpgrade(lotId, upgrade) then
+        return false, 'This lot already has that upgrade'
+    end
+
+    if Bridge.GetMoney(source, 'bank') < upgradeData.cost then
+        return false, L('insufficient_funds', Utils.FormatMoney(upgradeData.cost))
+    end
+
+    Bridge.RemoveMoney(source, 'bank', upgradeData.cost, 'Parking lot upgrade')
+
+    owner.upgrades = owner.upgrades or {}
+    owner.upgrades[upgrade] = os.time()
+    SaveOwner(lotId, owner)
+
+    DB.AddBusinessLedgerEntry(lotId, 'upgrade', -upgradeData.cost, upgradeData.description, owner.citizenid)
+
+    return true, ('Upgrade purchased: %s'):format(upgradeData.description)
+end
+
+-- ============================================
+-- OWNER CONSOLE
+-- ============================================
+
+---Get everything the owner console shows for a player's lots
+---@param citizenid string
+---@return table lots
+function Business.GetOwnerConsole(citizenid)
+    local lots = {}
+
+    for lotId, owner in pairs(State._data.businessOwners) do
+        local lot = Zones.GetParkingLot(lotId)
+
+        if owner.citizenid == citizenid and lot then
+            local revenue = owner.revenue or 0
+            local tax = math.floor(revenue * (Config.Business.taxPercent / 100))
+
+            local upgrades = {}
+            for key, upgrade in pairs(Config.Business.upgrades) do
+                table.insert(upgrades, {
+                    key = key,
+                    description = upgrade.description,
+                    cost = upgrade.cost,
+                    purchasedAt = owner.upgrades and owner.upgrades[key] or nil,
+                })
+            end
+
+            table.sort(upgrades, function(a, b)
+                return a.cost < b.cost
+            end)
+
+            table.insert(lots, {
+                lotId = lotId,
+                name = lot.name,
+                capacity = lot.capacity,
+                occupied = Zones.CountVehiclesInLot(lotId),
+                purchasedAt = owner.purchasedAt,
+                revenue = revenue,
+                tax = tax,
+                payout = revenue - tax,
+                basePrice = lot.basePrice or Config.Parking.parkingFee,
+                priceMultiplier = Business.GetPriceMultiplier(lotId),
+                price = Business.GetLotPrice(lot),
+                employees = owner.employees or {},
+                upgrades = upgrades,
+                ledger = DB.GetBusinessLedger(lotId, LEDGER_LIMIT),
+            })
+        end
+    end
+
+    table.sort(lots, function(a, b)
+        return a.lotId < b.lotId
+    end)
+
+    return lots
+end
+
 -- ============================================
 -- REVENUE HOOK
 -- ============================================
 
--- Add revenue when vehicles park in owned lots
+-- Credit the owner their cut of the fee Parking.Park charged
 EventBus.RegisterPostHook('parking:park', function(data)
-    if not Config.Business.enabled then return end
-    if not data.lot then return end
+    if not data.fee or data.fee <= 0 or not data.lotId then return end
 
-    local owner = State.GetBusinessOwner(data.lot.id)
+    local owner = State.GetBusinessOwner(data.lotId)
     if not owner then return end
 
-    local fee = data.lot.basePrice or Config.Parking.parkingFee
-    local ownerCut = math.floor(fee * (Config.Business.ownerRevenuePercent / 100))
+    local ownerCut = math.floor(data.fee * (Config.Business.ownerRevenuePercent / 100))
+    if ownerCut <= 0 then return end
 
     owner.revenue = (owner.revenue or 0) + ownerCut
-    State.SetBusinessOwner(data.lot.id, owner)
+    State.SetBusinessOwner(data.lotId, owner)
+
+    DB.UpdateBusinessRevenue(data.lotId, owner.revenue)
+    DB.AddBusinessLedgerEntry(data.lotId, 'income', ownerCut, ('Parking fee (%s)'):format(data.plate), data.citizenid)
 end, EventBus.Priority.LOW)
 
 -- ============================================
@@ -160,16 +479,14 @@ EventBus.Subscribe('player:jobChanged', function(data)
                     Utils.Debug(('Revoking lot %d ownership from %s - job changed'):format(lotId, citizenid))
 
                     -- Notify the player if online
-                    local player = Bridge.GetPlayerByCitizenId(citizenid)
-                    if player then
-                        local playerSource = Bridge.IsESX() and player.source or player.PlayerData.source
-                        if playerSource then
-                            Bridge.Notify(playerSource, 'Your parking lot ownership was revoked due to job change', 'error')
-                        end
+                    local playerSource = Bridge.GetSourceByCitizenId(citizenid)
+                    if playerSource then
+                        Bridge.Notify(playerSource, 'Your parking lot ownership was revoked due to job change', 'error')
                     end
 
                     -- Remove ownership
                     State.SetBusinessOwner(lotId, nil)
+                    DB.RemoveBusinessOwner(lotId)
 
                     -- Publish event
                     EventBus.Publish('business:ownershipRevoked', {
@@ -183,25 +500,35 @@ EventBus.Subscribe('player:jobChanged', function(data)
 
         -- Check employees too
         if owner.employees then
-            for empId, empData in pairs(owner.employees) do
+            for empId, empData in ipairs(owner.employees) do
                 if empData.citizenid == citizenid then
                     local lot = Zones.GetParkingLot(lotId)
                     if lot and lot.requiredJob then
                         local newJobName = data.new and data.new.name or nil
                         if newJobName ~= lot.requiredJob then
                             -- Remove employee
-                            owner.employees[empId] = nil
-                            State.SetBusinessOwner(lotId, owner)
+                            table.remove(owner.employees, empId)
+                            SaveOwner(lotId, owner)
 
                             Utils.Debug(('Removed employee %s from lot %d - job changed'):format(citizenid, lotId))
                         end
                     end
+                    break
                 end
             end
         end
     end
 end, EventBus.Priority.NORMAL)
 
+-- ============================================
+-- INITIALIZATION
+-- ============================================
+
+CreateThread(function()
+    Wait(1000)
+    Business.Initialize()
+end)
+
 print('^2[DPS-Parking] Business module (server) loaded^0')
 
 return Business
@@ -0,0 +1,535 @@
+--[[
+    DPS-Parking - Dashboard Module (Client)
+    Original: mh-parking by MaDHouSe79
+    Enhanced: DPS Development
+
+    NUI bridge for the parking dashboard:
+    - Opens/closes the dashboard and manages NUI focus
+    - Opens the enforcement tablet for officers and the admin panel for admins
+    - Registers every NUI callback used by ui/js/app.js
+    - Saves the vehicle list view between openings
+    - Answers each callback with a { ok, error, data } result
+]]
+
+Dashboard = {}
+
+local isOpen = false
+
+-- Vehicle the enforcement tablet was opened on
+local enforcementTarget = nil
+
+-- Saved vehicle list view (sort, filters, grouping)
+local VEHICLE_VIEW_KVP = 'vehicleView'
+
+-- GetVehicleClassFromName ids mapped to the UI's vehicle categories (others are 'car')
+local vehicleCategories = {
+    [2] = 'suv', [8] = 'motorcycle', [9] = 'suv', [10] = 'truck', [11] = 'truck',
+    [12] = 'van', [13] = 'bicycle', [14] = 'boat', [15] = 'helicopter', [16] = 'plane',
+    [17] = 'van', [19] = 'truck', [20] = 'truck',
+}
+
+-- Frontend sounds played for UI events
+local sounds = {
+    open = { 'SELECT', 'HUD_FRONTEND_DEFAULT_SOUNDSET' },
+    close = { 'BACK', 'HUD_FRONTEND_DEFAULT_SOUNDSET' },
+    click = { 'NAV_UP_DOWN', 'HUD_FRONTEND_DEFAULT_SOUNDSET' },
+    success = { 'PICK_UP', 'HUD_FRONTEND_DEFAULT_SOUNDSET' },
+    error = { 'ERROR', 'HUD_FRONTEND_DEFAULT_SOUNDSET' },
+}
+
+-- ============================================
+-- NUI HELPERS
+-- ============================================
+
+---Register an NUI callback that always answers with a { ok, error, data } result
+---@param name string NUI callback name
+---@param handler fun(data: table): table|nil
+function Dashboard.RegisterAction(name, handler)
+    RegisterNUICallback(name, function(data, cb)
+        local success, result = pcall(handler, data or {})
+
+        if not success then
+            Utils.Debug(('Dashboard action "%s" failed: %s'):format(name, result))
+            cb({ ok = false, error = L('error') })
+            return
+        end
+
+        cb(result or { ok = true })
+    end)
+end
+
+---Tag dashboard vehicles with a category from their model's class
+---@param data table|nil Dashboard snapshot
+local function AddVehicleClasses(data)
+    for _, vehicle in ipairs(data and data.vehicles or {}) do
+        local model = vehicle.hash or (vehicle.model and joaat(vehicle.model))
+
+        if model and IsModelInCdimage(model) then
+            vehicle.class = vehicleCategories[GetVehicleClassFromName(model)] or 'car'
+        end
+    end
+end
+
+---Get the saved vehicle list view
+---@return table|nil view { sort, group, classes, flags }
+local function GetVehicleView()
+    local saved = GetResourceKvpString(VEHICLE_VIEW_KVP)
+    return saved and json.decode(saved) or nil
+end
+
+---Get the player's position as a delivery destination
+---@return table coords {x, y, z, h, street}
+function Dashboard.GetPlayerDestination()
+    local ped = PlayerPedId()
+    local coords = GetEntityCoords(ped)
+    local streetHash = GetStreetNameAtCoord(coords.x, coords.y, coords.z)
+
+    return {
+        x = coords.x,
+        y = coords.y,
+        z = coords.z,
+        h = GetEntityHeading(ped),
+        street = GetStreetNameFromHashKey(streetHash),
+    }
+end
+
+-- ============================================
+-- OPEN / CLOSE
+-- ============================================
+
+---Open the parking dashboard
+---@param options? table { tab, contestTicketId, valetPark }
+function Dashboard.Open(options)
+    if isOpen then return end
+    options = options or {}
+
+    local result = Bridge.Callback('dps-parking:dashboard:getData')
+    if not result or not result.ok then
+        Bridge.Notify(result and result.error or L('error'), 'error')
+        return
+    end
+
+    isOpen = true
+    ClientState.SetUIOpen(true)
+    SetNuiFocus(true, true)
+
+    local payload = result.data
+    AddVehicleClasses(payload)
+    payload.action = 'open'
+    payload.tab = options.tab
+    payload.contestTicketId = options.contestTicketId
+    payload.valetPark = options.valetPark
+    payload.locale = Locale.GetUI()
+    payload.vehicleView = GetVehicleView()
+    payload.playerCoords = Dashboard.GetPlayerDestination()
+    SendNUIMessage(payload)
+end
+
+---Get the vehicle the player is in, or the closest one nearby
+---@return number vehicle 0 when none
+local function GetNearbyVehicle()
+    local ped = PlayerPedId()
+    local vehicle = GetVehiclePedIsIn(ped, false)
+
+    if vehicle == 0 then
+        local coords = GetEntityCoords(ped)
+        vehicle = GetClosestVehicle(coords.x, coords.y, coords.z, 5.0, 0, 71)
+    end
+
+    return vehicle
+end
+
+---Open the enforcement tablet, prefilled with the nearest vehicle's plate
+---@param options? table { form } form: 'ticket' or 'impound'
+function Dashboard.OpenEnforcement(options)
+    if isOpen then return end
+    options = options or {}
+
+    -- The server only answers with a tablet for enforcement jobs
+    local result = Bridge.Callback('dps-parking:dashboard:getEnforcement')
+    if not result or not result.ok then
+        Bridge.Notify(result and result.error or L('error'), 'error')
+        return
+    end
+
+    local vehicle = GetNearbyVehicle()
+    enforcementTarget = vehicle ~= 0 and {
+        vehicle = vehicle,
+        plate = Utils.FormatPlate(GetVehicleNumberPlateText(vehicle)),
+    } or nil
+
+    isOpen = true
+    ClientState.SetUIOpen(true)
+    SetNuiFocus(true, true)
+
+    SendNUIMessage({
+        action = 'openEnforcement',
+        enforcement = result.data,
+        plate = enforcementTarget and enforcementTarget.plate,
+        form = options.form,
+        locale = Locale.GetUI(),
+    })
+end
+
+---Open the admin panel
+function Dashboard.OpenAdmin()
+    if isOpen then return end
+
+    -- The server only answers with a panel for admins
+    local result = Bridge.Callback('dps-parking:dashboard:getAdmin')
+    if not result or not result.ok then
+        Bridge.Notify(result and result.error or L('error'), 'error')
+        return
+    end
+
+    isOpen = true
+    ClientState.SetUIOpen(true)
+    SetNuiFocus(true, true)
+
+    SendNUIMessage({
+        action = 'openAdmin',
+        admin = result.data,
+        locale = Locale.GetUI(),
+    })
+end
+
+---Close the parking dashboard
+function Dashboard.Close()
+    isOpen = false
+    enforcementTarget = nil
+    ClientState.SetUIOpen(false)
+    SetNuiFocus(false, false)
+    SendNUIMessage({ action = 'close' })
+end
+
+---Is the dashboard open
+---@return boolean
+function Dashboard.IsOpen()
+    return isOpen
+end
+
+-- ============================================
+-- NUI CALLBACKS
+-- ============================================
+
+Dashboard.RegisterAction('close', function()
+    Dashboard.Close()
+    return { ok = true }
+end)
+
+Dashboard.RegisterAction('refresh', function()
+    local result = Bridge.Callback('dps-parking:dashboard:getData')
+    if result and result.ok then
+        AddVehicleClasses(result.data)
+        result.data.playerCoords = Dashboard.GetPlayerDestination()
+    end
+    return result
+end)
+
+Dashboard.RegisterAction('saveVehicleView', function(data)
+    SetResourceKvp(VEHICLE_VIEW_KVP, json.encode({
+        sort = data.sort,
+        group = data.group,
+        classes = data.classes,
+        flags = data.flags,
+    }))
+    return { ok = true }
+end)
+
+Dashboard.RegisterAction('playSound', function(data)
+    local sound = sounds[data.sound]
+    if sound then
+        PlaySoundFrontend(-1, sound[1], sound[2], true)
+    end
+    return { ok = true }
+end)
+
+Dashboard.RegisterAction('getVehicleDetails', function(data)
+    return Bridge.Callback('dps-parking:dashboard:getVehicleDetails', data.plate)
+end)
+
+Dashboard.RegisterAction('requestDelivery', function(data)
+    if not data.plate then
+        return { ok = false, error = L('vehicle_not_parked') }
+    end
+
+    return Bridge.Callback('dps-parking:dashboard:requestDelivery', data.plate, Dashboard.GetPlayerDestination(), {
+        rush = data.type == 'rush',
+        withDriver = data.npcDriver == true,
+    })
+end)
+
+Dashboard.RegisterAction('scheduleDelivery', function(data)
+    if not data.plate then
+        return { ok = false, error = L('vehicle_not_parked') }
+    end
+
+    return Bridge.Callback('dps-parking:dashboard:scheduleDelivery', data.plate, Dashboard.GetPlayerDestination(), {
+        rush = data.type == 'rush',
+        withDriver = data.npcDriver == true,
+    }, data.scheduledAt, data.recurrence)
+end)
+
+Dashboard.RegisterAction('cancelScheduledDelivery', function(data)
+    return Bridge.Callback('dps-parking:dashboard:cancelScheduledDelivery', data.bookingId)
+end)
+
+Dashboard.RegisterAction('cancelDelivery', function(data)
+    return Bridge.Callback('dps-parking:dashboard:cancelDelivery', data.deliveryId)
+end)
+
+Dashboard.RegisterAction('getDeliveryQuote', function(data)
+    if not data.plate then
+        return { ok = false, error = L('vehicle_not_parked') }
+    end
+
+    return Bridge.Callback('dps-parking:dashboard:getDeliveryQuote', data.plate, Dashboard.GetPlayerDestination(), {
+        rush = data.type == 'rush',
+        withDriver = data.npcDriver == true,
+    })
+end)
+
+Dashboard.RegisterAction('viewOnMap', function(data)
+    local vehicle = data.plate and ClientState.GetMyVehicle(data.plate)
+    local location = vehicle and vehicle.location
+
+    if not location then
+        return { ok = false, error = L('vehicle_not_parked') }
+    end
+
+    SetNewWaypoint(location.x, location.y)
+    return { ok = true, data = { message = L('gps_vehicle_set') } }
+end)
+
+Dashboard.RegisterAction('payMeter', function(data)
+    return Bridge.Callback('dps-parking:dashboard:payMeter', data.meterId, data.minutes, data.cost)
+end)
+
+Dashboard.RegisterAction('setMeterSettings', function(data)
+    return Bridge.Callback('dps-parking:dashboard:setMeterSettings', {
+        alerts = data.alerts,
+        renewCap = data.renewCap,
+    })
+end)
+
+Dashboard.RegisterAction('payTicket', function(data)
+    return Bridge.Callback('dps-parking:dashboard:payTicket', data.ticketId)
+end)
+
+Dashboard.RegisterAction('contestTicket', function(data)
+    return Bridge.Callback('dps-parking:dashboard:contestTicket', data.ticketId, data.reason)
+end)
+
+Dashboard.RegisterAction('payAllTickets', function(data)
+    return Bridge.Callback('dps-parking:dashboard:payAllTickets', data.tickets or {})
+end)
+
+Dashboard.RegisterAction('getBulkQuote', function(data)
+    return Bridge.Callback('dps-parking:dashboard:getBulkQuote', data.action, data.plates or {}, {
+        minutes = data.minutes,
+        coords = data.action == 'deliver' and Dashboard.GetPlayerDestination() or nil,
+        options = {
+            rush = data.type == 'rush',
+            withDriver = data.npcDriver == true,
+        },
+    })
+end)
+
+Dashboard.RegisterAction('bulkExtendMeters', function(data)
+    return Bridge.Callback('dps-parking:dashboard:bulkExtendMeters', data.plates or {}, data.minutes, data.costs or {})
+end)
+
+Dashboard.RegisterAction('bulkRequestDelivery', function(data)
+    return Bridge.Callback('dps-parking:dashboard:bulkRequestDelivery', data.plates or {}, Dashboard.GetPlayerDestination(), {
+        rush = data.type == 'rush',
+        withDriver = data.npcDriver == true,
+    })
+end)
+
+Dashboard.RegisterAction('bulkSetAutoRenew', function(data)
+    return Bridge.Callback('dps-parking:dashboard:bulkSetAutoRenew', data.plates or {}, data.enabled == true)
+end)
+
+Dashboard.RegisterAction('retrieveImpound', function(data)
+    return Bridge.Callback('dps-parking:dashboard:retrieveImpound', data.plate)
+end)
+
+Dashboard.RegisterAction('valetPark', function(data)
+    local vehicle = GetVehiclePedIsIn(PlayerPedId(), false)
+    if vehicle == 0 then
+        return { ok = false, error = L('no_vehicle') }
+    end
+
+    return Bridge.Callback('dps-parking:dashboard:valetPark', data.locationId, NetworkGetNetworkIdFromEntity(vehicle), data.tipLevel)
+end)
+
+Dashboard.RegisterAction('valetRetrieve', function(data)
+    return Bridge.Callback('dps-parking:dashboard:valetRetrieve', data.plate, data.tipLevel)
+end)
+
+Dashboard.RegisterAction('rentSpot', function(data)
+    local result = Bridge.Callback('dps-parking:dashboard:rentSpot', data.spotId, data.hours)
+
+    -- Guide the player to their new spot
+    local coords = result and result.ok and result.data.coords
+    if coords then
+        SetNewWaypoint(coords.x, coords.y)
+    end
+
+    return result
+end)
+
+Dashboard.RegisterAction('renewRental', function(data)
+    return Bridge.Callback('dps-parking:dashboard:renewRental', data.spotId, data.hours)
+end)
+
+Dashboard.RegisterAction('setWaypoint', function(data)
+    local coords = data.coords
+    if not coords or not coords.x or not coords.y then
+        return { ok = false, error = L('error') }
+    end
+
+    SetNewWaypoint(coords.x + 0.0, coords.y + 0.0)
+    return { ok = true, data = { message = L('gps_set') } }
+end)
+
+Dashboard.RegisterAction('collectRevenue', function(data)
+    return Bridge.Callback('dps-parking:dashboard:collectRevenue', data.lotId)
+end)
+
+Dashboard.RegisterAction('setLotPrice', function(data)
+    return Bridge.Callback('dps-parking:dashboard:setLotPrice', data.lotId, data.multiplier)
+end)
+
+Dashboard.RegisterAction('hireEmployee', function(data)
+    return Bridge.Callback('dps-parking:dashboard:hireEmployee', data.lotId, data.targetId)
+end)
+
+Dashboard.RegisterAction('fireEmployee', function(data)
+    return Bridge.Callback('dps-parking:dashboard:fireEmployee', data.lotId, data.citizenid)
+end)
+
+Dashboard.RegisterAction('purchaseUpgrade', function(data)
+    return Bridge.Callback('dps-parking:dashboard:purchaseUpgrade', data.lotId, data.upgrade)
+end)
+
+Dashboard.RegisterAction('lookupPlate', function(data)
+    return Bridge.Callback('dps-parking:dashboard:lookupPlate', data.plate)
+end)
+
+Dashboard.RegisterAction('issueTicket', function(data)
+    local coords = GetEntityCoords(PlayerPedId())
+
+    return Bridge.Callback('dps-parking:dashboard:issueTicket', data.plate, data.violation, data.notes, {
+        x = coords.x, y = coords.y, z = coords.z,
+    })
+end)
+
+Dashboard.RegisterAction('impoundVehicle', function(data)
+    local result = Bridge.Callback('dps-parking:dashboard:impoundVehicle', data.plate, data.reason, data.notes)
+
+    -- Tow the vehicle the tablet was opened on
+    local target = enforcementTarget
+    if result and result.ok and target and target.plate == result.data.plate and DoesEntityExist(target.vehicle) then
+        NetworkRequestControlOfEntity(target.vehicle)
+        Wait(100)
+        DeleteEntity(target.vehicle)
+        enforcementTarget = nil
+    end
+
+    return result
+end)
+
+Dashboard.RegisterAction('adminHealth', function()
+    return Bridge.Callback('dps-parking:dashboard:adminHealth')
+end)
+
+Dashboard.RegisterAction('adminSearch', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminSearch', data.query)
+end)
+
+Dashboard.RegisterAction('adminGetPlayer', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminGetPlayer', data.citizenid)
+end)
+
+Dashboard.RegisterAction('adminGrantVip', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminGrantVip', data.citizenid, data.tier, data.slots, data.days)
+end)
+
+Dashboard.RegisterAction('adminRevokeVip', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminRevokeVip', data.citizenid)
+end)
+
+Dashboard.RegisterAction('adminUnpark', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminUnpark', data.plate)
+end)
+
+Dashboard.RegisterAction('adminDeleteParked', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminDeleteParked', data.plate, data.confirmation)
+end)
+
+Dashboard.RegisterAction('adminReleaseImpound', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminReleaseImpound', data.plate)
+end)
+
+Dashboard.RegisterAction('adminDismissTicket', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminDismissTicket', data.ticketId, data.reason)
+end)
+
+Dashboard.RegisterAction('adminResetPlayer', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminResetPlayer', data.citizenid, data.confirmation)
+end)
+
+Dashboard.RegisterAction('adminResetAll', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminResetAll', data.confirmation)
+end)
+
+Dashboard.RegisterAction('adminAuditLog', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminAuditLog', data.filters, data.beforeId)
+end)
+
+Dashboard.RegisterAction('adminAuditExport', function(data)
+    return Bridge.Callback('dps-parking:dashboard:adminAuditExport', data.filters, data.format)
+end)
+
+-- ============================================
+-- EVENTS
+-- ============================================
+
+-- Sent by the admin panel command once the server has checked the admin
+RegisterNetEvent('dps-parking:client:openAdmin', function()
+    Dashboard.OpenAdmin()
+end)
+
+-- ============================================
+-- COMMANDS
+-- ============================================
+
+RegisterCommand(Config.Commands.parkmenu, function()
+    Dashboard.Open()
+end, false)
+
+RegisterKeyMapping(Config.Commands.parkmenu, L('parking_menu'), 'keyboard', Config.Keybinds.menuKey)
+
+-- ============================================
+-- EXPORTS
+-- ============================================
+
+exports('OpenDashboard', Dashboard.Open)
+exports('CloseDashboard', Dashboard.Close)
+exports('OpenEnforcement', Dashboard.OpenEnforcement)
+exports('OpenAdminPanel', Dashboard.OpenAdmin)
+
+-- ============================================
+-- CLEANUP
+-- ============================================
+
+AddEventHandler('onResourceStop', function(resource)
+    if resource ~= GetCurrentResourceName() then return end
+
+    if isOpen then
+        SetNuiFocus(false, false)
+    end
+end)
+
+print('^2[DPS-Parking] Dashboard module (client) loaded^0')
@@ -0,0 +1,1241 @@
+--[[
+    DPS-Parking - Dashboard Module (Server)
+    Original: mh-parking by MaDHouSe79
+    Enhanced: DPS Development
+
+    Server side of the NUI dashboard:
+    - Builds the dashboard snapshot (vehicles, deliveries and their history, meters, tickets, impounds, valet, reserved spots, business)
+    - Builds a vehicle's condition, mods and parking history
+    - Cancels deliveries with the tracked refund, books scheduled and recurring ones
+    - Applies bulk actions (extend meters, fleet delivery, auto-renew) plate by plate
+    - Builds the enforcement tablet (plate lookup, ticket and impound forms)
+    - Routes the admin panel's actions to admin/panel.lua and its audit viewer to admin/audit.lua
+    - Routes dashboard actions to the owning modules
+    - Returns structured { ok, error, data } results to the NUI bridge
+]]
+
+Dashboard = {}
+
+-- ============================================
+-- HELPERS
+-- ============================================
+
+---Build a structured NUI result
+---@param success boolean
+---@param message string|nil
+---@param data? table
+---@return table result { ok, error, data }
+local function Result(success, message, data)
+    if not success then
+        return { ok = false, error = message or L('error') }
+    end
+
+    data = data or {}
+    data.message = message
+    return { ok = true, data = data }
+end
+
+-- ============================================
+-- SNAPSHOT
+-- ============================================
+
+---Format a parked vehicle for the dashboard
+---@param plate string
+---@param data table Parked vehicle state
+---@return table vehicle
+local function FormatVehicle(plate, data)
+    local coords = data.location
+    local _, lot = coords and Utils.IsInParkingLot(vector3(coords.x, coords.y, coords.z))
+
+    return {
+        plate = plate,
+        model = data.model,
+        hash = data.hash,
+        lotId = lot and lot.id or nil,
+        lot = lot and lot.name or nil,
+        location = data.street,
+        coords = data.location,
+        parkedAt = data.parkedAt,
+        fuel = data.fuel or 100,
+        body = math.floor((data.body or 1000) / 10),
+        engine = math.floor((data.engine or 1000) / 10),
+        hasMeter = State.GetActiveMeter(plate) ~= nil,
+        autoRenew = Meters.IsAutoRenew(data.citizenid, plate),
+    }
+end
+
+---Format an active delivery for the dashboard
+---@param id string
+---@param record table Delivery state
+---@return table delivery
+local function FormatDelivery(id, record)
+    local total = record.arrivalTime - record.requestedAt
+    local timeLeft = math.max(0, record.arrivalTime - os.time())
+    local progress = total > 0 and math.floor((1 - timeLeft / total) * 100) or 0
+
+    return {
+        id = id,
+        plate = record.plate,
+        type = record.rush and 'rush' or 'standard',
+        status = 'in_progress',
+        eta = timeLeft,
+        duration = total,
+        progress = Utils.Clamp(progress, 0, 100),
+        withDriver = record.withDriver,
+        cost = record.cost,
+        refund = Delivery.GetCancelRefund(record),
+        pickup = record.pickup,
+        dropoff = record.dropoff,
+        timeline = Delivery.GetTimeline(record),
+    }
+end
+
+---Format a scheduled delivery booking for the dashboard
+---@param booking table Booking state
+---@return table booking
+local function FormatScheduledDelivery(booking)
+    return {
+        id = booking.id,
+        plate = booking.plate,
+        type = booking.rush and 'rush' or 'standard',
+        withDriver = booking.withDriver,
+        scheduledAt = booking.scheduledAt,
+        recurrence = booking.recurrence,
+        dropoff = booking.dropoff,
+    }
+end
+
+---Format an active meter for the dashboard
+---@param plate string
+---@param meter table Meter state
+---@return table meter
+local function FormatMeter(plate, meter)
+    local parked = State.GetParkedVehicle(plate)
+
+    return {
+        id = plate,
+        plate = plate,
+        location = parked and parked.street or nil,
+        coords = parked and parked.location or nil,
+        expiresAt = meter.expiresAt,
+        remaining = meter.expiresAt - os.time(),
+        paidAmount = meter.paidAmount,
+        autoRenew = Meters.IsAutoRenew(meter.citizenid, plate),
+        autoRenewSpent = meter.autoRenewSpent or 0,
+    }
+end
+
+---Format a ticket for the dashboard
+---@param ticket table Ticket from Violations.GetTicket
+---@return table ticket
+local function FormatTicket(ticket)
+    return {
+        id = ticket.id,
+        plate = ticket.plate,
+        reason = ticket.type,
+        amount = ticket.fine,
+        originalAmount = ticket.originalFine,
+        lateFee = ticket.fine - ticket.originalFine,
+        status = ticket.status,
+        paid = ticket.status == 'paid' or ticket.status == 'dismissed',
+        isLate = ticket.isLate,
+        lateAt = ticket.lateAt,
+        issuedAt = ticket.issuedAt,
+        contestReason = ticket.contestReason,
+        contestedAt = ticket.contestedAt,
+        paidAt = ticket.paidAt,
+        paidAmount = ticket.paidAmount,
+        dismissReason = ticket.dismissReason,
+        dismissedAt = ticket.dismissedAt,
+    }
+end
+
+---Get the player's parked vehicles formatted for the dashboard
+---@param citizenid string
+---@return table vehicles
+function Dashboard.GetVehicles(citizenid)
+    local vehicles = {}
+
+    for plate, data in pairs(State.GetPlayerParkedVehicles(citizenid)) do
+        table.insert(vehicles, FormatVehicle(plate, data))
+    end
+
+    table.sort(vehicles, function(a, b)
+        return (a.parkedAt or 0) > (b.parkedAt or 0)
+    end)
+
+    return vehicles
+end
+
+---Get the player's active deliveries formatted for the dashboard
+---@param citizenid string
+---@return table deliveries
+function Dashboard.GetDeliveries(citizenid)
+    local deliveries = {}
+
+    for id, record in pairs(State.GetPlayerDeliveries(citizenid)) do
+        table.insert(deliveries, FormatDelivery(id, record))
+    end
+
+    return deliveries
+end
+
+---Get the player's scheduled deliveries, soonest first
+---@param citizenid string
+---@return table bookings
+function Dashboard.GetScheduledDeliveries(citizenid)
+    local bookings = {}
+
+    for _, booking in pairs(Delivery.GetScheduled(citizenid)) do
+        table.insert(bookings, FormatScheduledDelivery(booking))
+    end
+
+    table.sort(bookings, function(a, b)
+        return a.scheduledAt < b.scheduledAt
+    end)
+
+    return bookings
+end
+
+---Get the player's active meters formatted for the dashboard
+---@param citizenid string
+---@return table meters
+function Dashboard.GetMeters(citizenid)
+    local meters = {}
+
+    for plate, meter in pairs(State.GetPlayerMeters(citizenid)) do
+        table.insert(meters, FormatMeter(plate, meter))
+    end
+
+    return meters
+end
+
+---Get the player's tickets formatted for the dashboard
+---@param citizenid string
+---@return table tickets
+function Dashboard.GetTickets(citizenid)
+    local tickets = {}
+
+    for _, ticket in ipairs(Violations.GetPlayerTickets(citizenid)) do
+        table.insert(tickets, FormatTicket(ticket))
+    end
+
+    table.sort(tickets, function(a, b)
+        return a.issuedAt > b.issuedAt
+    end)
+
+    return tickets
+end
+
+---Get the player's impounded vehicles with an itemized fee
+---@param citizenid string
+---@return table impounds
+function Dashboard.GetImpounds(citizenid)
+    local impounds = {}
+
+    for _, vehicle in ipairs(Impound.GetPlayerVehicles(citizenid)) do
+        local breakdown = Impound.GetFeeBreakdown(vehicle.plate)
+
+        if breakdown then
+            table.insert(impounds, {
+                plate = vehicle.plate,
+                tier = breakdown.reason,
+                reason = breakdown.reasonLabel,
+                impoundedAt = breakdown.impoundedAt,
+                daysHeld = breakdown.daysImpounded,
+                items = breakdown.items,
+                total = breakdown.total,
+            })
+        end
+    end
+
+    table.sort(impounds, function(a, b)
+        return a.impoundedAt > b.impoundedAt
+    end)
+
+    return impounds
+end
+
+---Get the player's valet vehicles, sessions and tip options
+---@param citizenid string
+---@return table valet { vehicles, sessions, tips }
+function Dashboard.GetValet(citizenid)
+    local valet = Valet.GetPlayerState(citizenid)
+
+    valet.enabled = Config.Valet ~= nil and Config.Valet.enabled == true
+    valet.tips = {
+        park = Valet.GetTipOptions(citizenid, 'park'),
+        retrieve = Valet.GetTipOptions(citizenid, 'retrieve'),
+    }
+
+    return valet
+end
+
+---Get rentable spots and the player's active rentals
+---@param citizenid string
+---@return table reserved { enabled, available, rentals, pricePerHour, maxRentalHours, discount }
+function Dashboard.GetReserved(citizenid)
+    local rentals = {}
+
+    for _, rental in ipairs(Reserved.GetPlayerRentals(citizenid)) do
+        if rental.remaining > 0 then
+            table.insert(rentals, rental)
+        end
+    end
+
+    local available = Reserved.GetAvailableRentals(citizenid)
+
+    table.sort(rentals, function(a, b)
+        return a.expiresAt < b.expiresAt
+    end)
+
+    table.sort(available, function(a, b)
+        return a.name < b.name
+    end)
+
+    return {
+        enabled = Config.Reserved ~= nil and Config.Reserved.enabled == true,
+        available = available,
+        rentals = rentals,
+        pricePerHour = Reserved.Config.rentalPricePerHour,
+        maxRentalHours = Reserved.Config.maxRentalHours,
+        discount = Reserved.GetRentalDiscount(citizenid),
+    }
+end
+
+---Get the owner console for the player's parking lots
+---@param citizenid string
+---@return table business { enabled, lots, limits }
+function Dashboard.GetBusiness(citizenid)
+    return {
+        enabled = Config.Business.enabled == true,
+        lots = Config.Business.enabled and Business.GetOwnerConsole(citizenid) or {},
+        limits = {
+            maxEmployees = Config.Business.maxEmployeesPerLot,
+            minPriceMultiplier = Config.Business.minPriceMultiplier,
+            maxPriceMultiplier = Config.Business.maxPriceMultiplier,
+            taxPercent = Config.Business.taxPercent,
+        },
+    }
+end
+
+---Get the header stats for a player
+---@param citizenid string
+---@return table playerData { vipTier, slotsUsed, slotsMax }
+function Dashboard.GetPlayerData(citizenid)
+    return {
+        vipTier = (VIP.GetPlayerTier(citizenid)),
+        slotsUsed = State.CountPlayerParkedVehicles(citizenid),
+        slotsMax = State.GetMaxSlots(citizenid),
+    }
+end
+
+---Get the map settings and fixed locations for the map tab
+---@return table map { enabled, image, bounds, lots, valet }
+function Dashboard.GetMap()
+    local lots, valet = {}, {}
+
+    for _, lot in ipairs(Config.ParkingLots) do
+        table.insert(lots, {
+            id = lot.id,
+            name = lot.name,
+            x = lot.coords.x,
+            y = lot.coords.y,
+            radius = lot.radius,
+            capacity = lot.capacity,
+        })
+    end
+
+    for _, location in ipairs(Valet.GetLocations()) do
+        table.insert(valet, {
+            id = location.id,
+            name = location.name,
+            x = location.coords.x,
+            y = location.coords.y,
+        })
+    end
+
+    return {
+        enabled = Config.Map.enabled == true,
+        image = Config.Map.image,
+        bounds = Config.Map.bounds,
+        lots = lots,
+        valet = valet,
+    }
+end
+
+---Build the full dashboard snapshot for a player
+---@param source number
+---@return table|nil data
+function Dashboard.GetData(source)
+    local citizenid = Bridge.GetCitizenId(source)
+    if not citizenid then return nil end
+
+    local baseCost = Config.Delivery.baseCost or 500
+
+    return {
+        vehicles = Dashboard.GetVehicles(citizenid),
+        deliveries = Dashboard.GetDeliveries(citizenid),
+        deliveryHistory = Delivery.GetHistory(citizenid),
+        scheduledDeliveries = Dashboard.GetScheduledDeliveries(citizenid),
+        meters = Dashboard.GetMeters(citizenid),
+        meterSettings = Meters.GetSettings(citizenid),
+        tickets = Dashboard.GetTickets(citizenid),
+        impounds = Dashboard.GetImpounds(citizenid),
+        valet = Dashboard.GetValet(citizenid),
+        reserved = Dashboard.GetReserved(citizenid),
+        business = Dashboard.GetBusiness(citizenid),
+        playerData = Dashboard.GetPlayerData(citizenid),
+        serverTime = os.time(),
+        config = {
+            deliveryPrices = {
+                standard = baseCost,
+                rush = math.ceil(baseCost * (Config.Delivery.rushMultiplier or 2.0)),
+            },
+            delivery = {
+                cancelRefund = Config.Delivery.cancelRefund or 0.75,
+                cancelCutoff = Config.Delivery.cancelCutoff or 30,
+                scheduling = Config.Delivery.scheduling,
+            },
+            currency = Config.Currency,
+            vipTiers = VIP.GetRegistry(),
+            map = Dashboard.GetMap(),
+            meters = {
+                graceMinutes = Config.Meters.graceMinutes,
+                towAfterMinutes = Config.Meters.towAfterMinutes,
+                minimumMinutes = Config.Meters.minimumMinutes,
+                maximumMinutes = Config.Meters.maximumMinutes,
+                alerts = Config.Meters.alerts or {},
+                rates = MeterPricing.GetCurve(),
+                autoRenew = {
+                    increment = Config.Meters.autoRenew.increment,
+                    caps = Config.Meters.autoRenew.caps,
+                },
+            },
+            tickets = {
+                lateFeeMultiplier = Violations.Config.lateFeeMultiplier,
+                maxContestLength = Violations.Config.maxContestLength,
+            },
+        },
+    }
+end
+
+-- ============================================
+-- ACTIONS
+-- ============================================
+
+---Pay several tickets at once, collecting failures per ticket
+---@param source number
+---@param ticketIds table
+---@return boolean success
+---@return string message
+---@return table details { paid, failed }
+function Dashboard.PayTickets(source, ticketIds)
+    local paid, failed = {}, {}
+
+    for _, ticketId in ipairs(ticketIds or {}) do
+        local success, message = Violations.PayTicket(source, ticketId)
+        if success then
+            table.insert(paid, ticketId)
+        else
+            table.insert(failed, { id = ticketId, error = message })
+        end
+    end
+
+    local details = { paid = paid, failed = failed }
+
+    if #paid == 0 then
+        return false, failed[1] and failed[1].error or L('bulk_no_tickets'), details
+    end
+
+    if #failed > 0 then
+        return true, L('bulk_tickets_paid_partial', #paid, #paid + #failed), details
+    end
+
+    return true, L('bulk_tickets_paid', #paid), details
+end
+
+-- ============================================
+-- BULK ACTIONS
+-- ============================================
+
+-- Most vehicles one bulk action applies to
+local MAX_BULK_PLATES = 25
+
+---Keep the distinct plates of a bulk request
+---@param plates any
+---@return table plates
+local function CleanPlates(plates)
+    local cleaned, seen = {}, {}
+    if type(plates) ~= 'table' then return cleaned end
+
+    for _, plate in ipairs(plates) do
+        if type(plate) == 'string' and not seen[plate] and #cleaned < MAX_BULK_PLATES then
+            seen[plate] = true
+            table.insert(cleaned, plate)
+        end
+    end
+
+    return cleaned
+end
+
+---Is a plate one of the player's parked vehicles
+---@param citizenid string|nil
+---@param plate string
+---@return boolean
+local function OwnsParked(citizenid, plate)
+    local parked = State.GetParkedVehicle(plate)
+    return parked ~= nil and parked.citizenid == citizenid
+end
+
+---Price a bulk action per plate before it is confirmed
+---@param source number
+---@param action string 'extend' or 'deliver'
+---@param plates table
+---@param params table { minutes } or { coords, options }
+---@return table|nil quote { items = { plate, cost, minutes, error }, total }
+---@return string|nil error
+function Dashboard.GetBulkQuote(source, action, plates, params)
+    plates = CleanPlates(plates)
+    if #plates == 0 then
+        return nil, L('bulk_none')
+    end
+
+    local citizenid = Bridge.GetCitizenId(source)
+    params = type(params) == 'table' and params or {}
+
+    local items, total = {}, 0
+
+    -- Vehicles past the hourly delivery limit would fail
+    local allowance = action == 'deliver' and Delivery.GetHourlyAllowance(citizenid) or nil
+
+    for _, plate in ipairs(plates) do
+        local item = { plate = plate }
+
+        if not OwnsParked(citizenid, plate) then
+            item.error = L('not_owner')
+        elseif allowance and allowance <= 0 then
+            item.error = L('delivery_max_reached')
+        elseif action == 'extend' then
+            local quote, quoteError = Meters.Quote(source, plate, params.minutes)
+            item.cost = quote and quote.cost
+            item.minutes = quote and quote.minutes
+            item.error = quoteError
+        elseif action == 'deliver' then
+            local quote, quoteError = Delivery.Quote(source, plate, params.coords, params.options)
+            item.cost = quote and quote.total
+            item.minutes = quote and quote.minutes
+            item.error = quoteError
+
+            if quote and allowance then
+                allowance = allowance - 1
+            end
+        else
+            return nil, L('error')
+        end
+
+        total = total + (item.cost or 0)
+        table.insert(items, item)
+    end
+
+    return { items = items, total = total }
+end
+
+---Extend several meters by the same time, each paid on its own
+---A plate whose price rose past the confirmed quote fails with its new price.
+---@param source number
+---@param plates table
+---@param minutes number
+---@param costs table Confirmed price by plate, from Dashboard.GetBulkQuote
+---@return boolean success
+---@return string message
+---@return table details { extended, failed }
+function Dashboard.ExtendMeters(source, plates, minutes, costs)
+    plates = CleanPlates(plates)
+    costs = type(costs) == 'table' and costs or {}
+
+    local citizenid = Bridge.GetCitizenId(source)
+    local details = { extended = {}, failed = {} }
+
+    if #plates == 0 then
+        return false, L('bulk_none'), details
+    end
+
+    for _, plate in ipairs(plates) do
+        local success, message = false, L('not_owner')
+        local cost = tonumber(costs[plate])
+        if OwnsParked(citizenid, plate) then
+            if not cost then
+                -- A plate without a quote would be charged blind
+                message = L('meter_quote_required')
+            else
+                local minutesToPay = tonumber(minutes) or Config.Meters.minimumMinutes
+                success, message = Meters.Pay(source, plate, minutesToPay, false, cost)
+            end
+        end
+
+        if success then
+            table.insert(details.extended, plate)
+        else
+            table.insert(details.failed, { plate = plate, error = message })
+        end
+    end
+
+    if #details.extended == 0 then
+        return false, details.failed[1].error, details
+    end
+
+    return true, L('bulk_meters_extended', #details.extended, #plates), details
+end
+
+---Deliver several vehicles to the same spot
+---@param source number
+---@param plates table
+---@param coords table {x, y, z, h, street}
+---@param options table {rush, withDriver}
+---@return boolean success
+---@return string message
+---@return table details { delivered, failed }
+function Dashboard.RequestDeliveries(source, plates, coords, options)
+    plates = CleanPlates(plates)
+
+    if #plates == 0 then
+        return false, L('bulk_none'), { delivered = {}, failed = {} }
+    end
+
+    return Delivery.RequestFleet(source, plates, coords, options)
+end
+
+---Turn meter auto-renew on or off for several vehicles
+---@param source number
+---@param plates table
+---@param enabled boolean
+---@return boolean success
+---@return string message
+---@return table details { updated, failed }
+function Dashboard.SetAutoRenew(source, plates, enabled)
+    plates = CleanPlates(plates)
+    enabled = enabled == true
+
+    local citizenid = Bridge.GetCitizenId(source)
+    local details = { updated = {}, failed = {} }
+
+    if #plates == 0 or not citizenid then
+        return false, L('bulk_none'), details
+    end
+
+    for _, plate in ipairs(plates) do
+        local success, message = Meters.SetAutoRenew(citizenid, plate, enabled)
+        if success then
+            table.insert(details.updated, plate)
+        else
+            table.insert(details.failed, { plate = plate, error = message })
+        end
+    end
+
+    -- The meter card toggles a single vehicle
+    if #plates == 1 and #details.updated == 1 then
+        return true, L(enabled and 'auto_renew_enabled' or 'auto_renew_disabled', plates[1]), details
+    end
+
+    return true, L(enabled and 'bulk_auto_renew_on' or 'bulk_auto_renew_off', #details.updated, #plates), details
+end
+
+-- ============================================
+-- VEHICLE DETAILS
+-- ============================================
+
+-- Audit actions shown in a vehicle's history
+local VEHICLE_HISTORY_ACTIONS = {
+    'park', 'unpark',
+    'meter_paid', 'meter_towed',
+    'ticket_issued', 'ticket_paid', 'ticket_contested', 'ticket_dismissed',
+    'impound', 'impound_retrieve', 'impound_admin_release',
+    'delivery_complete',
+}
+
+-- Parts listed in the condition breakdown, by game index
+local DOOR_PARTS = { [0] = 'front_left', 'front_right', 'rear_left', 'rear_right', 'hood', 'trunk' }
+local WINDOW_PARTS = { [0] = 'front_left', 'front_right', 'rear_left', 'rear_right', [6] = 'windscreen', [7] = 'rear_windscreen' }
+local TYRE_PARTS = { [0] = 'front_left', 'front_right', [4] = 'rear_left', [5] = 'rear_right' }
+
+-- Upgrades listed in the details, in display order
+local INSTALLED_MODS = {
+    { key = 'engine', prop = 'modEngine' },
+    { key = 'transmission', prop = 'modTransmission' },
+    { key = 'brakes', prop = 'modBrakes' },
+    { key = 'suspension', prop = 'modSuspension' },
+    { key = 'armor', prop = 'modArmor' },
+    { key = 'turbo', prop = 'modTurbo', toggle = true },
+    { key = 'xenon', prop = 'modXenon', toggle = true },
+}
+
+---Read a part saved by index (numeric in memory, string keys once loaded from JSON)
+---@param parts table|nil
+---@param index number
+---@return any
+local function GetPart(parts, index)
+    if type(parts) ~= 'table' then return nil end
+    return parts[index] or parts[tostring(index)]
+end
+
+---Break saved damage down per door, window and tyre
+---@param damage table|nil Damage from VehicleData.GetDamageState
+---@return table|nil condition { doors, windows, tyres, deformed }
+local function GetCondition(damage)
+    if type(damage) ~= 'table' then return nil end
+
+    local condition = { doors = {}, windows = {}, tyres = {}, deformed = damage.deformed == true }
+
+    for index = 0, 7 do
+        local door = DOOR_PARTS[index] and GetPart(damage.doors, index)
+        if door then
+            table.insert(condition.doors, { part = DOOR_PARTS[index], state = door.damaged and 'damaged' or 'ok' })
+        end
+
+        local intact = WINDOW_PARTS[index] and GetPart(damage.windows, index)
+        if intact ~= nil then
+            table.insert(condition.windows, { part = WINDOW_PARTS[index], state = intact and 'ok' or 'broken' })
+        end
+
+        local tyre = TYRE_PARTS[index] and GetPart(damage.tyres, index)
+        if tyre then
+            local state = tyre.completelyBurst and 'flat' or tyre.burst and 'burst' or 'ok'
+            table.insert(condition.tyres, { part = TYRE_PARTS[index], state = state })
+        end
+    end
+
+    return condition
+end
+
+---List the upgrades installed on a vehicle
+---@param mods table|nil Vehicle properties
+---@return table installed { key, level }
+local function GetInstalledMods(mods)
+    local installed = {}
+    if type(mods) ~= 'table' then return installed end
+
+    for _, mod in ipairs(INSTALLED_MODS) do
+        local value = mods[mod.prop]
+
+        if mod.toggle and (value == true or value == 1) then
+            table.insert(installed, { key = mod.key })
+        elseif not mod.toggle and type(value) == 'number' and value >= 0 then
+            table.insert(installed, { key = mod.key, level = value + 1 })
+        end
+    end
+
+    return installed
+end
+
+---List the extras switched on
+---@param extras table|nil Extras from VehicleData.GetExtras
+---@return table ids
+local function GetEnabledExtras(extras)
+    local enabled = {}
+
+    for id, on in pairs(type(extras) == 'table' and extras or {}) do
+        if on then
+            table.insert(enabled, tonumber(id))
+        end
+    end
+
+    table.sort(enabled)
+    return enabled
+end
+
+---Summarize the neon kit
+---@param neon table|nil Neon from VehicleData.GetNeonState
+---@return table|nil neon { sides, color }
+local function GetNeon(neon)
+    if type(neon) ~= 'table' then return nil end
+
+    local sides = 0
+    for index = 0, 3 do
+        if GetPart(neon.enabled, index) then
+            sides = sides + 1
+        end
+    end
+
+    return sides > 0 and { sides = sides, color = neon.color } or nil
+end
+
+---Format an audit entry for the vehicle history
+---@param entry table Entry from DB.GetPlateAuditLog
+---@return table
+local function FormatHistoryEntry(entry)
+    local details = entry.details
+    local tier = entry.action:find('^impound') and details.reason and Impound.Config.tiers[details.reason]
+
+    return {
+        id = entry.id,
+        action = entry.action,
+        createdAt = entry.createdAt,
+        street = details.street,
+        reason = tier and tier.label or details.typeLabel or details.reason,
+        amount = details.fee or details.fine or details.amount or details.cost,
+        minutes = details.minutes,
+    }
+end
+
+---Get the condition, mods and recent history of one of the player's vehicles
+---@param citizenid string
+---@param plate string
+---@return table|nil details { plate, parked, condition, mods, extras, neon, history }
+---@return string|nil error
+function Dashboard.GetVehicleDetails(citizenid, plate)
+    if type(plate) ~= 'string' or not Bridge.DB.PlayerOwnsVehicle(citizenid, plate) then
+        return nil, L('not_owner')
+    end
+
+    local parked = State.GetParkedVehicle(plate)
+
+    local history = {}
+    for _, entry in ipairs(DB.GetPlateAuditLog(plate, VEHICLE_HISTORY_ACTIONS, 25)) do
+        table.insert(history, FormatHistoryEntry(entry))
+    end
+
+    return {
+        plate = plate,
+        parked = parked ~= nil,
+        condition = parked and GetCondition(parked.damage) or nil,
+        mods = GetInstalledMods(parked and parked.mods),
+        extras = GetEnabledExtras(parked and parked.extras),
+        neon = parked and GetNeon(parked.neon) or nil,
+        history = history,
+    }
+end
+
+-- ============================================
+-- ENFORCEMENT
+-- ============================================
+
+-- Audit actions shown as a plate's impound history
+local IMPOUND_HISTORY_ACTIONS = { 'impound', 'impound_retrieve', 'impound_admin_release' }
+
+-- Longest accepted officer note
+local MAX_NOTES_LENGTH = 500
+
+---Trim officer notes, dropping empty ones
+---@param notes any
+---@return string|nil
+local function CleanNotes(notes)
+    if type(notes) ~= 'string' or Utils.IsEmpty(notes) then
+        return nil
+    end
+    return Utils.Trim(notes):sub(1, MAX_NOTES_LENGTH)
+end
+
+---Get the enforcement tablet setup for an officer
+---@param source number
+---@return table|nil enforcement { officer, permissions, violations, tiers, maxUnpaidTickets }
+function Dashboard.GetEnforcement(source)
+    local info = Permissions.GetEnforcementInfo(source)
+    if not info.isEnforcement then
+        return nil
+    end
+
+    local violations = {}
+    for key, violation in pairs(Violations.Config.types) do
+        table.insert(violations, {
+            key = key,
+            label = violation.label,
+            fine = violation.fine,
+            points = violation.points,
+        })
+    end
+
+    local tiers = {}
+    for key, tier in pairs(Impound.Config.tiers) do
+        table.insert(tiers, {
+            key = key,
+            label = tier.label,
+            fee = tier.fee,
+            allowed = (Permissions.CanImpound(source, key)),
+        })
+    end
+
+    table.sort(violations, function(a, b) return a.fine < b.fine end)
+    table.sort(tiers, function(a, b) return a.fee < b.fee end)
+
+    return {
+        officer = {
+            jobName = info.jobName,
+            gradeName = info.gradeName,
+            onDuty = info.onDuty,
+        },
+        permissions = {
+            lookup = info.permissions.viewTicketHistory.allowed,
+            issueTicket = info.permissions.issueTicket.allowed,
+        },
+        violations = violations,
+        tiers = tiers,
+        maxUnpaidTickets = Violations.Config.maxUnpaidTickets,
+    }
+end
+
+---Look up a plate for an officer
+---@param source number
+---@param plate string
+---@return table|nil record { plate, registered, parked, meter, tickets, impound, impoundHistory }
+---@return string|nil error
+function Dashboard.LookupPlate(source, plate)
+    local allowed, reason = Permissions.Check(source, 'viewTicketHistory')
+    if not allowed then
+        return nil, reason
+    end
+
+    if type(plate) ~= 'string' or Utils.IsEmpty(plate) then
+        return nil, L('lookup_plate_required')
+    end
+
+    plate = Utils.FormatPlate(plate)
+
+    local citizenid = Violations.GetPlateOwner(plate)
+    local parked = State.GetParkedVehicle(plate)
+    local meter = State.GetActiveMeter(plate)
+
+    local history = {}
+    for _, entry in ipairs(DB.GetPlateAuditLog(plate, IMPOUND_HISTORY_ACTIONS, 10)) do
+        local tier = entry.details.reason and Impound.Config.tiers[entry.details.reason]
+
+        table.insert(history, {
+            action = entry.action,
+            reason = tier and tier.label or nil,
+            fee = entry.details.fee,
+            officer = entry.details.officer or entry.details.admin,
+            notes = entry.details.notes,
+            createdAt = entry.createdAt,
+        })
+    end
+
+    return {
+        plate = plate,
+        registered = citizenid ~= nil,
+        parked = parked and {
+            street = parked.street,
+            parkedAt = parked.parkedAt,
+            owner = parked.fullname,
+        } or nil,
+        meter = meter and {
+            expiresAt = meter.expiresAt,
+            remaining = meter.expiresAt - os.time(),
+        } or nil,
+        tickets = {
+            unpaid = citizenid and Violations.CountUnpaidTickets(citizenid) or 0,
+            max = Violations.Config.maxUnpaidTickets,
+        },
+        impound = Impound.GetDetails(plate),
+        impoundHistory = history,
+    }
+end
+
+-- ============================================
+-- CALLBACKS
+-- ============================================
+
+Bridge.CreateCallback('dps-parking:dashboard:getData', function(source, cb)
+    local data = Dashboard.GetData(source)
+    if not data then
+        cb(Result(false, L('error')))
+        return
+    end
+    cb(Result(true, nil, data))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:getVehicleDetails', function(source, cb, plate)
+    local citizenid = Bridge.GetCitizenId(source)
+    local details, detailsError = citizenid and Dashboard.GetVehicleDetails(citizenid, plate)
+
+    if not details then
+        cb(Result(false, detailsError))
+        return
+    end
+
+    cb(Result(true, nil, { details = details }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:requestDelivery', function(source, cb, plate, coords, options)
+    local success, message = Delivery.Request(source, plate, coords, options)
+    cb(Result(success, message, { plate = plate }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:cancelDelivery', function(source, cb, deliveryId)
+    local success, message = Delivery.Cancel(source, deliveryId)
+    cb(Result(success, message, { deliveryId = deliveryId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:scheduleDelivery', function(source, cb, plate, coords, options, scheduledAt, recurrence)
+    local success, message = Delivery.Schedule(source, plate, coords, options, scheduledAt, recurrence)
+    cb(Result(success, message, { plate = plate }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:cancelScheduledDelivery', function(source, cb, bookingId)
+    local success, message = Delivery.CancelScheduled(source, bookingId)
+    cb(Result(success, message, { bookingId = bookingId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:getDeliveryQuote', function(source, cb, plate, coords, options)
+    options = options or {}
+
+    local quote, quoteError = Delivery.Quote(source, plate, coords, options)
+    if not quote then
+        cb(Result(false, quoteError))
+        return
+    end
+
+    -- Price each option card with the same driver choice
+    local standard = Delivery.Quote(source, plate, coords, { rush = false, withDriver = options.withDriver })
+    local rush = Delivery.Quote(source, plate, coords, { rush = true, withDriver = options.withDriver })
+
+    cb(Result(true, nil, {
+        quote = quote,
+        prices = {
+            standard = standard and standard.total or quote.total,
+            rush = rush and rush.rush and rush.total or nil,
+        },
+    }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:payMeter', function(source, cb, plate, minutes, cost)
+    local citizenid = Bridge.GetCitizenId(source)
+    local parked = State.GetParkedVehicle(plate)
+
+    if not parked or parked.citizenid ~= citizenid then
+        cb(Result(false, L('not_owner')))
+        return
+    end
+
+    -- Players pay the price they were shown, never an unquoted one
+    if not tonumber(cost) then
+        cb(Result(false, L('meter_quote_required')))
+        return
+    end
+
+    local success, message = Meters.Pay(source, plate, tonumber(minutes) or Config.Meters.minimumMinutes, false, tonumber(cost))
+    cb(Result(success, message, { plate = plate }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:setMeterSettings', function(source, cb, changes)
+    local citizenid = Bridge.GetCitizenId(source)
+    if not citizenid then
+        cb(Result(false, L('error')))
+        return
+    end
+
+    local success, message = Meters.UpdateSettings(citizenid, changes)
+    cb(Result(success, message, Meters.GetSettings(citizenid)))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:payTicket', function(source, cb, ticketId)
+    local success, message = Violations.PayTicket(source, ticketId)
+    cb(Result(success, message, { ticketId = ticketId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:contestTicket', function(source, cb, ticketId, reason)
+    local success, message = Violations.ContestTicket(source, ticketId, reason)
+    cb(Result(success, message, { ticketId = ticketId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:payAllTickets', function(source, cb, ticketIds)
+    local success, message, details = Dashboard.PayTickets(source, ticketIds)
+    cb(Result(success, message, details))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:getBulkQuote', function(source, cb, action, plates, params)
+    local quote, quoteError = Dashboard.GetBulkQuote(source, action, plates, params)
+    if not quote then
+        cb(Result(false, quoteError))
+        return
+    end
+    cb(Result(true, nil, quote))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:bulkExtendMeters', function(source, cb, plates, minutes, costs)
+    local success, message, details = Dashboard.ExtendMeters(source, plates, minutes, costs)
+    cb(Result(success, message, details))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:bulkRequestDelivery', function(source, cb, plates, coords, options)
+    local success, message, details = Dashboard.RequestDeliveries(source, plates, coords, options)
+    cb(Result(success, message, details))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:bulkSetAutoRenew', function(source, cb, plates, enabled)
+    local success, message, details = Dashboard.SetAutoRenew(source, plates, enabled)
+    cb(Result(success, message, details))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:retrieveImpound', function(source, cb, plate)
+    local success, message = Impound.RetrieveVehicle(source, plate)
+
+    if success then
+        -- Same retrieval flow as the impound lot NPC
+        TriggerClientEvent('dps-parking:client:spawnFromImpound', source, { plate = plate })
+    end
+
+    cb(Result(success, message, { plate = plate }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:valetPark', function(source, cb, locationId, vehicleNetId, tipLevel)
+    local success, message = Valet.ParkVehicle(source, locationId, vehicleNetId, tipLevel)
+    cb(Result(success, message, { locationId = locationId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:valetRetrieve', function(source, cb, plate, tipLevel)
+    local success, message = Valet.RetrieveVehicle(source, plate, tipLevel)
+    cb(Result(success, message, { plate = plate }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:rentSpot', function(source, cb, spotId, hours)
+    local success, message = Reserved.RentSpot(source, spotId, hours)
+    local spot = Reserved._spots[spotId]
+    cb(Result(success, message, { spotId = spotId, coords = spot and spot.coords }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:renewRental', function(source, cb, spotId, hours)
+    local success, message = Reserved.RenewRental(source, spotId, hours)
+    cb(Result(success, message, { spotId = spotId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:collectRevenue', function(source, cb, lotId)
+    local success, message = Business.CollectRevenue(source, lotId)
+    cb(Result(success, message, { lotId = lotId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:setLotPrice', function(source, cb, lotId, multiplier)
+    local success, message = Business.SetPriceMultiplier(source, lotId, multiplier)
+    cb(Result(success, message, { lotId = lotId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:hireEmployee', function(source, cb, lotId, targetId)
+    local success, message = Business.HireEmployee(source, lotId, targetId)
+    cb(Result(success, message, { lotId = lotId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:fireEmployee', function(source, cb, lotId, citizenid)
+    local success, message = Business.FireEmployee(source, lotId, citizenid)
+    cb(Result(success, message, { lotId = lotId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:purchaseUpgrade', function(source, cb, lotId, upgrade)
+    local success, message = Business.PurchaseUpgrade(source, lotId, upgrade)
+    cb(Result(success, message, { lotId = lotId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:getEnforcement', function(source, cb)
+    local enforcement = Dashboard.GetEnforcement(source)
+    if not enforcement then
+        cb(Result(false, L('not_authorized')))
+        return
+    end
+    cb(Result(true, nil, enforcement))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:lookupPlate', function(source, cb, plate)
+    local record, lookupError = Dashboard.LookupPlate(source, plate)
+    cb(Result(record ~= nil, lookupError, { record = record }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:issueTicket', function(source, cb, plate, violationType, notes, location)
+    plate = type(plate) == 'string' and Utils.FormatPlate(plate) or plate
+    local success, message = Violations.IssueTicket(source, plate, violationType, location, CleanNotes(notes))
+    cb(Result(success, message, { plate = plate }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:impoundVehicle', function(source, cb, plate, reason, notes)
+    plate = type(plate) == 'string' and Utils.FormatPlate(plate) or plate
+    local success, message = Impound.ImpoundVehicle(source, plate, reason, CleanNotes(notes))
+    cb(Result(success, message, { plate = plate }))
+end)
+
+-- Admin panel; AdminPanel checks the admin on every action
+
+Bridge.CreateCallback('dps-parking:dashboard:getAdmin', function(source, cb)
+    local panel = AdminPanel.Get(source)
+    if not panel then
+        cb(Result(false, L('admin_only')))
+        return
+    end
+    cb(Result(true, nil, panel))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminHealth', function(source, cb)
+    if not Bridge.IsAdmin(source) then
+        cb(Result(false, L('admin_only')))
+        return
+    end
+    cb(Result(true, nil, { health = AdminPanel.GetHealth() }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminSearch', function(source, cb, query)
+    local results, searchError = AdminPanel.Search(source, query)
+    cb(Result(results ~= nil, searchError, results))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminGetPlayer', function(source, cb, citizenid)
+    local record, playerError = AdminPanel.GetPlayer(source, citizenid)
+    cb(Result(record ~= nil, playerError, { record = record }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminGrantVip', function(source, cb, citizenid, tier, slots, days)
+    local success, message = AdminPanel.GrantVip(source, citizenid, tier, slots, days)
+    cb(Result(success, message, { citizenid = citizenid }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminRevokeVip', function(source, cb, citizenid)
+    local success, message = AdminPanel.RevokeVip(source, citizenid)
+    cb(Result(success, message, { citizenid = citizenid }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminUnpark', function(source, cb, plate)
+    local success, message = AdminPanel.ForceUnpark(source, plate)
+    cb(Result(success, message, { plate = plate }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminDeleteParked', function(source, cb, plate, confirmation)
+    local success, message = AdminPanel.DeleteParked(source, plate, confirmation)
+    cb(Result(success, message, { plate = plate }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminReleaseImpound', function(source, cb, plate)
+    local success, message = AdminPanel.ReleaseImpound(source, plate)
+    cb(Result(success, message, { plate = plate }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminDismissTicket', function(source, cb, ticketId, reason)
+    local success, message = AdminPanel.DismissTicket(source, ticketId, reason)
+    cb(Result(success, message, { ticketId = ticketId }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminResetPlayer', function(source, cb, citizenid, confirmation)
+    local success, message = AdminPanel.ResetPlayer(source, citizenid, confirmation)
+    cb(Result(success, message, { citizenid = citizenid }))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminResetAll', function(source, cb, confirmation)
+    local success, message = AdminPanel.ResetAll(source, confirmation)
+    cb(Result(success, message))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminAuditLog', function(source, cb, filters, beforeId)
+    local page, auditError = Audit.Search(source, filters, beforeId)
+    cb(Result(page ~= nil, auditError, page))
+end)
+
+Bridge.CreateCallback('dps-parking:dashboard:adminAuditExport', function(source, cb, filters, format)
+    local export, exportError = Audit.Export(source, filters, format)
+    if not export then
+        cb(Result(false, exportError))
+        return
+    end
+
+    local message = export.file
+        and L('audit_exported', export.count, export.file)
+        or L('audit_exported_panel_only', export.count, Config.Admin.auditExportDir)
+    cb(Result(true, message, export))
+end)
+
+print('^2[DPS-Parking] Dashboard module (server) loaded^0')
+
+return Dashboard
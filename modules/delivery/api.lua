@@ -8,6 +8,10 @@ exports('RequestDelivery', function(source, plate, coords, rush)
     return Delivery.Request(source, plate, coords, rush)
 end)
 
+exports('ScheduleDelivery', function(source, plate, coords, options, scheduledAt, recurrence)
+    return Delivery.Schedule(source, plate, coords, options, scheduledAt, recurrence)
+end)
+
 exports('GetPlayerDeliveries', function(citizenid)
     return State.GetPlayerDeliveries(citizenid)
 end)
@@ -194,6 +194,21 @@ end
 -- REQUEST DELIVERY
 -- ============================================
 
+---Get the label of the lowest VIP tier that includes a perk
+---@param perk string
+---@return string|nil label
+local function GetLowestTierWithPerk(perk)
+    local lowest = nil
+
+    for _, tierData in pairs(Config.VIP.tiers) do
+        if tierData.perks and tierData.perks[perk] and (not lowest or tierData.rank < lowest.rank) then
+            lowest = tierData
+        end
+    end
+
+    return lowest and lowest.label
+end
+
 ---Request delivery for a vehicle
 ---@param plate string
 function RequestDelivery(plate)
@@ -205,6 +220,7 @@ function RequestDelivery(plate)
     local ped = PlayerPedId()
     local coords = GetEntityCoords(ped)
     local heading = GetEntityHeading(ped)
+    local streetHash = GetStreetNameAtCoord(coords.x, coords.y, coords.z)
 
     -- Build input options
     local inputOptions = {
@@ -212,10 +228,13 @@ function RequestDelivery(plate)
     }
 
     -- Check if player might have NPC driver access (we don't know tier client-side)
+    local driverTier = GetLowestTierWithPerk('npcDriver')
     table.insert(inputOptions, {
         type = 'checkbox',
         label = 'NPC Driver',
-        description = 'Have a driver deliver the car (VIP Silver+ only)'
+        description = driverTier
+            and ('Have a driver deliver the car (VIP %s+ only)'):format(driverTier)
+            or 'Have a driver deliver the car'
     })
 
     local input = Bridge.Input('Request Vehicle Delivery', inputOptions)
@@ -230,7 +249,8 @@ function RequestDelivery(plate)
             x = coords.x,
             y = coords.y,
             z = coords.z,
-            h = heading
+            h = heading,
+            street = GetStreetNameFromHashKey(streetHash),
         }, options)
     end
 end
@@ -327,7 +347,7 @@ function ShowActiveDeliveries()
                     -- Option to cancel
                     local confirm = lib.alertDialog({
                         header = 'Cancel Delivery?',
-                        content = 'You will receive a 75% refund.',
+                        content = ('You will receive a %d%% refund.'):format(math.floor((Config.Delivery.cancelRefund or 0.75) * 100)),
                         centered = true,
                         cancel = true
                     })
@@ -8,75 +8,51 @@
     - Full vehicle state restoration
     - Street spawn location (avoids clipping)
     - Optional NPC driver immersion
+    - Tracking timeline and delivery history
+    - Scheduled and recurring bookings, dispatched through Delivery.Request
+    - Fleet requests delivering several vehicles to one spot
 ]]
 
 Delivery = {}
 
 local playerDeliveryCount = {}
+local lastDeliveryAt = {}
 
 -- ============================================
 -- VIP TIER SYSTEM
 -- ============================================
 
--- VIP tiers determine delivery benefits
-Delivery.Tiers = {
-    ['none'] = {
-        enabled = true,
-        maxPerHour = 2,
-        discount = 0,
-        rushAvailable = false,
-        npcDriver = false,
-        priorityMinutes = 0,
-    },
-    ['bronze'] = {
-        enabled = true,
-        maxPerHour = 3,
-        discount = 0.10,  -- 10% off
-        rushAvailable = true,
-        npcDriver = false,
-        priorityMinutes = 1,
-    },
-    ['silver'] = {
-        enabled = true,
-        maxPerHour = 5,
-        discount = 0.20,  -- 20% off
-        rushAvailable = true,
-        npcDriver = true,
-        priorityMinutes = 2,
-    },
-    ['gold'] = {
-        enabled = true,
-        maxPerHour = 10,
-        discount = 0.35,  -- 35% off
-        rushAvailable = true,
-        npcDriver = true,
-        priorityMinutes = 3,
-    },
-    ['platinum'] = {
-        enabled = true,
-        maxPerHour = -1,  -- Unlimited
-        discount = 0.50,  -- 50% off
-        rushAvailable = true,
-        npcDriver = true,
-        priorityMinutes = 5,
-    },
-}
-
----Get player's VIP tier
+---Get player's VIP tier with its delivery benefits
 ---@param citizenid string
 ---@return string tier
----@return table tierData
+---@return table tierData { enabled, maxPerHour, discount, rushAvailable, npcDriver, priorityMinutes }
 function Delivery.GetPlayerTier(citizenid)
-    local vipData = State.GetVipPlayer(citizenid)
+    local tier, vipTier = VIP.GetPlayerTier(citizenid)
+    local delivery = vipTier.delivery or {}
+
+    return tier, {
+        enabled = delivery.enabled ~= false,
+        maxPerHour = delivery.maxPerHour or -1,
+        discount = vipTier.discounts.delivery or 0,
+        rushAvailable = vipTier.perks.rushDelivery == true,
+        npcDriver = vipTier.perks.npcDriver == true,
+        priorityMinutes = delivery.priorityMinutes or 0,
+    }
+end
 
-    if not vipData then
-        return 'none', Delivery.Tiers['none']
-    end
+---Get how long a delivery takes for a player, reduced by VIP priority
+---@param citizenid string
+---@param rush boolean Only counts if the tier includes rush
+---@return number minutes
+function Delivery.GetDeliveryMinutes(citizenid, rush)
+    local _, tierData = Delivery.GetPlayerTier(citizenid)
+    local minutes = rush and tierData.rushAvailable and (Config.Delivery.rushTime or 2) or (Config.Delivery.standardTime or 5)
 
-    local tier = vipData.tier or 'bronze'
-    local tierData = Delivery.Tiers[tier] or Delivery.Tiers['bronze']
+    if tierData.priorityMinutes > 0 then
+        minutes = math.max(1, minutes - tierData.priorityMinutes)
+    end
 
-    return tier, tierData
+    return minutes
 end
 
 -- ============================================
@@ -98,11 +74,15 @@ local spawnOffsets = {
     vector3(-15.0, 0.0, 0.0),
 }
 
+-- Gap between fleet vehicles delivered to the same spot (meters)
+local FLEET_SPACING = 4.0
+
 ---Find a safe street spawn location near coordinates
 ---@param baseCoords vector3
 ---@param heading number
+---@param slot? number Position in a fleet, lined up along the street
 ---@return vector4|nil spawnLocation
-function Delivery.FindStreetSpawn(baseCoords, heading)
+function Delivery.FindStreetSpawn(baseCoords, heading, slot)
     -- Server can't do raycasts, so we calculate offset positions
     -- Client will verify and adjust on spawn
 
@@ -113,103 +93,274 @@ function Delivery.FindStreetSpawn(baseCoords, heading)
     local forwardX = -math.sin(rad) * 12.0
     local forwardY = math.cos(rad) * 12.0
 
+    -- Fleet vehicles park side by side to the right of the first
+    local side = (slot or 0) * FLEET_SPACING
+
     return vector4(
-        baseCoords.x + forwardX,
-        baseCoords.y + forwardY,
+        baseCoords.x + forwardX + math.cos(rad) * side,
+        baseCoords.y + forwardY + math.sin(rad) * side,
         baseCoords.z,
         heading + 180.0  -- Face towards player
     )
 end
 
 -- ============================================
--- DELIVERY OPERATIONS
+-- PRICING
 -- ============================================
 
----Request vehicle delivery
+-- Game units are meters
+local METERS_PER_UNIT = { mi = 1609.34, km = 1000.0 }
+
+---Quote a delivery with the same formula Delivery.Request charges
 ---@param source number
 ---@param plate string
----@param coords table {x, y, z, h}
+---@param coords table {x, y, z, h} Destination
 ---@param options table {rush, withDriver}
----@return boolean success
----@return string message
-function Delivery.Request(source, plate, coords, options)
+---@return table|nil quote { plate, tier, rush, withDriver, minutes, distance, items, total, available }
+---@return string|nil error
+function Delivery.Quote(source, plate, coords, options)
     options = options or {}
 
-    if not Config.Delivery.enabled then
-        return false, 'Delivery service disabled'
-    end
-
     local citizenid = Bridge.GetCitizenId(source)
     if not citizenid then
-        return false, L('error')
+        return nil, L('error')
     end
 
-    -- Get VIP tier
-    local tier, tierData = Delivery.GetPlayerTier(citizenid)
-
-    -- Check if delivery is enabled for this tier
-    if not tierData.enabled then
-        return false, 'Delivery not available for your membership tier'
-    end
-
-    -- Check if vehicle is parked
     local parkedVehicle = State.GetParkedVehicle(plate)
     if not parkedVehicle then
-        return false, L('vehicle_not_parked')
+        return nil, L('vehicle_not_parked')
     end
 
-    -- Check ownership
     if parkedVehicle.citizenid ~= citizenid then
-        return false, L('not_owner')
+        return nil, L('not_owner')
     end
 
-    -- Check hourly limits (VIP tier based)
-    local hourKey = citizenid .. '_' .. os.date('%Y%m%d%H')
-    playerDeliveryCount[hourKey] = playerDeliveryCount[hourKey] or 0
+    local tier, tierData = Delivery.GetPlayerTier(citizenid)
 
-    local maxPerHour = tierData.maxPerHour
-    if maxPerHour > 0 and playerDeliveryCount[hourKey] >= maxPerHour then
-        return false, L('delivery_max_reached')
-    end
+    -- Options the tier does not include are downgraded, not refused
+    local rush = options.rush == true and tierData.rushAvailable
+    local withDriver = options.withDriver == true and tierData.npcDriver
 
-    -- Check rush availability
-    local rush = options.rush or false
-    if rush and not tierData.rushAvailable then
-        rush = false  -- Downgrade to standard if rush not available for tier
-    end
+    local items = {}
+    local total = 0
 
-    -- Check NPC driver availability
-    local withDriver = options.withDriver or false
-    if withDriver and not tierData.npcDriver then
-        withDriver = false  -- Not available for this tier
+    local function AddItem(key, label, amount)
+        table.insert(items, { key = key, label = label, amount = amount })
+        total = total + amount
     end
 
-    -- Calculate cost
-    local baseCost = Config.Delivery.baseCost or 500
-    local deliveryTime = Config.Delivery.standardTime or 5  -- minutes
+    -- Base fee
+    AddItem('base', L('delivery_item_base'), Config.Delivery.baseCost or 500)
 
+    -- Distance from the parked vehicle to the destination, in the configured unit
+    local unit = METERS_PER_UNIT[Config.Delivery.distanceUnit] and Config.Delivery.distanceUnit or 'mi'
+    local distance = 0
+    if parkedVehicle.location and coords then
+        local from = vector3(parkedVehicle.location.x, parkedVehicle.location.y, parkedVehicle.location.z)
+        local to = vector3(coords.x, coords.y, coords.z)
+        distance = Utils.Distance(from, to) / METERS_PER_UNIT[unit]
+    end
+    AddItem('distance', L('delivery_item_distance', distance, L('distance_unit_' .. unit)),
+        math.ceil(distance * (Config.Delivery.perMileCost or 0)))
+
+    -- Rush surcharge on base + distance
     if rush then
-        baseCost = math.ceil(baseCost * (Config.Delivery.rushMultiplier or 2.0))
-        deliveryTime = Config.Delivery.rushTime or 2
+        AddItem('rush', L('delivery_item_rush'), math.ceil(total * ((Config.Delivery.rushMultiplier or 2.0) - 1)))
     end
 
-    -- Apply VIP discount
+    -- NPC driver surcharge
+    if withDriver and (Config.Delivery.driverCost or 0) > 0 then
+        AddItem('driver', L('delivery_item_driver'), Config.Delivery.driverCost)
+    end
+
+    -- VIP tier discount
     if tierData.discount > 0 then
-        baseCost = math.ceil(baseCost * (1 - tierData.discount))
+        local discount = math.floor(total * tierData.discount)
+        AddItem('vip', L('delivery_item_vip', math.floor(tierData.discount * 100)), -discount)
     end
 
-    -- Apply job discounts
+    -- Job discount
     local playerJob = Bridge.GetPlayerJob(source)
-    if playerJob and Config.Delivery.discounts and Config.Delivery.discounts[playerJob] then
-        local jobDiscount = Config.Delivery.discounts[playerJob]
-        baseCost = math.ceil(baseCost * (1 - jobDiscount))
+    local jobDiscount = playerJob and Config.Delivery.discounts and Config.Delivery.discounts[playerJob]
+    if jobDiscount and jobDiscount > 0 then
+        local discount = math.floor(total * jobDiscount)
+        AddItem('job', L('delivery_item_job', math.floor(jobDiscount * 100)), -discount)
     end
 
-    -- Apply VIP priority time reduction
-    if tierData.priorityMinutes > 0 then
-        deliveryTime = math.max(1, deliveryTime - tierData.priorityMinutes)
+    -- Delivery time, reduced by VIP priority
+    local minutes = Delivery.GetDeliveryMinutes(citizenid, rush)
+
+    return {
+        plate = plate,
+        tier = tier,
+        rush = rush,
+        withDriver = withDriver,
+        minutes = minutes,
+        distance = distance,
+        items = items,
+        total = math.max(0, total),
+        available = {
+            rush = tierData.rushAvailable,
+            driver = tierData.npcDriver,
+        },
+    }
+end
+
+-- ============================================
+-- TRACKING
+-- ============================================
+
+---Get when a delivery reaches each tracking stage
+---@param delivery table Delivery state
+---@return table timeline { dispatched, enRoute, arriving } Seconds after the request
+function Delivery.GetTimeline(delivery)
+    local duration = delivery.arrivalTime - delivery.requestedAt
+
+    -- Short rush deliveries squeeze the earlier stages
+    local arriving = math.max(0, duration - (Config.Delivery.cancelCutoff or 30))
+    local dispatched = math.min(Config.Delivery.dispatchDelay or 15, arriving)
+    local enRoute = math.min(dispatched + (Config.Delivery.pickupTime or 15), arriving)
+
+    return {
+        dispatched = dispatched,
+        enRoute = enRoute,
+        arriving = arriving,
+    }
+end
+
+---Get the refund for cancelling a delivery now
+---@param delivery table Delivery state
+---@return number|nil refund nil once it is too late to cancel
+function Delivery.GetCancelRefund(delivery)
+    if delivery.arrivalTime - os.time() < (Config.Delivery.cancelCutoff or 30) then
+        return nil
     end
 
+    return math.floor(delivery.cost * (Config.Delivery.cancelRefund or 0.75))
+end
+
+---Get a player's finished deliveries
+---@param citizenid string
+---@param limit? number
+---@return table history
+function Delivery.GetHistory(citizenid, limit)
+    return DB.GetDeliveryHistory(citizenid, limit or 20)
+end
+
+---Close a delivery's record and publish it for the owner's history
+---@param deliveryId string
+---@param delivery table Delivery state
+---@param status string 'completed', 'cancelled' or 'failed'
+---@param refund number
+local function FinishDelivery(deliveryId, delivery, status, refund)
+    DB.FinishDelivery(deliveryId, status, refund)
+
+    EventBus.Publish('delivery:finished', {
+        deliveryId = deliveryId,
+        citizenid = delivery.citizenid,
+        entry = {
+            id = deliveryId,
+            plate = delivery.plate,
+            from = delivery.pickup,
+            to = delivery.dropoff,
+            fee = delivery.cost or 0,
+            refund = refund,
+            status = status,
+            createdAt = delivery.requestedAt or delivery.createdAt,
+            completedAt = os.time(),
+        },
+    })
+end
+
+-- ============================================
+-- DELIVERY OPERATIONS
+-- ============================================
+
+---Get the key a player's deliveries are counted under this hour
+---@param citizenid string
+---@return string
+local function GetHourKey(citizenid)
+    return citizenid .. '_' .. os.date('%Y%m%d%H')
+end
+
+---Get how many more vehicles a player can have delivered this hour
+---@param citizenid string
+---@return number|nil remaining nil when the tier has no hourly limit
+function Delivery.GetHourlyAllowance(citizenid)
+    local _, tierData = Delivery.GetPlayerTier(citizenid)
+    if tierData.maxPerHour <= 0 then
+        return nil
+    end
+
+    return math.max(0, tierData.maxPerHour - (playerDeliveryCount[GetHourKey(citizenid)] or 0))
+end
+
+---Check the player's tier, hourly limit and cooldown
+---@param citizenid string
+---@return string|nil error
+local function GetRequestError(citizenid)
+    local _, tierData = Delivery.GetPlayerTier(citizenid)
+
+    -- Check if delivery is enabled for this tier
+    if not tierData.enabled then
+        return 'Delivery not available for your membership tier'
+    end
+
+    -- Check hourly limits (VIP tier based)
+    if Delivery.GetHourlyAllowance(citizenid) == 0 then
+        return L('delivery_max_reached')
+    end
+
+    -- Check cooldown between deliveries
+    local cooldown = (Config.Delivery.cooldownMinutes or 0) * 60
+    local sinceLast = os.time() - (lastDeliveryAt[citizenid] or 0)
+    if sinceLast < cooldown then
+        return L('delivery_cooldown', ('%d min'):format(math.ceil((cooldown - sinceLast) / 60)))
+    end
+
+    return nil
+end
+
+---Count a delivered vehicle toward the player's hourly limit and cooldown
+---@param citizenid string
+local function RecordRequest(citizenid)
+    local hourKey = GetHourKey(citizenid)
+    playerDeliveryCount[hourKey] = (playerDeliveryCount[hourKey] or 0) + 1
+    lastDeliveryAt[citizenid] = os.time()
+end
+
+---Charge for and dispatch one vehicle
+---@param source number
+---@param citizenid string
+---@param plate string
+---@param coords table {x, y, z, h}
+---@param options table {rush, withDriver}
+---@param slot? number Position in a fleet
+---@return boolean success
+---@return string message
+local function Dispatch(source, citizenid, plate, coords, options, slot)
+    -- Check if vehicle is parked
+    local parkedVehicle = State.GetParkedVehicle(plate)
+    if not parkedVehicle then
+        return false, L('vehicle_not_parked')
+    end
+
+    -- Check ownership
+    if parkedVehicle.citizenid ~= citizenid then
+        return false, L('not_owner')
+    end
+
+    -- Calculate cost (rush/driver are downgraded if the tier lacks them)
+    local quote, quoteError = Delivery.Quote(source, plate, coords, options)
+    if not quote then
+        return false, quoteError
+    end
+
+    local rush = quote.rush
+    local withDriver = quote.withDriver
+    local baseCost = quote.total
+    local deliveryTime = quote.minutes
+
     -- Charge player
     local paid = false
     if Bridge.GetMoney(source, 'bank') >= baseCost then
@@ -224,7 +375,17 @@ function Delivery.Request(source, plate, coords, options)
 
     -- Find street spawn location
     local baseCoords = vector3(coords.x, coords.y, coords.z)
-    local spawnLocation = Delivery.FindStreetSpawn(baseCoords, coords.h or 0.0)
+    local spawnLocation = Delivery.FindStreetSpawn(baseCoords, coords.h or 0.0, slot)
+
+    -- Addresses for tracking and history
+    local from = parkedVehicle.location or coords
+    local pickup = { x = from.x, y = from.y, z = from.z, street = parkedVehicle.street }
+    local dropoff = {
+        x = spawnLocation.x,
+        y = spawnLocation.y,
+        z = spawnLocation.z,
+        street = type(coords.street) == 'string' and coords.street or nil,
+    }
 
     -- Create delivery record
     local deliveryId = citizenid .. '_' .. plate .. '_' .. os.time()
@@ -237,22 +398,23 @@ function Delivery.Request(source, plate, coords, options)
         vehicleData = parkedVehicle,  -- Store full vehicle state
         destination = spawnLocation,
         playerCoords = coords,
+        pickup = pickup,
+        dropoff = dropoff,
         requestedAt = os.time(),
         arrivalTime = arrivalTime,
         rush = rush,
         withDriver = withDriver,
         cost = baseCost,
-        tier = tier,
+        tier = quote.tier,
     })
-
-    playerDeliveryCount[hourKey] = playerDeliveryCount[hourKey] + 1
+    DB.CreateDelivery(deliveryId, citizenid, plate, pickup, dropoff, baseCost)
 
     -- Publish delivery requested event
     EventBus.Publish('delivery:requested', {
         deliveryId = deliveryId,
         citizenid = citizenid,
         plate = plate,
-        tier = tier,
+        tier = quote.tier,
         rush = rush,
         withDriver = withDriver,
     })
@@ -271,6 +433,81 @@ function Delivery.Request(source, plate, coords, options)
     )
 end
 
+---Request vehicle delivery
+---@param source number
+---@param plate string
+---@param coords table {x, y, z, h}
+---@param options table {rush, withDriver}
+---@return boolean success
+---@return string message
+function Delivery.Request(source, plate, coords, options)
+    if not Config.Delivery.enabled then
+        return false, 'Delivery service disabled'
+    end
+
+    local citizenid = Bridge.GetCitizenId(source)
+    if not citizenid then
+        return false, L('error')
+    end
+
+    local limitError = GetRequestError(citizenid)
+    if limitError then
+        return false, limitError
+    end
+
+    local success, message = Dispatch(source, citizenid, plate, coords, options or {})
+    if success then
+        RecordRequest(citizenid)
+    end
+
+    return success, message
+end
+
+---Deliver several vehicles to the same spot, lined up side by side
+---Each vehicle counts toward the hourly limit; vehicles past it fail. The
+---cooldown is checked once for the whole fleet. Each vehicle is charged and
+---dispatched on its own, so one failure does not hold back the rest.
+---@param source number
+---@param plates table
+---@param coords table {x, y, z, h}
+---@param options table {rush, withDriver}
+---@return boolean success
+---@return string message
+---@return table details { delivered, failed }
+function Delivery.RequestFleet(source, plates, coords, options)
+    local details = { delivered = {}, failed = {} }
+
+    if not Config.Delivery.enabled then
+        return false, 'Delivery service disabled', details
+    end
+
+    local citizenid = Bridge.GetCitizenId(source)
+    if not citizenid then
+        return false, L('error'), details
+    end
+
+    local limitError = GetRequestError(citizenid)
+    if limitError then
+        return false, limitError, details
+    end
+
+    for _, plate in ipairs(plates) do
+        local success, message = false, L('delivery_max_reached')
+        if Delivery.GetHourlyAllowance(citizenid) ~= 0 then
+            success, message = Dispatch(source, citizenid, plate, coords, options or {}, #details.delivered)
+        end
+
+        if success then
+            RecordRequest(citizenid)
+            table.insert(details.delivered, plate)
+        else
+            table.insert(details.failed, { plate = plate, error = message })
+        end
+    end
+
+    return true, L('bulk_deliveries_requested', #details.delivered, #plates), details
+end
+
 ---Complete a delivery (spawn vehicle with full state)
 ---@param deliveryId string
 function Delivery.Complete(deliveryId)
@@ -280,17 +517,13 @@ function Delivery.Complete(deliveryId)
     local vehicleData = delivery.vehicleData
     if not vehicleData then
         Utils.Debug('Delivery.Complete: No vehicle data for ' .. deliveryId)
+        FinishDelivery(deliveryId, delivery, 'cancelled', 0)
         State.RemoveDelivery(deliveryId)
         return
     end
 
     -- Check if player is online
-    local player = Bridge.GetPlayerByCitizenId(delivery.citizenid)
-    local playerSource = nil
-
-    if player then
-        playerSource = Bridge.IsESX() and player.source or player.PlayerData.source
-    end
+    local playerSource = Bridge.GetSourceByCitizenId(delivery.citizenid)
 
     -- Execute with hooks (allows extensions to modify delivery)
     local shouldContinue, hookData = EventBus.ExecutePreHooks('delivery:complete', {
@@ -318,6 +551,7 @@ function Delivery.Complete(deliveryId)
     local model = vehicleData.model or vehicleData.vehicle
     if not model then
         Utils.Debug('Delivery.Complete: No model for ' .. delivery.plate)
+        FinishDelivery(deliveryId, delivery, 'cancelled', 0)
         State.RemoveDelivery(deliveryId)
         return
     end
@@ -342,6 +576,7 @@ function Delivery.Complete(deliveryId)
             Bridge.AddMoney(playerSource, 'bank', delivery.cost, 'Delivery failed - refund')
             Bridge.Notify(playerSource, 'Delivery failed - you have been refunded', 'error')
         end
+        FinishDelivery(deliveryId, delivery, 'cancelled', playerSource and delivery.cost or 0)
         State.RemoveDelivery(deliveryId)
         return
     end
@@ -389,6 +624,7 @@ function Delivery.Complete(deliveryId)
         })
     end
 
+    FinishDelivery(deliveryId, delivery, 'completed', 0)
     State.RemoveDelivery(deliveryId)
 
     Utils.Debug(('Delivery completed: %s -> %s'):format(delivery.plate, delivery.citizenid))
@@ -411,16 +647,15 @@ function Delivery.Cancel(source, deliveryId)
         return false, 'Not your delivery'
     end
 
-    -- Check if already in progress (last 30 seconds)
-    local timeUntilArrival = delivery.arrivalTime - os.time()
-    if timeUntilArrival < 30 then
+    -- Partial refund, unless the driver is already arriving
+    local refund = Delivery.GetCancelRefund(delivery)
+    if not refund then
         return false, 'Delivery is arriving - too late to cancel'
     end
 
-    -- Partial refund (75%)
-    local refund = math.floor(delivery.cost * 0.75)
     Bridge.AddMoney(source, 'bank', refund, 'Delivery cancelled - partial refund')
 
+    FinishDelivery(deliveryId, delivery, 'cancelled', refund)
     State.RemoveDelivery(deliveryId)
 
     EventBus.Publish('delivery:cancelled', {
@@ -456,6 +691,254 @@ function Delivery.GetActive(source)
     return result
 end
 
+-- ============================================
+-- SCHEDULED DELIVERIES
+-- ============================================
+
+-- How often due bookings are dispatched (ms)
+local SCHEDULE_INTERVAL = 15000
+
+-- Days between arrivals of a recurring booking
+local RECURRENCE_DAYS = { daily = 1, weekly = 7 }
+
+---Get the arrival after this one for a recurring booking
+---@param scheduledAt number Unix time
+---@param recurrence string 'daily' or 'weekly'
+---@return number scheduledAt
+local function NextOccurrence(scheduledAt, recurrence)
+    local date = os.date('*t', scheduledAt)
+    date.day = date.day + RECURRENCE_DAYS[recurrence]
+
+    -- Keep the same wall-clock time across daylight saving changes
+    date.isdst = nil
+
+    return os.time(date)
+end
+
+---Get when a booking must be dispatched to arrive on time
+---@param booking table
+---@return number dispatchAt Unix time
+local function GetDispatchTime(booking)
+    return booking.scheduledAt - Delivery.GetDeliveryMinutes(booking.citizenid, booking.rush) * 60
+end
+
+---Book a delivery for a later time, optionally repeating
+---Nothing is charged until the booking is dispatched
+---@param source number
+---@param plate string
+---@param coords table {x, y, z, h, street} Drop-off
+---@param options table {rush, withDriver}
+---@param scheduledAt number Unix time the vehicle should arrive
+---@param recurrence string 'once', 'daily' or 'weekly'
+---@return boolean success
+---@return string message
+function Delivery.Schedule(source, plate, coords, options, scheduledAt, recurrence)
+    options = options or {}
+
+    local settings = Config.Delivery.scheduling
+    if not Config.Delivery.enabled or not settings or not settings.enabled then
+        return false, L('delivery_schedule_disabled')
+    end
+
+    local citizenid = Bridge.GetCitizenId(source)
+    if not citizenid or type(coords) ~= 'table' then
+        return false, L('error')
+    end
+
+    local _, tierData = Delivery.GetPlayerTier(citizenid)
+    if not tierData.enabled then
+        return false, 'Delivery not available for your membership tier'
+    end
+
+    local parkedVehicle = State.GetParkedVehicle(plate)
+    if not parkedVehicle then
+        return false, L('vehicle_not_parked')
+    end
+
+    if parkedVehicle.citizenid ~= citizenid then
+        return false, L('not_owner')
+    end
+
+    if recurrence ~= 'once' and not RECURRENCE_DAYS[recurrence] then
+        return false, L('error')
+    end
+
+    local now = os.time()
+    scheduledAt = math.floor(tonumber(scheduledAt) or 0)
+
+    if scheduledAt < now + (settings.minMinutesAhead or 10) * 60 then
+        return false, L('delivery_schedule_too_soon', settings.minMinutesAhead or 10)
+    end
+
+    if scheduledAt > now + (settings.maxDaysAhead or 14) * 86400 then
+        return false, L('delivery_schedule_too_far', settings.maxDaysAhead or 14)
+    end
+
+    local count = 0
+    for _ in pairs(State.GetPlayerScheduledDeliveries(citizenid)) do
+        count = count + 1
+    end
+
+    if count >= (settings.maxBookings or 5) then
+        return false, L('delivery_schedule_limit')
+    end
+
+    local location = parkedVehicle.location or coords
+    local booking = {
+        id = 'sched_' .. citizenid .. '_' .. plate .. '_' .. now,
+        citizenid = citizenid,
+        plate = plate,
+        pickup = { x = location.x, y = location.y, z = location.z, street = parkedVehicle.street },
+        dropoff = {
+            x = coords.x,
+            y = coords.y,
+            z = coords.z,
+            h = coords.h,
+            street = type(coords.street) == 'string' and coords.street or nil,
+        },
+        scheduledAt = scheduledAt,
+        recurrence = recurrence,
+        rush = options.rush == true and tierData.rushAvailable,
+        withDriver = options.withDriver == true and tierData.npcDriver,
+        createdAt = now,
+    }
+
+    State.SetScheduledDelivery(booking.id, booking)
+    DB.CreateScheduledDelivery(booking)
+
+    EventBus.Publish('delivery:scheduled', {
+        bookingId = booking.id,
+        citizenid = citizenid,
+        plate = plate,
+        scheduledAt = scheduledAt,
+        recurrence = recurrence,
+    })
+
+    return true, L('delivery_scheduled', plate)
+end
+
+---Cancel a scheduled booking (nothing was charged yet)
+---@param source number
+---@param bookingId string
+---@return boolean success
+---@return string message
+function Delivery.CancelScheduled(source, bookingId)
+    local citizenid = Bridge.GetCitizenId(source)
+    local booking = State.GetScheduledDelivery(bookingId)
+
+    if not booking then
+        return false, 'Delivery not found'
+    end
+
+    if booking.citizenid ~= citizenid then
+        return false, 'Not your delivery'
+    end
+
+    State.RemoveScheduledDelivery(bookingId)
+    DB.RemoveScheduledDelivery(bookingId)
+
+    return true, L('delivery_schedule_cancelled')
+end
+
+---Get a player's scheduled bookings
+---@param citizenid string
+---@return table bookings
+function Delivery.GetScheduled(citizenid)
+    return State.GetPlayerScheduledDeliveries(citizenid)
+end
+
+---Dispatch a due booking through Delivery.Request, which charges and applies cooldowns
+---One-off bookings are retired, recurring ones move to their next arrival
+---@param booking table
+local function DispatchScheduled(booking)
+    local playerSource = Bridge.GetSourceByCitizenId(booking.citizenid)
+    local success, message
+
+    if os.time() > booking.scheduledAt then
+        success, message = false, L('delivery_schedule_missed')
+    elseif not playerSource then
+        success, message = false, 'Owner offline'
+    else
+        success, message = Delivery.Request(playerSource, booking.plate, booking.dropoff, {
+            rush = booking.rush,
+            withDriver = booking.withDriver,
+        })
+    end
+
+    if playerSource then
+        Bridge.Notify(
+            playerSource,
+            L(success and 'delivery_schedule_dispatched' or 'delivery_schedule_failed', booking.plate, message),
+            success and 'success' or 'error'
+        )
+    end
+
+    if not success and DB and DB.AuditLog then
+        DB.AuditLog('delivery_schedule_failed', booking.citizenid, booking.plate, {
+            bookingId = booking.id,
+            reason = message,
+        })
+    end
+
+    if booking.recurrence == 'once' then
+        if success then
+            DB.RemoveScheduledDelivery(booking.id)
+        else
+            FinishDelivery(booking.id, booking, 'failed', 0)
+        end
+
+        State.RemoveScheduledDelivery(booking.id)
+        return
+    end
+
+    -- Skip arrivals that can no longer be met
+    local nextAt = NextOccurrence(booking.scheduledAt, booking.recurrence)
+    while nextAt - Delivery.GetDeliveryMinutes(booking.citizenid, booking.rush) * 60 <= os.time() do
+        nextAt = NextOccurrence(nextAt, booking.recurrence)
+    end
+
+    booking.scheduledAt = nextAt
+    DB.RescheduleDelivery(booking.id, nextAt)
+    State.SetScheduledDelivery(booking.id, booking)
+end
+
+---Load scheduled bookings from the database
+function Delivery.InitializeSchedule()
+    local bookings = DB.GetScheduledDeliveries()
+
+    for _, booking in ipairs(bookings) do
+        State.SetScheduledDelivery(booking.id, booking)
+    end
+
+    print(('[DPS-Parking] Delivery: Loaded %d scheduled bookings'):format(#bookings))
+end
+
+CreateThread(function()
+    Wait(1000)
+    Delivery.InitializeSchedule()
+
+    while true do
+        Wait(SCHEDULE_INTERVAL)
+
+        -- Collect first, dispatching yields and may change the bookings
+        local due = {}
+        local now = os.time()
+
+        for _, booking in pairs(State.GetAllScheduledDeliveries()) do
+            if GetDispatchTime(booking) <= now then
+                table.insert(due, booking)
+            end
+        end
+
+        for _, booking in ipairs(due) do
+            -- Skip bookings cancelled while an earlier one was dispatching
+            if State.GetScheduledDelivery(booking.id) == booking then
+                DispatchScheduled(booking)
+            end
+        end
+    end
+end)
+
 -- ============================================
 -- EVENTS
 -- ============================================
@@ -489,6 +972,7 @@ EventBus.Subscribe('parking:unpark', function(data)
 
     for deliveryId, delivery in pairs(State._data.activeDeliveries) do
         if delivery.plate == plate and delivery.citizenid == citizenid then
+            FinishDelivery(deliveryId, delivery, 'cancelled', 0)
             State.RemoveDelivery(deliveryId)
             Utils.Debug(('Cancelled delivery %s - vehicle unparked manually'):format(deliveryId))
         end
@@ -6,7 +6,7 @@
     Client-side impound interactions:
     - Impound lot NPCs
     - Vehicle retrieval UI
-    - Police impound actions
+    - Police impound actions (enforcement tablet)
 ]]
 
 local impoundPeds = {}
@@ -123,7 +123,7 @@ function OpenImpoundMenu(lot)
 
             table.insert(options, {
                 title = v.plate,
-                description = ('%s - Fee: $%d%s'):format(v.reason, v.fee, discountLabel),
+                description = ('%s - Fee: %s%s'):format(v.reason, Utils.FormatMoney(v.fee), discountLabel),
                 icon = 'car',
                 onSelect = function()
                     ConfirmRetrieve(v, lot)
@@ -142,7 +142,7 @@ function ConfirmRetrieve(vehicle, lot)
     if Bridge.Resources.HasOxLib() then
         local confirm = lib.alertDialog({
             header = 'Retrieve ' .. vehicle.plate,
-            content = ('Pay $%d to retrieve your vehicle?\n\nReason: %s'):format(vehicle.fee, vehicle.reason),
+            content = ('Pay %s to retrieve your vehicle?\n\nReason: %s'):format(Utils.FormatMoney(vehicle.fee), vehicle.reason),
             centered = true,
             cancel = true,
         })
@@ -160,55 +160,11 @@ end
 -- POLICE IMPOUND ACTIONS
 -- ============================================
 
----Open police impound menu (for officers)
-function OpenPoliceImpoundMenu()
-    local ped = PlayerPedId()
-    local vehicle = GetVehiclePedIsIn(ped, false)
-
-    if vehicle == 0 then
-        -- Check for nearby vehicle
-        local coords = GetEntityCoords(ped)
-        vehicle = GetClosestVehicle(coords.x, coords.y, coords.z, 5.0, 0, 71)
-    end
-
-    if vehicle == 0 then
-        Bridge.Notify('No vehicle nearby', 'error')
-        return
-    end
-
-    local plate = GetVehicleNumberPlateText(vehicle)
-
-    local reasons = {
-        { value = 'parking', label = 'Illegal Parking - $250' },
-        { value = 'abandoned', label = 'Abandoned Vehicle - $500' },
-        { value = 'traffic', label = 'Traffic Violation - $750' },
-        { value = 'crime', label = 'Criminal Activity - $1,500' },
-        { value = 'police', label = 'Police Seizure - $2,500' },
-    }
-
-    if Bridge.Resources.HasOxLib() then
-        local input = lib.inputDialog('Impound Vehicle: ' .. plate, {
-            { type = 'select', label = 'Reason', options = reasons, required = true },
-            { type = 'textarea', label = 'Notes (optional)', placeholder = 'Additional details...' },
-        })
-
-        if input then
-            TriggerServerEvent('dps-parking:server:impoundVehicle', plate, input[1], input[2])
+-- Impounding lives in the enforcement tablet
 
-            -- Delete vehicle
-            if NetworkHasControlOfEntity(vehicle) then
-                DeleteEntity(vehicle)
-            else
-                NetworkRequestControlOfEntity(vehicle)
-                Wait(100)
-                DeleteEntity(vehicle)
-            end
-        end
-    else
-        -- Simplified without ox_lib
-        TriggerServerEvent('dps-parking:server:impoundVehicle', plate, 'parking', nil)
-        DeleteEntity(vehicle)
-    end
+---Open the enforcement tablet on the impound form
+function OpenPoliceImpoundMenu()
+    Dashboard.OpenEnforcement({ form = 'impound' })
 end
 
 -- ============================================
@@ -295,15 +251,7 @@ end)
 if Config.Impound and Config.Impound.policeKeybind then
     RegisterKeyMapping('impound_vehicle', 'Impound Vehicle', 'keyboard', Config.Impound.policeKeybind)
     RegisterCommand('impound_vehicle', function()
-        local job = Bridge.GetJobName()
-        local authorizedJobs = { 'police', 'sheriff', 'highway', 'sasp', 'bcso' }
-
-        for _, j in ipairs(authorizedJobs) do
-            if job == j then
-                OpenPoliceImpoundMenu()
-                return
-            end
-        end
+        OpenPoliceImpoundMenu()
     end, false)
 end
 
@@ -104,15 +104,69 @@ function Impound.ImpoundVehicle(source, plate, reason, notes)
     return true, ('Vehicle %s impounded for: %s'):format(plate, tier.label)
 end
 
+---Itemize the current impound fee
+---@param plate string
+---@return table|nil breakdown { reason, reasonLabel, impoundedAt, daysImpounded, daysCharged, items, subtotal, discountPercent, total }
+function Impound.GetFeeBreakdown(plate)
+    local impoundData = Impound._vehicles[plate]
+    if not impoundData then
+        return nil
+    end
+
+    local daysImpounded = math.floor((os.time() - impoundData.impoundedAt) / 86400)
+    local daysCharged = math.min(daysImpounded, Impound.Config.maxDailyFees)
+
+    local dailyFees = daysCharged * Impound.Config.dailyFeeIncrease
+    local subtotal = impoundData.baseFee + dailyFees
+
+    -- Check insurance discount
+    local total = subtotal
+    local discountPercent = 0
+
+    if Insurance and Insurance.IsAvailable() then
+        total, discountPercent = Insurance.CalculateImpoundDiscount(plate, subtotal)
+    end
+
+    local items = {
+        { key = 'base', label = impoundData.reasonLabel, amount = impoundData.baseFee },
+        {
+            key = 'daily',
+            label = ('Storage (%d/%d days x %s)'):format(daysCharged, Impound.Config.maxDailyFees, Utils.FormatMoney(Impound.Config.dailyFeeIncrease)),
+            amount = dailyFees,
+        },
+    }
+
+    if total < subtotal then
+        table.insert(items, {
+            key = 'insurance',
+            label = ('Insurance discount (%d%%)'):format(discountPercent),
+            amount = total - subtotal,
+        })
+    end
+
+    return {
+        plate = plate,
+        reason = impoundData.reason,
+        reasonLabel = impoundData.reasonLabel,
+        impoundedAt = impoundData.impoundedAt,
+        daysImpounded = daysImpounded,
+        daysCharged = daysCharged,
+        items = items,
+        subtotal = subtotal,
+        discountPercent = discountPercent,
+        total = total,
+    }
+end
+
 ---Calculate current impound fee
 ---@param plate string
 ---@return number fee
 ---@return number discount
 ---@return string reason
 function Impound.CalculateFee(plate)
-    local impoundData = Impound._vehicles[plate]
+    local breakdown = Impound.GetFeeBreakdown(plate)
 
-    if not impoundData then
+    if not breakdown then
         -- Check database
         local state = Garages and Garages.GetVehicleState(plate) or 'unknown'
         if state ~= 'impound' then
@@ -122,22 +176,7 @@ function Impound.CalculateFee(plate)
         return Impound.Config.baseFee, 0, 'Standard impound'
     end
 
-    local baseFee = impoundData.baseFee
-    local daysImpounded = math.floor((os.time() - impoundData.impoundedAt) / 86400)
-    daysImpounded = math.min(daysImpounded, Impound.Config.maxDailyFees)
-
-    local dailyFees = daysImpounded * Impound.Config.dailyFeeIncrease
-    local totalFee = baseFee + dailyFees
-
-    -- Check insurance discount
-    local discountedFee = totalFee
-    local discountPercent = 0
-
-    if Insurance and Insurance.IsAvailable() then
-        discountedFee, discountPercent = Insurance.CalculateImpoundDiscount(plate, totalFee)
-    end
-
-    return discountedFee, discountPercent, impoundData.reasonLabel
+    return breakdown.total, breakdown.discountPercent, breakdown.reasonLabel
 end
 
 ---Retrieve vehicle from impound
@@ -268,6 +307,19 @@ end
 -- ADMIN FUNCTIONS
 -- ============================================
 
+---Release an impounded vehicle without a fee
+---Callers check permissions and write the audit entry.
+---@param plate string
+function Impound.Release(plate)
+    if Garages and Garages.IsAvailable() then
+        Garages.RetrieveFromImpound(plate, 0)
+    else
+        Bridge.DB.SetVehicleOut(plate)
+    end
+
+    Impound._vehicles[plate] = nil
+end
+
 ---Release vehicle without fee (admin)
 ---@param source number
 ---@param plate string
@@ -278,13 +330,7 @@ function Impound.AdminRelease(source, plate)
         return false, 'Not authorized'
     end
 
-    if Garages and Garages.IsAvailable() then
-        Garages.RetrieveFromImpound(plate, 0)
-    else
-        Bridge.DB.SetVehicleOut(plate)
-    end
-
-    Impound._vehicles[plate] = nil
+    Impound.Release(plate)
 
     if DB and DB.AuditLog then
         DB.AuditLog('impound_admin_release', Bridge.GetCitizenId(source), plate, {
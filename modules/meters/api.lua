@@ -16,4 +16,8 @@ exports('GetExpiredMeters', function()
     return State.GetExpiredMeters()
 end)
 
+exports('GetMeterRates', function(plate)
+    return MeterPricing.GetCurve(plate)
+end)
+
 print('^2[DPS-Parking] Meters API loaded^0')
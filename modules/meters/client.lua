@@ -3,40 +3,180 @@
     Original: mh-parking by MaDHouSe79
     Enhanced: DPS Development
 
-    Client-side meter UI and interactions.
+    Client-side meter UI and interactions:
+    - Meter NUI (ui/meters) opened from meter props
+    - Low-time and auto-renew alerts sent by the server
 ]]
 
 local activeMeters = {}
+local meterOpen = false
 
 -- ============================================
--- METER PAYMENT
+-- METER UI
 -- ============================================
 
----Open meter payment dialog
----@param plate string
-function OpenMeterPayment(plate)
+---Get meter status rows for a list of plates
+---@param vehicles table Array of parked vehicle data
+---@return table rows
+local function BuildMeterRows(vehicles)
+    local rows = {}
+
+    for _, vehicle in ipairs(vehicles) do
+        local status = Bridge.Callback('dps-parking:getMeterStatus', vehicle.plate) or { active = false }
+
+        table.insert(rows, {
+            plate = vehicle.plate,
+            street = vehicle.street,
+            status = status,
+        })
+    end
+
+    return rows
+end
+
+---Open the meter NUI for a set of parked vehicles
+---@param vehicles table Array of parked vehicle data
+local function OpenMeterUI(vehicles)
     if not Config.Meters.enabled then
         Bridge.Notify('Meters disabled', 'error')
         return
     end
 
-    local input = Bridge.Input('Pay Parking Meter', {
-        { type = 'number', label = 'Minutes', description = 'How many minutes?', default = 60, min = Config.Meters.minimumMinutes, max = Config.Meters.maximumMinutes }
+    if meterOpen or #vehicles == 0 then return end
+
+    meterOpen = true
+    ClientState.SetUIOpen(true)
+    SetNuiFocus(true, true)
+
+    SendNUIMessage({
+        action = 'openMeter',
+        vehicles = BuildMeterRows(vehicles),
+        config = {
+            minimumMinutes = Config.Meters.minimumMinutes,
+            maximumMinutes = Config.Meters.maximumMinutes,
+            ratePerHour = Config.Meters.ratePerHour,
+            currency = Config.Currency,
+        },
+        locale = Locale.GetUI(),
     })
+end
+
+---Close the meter NUI
+local function CloseMeterUI()
+    meterOpen = false
+    ClientState.SetUIOpen(false)
+    SetNuiFocus(false, false)
+    SendNUIMessage({ action = 'closeMeter' })
+end
+
+---Open meter payment for a specific plate
+---@param plate string
+function OpenMeterPayment(plate)
+    local vehicle = ClientState.GetMyVehicle(plate)
+    if not vehicle then
+        Bridge.Notify(L('vehicle_not_parked'), 'error')
+        return
+    end
 
-    if input and input[1] then
-        local minutes = tonumber(input[1])
-        TriggerServerEvent('dps-parking:server:payMeter', plate, minutes)
+    OpenMeterUI({ vehicle })
+end
+
+---Open the meter NUI for the player's vehicles parked near a meter
+---@param coords vector3 Meter position
+function OpenMeterAt(coords)
+    local nearby = {}
+
+    for plate, vehicle in pairs(ClientState.GetMyVehicles()) do
+        local location = vehicle.location
+        if location and #(coords - vector3(location.x, location.y, location.z)) <= Config.Meters.propRadius then
+            table.insert(nearby, vehicle)
+        end
     end
+
+    if #nearby == 0 then
+        Bridge.Notify(L('no_meter_vehicle'), 'error')
+        return
+    end
+
+    OpenMeterUI(nearby)
 end
 
+-- ============================================
+-- NUI CALLBACKS
+-- ============================================
+
+Dashboard.RegisterAction('meter:getQuote', function(data)
+    return Bridge.Callback('dps-parking:server:getMeterQuote', data.plate, data.minutes)
+end)
+
+Dashboard.RegisterAction('meter:getRates', function(data)
+    return Bridge.Callback('dps-parking:server:getMeterRates', data.plate)
+end)
+
+Dashboard.RegisterAction('meter:getStatus', function(data)
+    local status = Bridge.Callback('dps-parking:getMeterStatus', data.plate)
+    if not status then
+        return { ok = false, error = L('error') }
+    end
+    return { ok = true, data = status }
+end)
+
+Dashboard.RegisterAction('meter:pay', function(data)
+    return Bridge.Callback('dps-parking:dashboard:payMeter', data.plate, data.minutes, data.cost)
+end)
+
+Dashboard.RegisterAction('meter:close', function()
+    CloseMeterUI()
+    return { ok = true }
+end)
+
+-- ============================================
+-- METER PROPS
+-- ============================================
+
+CreateThread(function()
+    if not Config.Meters.enabled or not Config.Meters.propModels then return end
+
+    Bridge.Target.AddModel(Config.Meters.propModels, {
+        {
+            name = 'dps_parking_meter',
+            icon = 'fas fa-parking',
+            label = L('use_meter'),
+            onSelect = function(data)
+                OpenMeterAt(GetEntityCoords(data.entity))
+            end,
+            action = function(entity)
+                OpenMeterAt(GetEntityCoords(entity))
+            end,
+        },
+    })
+end)
+
 -- ============================================
 -- EVENTS
 -- ============================================
 
 RegisterNetEvent('dps-parking:client:meterPaid', function(data)
     activeMeters[data.plate] = data
-    Bridge.Notify(L('meter_paid', Utils.FormatTime((data.expiresAt - os.time()))), 'success')
+
+    -- Auto-renewals are announced by meterAlert
+    if not data.autoRenew then
+        Bridge.Notify(L('meter_paid', Utils.FormatTime((data.expiresAt - os.time()))), 'success')
+    end
+end)
+
+---Show a meter alert as a dashboard toast (or a notification when the
+---dashboard is closed) and on the phone
+RegisterNetEvent('dps-parking:client:meterAlert', function(data)
+    if Dashboard.IsOpen() then
+        SendNUIMessage({ action = 'toast', message = data.message, type = data.type })
+    else
+        Bridge.Notify(data.message, data.type)
+    end
+
+    if Phone then
+        Phone.Notify(L('meter_alert_title'), data.message, data.type)
+    end
 end)
 
 RegisterNetEvent('dps-parking:client:meterExpired', function(data)
@@ -45,26 +185,18 @@ RegisterNetEvent('dps-parking:client:meterExpired', function(data)
 end)
 
 -- ============================================
--- METER EXPIRY WARNING
+-- METER EXPIRY
 -- ============================================
 
+-- Low-time warnings come from the server (meterAlert) so they follow the
+-- player's alert setting; this only drops run-out meters
 CreateThread(function()
     while true do
         local now = os.time()
 
         for plate, data in pairs(activeMeters) do
-            if data.expiresAt then
-                local remaining = data.expiresAt - now
-
-                -- Warn at 5 minutes
-                if remaining > 0 and remaining <= 300 and remaining > 295 then
-                    Bridge.Notify(L('meter_expiring', Utils.FormatTime(remaining)), 'warning')
-                end
-
-                -- Remove expired
-                if remaining <= 0 then
-                    activeMeters[plate] = nil
-                end
+            if data.expiresAt and data.expiresAt <= now then
+                activeMeters[plate] = nil
             end
         end
 
@@ -77,6 +209,7 @@ end)
 -- ============================================
 
 exports('OpenMeterPayment', OpenMeterPayment)
+exports('OpenMeterAt', OpenMeterAt)
 exports('GetActiveMeters', function() return activeMeters end)
 
 print('^2[DPS-Parking] Meters module (client) loaded^0')
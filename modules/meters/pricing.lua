@@ -0,0 +1,227 @@
+--[[
+    DPS-Parking - Meter Pricing (Server)
+    Original: mh-parking by MaDHouSe79
+    Enhanced: DPS Development
+
+    Pricing engine behind Meters.Quote, and so behind every meter charge and
+    every meter price shown in the meter and dashboard UIs:
+    - Hourly rate schedule and free parking hours
+    - Premium zone multipliers
+    - Surge by how full the vehicle's parking lot or premium zone is
+    - The day's rate curve shown to players
+]]
+
+MeterPricing = {}
+
+-- ============================================
+-- LOCATION
+-- ============================================
+
+---Get a premium zone at a position
+---@param coords vector3|nil
+---@return table|nil zone
+function MeterPricing.GetPremiumZone(coords)
+    if not coords then return nil end
+
+    for _, zone in ipairs(Config.Meters.premiumZones) do
+        if Utils.IsInRadius(coords, zone.coords, zone.radius) then
+            return zone
+        end
+    end
+
+    return nil
+end
+
+---Get how full the parking lot or premium zone at a position is
+---Lots are counted with Zones.CountVehiclesInLot, premium zones only when
+---they have a capacity.
+---@param coords vector3|nil
+---@return number|nil occupancy 0-1, nil outside a lot or zone with a capacity
+---@return string|nil name Lot or zone name
+function MeterPricing.GetOccupancy(coords)
+    if not coords then return nil end
+
+    local inLot, lot = Zones.IsInParkingLot(coords)
+    if inLot and lot.capacity then
+        return Zones.CountVehiclesInLot(lot.id) / lot.capacity, lot.name
+    end
+
+    local zone = MeterPricing.GetPremiumZone(coords)
+    if zone and zone.capacity then
+        return Utils.Count(Zones.GetVehiclesInRadius(zone.coords, zone.radius)) / zone.capacity, zone.name
+    end
+
+    return nil
+end
+
+---Get the location multipliers for a parked vehicle
+---@param plate string|nil
+---@return table context { zone, zoneMultiplier, occupancy, occupancyName, surgeMultiplier }
+local function GetLocationContext(plate)
+    local parkedVehicle = plate and State.GetParkedVehicle(plate)
+    local location = parkedVehicle and parkedVehicle.location
+    local coords = location and vector3(location.x, location.y, location.z) or nil
+
+    local zone = MeterPricing.GetPremiumZone(coords)
+    local occupancy, occupancyName = MeterPricing.GetOccupancy(coords)
+
+    return {
+        zone = zone,
+        zoneMultiplier = zone and zone.multiplier or 1.0,
+        occupancy = occupancy,
+        occupancyName = occupancyName,
+        surgeMultiplier = MeterPricing.GetSurgeMultiplier(occupancy),
+    }
+end
+
+-- ============================================
+-- MULTIPLIERS
+-- ============================================
+
+---Is an hour inside a window, windows may wrap past midnight
+---@param hour number
+---@param startHour number
+---@param endHour number
+---@return boolean
+local function IsHourInWindow(hour, startHour, endHour)
+    if startHour <= endHour then
+        return hour >= startHour and hour < endHour
+    end
+
+    return hour >= startHour or hour < endHour
+end
+
+---Is an hour inside the free parking window
+---@param hour number 0-23
+---@return boolean
+function MeterPricing.IsFreeHour(hour)
+    local freeParking = Config.Meters.freeParking
+    return freeParking.enabled and IsHourInWindow(hour, freeParking.startHour, freeParking.endHour) or false
+end
+
+---Get the schedule multiplier for an hour of the day
+---@param hour number 0-23
+---@return number multiplier 0 in free parking hours
+---@return string|nil label Schedule window label
+function MeterPricing.GetHourMultiplier(hour)
+    if MeterPricing.IsFreeHour(hour) then
+        return 0, nil
+    end
+
+    for _, window in ipairs(Config.Meters.pricing.schedule or {}) do
+        if IsHourInWindow(hour, window.startHour, window.endHour) then
+            return window.multiplier, window.label
+        end
+    end
+
+    return 1.0, nil
+end
+
+---Get the surge multiplier for an occupancy
+---@param occupancy number|nil 0-1
+---@return number multiplier
+function MeterPricing.GetSurgeMultiplier(occupancy)
+    local surge = Config.Meters.pricing.surge
+    if not occupancy or not surge or not surge.enabled then
+        return 1.0
+    end
+
+    local multiplier = 1.0
+    for _, tier in ipairs(surge.tiers) do
+        if occupancy >= tier.occupancy and tier.multiplier > multiplier then
+            multiplier = tier.multiplier
+        end
+    end
+
+    return multiplier
+end
+
+-- ============================================
+-- PRICING
+-- ============================================
+
+---Price meter time for a parked vehicle, before VIP discounts
+---Each hour of the purchase is charged at that hour's schedule multiplier,
+---the zone and surge multipliers are the ones in effect when buying.
+---@param plate string
+---@param startsAt number When the purchased time starts (end of a running session)
+---@param minutes number
+---@return table price { ratePerHour, baseCost, scheduleAdjustment, zoneName, multiplier, zoneAdjustment, occupancy, occupancyName, surgeMultiplier, surgeAdjustment, allFree, cost }
+function MeterPricing.Price(plate, startsAt, minutes)
+    local rate = Config.Meters.ratePerHour
+    local context = GetLocationContext(plate)
+
+    -- Walk the purchase an hour of the day at a time
+    local scheduled = 0
+    local freeSeconds = 0
+    local time = startsAt
+    local endsAt = startsAt + minutes * 60
+
+    while time < endsAt do
+        local date = os.date('*t', time)
+        local hourEnd = math.min(endsAt, time + (60 - date.min) * 60 - date.sec)
+        local multiplier = MeterPricing.GetHourMultiplier(date.hour)
+
+        scheduled = scheduled + (hourEnd - time) / 3600 * rate * multiplier
+        if multiplier == 0 then
+            freeSeconds = freeSeconds + (hourEnd - time)
+        end
+
+        time = hourEnd
+    end
+
+    local baseCost = math.ceil(minutes / 60 * rate)
+    local scheduleCost = math.ceil(Utils.Round(scheduled, 2))
+    local zoneCost = math.ceil(scheduleCost * context.zoneMultiplier)
+    local cost = math.ceil(zoneCost * context.surgeMultiplier)
+
+    return {
+        ratePerHour = rate,
+        baseCost = baseCost,
+        scheduleAdjustment = scheduleCost - baseCost,
+        zoneName = context.zone and context.zone.name or nil,
+        multiplier = context.zoneMultiplier,
+        zoneAdjustment = zoneCost - scheduleCost,
+        occupancy = context.occupancy,
+        occupancyName = context.occupancyName,
+        surgeMultiplier = context.surgeMultiplier,
+        surgeAdjustment = cost - zoneCost,
+        allFree = freeSeconds >= minutes * 60,
+        cost = cost,
+    }
+end
+
+---Get the day's hourly rates at a vehicle's spot, or the base city rates
+---Rates are before VIP discounts and use the current surge.
+---@param plate? string
+---@return table curve { hours = { { hour, rate, multiplier, label } }, currentHour, ratePerHour, zoneName, occupancy, occupancyName, surgeMultiplier }
+function MeterPricing.GetCurve(plate)
+    local rate = Config.Meters.ratePerHour
+    local context = GetLocationContext(plate)
+    local hours = {}
+
+    for hour = 0, 23 do
+        local multiplier, label = MeterPricing.GetHourMultiplier(hour)
+
+        table.insert(hours, {
+            hour = hour,
+            rate = math.ceil(rate * multiplier * context.zoneMultiplier * context.surgeMultiplier),
+            multiplier = multiplier,
+            label = label,
+        })
+    end
+
+    return {
+        hours = hours,
+        currentHour = tonumber(os.date('%H')),
+        ratePerHour = rate,
+        zoneName = context.zone and context.zone.name or nil,
+        occupancy = context.occupancy,
+        occupancyName = context.occupancyName,
+        surgeMultiplier = context.surgeMultiplier,
+    }
+end
+
+print('^2[DPS-Parking] Meter pricing (server) loaded^0')
+
+return MeterPricing
@@ -4,72 +4,135 @@
     Enhanced: DPS Development
 
     Parking meter functionality.
+    - Quotes and charges priced by MeterPricing (schedule, zone and surge)
+    - Auto-renew for marked vehicles while their owner is online
+    - Low-time alerts at the configured minutes remaining
 ]]
 
 Meters = {}
 
+-- Player settings by citizenid { autoRenew = { [plate] = true }, alerts, renewCap }
+local settings = {}
+
+-- Expiry of the session a renewal last failed for, by plate
+local renewFailedAt = {}
+
+-- Last alert sent per plate { expiresAt, minutes }
+local alertsSent = {}
+
 -- ============================================
--- METER OPERATIONS
+-- PRICING
 -- ============================================
 
----Pay for parking meter
+---Quote a meter payment with the same formula Meters.Pay charges
+---Time still on an active meter counts toward maximumMinutes, so paying an
+---active meter extends it. Prices come from MeterPricing.Price.
 ---@param source number
 ---@param plate string
 ---@param minutes number
----@return boolean success
----@return string message
-function Meters.Pay(source, plate, minutes)
+---@return table|nil quote { plate, minutes, minMinutes, maxMinutes, ratePerHour, baseCost, scheduleAdjustment, multiplier, zoneName, zoneAdjustment, occupancy, occupancyName, surgeMultiplier, surgeAdjustment, vipDiscount, freeReason, cost, remaining, expiresAt }
+---@return string|nil error
+function Meters.Quote(source, plate, minutes)
     if not Config.Meters.enabled then
-        return false, 'Meters disabled'
+        return nil, 'Meters disabled'
     end
 
     local citizenid = Bridge.GetCitizenId(source)
     if not citizenid then
-        return false, L('error')
+        return nil, L('error')
     end
 
-    -- Validate time
-    if minutes < Config.Meters.minimumMinutes then
-        minutes = Config.Meters.minimumMinutes
-    elseif minutes > Config.Meters.maximumMinutes then
-        minutes = Config.Meters.maximumMinutes
-    end
-
-    -- Calculate cost
-    local hours = minutes / 60
-    local cost = math.ceil(hours * Config.Meters.ratePerHour)
-
-    -- Check for premium zone multiplier
-    local parkedVehicle = State.GetParkedVehicle(plate)
-    if parkedVehicle and parkedVehicle.location then
-        local coords = vector3(parkedVehicle.location.x, parkedVehicle.location.y, parkedVehicle.location.z)
-        for _, zone in ipairs(Config.Meters.premiumZones) do
-            if Utils.IsInRadius(coords, zone.coords, zone.radius) then
-                cost = math.ceil(cost * zone.multiplier)
-                break
-            end
-        end
+    -- Remaining time on an active session
+    local now = os.time()
+    local current = State.GetActiveMeter(plate)
+    local remaining = 0
+    if current and current.expiresAt and current.expiresAt > now then
+        remaining = current.expiresAt - now
     end
 
+    local maxMinutes = Config.Meters.maximumMinutes - math.floor(remaining / 60)
+    if maxMinutes < Config.Meters.minimumMinutes then
+        return nil, L('meter_at_max')
+    end
+
+    -- Validate time
+    minutes = Utils.Clamp(math.floor(tonumber(minutes) or Config.Meters.minimumMinutes), Config.Meters.minimumMinutes, maxMinutes)
+
+    -- Schedule, zone and surge pricing for the purchased hours
+    local price = MeterPricing.Price(plate, now + remaining, minutes)
+    local cost = price.cost
+
     -- VIP discount
-    if State.IsVip(citizenid) and Config.VIP.perks.discountPercent > 0 then
-        local discount = cost * (Config.VIP.perks.discountPercent / 100)
-        cost = math.ceil(cost - discount)
+    local vipDiscount = 0
+    local discountRate = VIP.GetDiscount(citizenid, 'meters')
+    if discountRate > 0 then
+        local discounted = math.ceil(cost - cost * discountRate)
+        vipDiscount = cost - discounted
+        cost = discounted
     end
 
-    -- Check free parking hours
-    if Config.Meters.freeParking.enabled then
-        local hour = tonumber(os.date('%H'))
-        if hour >= Config.Meters.freeParking.startHour or hour < Config.Meters.freeParking.endHour then
-            cost = 0
-        end
+    -- Free parking hours, then VIP free meters
+    local freeReason = nil
+    if price.allFree then
+        freeReason = 'free_hours'
+    elseif VIP.HasPerk(citizenid, 'freeMeters') then
+        freeReason = 'vip'
     end
 
-    -- Check if VIP has free meters
-    if State.IsVip(citizenid) and Config.VIP.perks.freeMeters then
+    if freeReason then
         cost = 0
     end
 
+    return {
+        plate = plate,
+        minutes = minutes,
+        minMinutes = Config.Meters.minimumMinutes,
+        maxMinutes = maxMinutes,
+        ratePerHour = price.ratePerHour,
+        baseCost = price.baseCost,
+        scheduleAdjustment = price.scheduleAdjustment,
+        multiplier = price.multiplier,
+        zoneName = price.zoneName,
+        zoneAdjustment = price.zoneAdjustment,
+        occupancy = price.occupancy,
+        occupancyName = price.occupancyName,
+        surgeMultiplier = price.surgeMultiplier,
+        surgeAdjustment = price.surgeAdjustment,
+        vipDiscount = vipDiscount,
+        freeReason = freeReason,
+        cost = cost,
+        remaining = remaining,
+        expiresAt = now + remaining + (minutes * 60),
+    }
+end
+
+-- ============================================
+-- METER OPERATIONS
+-- ============================================
+
+---Pay for parking meter (extends an active session)
+---@param source number
+---@param plate string
+---@param minutes number
+---@param autoRenew? boolean Paid by auto-renew, counts toward the session's spending cap
+---@param maxCost? number Price the player confirmed; a higher price is refused
+---@return boolean success
+---@return string message
+---@return table|nil quote The new quote when the price rose past maxCost
+function Meters.Pay(source, plate, minutes, autoRenew, maxCost)
+    local quote, quoteError = Meters.Quote(source, plate, minutes)
+    if not quote then
+        return false, quoteError
+    end
+
+    -- Surge or an hour boundary can raise the price after it was shown
+    if maxCost and quote.cost > maxCost then
+        return false, L('meter_price_changed', Utils.FormatMoney(quote.cost)), quote
+    end
+
+    local citizenid = Bridge.GetCitizenId(source)
+    local cost = quote.cost
+
     -- Charge player
     if cost > 0 then
         local hasMoney = Bridge.GetMoney(source, 'cash') >= cost
@@ -87,25 +150,36 @@ function Meters.Pay(source, plate, minutes)
         end
     end
 
-    -- Set meter
-    local expiresAt = os.time() + (minutes * 60)
+    -- Set meter, carrying over an active session
+    local current = quote.remaining > 0 and State.GetActiveMeter(plate) or nil
+    local expiresAt = quote.expiresAt
     State.SetActiveMeter(plate, {
         plate = plate,
         citizenid = citizenid,
-        paidAt = os.time(),
+        paidAt = current and current.paidAt or os.time(),
         expiresAt = expiresAt,
-        paidAmount = cost,
-        minutes = minutes
+        paidAmount = (current and current.paidAmount or 0) + cost,
+        minutes = (current and current.minutes or 0) + quote.minutes,
+        autoRenewSpent = (current and current.autoRenewSpent or 0) + (autoRenew and cost or 0),
     })
 
+    if DB and DB.AuditLog then
+        DB.AuditLog('meter_paid', citizenid, plate, {
+            amount = cost,
+            minutes = quote.minutes,
+            autoRenew = autoRenew or nil,
+        })
+    end
+
     -- Notify client
     TriggerClientEvent('dps-parking:client:meterPaid', source, {
         plate = plate,
         expiresAt = expiresAt,
-        cost = cost
+        cost = cost,
+        autoRenew = autoRenew == true,
     })
 
-    return true, L('meter_paid', Utils.FormatTime(minutes * 60))
+    return true, L('meter_paid', Utils.FormatTime(quote.minutes * 60))
 end
 
 ---Check for expired meters
@@ -140,6 +214,13 @@ local function CheckExpiredMeters()
 
                 local parkedVehicle = State.GetParkedVehicle(plate)
                 if parkedVehicle then
+                    if DB and DB.AuditLog then
+                        DB.AuditLog('meter_towed', meterData.citizenid, plate, {
+                            amount = ticketAmount,
+                            street = parkedVehicle.street,
+                        })
+                    end
+
                     Bridge.PoliceImpound(plate, true, ticketAmount,
                         parkedVehicle.body, parkedVehicle.engine, parkedVehicle.fuel)
 
@@ -157,11 +238,280 @@ local function CheckExpiredMeters()
     end
 end
 
+-- ============================================
+-- PLAYER SETTINGS
+-- ============================================
+
+---Get a player's settings, creating the defaults
+---@param citizenid string
+---@return table settings
+local function GetSettings(citizenid)
+    if not settings[citizenid] then
+        settings[citizenid] = {
+            autoRenew = {},
+            alerts = true,
+            renewCap = Config.Meters.autoRenew.defaultCap,
+        }
+    end
+
+    return settings[citizenid]
+end
+
+---Persist a player's settings
+---@param citizenid string
+local function SaveSettings(citizenid)
+    local playerSettings = GetSettings(citizenid)
+
+    local plates = {}
+    for marked in pairs(playerSettings.autoRenew) do
+        table.insert(plates, marked)
+    end
+
+    DB.SaveMeterSettings(citizenid, plates, playerSettings.alerts, playerSettings.renewCap)
+end
+
+---Is a spending cap one players can pick
+---@param cap number|nil
+---@return boolean
+local function IsValidCap(cap)
+    for _, allowed in ipairs(Config.Meters.autoRenew.caps) do
+        if cap == allowed then
+            return true
+        end
+    end
+
+    return false
+end
+
+---Get a player's alert and auto-renew settings for the NUI
+---@param citizenid string
+---@return table settings { alerts, renewCap }
+function Meters.GetSettings(citizenid)
+    local playerSettings = GetSettings(citizenid)
+
+    return {
+        alerts = playerSettings.alerts,
+        renewCap = playerSettings.renewCap,
+    }
+end
+
+---Change a player's alert and auto-renew settings
+---@param citizenid string
+---@param changes table { alerts?, renewCap? }
+---@return boolean success
+---@return string message
+function Meters.UpdateSettings(citizenid, changes)
+    if not Config.Meters.enabled then
+        return false, 'Meters disabled'
+    end
+
+    if type(changes) ~= 'table' then
+        return false, L('error')
+    end
+
+    local renewCap = changes.renewCap ~= nil and tonumber(changes.renewCap) or nil
+    if changes.renewCap ~= nil and not IsValidCap(renewCap) then
+        return false, L('meter_invalid_cap')
+    end
+
+    local playerSettings = GetSettings(citizenid)
+    if changes.alerts ~= nil then
+        playerSettings.alerts = changes.alerts == true
+    end
+    playerSettings.renewCap = renewCap or playerSettings.renewCap
+
+    SaveSettings(citizenid)
+
+    EventBus.Publish('meters:settingsChanged', {
+        citizenid = citizenid,
+        alerts = playerSettings.alerts,
+        renewCap = playerSettings.renewCap,
+    })
+
+    return true, L('meter_settings_saved')
+end
+
+-- ============================================
+-- AUTO-RENEW
+-- ============================================
+
+---Is a vehicle marked to renew its meter when it runs out
+---@param citizenid string|nil
+---@param plate string
+---@return boolean
+function Meters.IsAutoRenew(citizenid, plate)
+    return citizenid ~= nil and settings[citizenid] ~= nil and settings[citizenid].autoRenew[plate] == true
+end
+
+---Mark or unmark one of a player's vehicles for auto-renew
+---@param citizenid string
+---@param plate string
+---@param enabled boolean
+---@return boolean success
+---@return string|nil error
+function Meters.SetAutoRenew(citizenid, plate, enabled)
+    if not Config.Meters.enabled then
+        return false, 'Meters disabled'
+    end
+
+    if type(plate) ~= 'string' or not Bridge.DB.PlayerOwnsVehicle(citizenid, plate) then
+        return false, L('not_owner')
+    end
+
+    if Meters.IsAutoRenew(citizenid, plate) == enabled then
+        return true
+    end
+
+    GetSettings(citizenid).autoRenew[plate] = enabled or nil
+    renewFailedAt[plate] = nil
+    SaveSettings(citizenid)
+
+    EventBus.Publish('meters:autoRenewChanged', {
+        citizenid = citizenid,
+        plate = plate,
+        enabled = enabled,
+    })
+
+    return true
+end
+
+---Send a meter alert to a player's screen, dashboard and phone
+---@param playerSource number
+---@param plate string
+---@param message string
+---@param notifyType string
+local function SendAlert(playerSource, plate, message, notifyType)
+    TriggerClientEvent('dps-parking:client:meterAlert', playerSource, {
+        plate = plate,
+        message = message,
+        type = notifyType,
+    })
+end
+
+---Renew a meter that is about to run out by one increment
+---Stops at the player's spending cap for the session. A failed renewal is not
+---retried for the same session.
+---@param playerSource number
+---@param plate string
+---@param meterData table Meter state
+local function RenewMeter(playerSource, plate, meterData)
+    local increment = Config.Meters.autoRenew.increment
+    local cap = GetSettings(meterData.citizenid).renewCap
+    local spent = meterData.autoRenewSpent or 0
+
+    local quote, message = Meters.Quote(playerSource, plate, increment)
+    local success = false
+
+    if quote and spent + quote.cost > cap then
+        message = L('meter_auto_renew_cap', Utils.FormatMoney(cap))
+    elseif quote then
+        success, message = Meters.Pay(playerSource, plate, increment, true, cap - spent)
+    end
+
+    renewFailedAt[plate] = not success and meterData.expiresAt or nil
+
+    SendAlert(
+        playerSource,
+        plate,
+        L(success and 'meter_auto_renewed' or 'meter_auto_renew_failed', plate, message),
+        success and 'success' or 'error'
+    )
+end
+
+---Get the smallest alert threshold a remaining time has crossed
+---@param remaining number Seconds
+---@return number|nil minutes
+local function GetAlertThreshold(remaining)
+    local threshold = nil
+
+    for _, minutes in ipairs(Config.Meters.alerts or {}) do
+        if remaining <= minutes * 60 and (not threshold or minutes < threshold) then
+            threshold = minutes
+        end
+    end
+
+    return threshold
+end
+
+---Renew marked meters and alert owners as their meters run low
+---Both need the owner online: renewals are charged through Meters.Pay and
+---alerts go to the player's client. Each alert threshold fires once per session
+---and meters set to auto-renew only alert once a renewal has failed.
+local function WatchMeters()
+    if not Config.Meters.enabled then return end
+
+    local now = os.time()
+
+    -- Far enough ahead for the earliest alert
+    local lookahead = Config.Meters.autoRenew.leadSeconds
+    for _, minutes in ipairs(Config.Meters.alerts or {}) do
+        lookahead = math.max(lookahead, minutes * 60)
+    end
+
+    for plate, meterData in pairs(State.GetExpiringMeters(lookahead)) do
+        local playerSource = meterData.citizenid and Bridge.GetSourceByCitizenId(meterData.citizenid)
+        local remaining = meterData.expiresAt - now
+        local renewing = Meters.IsAutoRenew(meterData.citizenid, plate) and renewFailedAt[plate] ~= meterData.expiresAt
+
+        if playerSource and renewing and remaining <= Config.Meters.autoRenew.leadSeconds then
+            RenewMeter(playerSource, plate, meterData)
+        elseif playerSource and not renewing and remaining > 0 and GetSettings(meterData.citizenid).alerts then
+            local threshold = GetAlertThreshold(remaining)
+            local sent = alertsSent[plate]
+
+            if threshold and not (sent and sent.expiresAt == meterData.expiresAt and sent.minutes <= threshold) then
+                alertsSent[plate] = { expiresAt = meterData.expiresAt, minutes = threshold }
+
+                local parked = State.GetParkedVehicle(plate)
+                SendAlert(
+                    playerSource,
+                    plate,
+                    L('meter_alert', plate, parked and parked.street or '?', Utils.FormatTime(remaining)),
+                    'warning'
+                )
+            end
+        end
+    end
+end
+
+---Load player settings from the database
+function Meters.Initialize()
+    local count = 0
+
+    for citizenid, playerSettings in pairs(DB.GetAllMeterSettings()) do
+        settings[citizenid] = {
+            autoRenew = playerSettings.autoRenew,
+            alerts = playerSettings.alerts,
+            renewCap = playerSettings.renewCap or Config.Meters.autoRenew.defaultCap,
+        }
+        count = count + 1
+    end
+
+    print(('[DPS-Parking] Meters: Loaded settings for %d players'):format(count))
+end
+
+-- Forget per-session tracking once a meter is gone
+State.Subscribe('activeMeters', function(_, old, new)
+    if not new then
+        renewFailedAt[old.plate] = nil
+        alertsSent[old.plate] = nil
+    end
+end)
+
 -- Meter check loop
 CreateThread(function()
     Bridge.WaitReady()
+    Meters.Initialize()
     Wait(10000)
 
+    -- Renewals and alerts need finer timing than tickets
+    CreateThread(function()
+        while true do
+            WatchMeters()
+            Wait(15000)
+        end
+    end)
+
     while true do
         CheckExpiredMeters()
         Wait(60000) -- Check every minute
@@ -182,6 +532,23 @@ end)
 -- CALLBACKS
 -- ============================================
 
+Bridge.CreateCallback('dps-parking:server:getMeterQuote', function(source, cb, plate, minutes)
+    local quote, quoteError = Meters.Quote(source, plate, minutes)
+    if not quote then
+        cb({ ok = false, error = quoteError })
+        return
+    end
+    cb({ ok = true, data = quote })
+end)
+
+Bridge.CreateCallback('dps-parking:server:getMeterRates', function(source, cb, plate)
+    if not Config.Meters.enabled then
+        cb({ ok = false, error = 'Meters disabled' })
+        return
+    end
+    cb({ ok = true, data = MeterPricing.GetCurve(plate) })
+end)
+
 Bridge.CreateCallback('dps-parking:getMeterStatus', function(source, cb, plate)
     local meter = State.GetActiveMeter(plate)
     if meter then
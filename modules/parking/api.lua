@@ -111,20 +111,31 @@ end)
 -- ============================================
 
 ---Set player as VIP
+---Resources written before tiers pass a perks table as the third argument;
+---they get the default tier.
 ---@param citizenid string
----@param slots number
----@param perks? table
-exports('SetVipPlayer', function(citizenid, slots, perks)
-    State.SetVipPlayer(citizenid, {
-        slots = slots,
-        perks = perks or Config.VIP.perks
-    })
+---@param slots? number Overrides the tier's slots
+---@param tier? string|table Key in Config.VIP.tiers, defaults to Config.VIP.defaultTier
+---@return boolean success
+---@return string message
+exports('SetVipPlayer', function(citizenid, slots, tier)
+    if type(tier) ~= 'string' then
+        tier = nil
+    end
+    return VIP.Grant(citizenid, tier, slots, GetInvokingResource())
 end)
 
 ---Remove VIP status
 ---@param citizenid string
 exports('RemoveVipPlayer', function(citizenid)
-    State.RemoveVipPlayer(citizenid)
+    VIP.Revoke(citizenid)
+end)
+
+---Get a player's VIP tier
+---@param citizenid string
+---@return string tier 'standard' when not VIP
+exports('GetVipTier', function(citizenid)
+    return (VIP.GetPlayerTier(citizenid))
 end)
 
 ---Check if player is VIP
@@ -141,7 +141,10 @@ function ParkCurrentVehicle()
         steerangle = steerAngle,
         street = street,
         fuel = fuel,
-        trailerdata = trailerData
+        trailerdata = trailerData,
+        damage = VehicleData.GetDamageState(vehicle),
+        extras = VehicleData.GetExtras(vehicle),
+        neon = VehicleData.GetNeonState(vehicle),
     })
 end
 
@@ -117,6 +117,13 @@ function Parking.SpawnParkedVehicle(vehicleData)
         mods = json.decode(mods)
     end
 
+    -- Condition saved when it was parked
+    local vehicleState = vehicleData.vehicle_state
+    if type(vehicleState) == 'string' then
+        vehicleState = json.decode(vehicleState)
+    end
+    vehicleState = vehicleState or {}
+
     -- Store in state
     State.SetParkedVehicle(vehicleData.plate, {
         citizenid = citizenid,
@@ -130,6 +137,9 @@ function Parking.SpawnParkedVehicle(vehicleData)
         fuel = vehicleData.fuel or 100,
         body = vehicleData.body or 1000,
         engine = vehicleData.engine or 1000,
+        damage = vehicleState.damage,
+        extras = vehicleState.extras,
+        neon = vehicleState.neon,
         street = vehicleData.street or '',
         steerangle = vehicleData.steerangle or 0,
         location = location,
@@ -153,7 +163,7 @@ end
 
 ---Park a vehicle
 ---@param source number Player source
----@param data table { netId, plate, location, steerangle, street, fuel, trailerdata }
+---@param data table { netId, plate, location, steerangle, street, fuel, trailerdata, damage, extras, neon }
 ---@return boolean success
 ---@return string message
 function Parking.Park(source, data)
@@ -213,8 +223,26 @@ function Parking.Park(source, data)
         return false, L('vehicle_not_owned')
     end
 
+    -- Owned lots charge their price (see Business.GetParkingFee), picked by
+    -- where the vehicle actually is rather than the location the client sent
+    local fee, feeLot = 0, nil
+    if Business then
+        fee, feeLot = Business.GetParkingFee(citizenid, GetEntityCoords(vehicle))
+    end
+
+    local feeAccount = nil
+    if fee > 0 then
+        feeAccount = Bridge.GetMoney(source, 'bank') >= fee and 'bank'
+            or Bridge.GetMoney(source, 'cash') >= fee and 'cash'
+            or nil
+
+        if not feeAccount then
+            return false, L('insufficient_funds', Utils.FormatMoney(fee))
+        end
+    end
+
     -- Update database
-    Bridge.DB.SetVehicleParked(
+    local updated = Bridge.DB.SetVehicleParked(
         data.plate,
         data.location,
         data.street,
@@ -223,12 +251,35 @@ function Parking.Park(source, data)
         data.trailerdata
     )
 
+    if not updated then
+        return false, L('parking_failed')
+    end
+
+    -- Charge once the vehicle is stored; undo the park if the money is gone by now
+    if feeAccount and not Bridge.RemoveMoney(source, feeAccount, fee, 'Parking fee') then
+        Bridge.DB.SetVehicleOut(data.plate)
+        return false, L('insufficient_funds', Utils.FormatMoney(fee))
+    end
+
     -- Parse mods
     local mods = vehicleRecord.mods
     if type(mods) == 'string' then
         mods = json.decode(mods)
     end
 
+    -- Condition breakdown for the dashboard, kept across restarts
+    local damage = type(data.damage) == 'table' and data.damage or nil
+    local extras = type(data.extras) == 'table' and data.extras or nil
+    local neon = type(data.neon) == 'table' and data.neon or nil
+
+    DB.UpdateVehicleState(data.plate, {
+        mods = mods,
+        damage = damage,
+        fuel = data.fuel,
+        extras = extras,
+        neon = neon,
+    })
+
     -- Store in state
     State.SetParkedVehicle(data.plate, {
         citizenid = citizenid,
@@ -242,6 +293,9 @@ function Parking.Park(source, data)
         fuel = data.fuel,
         body = vehicleRecord.body or 1000,
         engine = vehicleRecord.engine or 1000,
+        damage = damage,
+        extras = extras,
+        neon = neon,
         street = data.street,
         steerangle = data.steerangle,
         location = data.location,
@@ -256,6 +310,12 @@ function Parking.Park(source, data)
         data = State.GetParkedVehicle(data.plate)
     })
 
+    if DB and DB.AuditLog then
+        DB.AuditLog('park', citizenid, data.plate, {
+            street = data.street,
+        })
+    end
+
     -- Sync state to owner
     Bridge.SyncStateToClient(source)
 
@@ -264,9 +324,15 @@ function Parking.Park(source, data)
         source = source,
         citizenid = citizenid,
         plate = data.plate,
-        data = State.GetParkedVehicle(data.plate)
+        data = State.GetParkedVehicle(data.plate),
+        fee = fee,
+        lotId = feeLot and feeLot.id or nil,
     })
 
+    if fee > 0 then
+        return true, L('vehicle_parked_fee', Utils.FormatMoney(fee), feeLot.name)
+    end
+
     return true, L('vehicle_parked')
 end
 
@@ -310,6 +376,12 @@ function Parking.Unpark(source, plate)
     -- Remove from state
     local removedData = State.RemoveParkedVehicle(plate)
 
+    if DB and DB.AuditLog then
+        DB.AuditLog('unpark', citizenid, plate, {
+            street = parkedVehicle.street,
+        })
+    end
+
     -- Notify all clients
     TriggerClientEvent('dps-parking:client:vehicleUnparked', -1, {
         plate = plate,
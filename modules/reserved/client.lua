@@ -5,7 +5,7 @@
 
     Client-side reserved spot interactions:
     - Spot markers/props
-    - Rental UI
+    - Rental marketplace (dashboard Reserved tab)
     - Access validation
 ]]
 
@@ -62,91 +62,14 @@ end
 -- RENTAL UI
 -- ============================================
 
----Open rental spots menu
+---Open the reserved spots marketplace
 function OpenRentalMenu()
-    Bridge.TriggerCallback('dps-parking:server:getAvailableRentals', function(spots)
-        if not spots or #spots == 0 then
-            Bridge.Notify('No rental spots available', 'info')
-            return
-        end
-
-        local options = {}
-
-        for _, spot in ipairs(spots) do
-            table.insert(options, {
-                title = spot.name,
-                description = ('$%d/hour'):format(spot.pricePerHour),
-                icon = 'parking',
-                onSelect = function()
-                    OpenRentDurationMenu(spot)
-                end
-            })
-        end
-
-        Bridge.ContextMenu('rental_spots', 'Available Rental Spots', options)
-    end)
-end
-
----Open duration selection for rental
----@param spot table
-function OpenRentDurationMenu(spot)
-    local durations = {
-        { hours = 1, label = '1 Hour' },
-        { hours = 2, label = '2 Hours' },
-        { hours = 4, label = '4 Hours' },
-        { hours = 8, label = '8 Hours' },
-        { hours = 12, label = '12 Hours' },
-        { hours = 24, label = '24 Hours' },
-    }
-
-    local options = {}
-
-    for _, d in ipairs(durations) do
-        local price = spot.pricePerHour * d.hours
-
-        table.insert(options, {
-            title = d.label,
-            description = ('$%d total'):format(price),
-            onSelect = function()
-                TriggerServerEvent('dps-parking:server:rentSpot', spot.spotId, d.hours)
-
-                -- Set GPS to spot
-                SetNewWaypoint(spot.coords.x, spot.coords.y)
-            end
-        })
-    end
-
-    Bridge.ContextMenu('rent_duration', 'Rent: ' .. spot.name, options)
+    Dashboard.Open({ tab = 'reserved' })
 end
 
 ---Show my rentals
 function ShowMyRentals()
-    Bridge.TriggerCallback('dps-parking:server:getMyRentals', function(rentals)
-        if not rentals or #rentals == 0 then
-            Bridge.Notify('You have no active rentals', 'info')
-            return
-        end
-
-        local options = {}
-
-        for _, rental in ipairs(rentals) do
-            local timeLabel = rental.timeLeftMinutes > 60 and
-                ('%d hr %d min remaining'):format(math.floor(rental.timeLeftMinutes / 60), rental.timeLeftMinutes % 60) or
-                ('%d min remaining'):format(rental.timeLeftMinutes)
-
-            table.insert(options, {
-                title = rental.name,
-                description = timeLabel,
-                icon = 'clock',
-                onSelect = function()
-                    SetNewWaypoint(rental.coords.x, rental.coords.y)
-                    Bridge.Notify('GPS set to your rental spot', 'info')
-                end
-            })
-        end
-
-        Bridge.ContextMenu('my_rentals', 'My Rental Spots', options)
-    end)
+    Dashboard.Open({ tab = 'reserved' })
 end
 
 -- ============================================
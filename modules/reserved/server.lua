@@ -24,13 +24,7 @@ Reserved.Config = {
     -- Rental pricing (per hour)
     rentalPricePerHour = 50,
     maxRentalHours = 24,
-    -- VIP discounts on rentals
-    vipDiscounts = {
-        bronze = 0.10,
-        silver = 0.20,
-        gold = 0.35,
-        platinum = 0.50,
-    },
+    -- VIP discounts on rentals come from Config.VIP.tiers
 }
 
 -- ============================================
@@ -54,6 +48,9 @@ function Reserved.Initialize()
             requiredGrade = spot.requiredGrade,
             -- For business spots
             businessId = spot.businessId,
+            -- For rentals: area label and spot category (standard, covered, oversized, ...)
+            location = spot.location,
+            category = spot.category or 'standard',
             -- Current occupant
             occupant = nil,
             occupantPlate = nil,
@@ -93,7 +90,7 @@ function Reserved.CanUseSpot(source, spotId)
 
     -- Check by spot type
     if spot.type == 'vip' then
-        if not State.IsVip(citizenid) then
+        if not VIP.HasPerk(citizenid, 'reservedSpots') then
             return false, 'VIP membership required'
         end
         return true, 'VIP access granted'
@@ -227,6 +224,56 @@ end
 -- RENTALS
 -- ============================================
 
+---Charge a rental, preferring bank over cash
+---@param source number
+---@param price number
+---@param reason string
+---@return boolean success
+---@return string|nil error
+local function ChargeRental(source, price, reason)
+    if Bridge.GetMoney(source, 'bank') >= price then
+        Bridge.RemoveMoney(source, 'bank', price, reason)
+    elseif Bridge.GetMoney(source, 'cash') >= price then
+        Bridge.RemoveMoney(source, 'cash', price, reason)
+    else
+        return false, L('insufficient_funds', Utils.FormatMoney(price))
+    end
+
+    return true
+end
+
+---Get the rental discount for a player's VIP tier
+---@param citizenid string
+---@return number discount 0-1
+function Reserved.GetRentalDiscount(citizenid)
+    return VIP.GetDiscount(citizenid, 'rentals')
+end
+
+---Get the price of renting a spot for a number of hours
+---@param citizenid string
+---@param hours number
+---@return number price
+---@return number discount
+function Reserved.GetRentalPrice(citizenid, hours)
+    local discount = Reserved.GetRentalDiscount(citizenid)
+    local price = math.floor(Reserved.Config.rentalPricePerHour * hours * (1 - discount))
+    return price, discount
+end
+
+---Validate a requested rental length
+---@param hours any
+---@return number|nil hours
+---@return string|nil error
+local function ValidateHours(hours)
+    hours = math.floor(tonumber(hours) or 0)
+
+    if hours < 1 or hours > Reserved.Config.maxRentalHours then
+        return nil, ('Rentals must be between 1 and %d hours'):format(Reserved.Config.maxRentalHours)
+    end
+
+    return hours
+end
+
 ---Rent a parking spot
 ---@param source number
 ---@param spotId string
@@ -252,30 +299,18 @@ function Reserved.RentSpot(source, spotId, hours)
     end
 
     local citizenid = Bridge.GetCitizenId(source)
-    hours = math.min(hours, Reserved.Config.maxRentalHours)
-
-    -- Calculate price
-    local price = Reserved.Config.rentalPricePerHour * hours
 
-    -- Apply VIP discount
-    local vipData = State.GetVipPlayer(citizenid)
-    if vipData and vipData.tier then
-        local discount = Reserved.Config.vipDiscounts[vipData.tier] or 0
-        price = math.floor(price * (1 - discount))
+    local hoursError
+    hours, hoursError = ValidateHours(hours)
+    if not hours then
+        return false, hoursError
     end
 
-    -- Check funds
-    if Bridge.GetMoney(source, 'bank') < price then
-        if Bridge.GetMoney(source, 'cash') < price then
-            return false, L('insufficient_funds', Utils.FormatMoney(price))
-        end
-    end
+    local price = Reserved.GetRentalPrice(citizenid, hours)
 
-    -- Charge
-    if Bridge.GetMoney(source, 'bank') >= price then
-        Bridge.RemoveMoney(source, 'bank', price, 'Parking spot rental')
-    else
-        Bridge.RemoveMoney(source, 'cash', price, 'Parking spot rental')
+    local paid, payError = ChargeRental(source, price, 'Parking spot rental')
+    if not paid then
+        return false, payError
     end
 
     -- Set rental
@@ -295,7 +330,65 @@ function Reserved.RentSpot(source, spotId, hours)
         price = price,
     })
 
-    return true, ('Spot rented for %d hour(s) - $%d'):format(hours, price)
+    return true, ('Spot rented for %d hour(s) - %s'):format(hours, Utils.FormatMoney(price))
+end
+
+---Extend an active rental
+---@param source number
+---@param spotId string
+---@param hours number
+---@return boolean success
+---@return string message
+function Reserved.RenewRental(source, spotId, hours)
+    local spot = Reserved._spots[spotId]
+    local citizenid = Bridge.GetCitizenId(source)
+    local now = os.time()
+
+    if not spot or spot.rentedBy ~= citizenid or not spot.rentalExpires or spot.rentalExpires <= now then
+        return false, 'You have no active rental on this spot'
+    end
+
+    local hoursError
+    hours, hoursError = ValidateHours(hours)
+    if not hours then
+        return false, hoursError
+    end
+
+    -- A rental never runs further ahead than a fresh maximum-length rental
+    local newExpires = spot.rentalExpires + (hours * 3600)
+    if newExpires - now > Reserved.Config.maxRentalHours * 3600 then
+        return false, ('Rentals cannot run more than %d hours ahead'):format(Reserved.Config.maxRentalHours)
+    end
+
+    local price = Reserved.GetRentalPrice(citizenid, hours)
+
+    local paid, payError = ChargeRental(source, price, 'Parking spot rental renewal')
+    if not paid then
+        return false, payError
+    end
+
+    spot.rentalExpires = newExpires
+
+    EventBus.Publish('reserved:spotRenewed', {
+        spotId = spotId,
+        citizenid = citizenid,
+        hours = hours,
+        price = price,
+    })
+
+    return true, ('Rental extended by %d hour(s) - %s'):format(hours, Utils.FormatMoney(price))
+end
+
+---Get a rental spot's area label
+---@param spot table
+---@return string|nil location
+local function GetSpotLocation(spot)
+    if spot.location then
+        return spot.location
+    end
+
+    local inLot, lot = Utils.IsInParkingLot(spot.coords)
+    return inLot and lot.name or nil
 end
 
 ---Get player's rentals
@@ -311,8 +404,11 @@ function Reserved.GetPlayerRentals(citizenid)
             table.insert(rentals, {
                 spotId = spotId,
                 name = spot.name,
+                location = GetSpotLocation(spot),
+                type = spot.category,
                 coords = spot.coords,
                 expiresAt = spot.rentalExpires,
+                remaining = math.max(0, timeLeft),
                 timeLeftMinutes = math.max(0, math.floor(timeLeft / 60)),
             })
         end
@@ -322,9 +418,11 @@ function Reserved.GetPlayerRentals(citizenid)
 end
 
 ---Get available rental spots
+---@param citizenid? string Price spots with this player's VIP discount
 ---@return table spots
-function Reserved.GetAvailableRentals()
+function Reserved.GetAvailableRentals(citizenid)
     local available = {}
+    local discount = citizenid and Reserved.GetRentalDiscount(citizenid) or 0
 
     for spotId, spot in pairs(Reserved._spots) do
         if spot.type == 'rental' then
@@ -334,8 +432,12 @@ function Reserved.GetAvailableRentals()
                 table.insert(available, {
                     spotId = spotId,
                     name = spot.name,
+                    location = GetSpotLocation(spot),
+                    type = spot.category,
                     coords = spot.coords,
-                    pricePerHour = Reserved.Config.rentalPricePerHour,
+                    basePricePerHour = Reserved.Config.rentalPricePerHour,
+                    pricePerHour = math.floor(Reserved.Config.rentalPricePerHour * (1 - discount)),
+                    discount = discount,
                 })
             end
         end
@@ -358,11 +460,8 @@ function Reserved.CheckViolation(plate, spotId, citizenid)
     if not spot then return false end
 
     -- Get player source from citizenid
-    local player = Bridge.GetPlayerByCitizenId(citizenid)
-    if not player then return true end  -- Can't verify, assume violation
-
-    local playerSource = Bridge.IsESX() and player.source or player.PlayerData.source
-    if not playerSource then return true end
+    local playerSource = Bridge.GetSourceByCitizenId(citizenid)
+    if not playerSource then return true end  -- Can't verify, assume violation
 
     local canUse, _ = Reserved.CanUseSpot(playerSource, spotId)
     return not canUse
@@ -393,7 +492,7 @@ Bridge.CreateCallback('dps-parking:server:getMyRentals', function(source, cb)
 end)
 
 Bridge.CreateCallback('dps-parking:server:getAvailableRentals', function(source, cb)
-    cb(Reserved.GetAvailableRentals())
+    cb(Reserved.GetAvailableRentals(Bridge.GetCitizenId(source)))
 end)
 
 Bridge.CreateCallback('dps-parking:server:canUseSpot', function(source, cb, spotId)
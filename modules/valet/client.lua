@@ -5,7 +5,7 @@
 
     Client-side valet interactions:
     - NPC valet peds at locations
-    - Target/interaction system
+    - Target/interaction system (opens the dashboard Valet tab)
     - Animations and vehicle handoff
     - Retrieval spawning
 ]]
@@ -155,7 +155,7 @@ function OpenValetMenu(location, mode)
     end
 end
 
----Open parking menu with tip options
+---Open the dashboard valet panel to park the current vehicle
 ---@param location table
 function OpenParkMenu(location)
     local vehicle = GetVehiclePedIsIn(PlayerPedId(), false)
@@ -164,153 +164,34 @@ function OpenParkMenu(location)
         return
     end
 
-    local plate = GetVehicleNumberPlateText(vehicle)
-    local basePrice = Config.Valet and Config.Valet.basePrice or 100
-
-    local options = {
-        {
-            title = 'Standard Service',
-            description = ('$%d - Normal wait time'):format(basePrice),
-            icon = 'clock',
-            onSelect = function()
-                RequestValetPark(location.id, 'none')
-            end
-        },
-        {
-            title = 'Small Tip (+$50)',
-            description = ('$%d - 25%% faster'):format(basePrice + 50),
-            icon = 'dollar-sign',
-            onSelect = function()
-                RequestValetPark(location.id, 'small')
-            end
-        },
-        {
-            title = 'Medium Tip (+$100)',
-            description = ('$%d - 50%% faster'):format(basePrice + 100),
-            icon = 'dollar-sign',
-            onSelect = function()
-                RequestValetPark(location.id, 'medium')
-            end
-        },
-        {
-            title = 'Large Tip (+$200)',
-            description = ('$%d - 75%% faster (Priority)'):format(basePrice + 200),
-            icon = 'star',
-            onSelect = function()
-                RequestValetPark(location.id, 'large')
-            end
+    Dashboard.Open({
+        tab = 'valet',
+        valetPark = {
+            locationId = location.id,
+            locationName = location.name,
+            plate = GetVehicleNumberPlateText(vehicle),
         },
-    }
-
-    Bridge.ContextMenu('valet_park', 'Valet Parking - ' .. plate, options)
+    })
 end
 
----Open retrieval menu
+---Open the dashboard valet panel to retrieve a vehicle
 ---@param location table
 function OpenRetrieveMenu(location)
-    Bridge.TriggerCallback('dps-parking:server:getValetVehicles', function(vehicles)
-        if not vehicles or #vehicles == 0 then
-            Bridge.Notify('You have no vehicles parked with valet', 'info')
-            return
-        end
-
-        local options = {}
-        local retrievePrice = Config.Valet and Config.Valet.retrievalPrice or 50
-
-        for _, v in ipairs(vehicles) do
-            -- Only show vehicles at this location
-            if v.locationId == location.id then
-                table.insert(options, {
-                    title = v.plate,
-                    description = 'Parked ' .. FormatTimeAgo(v.parkedAt),
-                    icon = 'car',
-                    onSelect = function()
-                        OpenTipMenuForRetrieval(v.plate, retrievePrice)
-                    end
-                })
-            end
-        end
-
-        if #options == 0 then
-            Bridge.Notify('No vehicles parked at this location', 'info')
-            return
-        end
-
-        Bridge.ContextMenu('valet_retrieve', 'Retrieve Vehicle', options)
-    end)
-end
-
----Open tip menu for retrieval
----@param plate string
----@param basePrice number
-function OpenTipMenuForRetrieval(plate, basePrice)
-    local options = {
-        {
-            title = 'Standard Retrieval',
-            description = ('$%d - Normal wait'):format(basePrice),
-            onSelect = function()
-                TriggerServerEvent('dps-parking:server:valetRetrieve', plate, 'none')
-            end
-        },
-        {
-            title = 'Small Tip (+$25)',
-            description = ('$%d - Faster'):format(basePrice + 25),
-            onSelect = function()
-                TriggerServerEvent('dps-parking:server:valetRetrieve', plate, 'small')
-            end
-        },
-        {
-            title = 'Medium Tip (+$50)',
-            description = ('$%d - Much faster'):format(basePrice + 50),
-            onSelect = function()
-                TriggerServerEvent('dps-parking:server:valetRetrieve', plate, 'medium')
-            end
-        },
-        {
-            title = 'Large Tip (+$100)',
-            description = ('$%d - Priority'):format(basePrice + 100),
-            onSelect = function()
-                TriggerServerEvent('dps-parking:server:valetRetrieve', plate, 'large')
-            end
-        },
-    }
-
-    Bridge.ContextMenu('valet_retrieve_tip', 'Tip Valet - ' .. plate, options)
-end
-
----Format time ago string
----@param timestamp number
----@return string
-function FormatTimeAgo(timestamp)
-    local diff = os.time() - timestamp
-    if diff < 60 then
-        return 'just now'
-    elseif diff < 3600 then
-        return math.floor(diff / 60) .. ' min ago'
-    else
-        return math.floor(diff / 3600) .. ' hr ago'
-    end
-end
-
--- ============================================
--- VALET ACTIONS
--- ============================================
-
----Request valet to park vehicle
----@param locationId string
----@param tipLevel string
-function RequestValetPark(locationId, tipLevel)
-    local vehicle = GetVehiclePedIsIn(PlayerPedId(), false)
-    if vehicle == 0 then return end
-
-    local netId = NetworkGetNetworkIdFromEntity(vehicle)
-    TriggerServerEvent('dps-parking:server:valetPark', locationId, netId, tipLevel)
+    Dashboard.Open({ tab = 'valet' })
 end
 
 -- ============================================
 -- EVENTS
 -- ============================================
 
+-- Valet queue positions and sessions changed
+RegisterNetEvent('dps-parking:client:valetUpdate', function(data)
+    SendNUIMessage({
+        action = 'updateValet',
+        valet = data,
+    })
+end)
+
 -- Valet taking vehicle
 RegisterNetEvent('dps-parking:client:valetTakeVehicle', function(data)
     activeSession = data
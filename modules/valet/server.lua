@@ -24,12 +24,17 @@ Valet._parkedByValet = {} -- plate -> valet parking data
 Valet.Config = {
     basePrice = 100,           -- Base valet fee
     retrievalPrice = 50,       -- Fee to retrieve
+    tipLevels = { 'none', 'small', 'medium', 'large' },
     tipMultipliers = {         -- Tip levels affect wait time
         none = 1.0,
         small = 0.75,          -- 25% faster
         medium = 0.5,          -- 50% faster
         large = 0.25,          -- 75% faster
     },
+    tipAmounts = {             -- Tip charged per level
+        park = { none = 0, small = 50, medium = 100, large = 200 },
+        retrieve = { none = 0, small = 25, medium = 50, large = 100 },
+    },
     baseParkTime = 30,         -- Seconds to park
     baseRetrieveTime = 45,     -- Seconds to retrieve
     vipPriorityBonus = 0.5,    -- VIPs get 50% time reduction
@@ -69,6 +74,29 @@ end
 -- QUEUE MANAGEMENT
 -- ============================================
 
+---Push the valet panel state to an online player
+---@param citizenid string
+local function PushValetState(citizenid)
+    local playerSource = Bridge.GetSourceByCitizenId(citizenid)
+    if playerSource then
+        TriggerClientEvent('dps-parking:client:valetUpdate', playerSource, Valet.GetPlayerState(citizenid))
+    end
+end
+
+---Push updated queue positions to everyone waiting at a location
+---@param locationId string
+local function BroadcastQueue(locationId)
+    local notified = {}
+
+    for _, item in ipairs(Valet._queues[locationId] or {}) do
+        local session = Valet._sessions[item.sessionId]
+        if session and not notified[session.citizenid] then
+            notified[session.citizenid] = true
+            PushValetState(session.citizenid)
+        end
+    end
+end
+
 ---Add to valet queue
 ---@param locationId string
 ---@param sessionId string
@@ -84,10 +112,15 @@ local function AddToQueue(locationId, sessionId, priority)
         addedAt = os.time()
     })
 
-    -- Sort by priority (VIPs first)
+    -- Sort by priority (VIPs first), then arrival
     table.sort(Valet._queues[locationId], function(a, b)
-        return a.priority < b.priority
+        if a.priority ~= b.priority then
+            return a.priority < b.priority
+        end
+        return a.addedAt < b.addedAt
     end)
+
+    BroadcastQueue(locationId)
 end
 
 ---Remove from queue
@@ -99,6 +132,7 @@ local function RemoveFromQueue(locationId, sessionId)
     for i, item in ipairs(Valet._queues[locationId]) do
         if item.sessionId == sessionId then
             table.remove(Valet._queues[locationId], i)
+            BroadcastQueue(locationId)
             return
         end
     end
@@ -119,6 +153,50 @@ function Valet.GetQueuePosition(locationId, sessionId)
     return 0
 end
 
+-- ============================================
+-- PRICING
+-- ============================================
+
+---Quote a valet service with the same formula park/retrieve charge
+---@param citizenid string
+---@param mode string 'park' or 'retrieve'
+---@param tipLevel string (none/small/medium/large)
+---@return table quote { tipLevel, tip, cost, waitTime }
+function Valet.Quote(citizenid, mode, tipLevel)
+    tipLevel = Valet.Config.tipMultipliers[tipLevel] and tipLevel or 'none'
+
+    local basePrice = mode == 'retrieve' and Valet.Config.retrievalPrice or Valet.Config.basePrice
+    local baseTime = mode == 'retrieve' and Valet.Config.baseRetrieveTime or Valet.Config.baseParkTime
+    local tip = Valet.Config.tipAmounts[mode][tipLevel] or 0
+
+    -- Calculate wait time
+    local waitTime = baseTime * Valet.Config.tipMultipliers[tipLevel]
+
+    -- VIP bonus
+    if VIP.HasPerk(citizenid, 'valetPriority') then
+        waitTime = waitTime * Valet.Config.vipPriorityBonus
+    end
+
+    return {
+        tipLevel = tipLevel,
+        tip = tip,
+        cost = basePrice + tip,
+        waitTime = math.max(5, math.floor(waitTime)),
+    }
+end
+
+---Quote every tip level for a service
+---@param citizenid string
+---@param mode string 'park' or 'retrieve'
+---@return table options Array of quotes in tip order
+function Valet.GetTipOptions(citizenid, mode)
+    local options = {}
+    for _, tipLevel in ipairs(Valet.Config.tipLevels) do
+        table.insert(options, Valet.Quote(citizenid, mode, tipLevel))
+    end
+    return options
+end
+
 -- ============================================
 -- VALET OPERATIONS
 -- ============================================
@@ -170,17 +248,9 @@ function Valet.ParkVehicle(source, locationId, vehicleNetId, tipLevel)
     end
 
     -- Calculate cost
-    tipLevel = tipLevel or 'none'
-    local tipMultiplier = Valet.Config.tipMultipliers[tipLevel] or 1.0
-    local baseCost = Valet.Config.basePrice
-
-    local tipAmount = 0
-    if tipLevel == 'small' then tipAmount = 50
-    elseif tipLevel == 'medium' then tipAmount = 100
-    elseif tipLevel == 'large' then tipAmount = 200
-    end
-
-    local totalCost = baseCost + tipAmount
+    local quote = Valet.Quote(citizenid, 'park', tipLevel)
+    local totalCost = quote.cost
+    tipLevel = quote.tipLevel
 
     -- Charge player
     if Bridge.GetMoney(source, 'cash') >= totalCost then
@@ -191,19 +261,11 @@ function Valet.ParkVehicle(source, locationId, vehicleNetId, tipLevel)
         return false, L('insufficient_funds', Utils.FormatMoney(totalCost))
     end
 
-    -- Calculate wait time
-    local waitTime = Valet.Config.baseParkTime * tipMultiplier
-
-    -- VIP bonus
-    if State.IsVip(citizenid) then
-        waitTime = waitTime * Valet.Config.vipPriorityBonus
-    end
-
-    waitTime = math.max(5, math.floor(waitTime))
+    local waitTime = quote.waitTime
 
     -- Create session
     local sessionId = citizenid .. '_' .. plate .. '_' .. os.time()
-    local priority = State.IsVip(citizenid) and 1 or 10
+    local priority = VIP.HasPerk(citizenid, 'valetPriority') and 1 or 10
 
     Valet._sessions[sessionId] = {
         id = sessionId,
@@ -268,16 +330,14 @@ function Valet.CompletePark(sessionId)
 
     if not spotIndex then
         -- No spots available - refund
-        local player = Bridge.GetPlayerByCitizenId(session.citizenid)
-        if player then
-            local playerSource = Bridge.IsESX() and player.source or player.PlayerData.source
-            if playerSource then
-                Bridge.AddMoney(playerSource, 'bank', session.cost, 'Valet refund - no spots')
-                Bridge.Notify(playerSource, 'No parking spots available - refunded', 'error')
-            end
+        local playerSource = Bridge.GetSourceByCitizenId(session.citizenid)
+        if playerSource then
+            Bridge.AddMoney(playerSource, 'bank', session.cost, 'Valet refund - no spots')
+            Bridge.Notify(playerSource, 'No parking spots available - refunded', 'error')
         end
         Valet._sessions[sessionId] = nil
         RemoveFromQueue(session.locationId, sessionId)
+        PushValetState(session.citizenid)
         return
     end
 
@@ -292,21 +352,19 @@ function Valet.CompletePark(sessionId)
     }
 
     -- Notify client to complete (delete vehicle, store data)
-    local player = Bridge.GetPlayerByCitizenId(session.citizenid)
-    if player then
-        local playerSource = Bridge.IsESX() and player.source or player.PlayerData.source
-        if playerSource then
-            TriggerClientEvent('dps-parking:client:valetParkComplete', playerSource, {
-                sessionId = sessionId,
-                plate = session.plate,
-                spotIndex = spotIndex,
-            })
-            Bridge.Notify(playerSource, 'Your vehicle has been parked by valet', 'success')
-        end
+    local playerSource = Bridge.GetSourceByCitizenId(session.citizenid)
+    if playerSource then
+        TriggerClientEvent('dps-parking:client:valetParkComplete', playerSource, {
+            sessionId = sessionId,
+            plate = session.plate,
+            spotIndex = spotIndex,
+        })
+        Bridge.Notify(playerSource, 'Your vehicle has been parked by valet', 'success')
     end
 
-    RemoveFromQueue(session.locationId, sessionId)
     Valet._sessions[sessionId] = nil
+    RemoveFromQueue(session.locationId, sessionId)
+    PushValetState(session.citizenid)
 
     EventBus.Publish('valet:parkCompleted', {
         plate = session.plate,
@@ -343,18 +401,17 @@ function Valet.RetrieveVehicle(source, plate, tipLevel)
         return false, L('not_owner')
     end
 
-    -- Calculate cost
-    tipLevel = tipLevel or 'none'
-    local tipMultiplier = Valet.Config.tipMultipliers[tipLevel] or 1.0
-    local baseCost = Valet.Config.retrievalPrice
-
-    local tipAmount = 0
-    if tipLevel == 'small' then tipAmount = 25
-    elseif tipLevel == 'medium' then tipAmount = 50
-    elseif tipLevel == 'large' then tipAmount = 100
+    -- Check for a retrieval already underway
+    for _, session in pairs(Valet._sessions) do
+        if session.plate == plate and session.type == 'retrieve' then
+            return false, 'Valet is already retrieving this vehicle'
+        end
     end
 
-    local totalCost = baseCost + tipAmount
+    -- Calculate cost
+    local quote = Valet.Quote(citizenid, 'retrieve', tipLevel)
+    local totalCost = quote.cost
+    tipLevel = quote.tipLevel
 
     -- Charge player
     if Bridge.GetMoney(source, 'cash') >= totalCost then
@@ -365,17 +422,11 @@ function Valet.RetrieveVehicle(source, plate, tipLevel)
         return false, L('insufficient_funds', Utils.FormatMoney(totalCost))
     end
 
-    -- Calculate wait time
-    local waitTime = Valet.Config.baseRetrieveTime * tipMultiplier
-
-    if State.IsVip(citizenid) then
-        waitTime = waitTime * Valet.Config.vipPriorityBonus
-    end
-
-    waitTime = math.max(5, math.floor(waitTime))
+    local waitTime = quote.waitTime
 
     -- Create session
     local sessionId = citizenid .. '_' .. plate .. '_retrieve_' .. os.time()
+    local priority = VIP.HasPerk(citizenid, 'valetPriority') and 1 or 10
 
     Valet._sessions[sessionId] = {
         id = sessionId,
@@ -390,6 +441,8 @@ function Valet.RetrieveVehicle(source, plate, tipLevel)
         completesAt = os.time() + waitTime,
     }
 
+    AddToQueue(valetData.locationId, sessionId, priority)
+
     -- Notify client
     TriggerClientEvent('dps-parking:client:valetRetrieving', source, {
         sessionId = sessionId,
@@ -422,23 +475,22 @@ function Valet.CompleteRetrieval(sessionId)
     end
 
     -- Notify client to spawn vehicle
-    local player = Bridge.GetPlayerByCitizenId(session.citizenid)
-    if player then
-        local playerSource = Bridge.IsESX() and player.source or player.PlayerData.source
-        if playerSource then
-            TriggerClientEvent('dps-parking:client:valetDeliverVehicle', playerSource, {
-                sessionId = sessionId,
-                plate = session.plate,
-                vehicleData = session.vehicleData,
-                spawnPoint = location.retrievalPoint or location.coords,
-            })
-            Bridge.Notify(playerSource, 'Your vehicle has arrived', 'success')
-        end
+    local playerSource = Bridge.GetSourceByCitizenId(session.citizenid)
+    if playerSource then
+        TriggerClientEvent('dps-parking:client:valetDeliverVehicle', playerSource, {
+            sessionId = sessionId,
+            plate = session.plate,
+            vehicleData = session.vehicleData,
+            spawnPoint = location.retrievalPoint or location.coords,
+        })
+        Bridge.Notify(playerSource, 'Your vehicle has arrived', 'success')
     end
 
     -- Cleanup
     Valet._parkedByValet[session.plate] = nil
     Valet._sessions[sessionId] = nil
+    RemoveFromQueue(session.locationId, sessionId)
+    PushValetState(session.citizenid)
 
     EventBus.Publish('valet:retrievalCompleted', {
         plate = session.plate,
@@ -464,6 +516,56 @@ function Valet.GetPlayerVehicles(citizenid)
     return vehicles
 end
 
+---Get player's active valet sessions with live queue positions
+---@param citizenid string
+---@return table sessions
+function Valet.GetPlayerSessions(citizenid)
+    local sessions = {}
+    local now = os.time()
+
+    for sessionId, session in pairs(Valet._sessions) do
+        if session.citizenid == citizenid then
+            local location = Valet.GetLocation(session.locationId)
+
+            table.insert(sessions, {
+                id = sessionId,
+                type = session.type,
+                plate = session.plate,
+                locationId = session.locationId,
+                locationName = location and location.name or nil,
+                tipLevel = session.tipLevel,
+                queuePosition = Valet.GetQueuePosition(session.locationId, sessionId),
+                queueSize = Valet._queues[session.locationId] and #Valet._queues[session.locationId] or 0,
+                completesAt = session.completesAt,
+                remaining = math.max(0, session.completesAt - now),
+            })
+        end
+    end
+
+    table.sort(sessions, function(a, b)
+        return a.completesAt < b.completesAt
+    end)
+
+    return sessions
+end
+
+---Get everything the valet panel shows for a player
+---@param citizenid string
+---@return table state { vehicles, sessions }
+function Valet.GetPlayerState(citizenid)
+    local vehicles = Valet.GetPlayerVehicles(citizenid)
+
+    for _, vehicle in ipairs(vehicles) do
+        local location = Valet.GetLocation(vehicle.locationId)
+        vehicle.locationName = location and location.name or nil
+    end
+
+    return {
+        vehicles = vehicles,
+        sessions = Valet.GetPlayerSessions(citizenid),
+    }
+end
+
 -- ============================================
 -- EVENTS
 -- ============================================
@@ -34,6 +34,8 @@ Violations.Config = {
     gracePeriodHours = 24,
     -- Late fee multiplier
     lateFeeMultiplier = 1.5,
+    -- Longest accepted contest reason
+    maxContestLength = 500,
     -- Max unpaid tickets before impound risk
     maxUnpaidTickets = 5,
     -- Jobs that can issue tickets
@@ -44,6 +46,38 @@ Violations.Config = {
 -- TICKET OPERATIONS
 -- ============================================
 
+---Get the fine currently owed on a ticket, including the late fee
+---Late fees apply to tickets still payable (unpaid or contested) once the grace period passes.
+---@param ticket table
+---@return number fine
+---@return boolean isLate
+function Violations.GetCurrentFine(ticket)
+    local hoursSinceIssued = (os.time() - ticket.issuedAt) / 3600
+    local isLate = hoursSinceIssued > Violations.Config.gracePeriodHours
+    local payable = ticket.status == 'unpaid' or ticket.status == 'contested'
+
+    if isLate and payable then
+        return math.floor(ticket.fine * Violations.Config.lateFeeMultiplier), isLate
+    end
+
+    return ticket.fine, isLate
+end
+
+---Get the citizenid that owns a plate
+---@param plate string
+---@return string|nil citizenid
+function Violations.GetPlateOwner(plate)
+    local tbl = Bridge.DB.GetVehicleTable()
+    local owner = Bridge.DB.GetOwnerColumn()
+
+    local result = MySQL.query.await(
+        ('SELECT %s FROM %s WHERE plate = ?'):format(owner, tbl),
+        {plate}
+    )
+
+    return result and result[1] and result[1][owner] or nil
+end
+
 ---Issue a parking ticket
 ---@param source number|nil Officer source (nil for automated)
 ---@param plate string
@@ -67,15 +101,7 @@ function Violations.IssueTicket(source, plate, violationType, location, notes)
     end
 
     -- Get vehicle owner
-    local tbl = Bridge.DB.GetVehicleTable()
-    local owner = Bridge.DB.GetOwnerColumn()
-
-    local result = MySQL.query.await(
-        ('SELECT %s FROM %s WHERE plate = ?'):format(owner, tbl),
-        {plate}
-    )
-
-    local citizenid = result and result[1] and result[1][owner] or nil
+    local citizenid = Violations.GetPlateOwner(plate)
 
     -- Create ticket
     local ticketId = 'TKT_' .. os.time() .. '_' .. math.random(1000, 9999)
@@ -116,13 +142,10 @@ function Violations.IssueTicket(source, plate, violationType, location, notes)
 
     -- Notify owner if online
     if citizenid then
-        local player = Bridge.GetPlayerByCitizenId(citizenid)
-        if player then
-            local playerSource = Bridge.IsESX() and player.source or player.PlayerData.source
-            if playerSource then
-                Bridge.Notify(playerSource, ('You received a parking ticket: %s - $%d'):format(ticketType.label, ticketType.fine), 'error')
-                TriggerClientEvent('dps-parking:client:receivedTicket', playerSource, ticket)
-            end
+        local playerSource = Bridge.GetSourceByCitizenId(citizenid)
+        if playerSource then
+            Bridge.Notify(playerSource, ('You received a parking ticket: %s - %s'):format(ticketType.label, Utils.FormatMoney(ticketType.fine)), 'error')
+            TriggerClientEvent('dps-parking:client:receivedTicket', playerSource, ticket)
         end
     end
 
@@ -145,7 +168,7 @@ function Violations.IssueTicket(source, plate, violationType, location, notes)
         fine = ticketType.fine,
     })
 
-    return true, ('Ticket issued: %s - $%d'):format(ticketType.label, ticketType.fine)
+    return true, ('Ticket issued: %s - %s'):format(ticketType.label, Utils.FormatMoney(ticketType.fine))
 end
 
 ---Pay a parking ticket
@@ -174,12 +197,7 @@ function Violations.PayTicket(source, ticketId)
     end
 
     -- Calculate fine with late fee
-    local fine = ticket.fine
-    local hoursSinceIssued = (os.time() - ticket.issuedAt) / 3600
-
-    if hoursSinceIssued > Violations.Config.gracePeriodHours then
-        fine = math.floor(fine * Violations.Config.lateFeeMultiplier)
-    end
+    local fine = Violations.GetCurrentFine(ticket)
 
     -- Check funds
     if Bridge.GetMoney(source, 'bank') < fine then
@@ -200,13 +218,20 @@ function Violations.PayTicket(source, ticketId)
     ticket.paidAt = os.time()
     ticket.paidAmount = fine
 
+    if DB and DB.AuditLog then
+        DB.AuditLog('ticket_paid', citizenid, ticket.plate, {
+            ticketId = ticketId,
+            amount = fine,
+        })
+    end
+
     EventBus.Publish('violations:ticketPaid', {
         ticketId = ticketId,
         citizenid = citizenid,
         amount = fine,
     })
 
-    return true, ('Ticket paid: $%d'):format(fine)
+    return true, ('Ticket paid: %s'):format(Utils.FormatMoney(fine))
 end
 
 ---Contest a parking ticket
@@ -231,10 +256,26 @@ function Violations.ContestTicket(source, ticketId, reason)
         return false, 'Ticket cannot be contested'
     end
 
+    reason = type(reason) == 'string' and reason:match('^%s*(.-)%s*$') or ''
+    if reason == '' then
+        return false, 'Please explain why you are contesting this ticket'
+    end
+
+    if #reason > Violations.Config.maxContestLength then
+        return false, ('Contest reason is too long (max %d characters)'):format(Violations.Config.maxContestLength)
+    end
+
     ticket.status = 'contested'
     ticket.contestReason = reason
     ticket.contestedAt = os.time()
 
+    if DB and DB.AuditLog then
+        DB.AuditLog('ticket_contested', citizenid, ticket.plate, {
+            ticketId = ticketId,
+            reason = reason,
+        })
+    end
+
     EventBus.Publish('violations:ticketContested', {
         ticketId = ticketId,
         citizenid = citizenid,
@@ -267,21 +308,67 @@ function Violations.DismissTicket(source, ticketId, reason)
     ticket.status = 'dismissed'
     ticket.dismissedBy = Bridge.GetPlayerName(source)
     ticket.dismissReason = reason
+    ticket.dismissedAt = os.time()
+
+    if DB and DB.AuditLog then
+        DB.AuditLog('ticket_dismissed', ticket.citizenid, ticket.plate, {
+            ticketId = ticketId,
+            reason = reason,
+            dismissedBy = ticket.dismissedBy,
+        })
+    end
+
+    EventBus.Publish('violations:ticketDismissed', {
+        ticketId = ticketId,
+        citizenid = ticket.citizenid,
+        reason = reason,
+    })
 
     -- Notify owner
     if ticket.citizenid then
-        local player = Bridge.GetPlayerByCitizenId(ticket.citizenid)
-        if player then
-            local playerSource = Bridge.IsESX() and player.source or player.PlayerData.source
-            if playerSource then
-                Bridge.Notify(playerSource, 'Your parking ticket has been dismissed', 'success')
-            end
+        local playerSource = Bridge.GetSourceByCitizenId(ticket.citizenid)
+        if playerSource then
+            Bridge.Notify(playerSource, 'Your parking ticket has been dismissed', 'success')
         end
     end
 
     return true, 'Ticket dismissed'
 end
 
+---Build the player-facing view of a ticket
+---@param id string
+---@param ticket table
+---@return table
+local function FormatTicket(id, ticket)
+    local fine, isLate = Violations.GetCurrentFine(ticket)
+
+    return {
+        id = id,
+        plate = ticket.plate,
+        type = ticket.typeLabel,
+        fine = fine,
+        originalFine = ticket.fine,
+        status = ticket.status,
+        issuedAt = ticket.issuedAt,
+        isLate = isLate,
+        lateAt = ticket.issuedAt + Violations.Config.gracePeriodHours * 3600,
+        contestReason = ticket.contestReason,
+        contestedAt = ticket.contestedAt,
+        paidAt = ticket.paidAt,
+        paidAmount = ticket.paidAmount,
+        dismissReason = ticket.dismissReason,
+        dismissedAt = ticket.dismissedAt,
+    }
+end
+
+---Get a ticket
+---@param ticketId string
+---@return table|nil ticket Same shape as Violations.GetPlayerTickets entries
+function Violations.GetTicket(ticketId)
+    local ticket = Violations._tickets[ticketId]
+    return ticket and FormatTicket(ticketId, ticket) or nil
+end
+
 ---Get player's tickets
 ---@param citizenid string
 ---@return table tickets
@@ -290,23 +377,7 @@ function Violations.GetPlayerTickets(citizenid)
 
     for id, ticket in pairs(Violations._tickets) do
         if ticket.citizenid == citizenid then
-            local fine = ticket.fine
-            local hoursSinceIssued = (os.time() - ticket.issuedAt) / 3600
-
-            if hoursSinceIssued > Violations.Config.gracePeriodHours and ticket.status == 'unpaid' then
-                fine = math.floor(fine * Violations.Config.lateFeeMultiplier)
-            end
-
-            table.insert(tickets, {
-                id = id,
-                plate = ticket.plate,
-                type = ticket.typeLabel,
-                fine = fine,
-                originalFine = ticket.fine,
-                status = ticket.status,
-                issuedAt = ticket.issuedAt,
-                isLate = hoursSinceIssued > Violations.Config.gracePeriodHours,
-            })
+            table.insert(tickets, FormatTicket(id, ticket))
         end
     end
 
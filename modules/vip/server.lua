@@ -0,0 +1,190 @@
+--[[
+    DPS-Parking - VIP Module (Server)
+    Original: mh-parking by MaDHouSe79
+    Enhanced: DPS Development
+
+    VIP tier registry (Config.VIP.tiers):
+    - Resolves a player's tier, discounts, perks and slots
+    - Grants and revokes VIP with persistence, and ends expired memberships
+    - Builds the tier list sent to the NUI
+]]
+
+VIP = {}
+
+-- Tier for players without VIP
+local STANDARD_TIER = 'standard'
+
+-- How often expired memberships are revoked (ms)
+local EXPIRY_CHECK_INTERVAL = 60000
+
+-- ============================================
+-- TIER REGISTRY
+-- ============================================
+
+---Get a tier definition
+---@param tier string
+---@return table|nil tierData
+function VIP.GetTierData(tier)
+    return tier and Config.VIP.tiers[tier] or nil
+end
+
+---Is this a tier that can be granted
+---@param tier string
+---@return boolean
+function VIP.IsValidTier(tier)
+    return tier ~= STANDARD_TIER and VIP.GetTierData(tier) ~= nil
+end
+
+---Get a player's VIP tier
+---@param citizenid string
+---@return string tier
+---@return table tierData
+function VIP.GetPlayerTier(citizenid)
+    local vipData = Config.VIP.enabled and State.GetVipPlayer(citizenid)
+    if not vipData or VIP.IsExpired(vipData) then
+        return STANDARD_TIER, Config.VIP.tiers[STANDARD_TIER]
+    end
+
+    -- Records from before tiers existed, or for a tier removed from config
+    local tier = VIP.IsValidTier(vipData.tier) and vipData.tier or Config.VIP.defaultTier
+    return tier, Config.VIP.tiers[tier]
+end
+
+---Get a player's discount for a service
+---@param citizenid string
+---@param service string 'delivery', 'meters' or 'rentals'
+---@return number discount 0-1
+function VIP.GetDiscount(citizenid, service)
+    local _, tierData = VIP.GetPlayerTier(citizenid)
+    return tierData.discounts and tierData.discounts[service] or 0
+end
+
+---Does the player's tier include a perk
+---@param citizenid string
+---@param perk string
+---@return boolean
+function VIP.HasPerk(citizenid, perk)
+    local _, tierData = VIP.GetPlayerTier(citizenid)
+    return tierData.perks and tierData.perks[perk] == true or false
+end
+
+---Get the tiers for the NUI, lowest rank first
+---@return table tiers
+function VIP.GetRegistry()
+    local tiers = {}
+
+    for key, tierData in pairs(Config.VIP.tiers) do
+        table.insert(tiers, {
+            key = key,
+            label = tierData.label,
+            color = tierData.color,
+            icon = tierData.icon,
+            rank = tierData.rank or 0,
+            slots = tierData.slots or Config.Parking.defaultMaxSlots,
+            discounts = tierData.discounts or {},
+            perks = tierData.perks or {},
+        })
+    end
+
+    table.sort(tiers, function(a, b)
+        return a.rank < b.rank
+    end)
+
+    return tiers
+end
+
+-- ============================================
+-- MEMBERSHIP
+-- ============================================
+
+---Has a membership passed its expiry
+---@param vipData table
+---@return boolean
+function VIP.IsExpired(vipData)
+    return vipData.expiresAt ~= nil and vipData.expiresAt <= os.time()
+end
+
+---Grant VIP to a player
+---@param citizenid string
+---@param tier? string Defaults to Config.VIP.defaultTier
+---@param slots? number Overrides the tier's slots
+---@param addedBy? string
+---@param expiresAt? number Unix time, nil never expires
+---@return boolean success
+---@return string message
+function VIP.Grant(citizenid, tier, slots, addedBy, expiresAt)
+    tier = tier or Config.VIP.defaultTier
+    if not VIP.IsValidTier(tier) then
+        return false, ('Unknown VIP tier: %s'):format(tostring(tier))
+    end
+
+    State.SetVipPlayer(citizenid, {
+        citizenid = citizenid,
+        tier = tier,
+        slots = slots,
+        addedAt = os.time(),
+        addedBy = addedBy,
+        expiresAt = expiresAt,
+    })
+    DB.SetVipPlayer(citizenid, tier, slots, expiresAt)
+
+    return true, ('%s VIP granted'):format(Config.VIP.tiers[tier].label)
+end
+
+---Revoke a player's VIP
+---@param citizenid string
+function VIP.Revoke(citizenid)
+    State.RemoveVipPlayer(citizenid)
+    DB.RemoveVipPlayer(citizenid)
+end
+
+-- ============================================
+-- PERSISTENCE
+-- ============================================
+
+---Load VIP players from the database
+function VIP.Initialize()
+    local count = 0
+
+    for citizenid, vipData in pairs(DB.GetAllVipPlayers()) do
+        State.SetVipPlayer(citizenid, vipData)
+        count = count + 1
+    end
+
+    print(('[DPS-Parking] VIP: Loaded %d VIP players'):format(count))
+end
+
+---Revoke memberships that have passed their expiry
+local function RevokeExpired()
+    local expired = {}
+
+    for citizenid, vipData in pairs(State._data.vipPlayers) do
+        if VIP.IsExpired(vipData) then
+            table.insert(expired, citizenid)
+        end
+    end
+
+    for _, citizenid in ipairs(expired) do
+        VIP.Revoke(citizenid)
+        EventBus.Publish('vip:expired', { citizenid = citizenid })
+        Utils.Debug(('VIP expired: %s'):format(citizenid))
+    end
+end
+
+-- ============================================
+-- INITIALIZATION
+-- ============================================
+
+CreateThread(function()
+    Wait(1000)
+    VIP.Initialize()
+
+    while true do
+        Wait(EXPIRY_CHECK_INTERVAL)
+        RevokeExpired()
+    end
+end)
+
+print('^2[DPS-Parking] VIP module (server) loaded^0')
+
+return VIP
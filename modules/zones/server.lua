@@ -78,20 +78,18 @@ function Zones.GetAllParkingLots()
     return Config.ParkingLots
 end
 
----Get vehicles parked in a lot
----@param lotId number
+---Get vehicles parked within a radius
+---@param center vector3
+---@param radius number
 ---@return table
-function Zones.GetVehiclesInLot(lotId)
-    local lot = Zones.GetParkingLot(lotId)
-    if not lot then return {} end
-
+function Zones.GetVehiclesInRadius(center, radius)
     local vehicles = {}
     local allParked = State.GetAllParkedVehicles()
 
     for plate, data in pairs(allParked) do
         if data.location then
             local coords = vector3(data.location.x, data.location.y, data.location.z)
-            if Utils.IsInRadius(coords, lot.coords, lot.radius) then
+            if Utils.IsInRadius(coords, center, radius) then
                 vehicles[plate] = data
             end
         end
@@ -100,6 +98,16 @@ function Zones.GetVehiclesInLot(lotId)
     return vehicles
 end
 
+---Get vehicles parked in a lot
+---@param lotId number
+---@return table
+function Zones.GetVehiclesInLot(lotId)
+    local lot = Zones.GetParkingLot(lotId)
+    if not lot then return {} end
+
+    return Zones.GetVehiclesInRadius(lot.coords, lot.radius)
+end
+
 ---Count vehicles in a lot
 ---@param lotId number
 ---@return number
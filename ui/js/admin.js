@@ -0,0 +1,1019 @@
+/**
+ * DPS Parking - Admin Panel
+ * Player and plate search, VIP, vehicle and ticket actions, the audit log
+ * viewer, health figures and typed confirmations for destructive actions
+ */
+
+const AdminUI = {
+    isOpen: false,
+    admin: null,
+    tab: 'search',
+    query: '',
+    results: null,
+    record: null,
+    health: null,
+    confirmRequest: null,
+    busy: false,
+
+    // Audit log viewer; cursors holds each visited page's beforeId, newest page first
+    audit: {
+        loaded: false,
+        filters: {},
+        cursors: [null],
+        nextBefore: null,
+        entries: [],
+        total: 0,
+        expanded: new Set()
+    },
+
+    // Delegated click handlers, called with the clicked element's dataset
+    clickActions: {
+        openPlayer: function(data) { this.openPlayer(data.citizenid); },
+        backToResults: function() { this.showResults(); },
+        unpark: function(data) { this.unpark(data.plate); },
+        deleteParked: function(data) { this.confirmDeleteParked(data.plate); },
+        releaseImpound: function(data) { this.releaseImpound(data.plate); },
+        dismissTicket: function(data) { this.confirmDismissTicket(data.ticketId); },
+        grantVip: function() { this.grantVip(); },
+        revokeVip: function() { this.revokeVip(); },
+        resetPlayer: function() { this.confirmResetPlayer(); },
+        resetAll: function() { this.confirmResetAll(); },
+        refreshHealth: function() { this.refreshHealth(); },
+        auditPlayer: function(data) { this.showPlayerAudit(data.citizenid); },
+        auditOpenPlayer: function(data) { this.setTab('search'); this.openPlayer(data.citizenid); },
+        toggleAuditEntry: function(data) { this.toggleAuditEntry(Number(data.entryId)); },
+        exportAudit: function(data) { this.exportAudit(data.format); }
+    },
+
+    /**
+     * Initialize the panel
+     */
+    init: function() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || !this.isOpen) return;
+
+            if (this.confirmRequest) {
+                this.closeConfirm();
+            } else {
+                this.close();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-admin-action]');
+            const handler = target && this.clickActions[target.dataset.adminAction];
+
+            if (handler && !target.disabled) {
+                handler.call(this, target.dataset);
+            }
+        });
+
+        const queryInput = document.getElementById('admin-query');
+        if (queryInput) {
+            queryInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.search();
+                }
+            });
+        }
+
+        ['audit-citizenid', 'audit-plate'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        this.searchAudit();
+                    }
+                });
+            }
+        });
+
+        const confirmInput = document.getElementById('admin-confirm-input');
+        if (confirmInput) {
+            confirmInput.addEventListener('input', () => this.updateConfirm());
+            confirmInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.submitConfirm();
+                }
+            });
+        }
+    },
+
+    /**
+     * Open the panel
+     * @param {object} data - { admin, locale }
+     */
+    open: function(data) {
+        Locale.set(data.locale);
+
+        this.isOpen = true;
+        this.admin = data.admin || {};
+        this.health = this.admin.health || null;
+        this.results = null;
+        this.record = null;
+        this.audit.loaded = false;
+
+        document.getElementById('admin-app').classList.remove('hidden');
+        document.getElementById('admin-label').textContent = this.admin.admin || L('admin_title');
+        document.getElementById('admin-query').value = this.query;
+
+        this.setTab('search');
+        this.renderSearch();
+        this.renderHealth();
+
+        Utils.playSound('open');
+        document.getElementById('admin-query').focus();
+    },
+
+    /**
+     * Close the panel
+     */
+    close: function() {
+        Utils.playSound('close');
+        Utils.nuiCallback('close');
+        this.hide();
+    },
+
+    /**
+     * Hide the panel
+     */
+    hide: function() {
+        this.isOpen = false;
+        this.closeConfirm();
+        document.getElementById('admin-app').classList.add('hidden');
+    },
+
+    /**
+     * Switch between the search, audit and health tabs
+     * @param {string} tab - 'search', 'audit' or 'health'
+     */
+    setTab: function(tab) {
+        this.tab = ['audit', 'health'].includes(tab) ? tab : 'search';
+
+        document.querySelectorAll('[data-admin-tab]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.adminTab === this.tab);
+        });
+
+        document.getElementById('admin-search-tab').classList.toggle('hidden', this.tab !== 'search');
+        document.getElementById('admin-audit-tab').classList.toggle('hidden', this.tab !== 'audit');
+        document.getElementById('admin-health-tab').classList.toggle('hidden', this.tab !== 'health');
+
+        // The audit log loads the first time its tab is shown
+        if (this.tab === 'audit' && !this.audit.loaded) {
+            this.searchAudit();
+        }
+    },
+
+    /**
+     * Run an admin action and reload what it changed
+     * @param {string} event - NUI callback name
+     * @param {object} data - Data to send
+     * @returns {Promise<object|null>} Result data on success, null on failure
+     */
+    runAction: async function(event, data) {
+        if (this.busy) return null;
+
+        Utils.playSound('click');
+        this.busy = true;
+        const result = await ParkingUI.runAction(event, data, false);
+        this.busy = false;
+
+        if (!result) return null;
+
+        Utils.playSound('success');
+        await this.reload();
+        return result;
+    },
+
+    /**
+     * Reload the open player record, or the search results
+     */
+    reload: async function() {
+        if (this.record) {
+            await this.openPlayer(this.record.player.citizenid);
+        } else if (this.results) {
+            await this.search();
+        }
+    },
+
+    // ============================================
+    // SEARCH
+    // ============================================
+
+    /**
+     * Search players and plates for the query in the search box
+     */
+    search: async function() {
+        const query = document.getElementById('admin-query').value.trim();
+        if (!query) {
+            ParkingUI.showToast(L('admin_search_empty'), 'warning');
+            return;
+        }
+
+        if (this.busy) return;
+        this.busy = true;
+
+        const result = await ParkingUI.runAction('adminSearch', { query: query }, false);
+        this.busy = false;
+
+        if (!result) return;
+
+        this.query = query;
+        this.results = { players: result.players || [], vehicles: result.vehicles || [] };
+        this.record = null;
+        this.renderSearch();
+    },
+
+    /**
+     * Go back from a player record to the search results
+     */
+    showResults: function() {
+        this.record = null;
+        this.renderSearch();
+    },
+
+    /**
+     * Render the search results or the open player record
+     */
+    renderSearch: function() {
+        const results = document.getElementById('admin-results');
+        const player = document.getElementById('admin-player');
+        const emptyState = document.getElementById('admin-empty');
+
+        results.classList.toggle('hidden', !this.results || !!this.record);
+        player.classList.toggle('hidden', !this.record);
+        emptyState.classList.toggle('hidden', !!this.results || !!this.record);
+
+        if (this.record) {
+            this.renderPlayer();
+        } else if (this.results) {
+            this.renderResults();
+        }
+    },
+
+    /**
+     * Render the player and plate matches
+     */
+    renderResults: function() {
+        const { players, vehicles } = this.results;
+
+        document.getElementById('admin-results').innerHTML = `
+            <div class="section-title">${L('admin_players')}</div>
+            ${players.length ? `
+                <div class="admin-list">${players.map(player => this.createPlayerRow(player)).join('')}</div>
+            ` : `
+                <div class="business-empty">${L('admin_no_players')}</div>
+            `}
+            <div class="section-title">${L('admin_vehicles')}</div>
+            ${vehicles.length ? `
+                <div class="admin-list">${vehicles.map(vehicle => this.createVehicleRow(vehicle, true)).join('')}</div>
+            ` : `
+                <div class="business-empty">${L('admin_no_vehicles')}</div>
+            `}
+        `;
+    },
+
+    /**
+     * Create a player search result
+     * @param {object} player - { citizenid, name, online, vip, parked, unpaidTickets }
+     * @returns {string} HTML string
+     */
+    createPlayerRow: function(player) {
+        return `
+            <div class="admin-row clickable" data-admin-action="openPlayer" data-citizenid="${Utils.escapeHtml(player.citizenid)}">
+                <i class="fas fa-user admin-row-icon"></i>
+                <div class="admin-row-main">
+                    <span class="admin-row-title">
+                        ${Utils.escapeHtml(player.name || L('unknown'))}
+                        ${player.vip ? `<span class="admin-tag vip">${Utils.escapeHtml(this.getTierLabel(player.vip))}</span>` : ''}
+                    </span>
+                    <span class="record-meta">
+                        ${Utils.escapeHtml(player.citizenid)}
+                        · ${player.online ? L('admin_online', { id: player.online }) : L('admin_offline')}
+                        · ${L('admin_parked_count', { count: player.parked })}
+                        ${player.unpaidTickets ? ' · ' + L('admin_unpaid_count', { count: player.unpaidTickets }) : ''}
+                    </span>
+                </div>
+                <i class="fas fa-chevron-right"></i>
+            </div>
+        `;
+    },
+
+    /**
+     * Create a vehicle row with the actions its status allows
+     * @param {object} vehicle - { plate, citizenid, status, street, parkedAt, impound }
+     * @param {boolean} showOwner - Link to the owner's record
+     * @returns {string} HTML string
+     */
+    createVehicleRow: function(vehicle, showOwner) {
+        const plate = Utils.escapeHtml(vehicle.plate);
+        let detail = '';
+
+        if (vehicle.status === 'parked') {
+            detail = Utils.escapeHtml(vehicle.street || L('unknown_location'))
+                + (vehicle.parkedAt ? ' · ' + Utils.formatTimeAgo(vehicle.parkedAt) : '');
+        } else if (vehicle.impound) {
+            detail = Utils.escapeHtml(vehicle.impound.reason || L('impound_default_reason'))
+                + ' · ' + L('record_impound_owed', { amount: Utils.formatMoney(vehicle.impound.currentFee || 0) });
+        }
+
+        return `
+            <div class="admin-row">
+                <div class="ticket-plate">${Utils.escapeHtml(Utils.formatPlate(vehicle.plate))}</div>
+                <div class="admin-row-main">
+                    <span class="admin-row-title">
+                        <span class="admin-tag ${Utils.escapeHtml(vehicle.status)}">${L('admin_status_' + vehicle.status)}</span>
+                    </span>
+                    ${detail ? `<span class="record-meta">${detail}</span>` : ''}
+                    ${showOwner && vehicle.citizenid ? `
+                        <button class="admin-link" data-admin-action="openPlayer" data-citizenid="${Utils.escapeHtml(vehicle.citizenid)}">
+                            <i class="fas fa-user"></i> ${Utils.escapeHtml(vehicle.citizenid)}
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="admin-row-actions">
+                    ${vehicle.status === 'parked' ? `
+                        <button class="btn btn-small btn-secondary" data-admin-action="unpark" data-plate="${plate}">
+                            <i class="fas fa-warehouse"></i> ${L('admin_unpark')}
+                        </button>
+                        <button class="btn btn-small btn-danger" data-admin-action="deleteParked" data-plate="${plate}">
+                            <i class="fas fa-trash"></i> ${L('admin_delete')}
+                        </button>
+                    ` : ''}
+                    ${vehicle.status === 'impound' ? `
+                        <button class="btn btn-small btn-secondary" data-admin-action="releaseImpound" data-plate="${plate}">
+                            <i class="fas fa-unlock"></i> ${L('admin_release')}
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Get a VIP tier's label
+     * @param {string} tier - Tier key
+     * @returns {string}
+     */
+    getTierLabel: function(tier) {
+        const found = (this.admin.tiers || []).find(entry => entry.key === tier);
+        return found ? found.label : Utils.capitalize(tier);
+    },
+
+    // ============================================
+    // PLAYER RECORD
+    // ============================================
+
+    /**
+     * Open a player's record
+     * @param {string} citizenid - Citizen ID
+     */
+    openPlayer: async function(citizenid) {
+        const result = await ParkingUI.runAction('adminGetPlayer', { citizenid: citizenid }, false);
+        if (!result) return;
+
+        this.record = result.record;
+        this.renderSearch();
+    },
+
+    /**
+     * Render the open player record
+     */
+    renderPlayer: function() {
+        const record = this.record;
+        const player = record.player;
+        const tickets = record.tickets || [];
+
+        document.getElementById('admin-player').innerHTML = `
+            <div class="record-header">
+                ${this.results ? `
+                    <button class="btn btn-small btn-ghost" data-admin-action="backToResults">
+                        <i class="fas fa-arrow-left"></i> ${L('admin_back')}
+                    </button>
+                ` : ''}
+                <div class="admin-row-main">
+                    <span class="admin-row-title">${Utils.escapeHtml(player.name || L('unknown'))}</span>
+                    <span class="record-meta">
+                        ${Utils.escapeHtml(player.citizenid)}
+                        · ${player.online ? L('admin_online', { id: player.online }) : L('admin_offline')}
+                        · ${L('admin_slots_used', { used: player.parked, max: record.maxSlots })}
+                    </span>
+                </div>
+                <button class="btn btn-small btn-secondary" data-admin-action="auditPlayer" data-citizenid="${Utils.escapeHtml(player.citizenid)}">
+                    <i class="fas fa-clipboard-list"></i> ${L('admin_audit_player')}
+                </button>
+                <button class="btn btn-small btn-danger" data-admin-action="resetPlayer" ${player.parked ? '' : 'disabled'}>
+                    <i class="fas fa-rotate-left"></i> ${L('admin_reset_player')}
+                </button>
+            </div>
+
+            ${this.createVipPanel(record.vip)}
+
+            <div class="section-title">${L('admin_vehicles')}</div>
+            ${record.vehicles.length ? `
+                <div class="admin-list">${record.vehicles.map(vehicle => this.createVehicleRow(vehicle, false)).join('')}</div>
+            ` : `
+                <div class="business-empty">${L('admin_no_vehicles')}</div>
+            `}
+
+            <div class="section-title">${L('admin_tickets')}</div>
+            ${tickets.length ? `
+                <div class="admin-list">${tickets.map(ticket => this.createTicketRow(ticket)).join('')}</div>
+            ` : `
+                <div class="business-empty">${L('admin_no_tickets')}</div>
+            `}
+        `;
+
+        const tierSelect = document.getElementById('admin-vip-tier');
+        if (tierSelect) {
+            tierSelect.value = record.vip?.tier || this.admin.defaultTier || '';
+        }
+    },
+
+    /**
+     * Create the VIP status and grant form
+     * @param {object|null} vip - { tier, slots, expiresAt, addedBy }
+     * @returns {string} HTML string
+     */
+    createVipPanel: function(vip) {
+        const limits = this.admin.limits || {};
+        let status = L('admin_vip_none');
+
+        if (vip) {
+            status = L(vip.expiresAt ? 'admin_vip_until' : 'admin_vip_permanent', {
+                tier: this.getTierLabel(vip.tier),
+                date: vip.expiresAt ? Utils.formatDateTime(vip.expiresAt) : ''
+            });
+        }
+
+        return `
+            <div class="section-title">${L('admin_vip')}</div>
+            <div class="admin-vip">
+                <div class="admin-vip-status">
+                    <span class="record-value ${vip ? '' : 'muted'}">${Utils.escapeHtml(status)}</span>
+                    ${vip && vip.slots ? `<span class="record-meta">${L('admin_vip_slot_override', { count: vip.slots })}</span>` : ''}
+                    ${vip && vip.addedBy ? `<span class="record-meta">${L('admin_vip_added_by', { name: Utils.escapeHtml(vip.addedBy) })}</span>` : ''}
+                </div>
+                <div class="admin-vip-form">
+                    <label>
+                        <span class="contest-label">${L('admin_vip_tier')}</span>
+                        <select class="enforcement-select" id="admin-vip-tier">
+                            ${(this.admin.tiers || []).map(tier => `
+                                <option value="${Utils.escapeHtml(tier.key)}">
+                                    ${Utils.escapeHtml(L('admin_tier_option', { label: tier.label, slots: tier.slots }))}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label>
+                        <span class="contest-label">${L('admin_vip_slots')}</span>
+                        <input type="number" class="admin-input" id="admin-vip-slots" min="1" max="${limits.maxVipSlots || ''}"
+                               placeholder="${L('admin_vip_slots_placeholder')}" value="${vip && vip.slots ? vip.slots : ''}">
+                    </label>
+                    <label>
+                        <span class="contest-label">${L('admin_vip_days')}</span>
+                        <input type="number" class="admin-input" id="admin-vip-days" min="1" max="${limits.maxVipDays || ''}"
+                               placeholder="${L('admin_vip_days_placeholder')}">
+                    </label>
+                </div>
+                <div class="admin-row-actions">
+                    <button class="btn btn-small btn-primary" data-admin-action="grantVip">
+                        <i class="fas fa-crown"></i> ${L(vip ? 'admin_vip_update' : 'admin_vip_grant')}
+                    </button>
+                    ${vip ? `
+                        <button class="btn btn-small btn-danger" data-admin-action="revokeVip">
+                            <i class="fas fa-user-minus"></i> ${L('admin_vip_revoke')}
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create a ticket row
+     * @param {object} ticket - Ticket from the violations module
+     * @returns {string} HTML string
+     */
+    createTicketRow: function(ticket) {
+        const open = ticket.status === 'unpaid' || ticket.status === 'contested';
+
+        return `
+            <div class="admin-row">
+                <div class="ticket-plate">${Utils.escapeHtml(Utils.formatPlate(ticket.plate))}</div>
+                <div class="admin-row-main">
+                    <span class="admin-row-title">
+                        ${Utils.escapeHtml(ticket.type || L('ticket_default_reason'))}
+                        <span class="admin-tag ${Utils.escapeHtml(ticket.status)}">${L('ticket_status_' + ticket.status)}</span>
+                    </span>
+                    <span class="record-meta">
+                        ${Utils.formatMoney(ticket.fine)} · ${Utils.formatTimeAgo(ticket.issuedAt)}
+                        ${ticket.contestReason ? ' · ' + Utils.escapeHtml(L('ticket_contested_resolution_reason', { reason: ticket.contestReason })) : ''}
+                    </span>
+                </div>
+                <div class="admin-row-actions">
+                    ${open ? `
+                        <button class="btn btn-small btn-secondary" data-admin-action="dismissTicket" data-ticket-id="${Utils.escapeHtml(ticket.id)}">
+                            <i class="fas fa-gavel"></i> ${L('admin_dismiss')}
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    // ============================================
+    // ACTIONS
+    // ============================================
+
+    /**
+     * Grant or update the open player's VIP
+     */
+    grantVip: async function() {
+        if (!this.record) return;
+
+        const slots = document.getElementById('admin-vip-slots').value;
+        const days = document.getElementById('admin-vip-days').value;
+
+        await this.runAction('adminGrantVip', {
+            citizenid: this.record.player.citizenid,
+            tier: document.getElementById('admin-vip-tier').value,
+            slots: slots ? Number(slots) : null,
+            days: days ? Number(days) : null
+        });
+    },
+
+    /**
+     * Revoke the open player's VIP
+     */
+    revokeVip: async function() {
+        if (!this.record) return;
+        await this.runAction('adminRevokeVip', { citizenid: this.record.player.citizenid });
+    },
+
+    /**
+     * Move a parked vehicle to its owner's garage
+     * @param {string} plate - Vehicle plate
+     */
+    unpark: async function(plate) {
+        await this.runAction('adminUnpark', { plate: plate });
+    },
+
+    /**
+     * Release an impounded vehicle without a fee
+     * @param {string} plate - Vehicle plate
+     */
+    releaseImpound: async function(plate) {
+        await this.runAction('adminReleaseImpound', { plate: plate });
+    },
+
+    /**
+     * Ask for the plate before deleting a parked vehicle
+     * @param {string} plate - Vehicle plate
+     */
+    confirmDeleteParked: function(plate) {
+        this.openConfirm({
+            title: L('admin_delete_title'),
+            text: L('admin_delete_text', { plate: plate }),
+            phrase: plate,
+            onConfirm: (confirmation) => this.runAction('adminDeleteParked', { plate: plate, confirmation: confirmation })
+        });
+    },
+
+    /**
+     * Ask for a reason before dismissing a ticket
+     * @param {string} ticketId - Ticket ID
+     */
+    confirmDismissTicket: function(ticketId) {
+        this.openConfirm({
+            title: L('admin_dismiss_title'),
+            text: L('admin_dismiss_text'),
+            label: L('admin_dismiss_reason'),
+            onConfirm: (reason) => this.runAction('adminDismissTicket', { ticketId: ticketId, reason: reason })
+        });
+    },
+
+    /**
+     * Ask for the citizen ID before resetting the open player's parking
+     */
+    confirmResetPlayer: function() {
+        if (!this.record) return;
+        const citizenid = this.record.player.citizenid;
+
+        this.openConfirm({
+            title: L('admin_reset_player_title'),
+            text: L('admin_reset_player_text', { name: this.record.player.name || citizenid }),
+            phrase: citizenid,
+            onConfirm: (confirmation) => this.runAction('adminResetPlayer', { citizenid: citizenid, confirmation: confirmation })
+        });
+    },
+
+    /**
+     * Ask for the reset phrase before resetting all parking
+     */
+    confirmResetAll: function() {
+        this.openConfirm({
+            title: L('admin_reset_all_title'),
+            text: L('admin_reset_all_text'),
+            phrase: this.admin.resetAllPhrase,
+            onConfirm: async (confirmation) => {
+                const result = await this.runAction('adminResetAll', { confirmation: confirmation });
+                if (result) await this.refreshHealth();
+                return result;
+            }
+        });
+    },
+
+    // ============================================
+    // CONFIRMATION
+    // ============================================
+
+    /**
+     * Open the confirmation dialog
+     * @param {object} request - { title, text, phrase, label, onConfirm }
+     *   phrase: text that must be typed exactly; without it any non-empty text (e.g. a reason) is accepted
+     */
+    openConfirm: function(request) {
+        this.confirmRequest = request;
+
+        const input = document.getElementById('admin-confirm-input');
+        input.value = '';
+        input.placeholder = request.phrase || '';
+
+        document.getElementById('admin-confirm-title').textContent = request.title;
+        document.getElementById('admin-confirm-text').textContent = request.text;
+        document.getElementById('admin-confirm-label').innerHTML = request.phrase
+            ? L('admin_confirm_type', { phrase: `<strong>${Utils.escapeHtml(request.phrase)}</strong>` })
+            : Utils.escapeHtml(request.label || '');
+        this.updateConfirm();
+
+        const modal = document.getElementById('admin-confirm-modal');
+        modal.classList.remove('hidden');
+        Utils.animateIn(modal.querySelector('.modal-content'), 'scaleIn');
+        input.focus();
+
+        Utils.playSound('click');
+    },
+
+    /**
+     * Enable the confirm button once the typed text is accepted
+     */
+    updateConfirm: function() {
+        const request = this.confirmRequest;
+        if (!request) return;
+
+        const value = document.getElementById('admin-confirm-input').value;
+        document.getElementById('admin-confirm-submit').disabled = request.phrase
+            ? value !== request.phrase
+            : value.trim().length === 0;
+    },
+
+    /**
+     * Run the confirmed action
+     */
+    submitConfirm: async function() {
+        const request = this.confirmRequest;
+        if (!request || document.getElementById('admin-confirm-submit').disabled) return;
+
+        const value = document.getElementById('admin-confirm-input').value;
+        const result = await request.onConfirm(request.phrase ? value : value.trim());
+
+        if (result) {
+            this.closeConfirm();
+        }
+    },
+
+    /**
+     * Close the confirmation dialog
+     */
+    closeConfirm: function() {
+        document.getElementById('admin-confirm-modal').classList.add('hidden');
+        this.confirmRequest = null;
+    },
+
+    // ============================================
+    // AUDIT LOG
+    // ============================================
+
+    /**
+     * Read the audit filter inputs
+     * @returns {object} { action, citizenid, plate, from, to } from/to: unix time, to is exclusive
+     */
+    getAuditFilters: function() {
+        const value = id => document.getElementById(id).value.trim();
+        const from = value('audit-from');
+        const to = value('audit-to');
+
+        // Whole days in the player's time zone; the to day is included
+        let toTime = null;
+        if (to) {
+            const end = new Date(to + 'T00:00');
+            end.setDate(end.getDate() + 1);
+            toTime = Math.floor(end.getTime() / 1000);
+        }
+
+        return {
+            action: value('audit-action') || null,
+            citizenid: value('audit-citizenid') || null,
+            plate: value('audit-plate').toUpperCase() || null,
+            from: from ? Math.floor(new Date(from + 'T00:00').getTime() / 1000) : null,
+            to: toTime
+        };
+    },
+
+    /**
+     * Apply the filter inputs and load the newest page
+     */
+    searchAudit: async function() {
+        this.audit.filters = this.getAuditFilters();
+        this.audit.cursors = [null];
+        this.audit.expanded.clear();
+        await this.loadAuditPage();
+    },
+
+    /**
+     * Clear the filter inputs and reload
+     */
+    clearAuditFilters: function() {
+        ['audit-action', 'audit-citizenid', 'audit-plate', 'audit-from', 'audit-to'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.searchAudit();
+    },
+
+    /**
+     * Show a player's audit entries
+     * @param {string} citizenid - Citizen ID
+     */
+    showPlayerAudit: function(citizenid) {
+        ['audit-action', 'audit-plate', 'audit-from', 'audit-to'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('audit-citizenid').value = citizenid;
+
+        this.audit.loaded = true;
+        this.setTab('audit');
+        this.searchAudit();
+    },
+
+    /**
+     * Load the current audit page
+     */
+    loadAuditPage: async function() {
+        if (this.busy) return;
+        this.busy = true;
+
+        const result = await ParkingUI.runAction('adminAuditLog', {
+            filters: this.audit.filters,
+            beforeId: this.audit.cursors[this.audit.cursors.length - 1]
+        }, false);
+        this.busy = false;
+
+        if (!result) return;
+
+        this.audit.loaded = true;
+        this.audit.entries = result.entries || [];
+        this.audit.total = result.total || 0;
+        this.audit.nextBefore = result.nextBefore || null;
+
+        this.renderAuditActions(result.actions || []);
+        this.renderAudit();
+    },
+
+    /**
+     * Load the next older page
+     */
+    auditOlder: function() {
+        if (!this.audit.nextBefore) return;
+
+        this.audit.cursors.push(this.audit.nextBefore);
+        this.loadAuditPage();
+    },
+
+    /**
+     * Go back to the newer page
+     */
+    auditNewer: function() {
+        if (this.audit.cursors.length <= 1) return;
+
+        this.audit.cursors.pop();
+        this.loadAuditPage();
+    },
+
+    /**
+     * Show or hide an entry's details
+     * @param {number} entryId - Audit entry id
+     */
+    toggleAuditEntry: function(entryId) {
+        if (this.audit.expanded.has(entryId)) {
+            this.audit.expanded.delete(entryId);
+        } else {
+            this.audit.expanded.add(entryId);
+        }
+        this.renderAudit();
+    },
+
+    /**
+     * Fill the action filter, keeping the selected action
+     * @param {Array} actions - Action names in the audit log
+     */
+    renderAuditActions: function(actions) {
+        const select = document.getElementById('audit-action');
+        const selected = this.audit.filters.action || '';
+
+        // An action with no entries yet can still be selected
+        if (selected && !actions.includes(selected)) {
+            actions = [selected, ...actions];
+        }
+
+        select.innerHTML = `<option value="">${L('audit_all_actions')}</option>` + actions.map(action => `
+            <option value="${Utils.escapeHtml(action)}">${Utils.escapeHtml(this.getActionLabel(action))}</option>
+        `).join('');
+        select.value = selected;
+    },
+
+    /**
+     * Get a readable label for an audit action
+     * @param {string} action - Audit action name
+     * @returns {string}
+     */
+    getActionLabel: function(action) {
+        return Locale.has('history_' + action) ? L('history_' + action) + ' (' + action + ')' : action;
+    },
+
+    /**
+     * Render the audit page
+     */
+    renderAudit: function() {
+        const audit = this.audit;
+        const page = audit.cursors.length;
+
+        document.getElementById('audit-total').textContent = L('audit_total', { count: audit.total });
+        document.getElementById('audit-page').textContent = L('audit_page', { page: page });
+        document.getElementById('audit-newer').disabled = page <= 1;
+        document.getElementById('audit-older').disabled = !audit.nextBefore;
+
+        document.getElementById('audit-entries').innerHTML = audit.entries.length
+            ? audit.entries.map(entry => this.createAuditRow(entry)).join('')
+            : `<div class="business-empty">${L('audit_empty')}</div>`;
+    },
+
+    /**
+     * Create an audit entry row, with its details when expanded
+     * @param {object} entry - { id, action, citizenid, plate, details, createdAt }
+     * @returns {string} HTML string
+     */
+    createAuditRow: function(entry) {
+        const expanded = this.audit.expanded.has(entry.id);
+        const details = entry.details || {};
+        const hasDetails = Object.keys(details).length > 0;
+
+        return `
+            <div class="audit-entry ${expanded ? 'expanded' : ''}">
+                <div class="admin-row clickable" data-admin-action="toggleAuditEntry" data-entry-id="${entry.id}">
+                    <i class="fas fa-chevron-${expanded ? 'down' : 'right'} admin-row-icon"></i>
+                    <div class="admin-row-main">
+                        <span class="admin-row-title">
+                            ${Utils.escapeHtml(this.getActionLabel(entry.action))}
+                            ${entry.plate ? `<span class="admin-tag">${Utils.escapeHtml(Utils.formatPlate(entry.plate))}</span>` : ''}
+                        </span>
+                        <span class="record-meta">
+                            #${entry.id} · ${Utils.formatDateTime(entry.createdAt)}
+                            ${details.admin || details.officer ? ' · ' + Utils.escapeHtml(details.admin || details.officer) : ''}
+                        </span>
+                    </div>
+                    ${entry.citizenid ? `
+                        <button class="admin-link" data-admin-action="auditOpenPlayer" data-citizenid="${Utils.escapeHtml(entry.citizenid)}">
+                            <i class="fas fa-user"></i> ${Utils.escapeHtml(entry.citizenid)}
+                        </button>
+                    ` : ''}
+                </div>
+                ${expanded ? `
+                    <pre class="audit-details">${hasDetails ? Utils.escapeHtml(JSON.stringify(details, null, 2)) : L('audit_no_details')}</pre>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Export the filtered audit log to a file on the server
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportAudit: async function(format) {
+        if (this.busy) return;
+
+        Utils.playSound('click');
+        this.busy = true;
+        const result = await ParkingUI.runAction('adminAuditExport', { filters: this.audit.filters, format: format }, false);
+        this.busy = false;
+
+        if (!result) return;
+
+        if (result.limited) {
+            ParkingUI.showToast(L('audit_export_limited', { count: result.count }), 'warning');
+        }
+
+        // Staff without server access take the export from the clipboard
+        const copied = Utils.copyToClipboard(result.content);
+        ParkingUI.showToast(L(copied ? 'audit_export_copied' : 'audit_export_copy_failed'), copied ? 'info' : 'error');
+    },
+
+    // ============================================
+    // HEALTH
+    // ============================================
+
+    /**
+     * Reload the health figures
+     */
+    refreshHealth: async function() {
+        const result = await ParkingUI.runAction('adminHealth', {}, false);
+        if (!result) return;
+
+        this.health = result.health;
+        this.renderHealth();
+    },
+
+    /**
+     * Render the health figures
+     */
+    renderHealth: function() {
+        const container = document.getElementById('admin-health');
+        const health = this.health;
+
+        if (!health) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const state = health.state || {};
+        const figures = [
+            { icon: 'fa-square-parking', label: L('admin_health_parked'), value: state.parkedVehicles },
+            { icon: 'fa-clock', label: L('admin_health_meters'), value: state.activeMeters },
+            { icon: 'fa-truck', label: L('admin_health_deliveries'), value: state.activeDeliveries },
+            { icon: 'fa-calendar', label: L('admin_health_scheduled'), value: state.scheduledDeliveries },
+            { icon: 'fa-crown', label: L('admin_health_vip'), value: state.vipPlayers },
+            { icon: 'fa-building', label: L('admin_health_business'), value: state.businessOwners },
+            { icon: 'fa-warehouse', label: L('admin_health_impounded'), value: health.impounded },
+            { icon: 'fa-ticket', label: L('admin_health_unpaid'), value: health.unpaidTickets },
+            { icon: 'fa-users', label: L('admin_health_online'), value: health.onlinePlayers }
+        ];
+
+        container.innerHTML = `
+            <div class="record-grid">
+                ${figures.map(figure => `
+                    <div class="record-card">
+                        <span class="stat-label"><i class="fas ${figure.icon}"></i> ${figure.label}</span>
+                        <span class="record-value">${figure.value ?? 0}</span>
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="admin-health-lists">
+                <div>
+                    <div class="section-title">${L('admin_health_events')}</div>
+                    ${this.createStatList((health.events || []).map(entry => ({
+                        name: entry.event,
+                        value: L('admin_health_subscribers', { count: entry.subscribers })
+                    })))}
+                </div>
+                <div>
+                    <div class="section-title">${L('admin_health_hooks')}</div>
+                    ${this.createStatList((health.hooks || []).map(entry => ({
+                        name: entry.action + ' (' + entry.stage + ')',
+                        value: L('admin_health_hook_count', { count: entry.hooks })
+                    })))}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create a name/value list
+     * @param {Array} rows - { name, value }
+     * @returns {string} HTML string
+     */
+    createStatList: function(rows) {
+        if (!rows.length) {
+            return `<div class="business-empty">${L('admin_health_none')}</div>`;
+        }
+
+        return `
+            <div class="ledger-list">
+                ${rows.map(row => `
+                    <div class="ledger-row">
+                        <span class="ledger-desc">${Utils.escapeHtml(row.name)}</span>
+                        <span class="ledger-date">${Utils.escapeHtml(row.value)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+};
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    AdminUI.init();
+});
+
+// Export for global access
+window.AdminUI = AdminUI;
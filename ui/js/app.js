@@ -9,12 +9,74 @@ const ParkingUI = {
     currentTab: 'vehicles',
     selectedVehicle: null,
     selectedDeliveryType: 'standard',
+    deliveryWhen: 'now',
+    deliveryQuote: null,
+    quoteRequestId: 0,
+    ticketView: 'outstanding',
+    ticketFilter: 'all',
+    contestTicket: null,
+    valetRequest: null,
+    valetTip: 'none',
+    valetTicker: null,
+    rentalRequest: null,
+    rentalHours: 1,
+    rentalTicker: null,
+    meterTicker: null,
+    deliveryTicker: null,
+    vehicleView: {
+        sort: 'recent',
+        group: 'none',
+        classes: [],
+        flags: []
+    },
+    businessLotId: null,
+    playerCoords: null,
+    expandedDelivery: null,
+    vehicleDetails: null,
+    selectMode: null,
+    selectedPlates: [],
+    bulkRequest: null,
+    bulkQuoteId: 0,
+    bulkFailures: {},
+    meterQuote: null,
+    serverOffset: 0,
 
     // Data
     vehicles: [],
     deliveries: [],
+    deliveryHistory: [],
+    scheduledDeliveries: [],
     meters: [],
+    meterSettings: {
+        alerts: true,
+        renewCap: 250
+    },
     tickets: [],
+    impounds: [],
+    valet: {
+        enabled: false,
+        vehicles: [],
+        sessions: [],
+        tips: { park: [], retrieve: [] }
+    },
+    reserved: {
+        enabled: false,
+        available: [],
+        rentals: [],
+        pricePerHour: 50,
+        maxRentalHours: 24,
+        discount: 0
+    },
+    business: {
+        enabled: false,
+        lots: [],
+        limits: {
+            maxEmployees: 5,
+            minPriceMultiplier: 0.5,
+            maxPriceMultiplier: 3.0,
+            taxPercent: 10
+        }
+    },
     playerData: {
         vipTier: 'standard',
         slotsUsed: 0,
@@ -27,7 +89,39 @@ const ParkingUI = {
             standard: 500,
             rush: 1000
         },
-        currency: '$'
+        delivery: {
+            cancelRefund: 0.75,
+            cancelCutoff: 30,
+            scheduling: {
+                enabled: false,
+                minMinutesAhead: 10,
+                maxDaysAhead: 14
+            }
+        },
+        currency: null,
+        vipTiers: [],
+        meters: {
+            graceMinutes: 5,
+            towAfterMinutes: 30,
+            minimumMinutes: 15,
+            maximumMinutes: 240,
+            alerts: [10, 2],
+            autoRenew: {
+                increment: 30,
+                caps: [100, 250, 500, 1000]
+            }
+        },
+        tickets: {
+            lateFeeMultiplier: 1.5,
+            maxContestLength: 500
+        },
+        map: {
+            enabled: false,
+            image: null,
+            bounds: null,
+            lots: [],
+            valet: []
+        }
     },
 
     /**
@@ -58,6 +152,48 @@ const ParkingUI = {
             }, 300));
         }
 
+        // Vehicle sort and grouping
+        const vehicleSort = document.getElementById('vehicle-sort');
+        if (vehicleSort) {
+            vehicleSort.addEventListener('change', () => this.updateVehicleView({ sort: vehicleSort.value }));
+        }
+
+        const vehicleGroup = document.getElementById('vehicle-group');
+        if (vehicleGroup) {
+            vehicleGroup.addEventListener('change', () => this.updateVehicleView({ group: vehicleGroup.value }));
+        }
+
+        // Meter settings
+        const meterAlerts = document.getElementById('meter-alerts');
+        if (meterAlerts) {
+            meterAlerts.addEventListener('change', () => this.saveMeterSettings({ alerts: meterAlerts.checked }));
+        }
+
+        const meterRenewCap = document.getElementById('meter-renew-cap');
+        if (meterRenewCap) {
+            meterRenewCap.addEventListener('change', () => this.saveMeterSettings({ renewCap: Number(meterRenewCap.value) }));
+        }
+
+        // Ticket history search
+        const ticketSearch = document.getElementById('ticket-search');
+        if (ticketSearch) {
+            ticketSearch.addEventListener('input', Utils.debounce(() => {
+                this.renderTickets();
+            }, 300));
+        }
+
+        // Contest reason counter
+        const contestReason = document.getElementById('contest-reason');
+        if (contestReason) {
+            contestReason.addEventListener('input', () => this.updateContestCounter());
+        }
+
+        // Rental length slider
+        const rentalHours = document.getElementById('rental-hours');
+        if (rentalHours) {
+            rentalHours.addEventListener('input', () => this.setRentalHours(rentalHours.value));
+        }
+
         // NPC driver checkbox
         const npcCheckbox = document.getElementById('npc-driver');
         if (npcCheckbox) {
@@ -65,6 +201,63 @@ const ParkingUI = {
                 this.updateDeliverySummary();
             });
         }
+
+        // Rendered cards name their handler with data-action instead of inline onclick
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            const handler = target && this.clickActions[target.dataset.action];
+
+            if (handler && !target.disabled) {
+                handler.call(this, target.dataset);
+            }
+        });
+
+        document.addEventListener('input', (e) => {
+            const handler = this.inputActions[e.target.dataset.inputAction];
+            if (handler) {
+                handler.call(this, e.target.value, e.target.dataset);
+            }
+        });
+    },
+
+    // Delegated click handlers, called with the clicked element's dataset
+    clickActions: {
+        selectVehicle: function(data) { this.selectVehicle(data.plate); },
+        toggleBulkSelect: function(data) { this.toggleBulkSelect(data.plate); },
+        selectAllBulk: function() { this.selectAllBulk(); },
+        exitSelectMode: function() { this.setSelectMode(null); },
+        openBulkModal: function(data) { this.openBulkModal(data.bulk); },
+        setBulkOption: function(data) { this.setBulkOption(data.option, data.value); },
+        toggleDelivery: function(data) { this.toggleDelivery(data.deliveryId); },
+        cancelDelivery: function(data) { this.cancelDelivery(data.deliveryId); },
+        cancelScheduledDelivery: function(data) { this.cancelScheduledDelivery(data.bookingId); },
+        toggleVehicleFilter: function(data) { this.toggleVehicleFilter(data.filter); },
+        addMeterTime: function(data) { this.quoteMeter(data.meterId); },
+        payMeter: function(data) { this.quoteMeter(data.meterId); },
+        confirmMeterPayment: function(data) { this.confirmMeterPayment(data.plate); },
+        toggleAutoRenew: function(data) { this.toggleAutoRenew(data.plate); },
+        contestTicket: function(data) { this.openContest(data.ticketId); },
+        payTicket: function(data) {
+            const ticket = this.tickets.find(t => String(t.id) === data.ticketId);
+            if (ticket) this.payTicket(ticket.id);
+        },
+        retrieveValet: function(data) { this.openValetModal('retrieve', { plate: data.plate }); },
+        selectValetTip: function(data) { this.selectValetTip(data.tipLevel); },
+        showRentalOnMap: function(data) { this.showRentalOnMap(data.spotId); },
+        renewRental: function(data) { this.openRentalModal('renew', data.spotId); },
+        rentSpot: function(data) { this.openRentalModal('rent', data.spotId); },
+        retrieveImpound: function(data) { this.retrieveImpound(data.plate); },
+        selectBusinessLot: function(data) { this.selectBusinessLot(Number(data.lotId)); },
+        collectRevenue: function(data) { this.collectRevenue(Number(data.lotId)); },
+        saveLotPrice: function(data) { this.saveLotPrice(Number(data.lotId)); },
+        hireEmployee: function(data) { this.hireEmployee(Number(data.lotId)); },
+        fireEmployee: function(data) { this.fireEmployee(Number(data.lotId), data.citizenid); },
+        purchaseUpgrade: function(data) { this.purchaseUpgrade(Number(data.lotId), data.upgrade); }
+    },
+
+    // Delegated input handlers, called with the input's value and dataset
+    inputActions: {
+        previewLotPrice: function(value) { this.previewLotPrice(value); }
     },
 
     /**
@@ -72,24 +265,46 @@ const ParkingUI = {
      * @param {object} data - Initial data from Lua
      */
     open: function(data) {
+        Locale.set(data?.locale);
+
         if (data) {
             this.vehicles = data.vehicles || [];
             this.deliveries = data.deliveries || [];
+            this.deliveryHistory = data.deliveryHistory || [];
+            this.scheduledDeliveries = data.scheduledDeliveries || [];
             this.meters = data.meters || [];
+            this.meterSettings = data.meterSettings || this.meterSettings;
             this.tickets = data.tickets || [];
+            this.impounds = data.impounds || [];
+            this.valet = data.valet || this.valet;
+            this.reserved = data.reserved || this.reserved;
+            this.business = data.business || this.business;
             this.playerData = data.playerData || this.playerData;
+            this.playerCoords = data.playerCoords || this.playerCoords;
             this.config = data.config || this.config;
         }
 
+        Utils.setCurrency(this.config.currency);
+        Utils.setVIPTiers(this.config.vipTiers);
+        this.loadVehicleView(data?.vehicleView);
+
         this.isOpen = true;
         this.updateHeader();
         this.updateAllTabs();
-        this.switchTab('vehicles');
+        this.switchTab(data?.tab || 'vehicles');
 
         const app = document.getElementById('parking-app');
         app.classList.remove('hidden');
         Utils.animateIn(app.querySelector('.dashboard'), 'scaleIn');
 
+        if (data?.contestTicketId) {
+            this.openContest(data.contestTicketId);
+        }
+
+        if (data?.valetPark) {
+            this.openValetModal('park', data.valetPark);
+        }
+
         Utils.playSound('open');
     },
 
@@ -100,6 +315,11 @@ const ParkingUI = {
         this.isOpen = false;
         this.closeModal();
         this.closeDeliveryModal();
+        this.closeContestModal();
+        this.closeValetModal();
+        this.closeRentalModal();
+        this.closeBulkModal();
+        this.setSelectMode(null);
 
         const app = document.getElementById('parking-app');
         app.classList.add('hidden');
@@ -115,6 +335,89 @@ const ParkingUI = {
         document.getElementById('parking-app').classList.add('hidden');
         document.getElementById('vehicle-modal').classList.add('hidden');
         document.getElementById('delivery-modal').classList.add('hidden');
+        document.getElementById('contest-modal').classList.add('hidden');
+        document.getElementById('valet-modal').classList.add('hidden');
+        document.getElementById('rental-modal').classList.add('hidden');
+        document.getElementById('bulk-modal').classList.add('hidden');
+    },
+
+    /**
+     * Run an NUI action and surface its { ok, error, data } result
+     * @param {string} event - NUI callback name
+     * @param {object} data - Data to send
+     * @param {boolean} refresh - Reload dashboard data on success
+     * @returns {Promise<object|null>} Result data on success, null on failure
+     */
+    runAction: async function(event, data = {}, refresh = true) {
+        const result = await Utils.nuiCallback(event, data);
+
+        if (!result || !result.ok) {
+            this.showToast(result?.error || L('generic_error'), 'error');
+            Utils.playSound('error');
+            return null;
+        }
+
+        const payload = result.data || {};
+        if (payload.message) {
+            this.showToast(payload.message, payload.failed?.length ? 'warning' : 'success');
+        }
+
+        if (refresh) {
+            await this.refresh();
+        }
+
+        return payload;
+    },
+
+    /**
+     * Apply a dashboard snapshot from Lua
+     * @param {object} data - Snapshot data (any subset)
+     */
+    applyData: function(data) {
+        if (!data) return;
+
+        this.vehicles = data.vehicles || this.vehicles;
+        this.deliveries = data.deliveries || this.deliveries;
+        this.deliveryHistory = data.deliveryHistory || this.deliveryHistory;
+        this.scheduledDeliveries = data.scheduledDeliveries || this.scheduledDeliveries;
+        this.meters = data.meters || this.meters;
+        this.meterSettings = data.meterSettings || this.meterSettings;
+        this.tickets = data.tickets || this.tickets;
+        this.impounds = data.impounds || this.impounds;
+        this.valet = data.valet || this.valet;
+        this.reserved = data.reserved || this.reserved;
+        this.business = data.business || this.business;
+        this.playerData = data.playerData || this.playerData;
+        this.playerCoords = data.playerCoords || this.playerCoords;
+        this.config = data.config || this.config;
+
+        // Meter expiries are server timestamps; count down on the server's clock
+        if (data.serverTime) {
+            this.serverOffset = data.serverTime * 1000 - Date.now();
+        }
+
+        Utils.setCurrency(this.config.currency);
+        Utils.setVIPTiers(this.config.vipTiers);
+
+        this.updateAllTabs();
+        this.updateHeader();
+    },
+
+    /**
+     * Describe what a VIP tier includes
+     * @param {object} tierInfo - Tier info from Utils.getVIPTierInfo
+     * @returns {string} Summary of discounts and perks
+     */
+    getVIPSummary: function(tierInfo) {
+        const lines = ['delivery', 'meters', 'rentals']
+            .filter(service => tierInfo.discounts?.[service] > 0)
+            .map(service => L('vip_discount_' + service, { percent: Math.round(tierInfo.discounts[service] * 100) }));
+
+        Object.keys(tierInfo.perks || {})
+            .filter(perk => tierInfo.perks[perk])
+            .forEach(perk => lines.push(Locale.has('vip_perk_' + perk) ? L('vip_perk_' + perk) : perk));
+
+        return lines.length ? lines.join('\n') : L('vip_no_perks');
     },
 
     /**
@@ -130,6 +433,16 @@ const ParkingUI = {
             vipTier.textContent = tierInfo.label;
             vipBadge.style.setProperty('--tier-color', tierInfo.color);
             vipBadge.querySelector('i').className = 'fas ' + tierInfo.icon;
+            vipBadge.title = this.getVIPSummary(tierInfo);
+        }
+
+        // NPC driver note names the lowest tier that includes it
+        const driverNote = document.getElementById('npc-driver-note');
+        if (driverNote) {
+            const driverTier = Utils.getVIPPerkTier('npcDriver');
+            driverNote.textContent = driverTier
+                ? L('npc_driver_note', { tier: driverTier.label })
+                : L('npc_driver_note_any');
         }
 
         // Slot count
@@ -146,6 +459,11 @@ const ParkingUI = {
     switchTab: function(tab) {
         this.currentTab = tab;
 
+        // A selection belongs to the tab it was made on
+        if (this.selectMode && this.selectMode !== tab) {
+            this.setSelectMode(null);
+        }
+
         // Update tab buttons
         document.querySelectorAll('.nav-tab').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.tab === tab);
@@ -156,6 +474,11 @@ const ParkingUI = {
             content.classList.toggle('active', content.id === 'tab-' + tab);
         });
 
+        // The map can only be measured once its tab is visible
+        if (tab === 'map') {
+            MapUI.render();
+        }
+
         Utils.playSound('click');
     },
 
@@ -167,6 +490,12 @@ const ParkingUI = {
         this.renderDeliveries();
         this.renderMeters();
         this.renderTickets();
+        this.renderImpounds();
+        this.renderValet();
+        this.renderReserved();
+        this.renderBusiness();
+        this.renderBulkBar();
+        MapUI.render();
         this.updateBadges();
     },
 
@@ -185,10 +514,34 @@ const ParkingUI = {
         // Ticket badge
         const ticketBadge = document.getElementById('ticket-count');
         if (ticketBadge) {
-            const count = this.tickets.filter(t => !t.paid).length;
+            const count = this.tickets.filter(t => this.isOutstanding(t)).length;
             ticketBadge.textContent = count;
             ticketBadge.classList.toggle('hidden', count === 0);
         }
+
+        // Valet badge
+        const valetBadge = document.getElementById('valet-count');
+        if (valetBadge) {
+            const count = this.valet.sessions.length;
+            valetBadge.textContent = count;
+            valetBadge.classList.toggle('hidden', count === 0);
+        }
+
+        // Reserved badge
+        const reservedBadge = document.getElementById('reserved-count');
+        if (reservedBadge) {
+            const count = this.reserved.rentals.length;
+            reservedBadge.textContent = count;
+            reservedBadge.classList.toggle('hidden', count === 0);
+        }
+
+        // Impound badge
+        const impoundBadge = document.getElementById('impound-count');
+        if (impoundBadge) {
+            const count = this.impounds.length;
+            impoundBadge.textContent = count;
+            impoundBadge.classList.toggle('hidden', count === 0);
+        }
     },
 
     /**
@@ -198,14 +551,69 @@ const ParkingUI = {
         const container = document.getElementById('vehicle-list');
         const emptyState = document.getElementById('empty-vehicles');
 
+        document.getElementById('vehicle-toolbar').classList.toggle('hidden', !this.vehicles.length);
+        document.getElementById('vehicle-select-btn').classList.toggle('hidden', !this.vehicles.length);
+
         if (!this.vehicles.length) {
-            container.innerHTML = '';
+            Render.clear(container);
             emptyState.classList.remove('hidden');
             return;
         }
 
         emptyState.classList.add('hidden');
-        container.innerHTML = this.vehicles.map(vehicle => this.createVehicleCard(vehicle)).join('');
+        this.renderVehicleFilters();
+
+        const vehicles = this.getFilteredVehicles();
+        if (!vehicles.length) {
+            container.innerHTML = `<div class="no-results"><i class="fas fa-search"></i><p>${Utils.escapeHtml(L('vehicles_no_results'))}</p></div>`;
+            return;
+        }
+
+        Render.list(container, this.groupVehicles(vehicles), item => item.key, item => item.vehicle
+            ? this.createVehicleCard(item.vehicle)
+            : this.createVehicleGroupHeader(item));
+    },
+
+    /**
+     * Render the class and condition filter chips
+     */
+    renderVehicleFilters: function() {
+        const view = this.vehicleView;
+
+        // Keep chips for saved classes so an empty result can still be cleared
+        const classes = [...new Set(this.vehicles.map(v => v.class).concat(view.classes).filter(Boolean))].sort();
+
+        const chips = classes.map(vehicleClass => ({
+            filter: 'class:' + vehicleClass,
+            label: Locale.has('vehicle_class_' + vehicleClass) ? L('vehicle_class_' + vehicleClass) : Utils.capitalize(vehicleClass),
+            icon: Utils.getVehicleIcon(vehicleClass),
+            active: view.classes.includes(vehicleClass)
+        })).concat(Object.keys(this.vehicleFlags).map(flag => ({
+            filter: 'flag:' + flag,
+            label: L('vehicles_filter_' + flag),
+            active: view.flags.includes(flag)
+        })));
+
+        Render.list(document.getElementById('vehicle-filters'), chips, chip => chip.filter, chip => `
+            <button class="filter-chip ${chip.active ? 'active' : ''}" data-action="toggleVehicleFilter" data-filter="${Utils.escapeHtml(chip.filter)}">
+                ${chip.icon ? `<i class="${chip.icon}"></i>` : ''}${Utils.escapeHtml(chip.label)}
+            </button>
+        `);
+    },
+
+    /**
+     * Create a group heading that spans the vehicle grid
+     * @param {object} group - { label, count }
+     * @returns {string} HTML string
+     */
+    createVehicleGroupHeader: function(group) {
+        return `
+            <div class="vehicle-group-header">
+                <i class="fas ${this.vehicleView.group === 'lot' ? 'fa-square-parking' : 'fa-road'}"></i>
+                ${Utils.escapeHtml(group.label)}
+                <span class="group-count">${group.count}</span>
+            </div>
+        `;
     },
 
     /**
@@ -217,20 +625,24 @@ const ParkingUI = {
         const fuel = vehicle.fuel || 100;
         const body = vehicle.body || 100;
         const engine = vehicle.engine || 100;
+        const selecting = this.selectMode === 'vehicles';
 
         return `
-            <div class="vehicle-card" onclick="ParkingUI.selectVehicle('${Utils.escapeHtml(vehicle.plate)}')">
+            <div class="vehicle-card ${this.getBulkClass(vehicle.plate, 'vehicles')}" data-action="${selecting ? 'toggleBulkSelect' : 'selectVehicle'}" data-plate="${Utils.escapeHtml(vehicle.plate)}">
                 <div class="vehicle-card-header">
-                    <div class="vehicle-plate">${Utils.escapeHtml(Utils.formatPlate(vehicle.plate))}</div>
+                    <div class="vehicle-plate">
+                        ${Utils.escapeHtml(Utils.formatPlate(vehicle.plate))}
+                        ${this.createAutoRenewMark(vehicle)}
+                    </div>
                     <div class="vehicle-class">
-                        <i class="${Utils.getVehicleIcon(vehicle.class)}"></i>
+                        ${selecting ? this.createBulkCheck(vehicle.plate) : `<i class="${Utils.getVehicleIcon(vehicle.class)}"></i>`}
                     </div>
                 </div>
                 <div class="vehicle-card-body">
-                    <div class="vehicle-model">${Utils.escapeHtml(Utils.capitalize(vehicle.model || 'Unknown'))}</div>
+                    <div class="vehicle-model">${Utils.escapeHtml(Utils.capitalize(vehicle.model || L('unknown')))}</div>
                     <div class="vehicle-location">
                         <i class="fas fa-map-marker-alt"></i>
-                        ${Utils.escapeHtml(vehicle.location || 'Unknown Location')}
+                        ${Utils.escapeHtml(vehicle.location || L('unknown_location'))}
                     </div>
                     <div class="vehicle-time">
                         <i class="fas fa-clock"></i>
@@ -253,37 +665,131 @@ const ParkingUI = {
                         </div>
                     </div>
                 </div>
+                ${this.createBulkFailure(vehicle.plate, 'vehicles')}
             </div>
         `;
     },
 
+    // Condition filter chips, called with the dashboard as this
+    vehicleFlags: {
+        lowFuel: function(vehicle) {
+            return Utils.getFuelClass(vehicle.fuel ?? 100) === 'fuel-low';
+        },
+        damaged: function(vehicle) {
+            return Utils.getHealthClass(vehicle.body ?? 100) !== 'health-good'
+                || Utils.getHealthClass(vehicle.engine ?? 100) !== 'health-good';
+        },
+        meterExpiring: function(vehicle) {
+            const meter = this.meters.find(m => m.plate === vehicle.plate);
+            return !!meter && this.getMeterStatus(meter).phase !== 'active';
+        },
+        unpaidTicket: function(vehicle) {
+            return this.tickets.some(t => t.plate === vehicle.plate && this.isOutstanding(t));
+        }
+    },
+
+    // Vehicle sort orders
+    vehicleSorts: {
+        recent: (a, b) => (b.parkedAt || 0) - (a.parkedAt || 0),
+        oldest: (a, b) => (a.parkedAt || 0) - (b.parkedAt || 0),
+        fuel: (a, b) => (a.fuel ?? 100) - (b.fuel ?? 100),
+        body: (a, b) => (a.body ?? 100) - (b.body ?? 100),
+        engine: (a, b) => (a.engine ?? 100) - (b.engine ?? 100),
+        location: (a, b) => (a.location || '').localeCompare(b.location || '', Locale.lang)
+    },
+
     /**
-     * Filter vehicles by search
+     * Vehicles matching the search box and filter chips, in the chosen order
+     * @returns {Array}
      */
-    filterVehicles: function() {
+    getFilteredVehicles: function() {
         const search = document.getElementById('vehicle-search')?.value?.toLowerCase() || '';
+        const view = this.vehicleView;
 
-        if (!search) {
-            this.renderVehicles();
-            return;
+        return this.vehicles.filter(v =>
+            (!search || v.plate?.toLowerCase().includes(search) || v.model?.toLowerCase().includes(search)) &&
+            (!view.classes.length || view.classes.includes(v.class)) &&
+            view.flags.every(flag => this.vehicleFlags[flag].call(this, v))
+        ).sort(this.vehicleSorts[view.sort]);
+    },
+
+    /**
+     * Split sorted vehicles into keyed list items, with group headings when grouping
+     * @param {Array} vehicles - Sorted vehicles
+     * @returns {Array} [{ key, vehicle }] or [{ key, label, count }] headings
+     */
+    groupVehicles: function(vehicles) {
+        const group = this.vehicleView.group;
+        if (group === 'none') {
+            return vehicles.map(vehicle => ({ key: vehicle.plate, vehicle: vehicle }));
         }
 
-        const filtered = this.vehicles.filter(v =>
-            v.plate?.toLowerCase().includes(search) ||
-            v.model?.toLowerCase().includes(search)
-        );
+        const groups = new Map();
+        vehicles.forEach(vehicle => {
+            const label = group === 'lot'
+                ? vehicle.lot || L('vehicles_street_parking')
+                : vehicle.location || L('unknown_location');
 
-        const container = document.getElementById('vehicle-list');
-        const emptyState = document.getElementById('empty-vehicles');
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(vehicle);
+        });
 
-        if (!filtered.length) {
-            container.innerHTML = '<div class="no-results"><i class="fas fa-search"></i><p>No vehicles found</p></div>';
-            emptyState.classList.add('hidden');
-            return;
+        const labels = [...groups.keys()].sort((a, b) => a.localeCompare(b, Locale.lang));
+
+        return labels.flatMap(label => [
+            { key: 'group:' + label, label: label, count: groups.get(label).length },
+            ...groups.get(label).map(vehicle => ({ key: vehicle.plate, vehicle: vehicle }))
+        ]);
+    },
+
+    /**
+     * Apply a saved vehicle view from Lua
+     * @param {object|null} view - { sort, group, classes, flags }
+     */
+    loadVehicleView: function(view) {
+        if (view) {
+            this.vehicleView = {
+                sort: this.vehicleSorts[view.sort] ? view.sort : 'recent',
+                group: ['none', 'lot', 'street'].includes(view.group) ? view.group : 'none',
+                classes: Array.isArray(view.classes) ? view.classes : [],
+                flags: Array.isArray(view.flags) ? view.flags.filter(flag => this.vehicleFlags[flag]) : []
+            };
         }
 
-        emptyState.classList.add('hidden');
-        container.innerHTML = filtered.map(vehicle => this.createVehicleCard(vehicle)).join('');
+        document.getElementById('vehicle-sort').value = this.vehicleView.sort;
+        document.getElementById('vehicle-group').value = this.vehicleView.group;
+    },
+
+    /**
+     * Change the vehicle view, save it and re-render
+     * @param {object} changes - Any of { sort, group, classes, flags }
+     */
+    updateVehicleView: function(changes) {
+        this.vehicleView = Object.assign({}, this.vehicleView, changes);
+        Utils.nuiCallback('saveVehicleView', this.vehicleView);
+        this.renderVehicles();
+        Utils.playSound('click');
+    },
+
+    /**
+     * Toggle a filter chip
+     * @param {string} filter - 'class:<class>' or 'flag:<flag>'
+     */
+    toggleVehicleFilter: function(filter) {
+        const [type, value] = filter.split(':');
+        const field = type === 'class' ? 'classes' : 'flags';
+        const list = this.vehicleView[field];
+
+        this.updateVehicleView({
+            [field]: list.includes(value) ? list.filter(item => item !== value) : list.concat(value)
+        });
+    },
+
+    /**
+     * Filter vehicles by search
+     */
+    filterVehicles: function() {
+        this.renderVehicles();
     },
 
     /**
@@ -297,8 +803,8 @@ const ParkingUI = {
 
         // Populate modal
         document.getElementById('modal-plate').textContent = Utils.formatPlate(this.selectedVehicle.plate);
-        document.getElementById('modal-model').textContent = Utils.capitalize(this.selectedVehicle.model || 'Unknown');
-        document.getElementById('modal-location').textContent = this.selectedVehicle.location || 'Unknown';
+        document.getElementById('modal-model').textContent = Utils.capitalize(this.selectedVehicle.model || L('unknown'));
+        document.getElementById('modal-location').textContent = this.selectedVehicle.location || L('unknown');
         document.getElementById('modal-time').textContent = Utils.formatTimeAgo(this.selectedVehicle.parkedAt || 0);
 
         // Update stat bars
@@ -311,15 +817,161 @@ const ParkingUI = {
         modal.classList.remove('hidden');
         Utils.animateIn(modal.querySelector('.modal-content'), 'scaleIn');
 
+        this.loadVehicleDetails(plate);
+
         Utils.playSound('click');
     },
 
+    /**
+     * Load the condition, mods and history of the vehicle in the modal
+     * @param {string} plate - Vehicle plate
+     */
+    loadVehicleDetails: async function(plate) {
+        this.vehicleDetails = null;
+        this.renderVehicleDetails();
+
+        const result = await this.runAction('getVehicleDetails', { plate: plate }, false);
+
+        // Ignore answers for a vehicle that's no longer shown
+        if (!result || this.selectedVehicle?.plate !== plate) return;
+
+        this.vehicleDetails = result.details;
+        this.renderVehicleDetails();
+    },
+
+    /**
+     * Render the vehicle modal's condition, mods and history sections
+     */
+    renderVehicleDetails: function() {
+        const container = document.getElementById('modal-details');
+        const details = this.vehicleDetails;
+
+        if (!details) {
+            container.innerHTML = `
+                <div class="business-empty">
+                    <i class="fas fa-spinner fa-spin"></i> ${L('vehicle_details_loading')}
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            ${this.createConditionSection(details.condition)}
+            ${this.createModsSection(details)}
+            ${this.createHistorySection(details.history || [])}
+        `;
+    },
+
+    /**
+     * Create the per-part damage breakdown
+     * @param {object|null} condition - { doors, windows, tyres, deformed }
+     * @returns {string} HTML string
+     */
+    createConditionSection: function(condition) {
+        if (!condition) {
+            return `
+                <div class="section-title">${L('vehicle_condition')}</div>
+                <div class="business-empty">${L('vehicle_condition_unknown')}</div>
+            `;
+        }
+
+        const group = (label, parts) => parts.length ? `
+            <div class="part-group">
+                <span class="part-group-label">${label}</span>
+                <div class="part-list">
+                    ${parts.map(part => `
+                        <span class="part-chip ${part.state === 'ok' ? '' : 'damaged'}">
+                            ${L('vehicle_part_' + part.part)}: ${L('vehicle_state_' + part.state)}
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+        ` : '';
+
+        return `
+            <div class="section-title">${L('vehicle_condition')}</div>
+            ${group(L('vehicle_doors'), condition.doors || [])}
+            ${group(L('vehicle_windows'), condition.windows || [])}
+            ${group(L('vehicle_tyres'), condition.tyres || [])}
+            ${condition.deformed ? `
+                <div class="part-note"><i class="fas fa-car-burst"></i> ${L('vehicle_deformed')}</div>
+            ` : ''}
+        `;
+    },
+
+    /**
+     * Create the installed mods, extras and neon section
+     * @param {object} details - { mods, extras, neon }
+     * @returns {string} HTML string
+     */
+    createModsSection: function(details) {
+        const mods = details.mods || [];
+        const extras = details.extras || [];
+        const neon = details.neon;
+
+        const chips = mods.map(mod => mod.level
+            ? L('vehicle_mod_level', { mod: L('vehicle_mod_' + mod.key), level: mod.level })
+            : L('vehicle_mod_' + mod.key)
+        ).concat(extras.map(id => L('vehicle_extra', { id: id })));
+
+        return `
+            <div class="section-title">${L('vehicle_mods')}</div>
+            ${chips.length || neon ? `
+                <div class="part-list">
+                    ${chips.map(chip => `<span class="part-chip">${Utils.escapeHtml(chip)}</span>`).join('')}
+                    ${neon ? `
+                        <span class="part-chip">
+                            <span class="neon-swatch" style="background: rgb(${Number(neon.color?.r) || 0}, ${Number(neon.color?.g) || 0}, ${Number(neon.color?.b) || 0})"></span>
+                            ${L('vehicle_neon', { count: neon.sides })}
+                        </span>
+                    ` : ''}
+                </div>
+            ` : `
+                <div class="business-empty">${L('vehicle_mods_none')}</div>
+            `}
+        `;
+    },
+
+    /**
+     * Create the parking history timeline
+     * @param {Array} history - Audit entries, newest first
+     * @returns {string} HTML string
+     */
+    createHistorySection: function(history) {
+        return `
+            <div class="section-title">${L('vehicle_history')}</div>
+            ${history.length ? `
+                <div class="ledger-list">
+                    ${history.map(entry => `
+                        <div class="ledger-row">
+                            <div class="ledger-desc">
+                                <span>
+                                    ${Utils.escapeHtml(Locale.has('history_' + entry.action) ? L('history_' + entry.action) : entry.action)}
+                                    ${entry.reason ? ' · ' + Utils.escapeHtml(entry.reason) : ''}
+                                    ${entry.minutes ? ' · ' + Utils.formatDuration(entry.minutes) : ''}
+                                </span>
+                                <span class="ledger-date">
+                                    ${Utils.formatTimeAgo(entry.createdAt)}
+                                    ${entry.street ? ' · ' + Utils.escapeHtml(entry.street) : ''}
+                                </span>
+                            </div>
+                            ${entry.amount ? `<span class="ledger-amount">${Utils.formatMoney(entry.amount)}</span>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : `
+                <div class="business-empty">${L('vehicle_history_empty')}</div>
+            `}
+        `;
+    },
+
     /**
      * Close vehicle modal
      */
     closeModal: function() {
         document.getElementById('vehicle-modal').classList.add('hidden');
         this.selectedVehicle = null;
+        this.vehicleDetails = null;
     },
 
     /**
@@ -328,10 +980,14 @@ const ParkingUI = {
     requestDelivery: function() {
         if (!this.selectedVehicle) return;
 
+        const vehicle = this.selectedVehicle;
         this.closeModal();
+        this.selectedVehicle = vehicle;
         this.selectedDeliveryType = 'standard';
 
-        // Update prices
+        this.deliveryQuote = null;
+
+        // Placeholder prices until the server quote arrives
         document.getElementById('standard-price').textContent = Utils.formatMoney(this.config.deliveryPrices.standard);
         document.getElementById('rush-price').textContent = Utils.formatMoney(this.config.deliveryPrices.rush);
 
@@ -340,12 +996,12 @@ const ParkingUI = {
             opt.classList.toggle('selected', opt.dataset.type === 'standard');
         });
 
-        // Check NPC driver availability
+        // Driver availability comes back with the quote
         const npcCheckbox = document.getElementById('npc-driver');
-        const tierLevel = ['standard', 'bronze', 'silver', 'gold', 'platinum', 'diamond'].indexOf(this.playerData.vipTier?.toLowerCase());
-        npcCheckbox.disabled = tierLevel < 2; // Silver and above
+        npcCheckbox.disabled = true;
         npcCheckbox.checked = false;
 
+        this.resetDeliverySchedule();
         this.updateDeliverySummary();
 
         // Show modal
@@ -354,11 +1010,52 @@ const ParkingUI = {
         Utils.animateIn(modal.querySelector('.modal-content'), 'scaleIn');
     },
 
+    /**
+     * Reset the modal to an immediate delivery and limit the booking picker
+     */
+    resetDeliverySchedule: function() {
+        const scheduling = this.config.delivery.scheduling || {};
+        const input = document.getElementById('delivery-time');
+
+        document.getElementById('delivery-when').classList.toggle('hidden', !scheduling.enabled);
+
+        // Earliest bookable time, rounded up to the next quarter hour
+        const earliest = new Date(Date.now() + scheduling.minMinutesAhead * 60000);
+        earliest.setMinutes(Math.ceil(earliest.getMinutes() / 15) * 15, 0, 0);
+
+        input.min = Utils.toDateTimeInput(earliest);
+        input.max = Utils.toDateTimeInput(new Date(Date.now() + scheduling.maxDaysAhead * 86400000));
+        input.value = input.min;
+        document.getElementById('delivery-recurrence').value = 'once';
+
+        this.setDeliveryWhen('now');
+    },
+
+    /**
+     * Switch the delivery modal between now and a booked time
+     * @param {string} when - 'now' or 'schedule'
+     */
+    setDeliveryWhen: function(when) {
+        this.deliveryWhen = when;
+
+        document.querySelectorAll('[data-delivery-when]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.deliveryWhen === when);
+        });
+
+        document.getElementById('delivery-schedule').classList.toggle('hidden', when !== 'schedule');
+        document.getElementById('confirm-delivery-label').textContent = L(when === 'schedule' ? 'delivery_book' : 'confirm_delivery');
+    },
+
     /**
      * Select delivery type
      * @param {string} type - Delivery type (standard/rush)
      */
     selectDeliveryType: function(type) {
+        if (type === 'rush' && this.deliveryQuote && !this.deliveryQuote.available.rush) {
+            this.showToast(L('delivery_rush_unavailable'), 'warning');
+            return;
+        }
+
         this.selectedDeliveryType = type;
 
         document.querySelectorAll('.delivery-option').forEach(opt => {
@@ -370,43 +1067,106 @@ const ParkingUI = {
     },
 
     /**
-     * Update delivery summary with prices
+     * Fetch a server quote for the selected options and render it
      */
-    updateDeliverySummary: function() {
-        const basePrice = this.config.deliveryPrices[this.selectedDeliveryType] || 500;
-        const discount = Utils.getVIPDiscount(this.playerData.vipTier);
-        const discountAmount = Math.floor(basePrice * discount);
-        const total = basePrice - discountAmount;
+    updateDeliverySummary: async function() {
+        if (!this.selectedVehicle) return;
+
+        const requestId = ++this.quoteRequestId;
+        const result = await Utils.nuiCallback('getDeliveryQuote', {
+            plate: this.selectedVehicle.plate,
+            type: this.selectedDeliveryType,
+            npcDriver: document.getElementById('npc-driver')?.checked || false
+        });
 
-        document.getElementById('delivery-fee').textContent = Utils.formatMoney(basePrice);
+        // A newer quote was requested while this one was in flight
+        if (requestId !== this.quoteRequestId) return;
 
-        const discountRow = document.getElementById('discount-row');
-        if (discount > 0) {
-            discountRow.style.display = 'flex';
-            document.getElementById('discount-amount').textContent = '-' + Utils.formatMoney(discountAmount);
-        } else {
-            discountRow.style.display = 'none';
+        if (!result || !result.ok) {
+            this.deliveryQuote = null;
+            this.renderDeliveryQuote(null);
+            this.showToast(result?.error || L('delivery_quote_failed'), 'error');
+            return;
+        }
+
+        this.deliveryQuote = result.data.quote;
+        this.renderDeliveryQuote(result.data);
+    },
+
+    /**
+     * Render an itemized delivery quote
+     * @param {object|null} data - { quote, prices } from the server
+     */
+    renderDeliveryQuote: function(data) {
+        const breakdown = document.getElementById('delivery-breakdown');
+        const total = document.getElementById('delivery-total');
+
+        if (!data) {
+            breakdown.innerHTML = '';
+            total.textContent = '--';
+            return;
         }
 
-        document.getElementById('delivery-total').textContent = Utils.formatMoney(total);
+        const quote = data.quote;
+
+        breakdown.innerHTML = quote.items.map(item => `
+            <div class="summary-row ${item.amount < 0 ? 'discount' : ''}">
+                <span>${Utils.escapeHtml(item.label)}</span>
+                <span>${item.amount < 0 ? '-' : ''}${Utils.formatMoney(Math.abs(item.amount))}</span>
+            </div>
+        `).join('');
+
+        total.textContent = Utils.formatMoney(quote.total);
+
+        // Option cards
+        document.getElementById('standard-price').textContent = Utils.formatMoney(data.prices.standard);
+        document.getElementById('rush-price').textContent = data.prices.rush != null
+            ? Utils.formatMoney(data.prices.rush)
+            : L('not_available');
+
+        document.querySelectorAll('.delivery-option').forEach(opt => {
+            opt.classList.toggle('disabled', opt.dataset.type === 'rush' && !quote.available.rush);
+        });
+
+        // Tier may downgrade the selection
+        const npcCheckbox = document.getElementById('npc-driver');
+        npcCheckbox.disabled = !quote.available.driver;
+        npcCheckbox.checked = quote.withDriver;
     },
 
     /**
      * Confirm delivery request
      */
-    confirmDelivery: function() {
+    confirmDelivery: async function() {
         if (!this.selectedVehicle) return;
 
         const npcDriver = document.getElementById('npc-driver')?.checked || false;
-
-        Utils.nuiCallback('requestDelivery', {
+        const data = {
             plate: this.selectedVehicle.plate,
             type: this.selectedDeliveryType,
             npcDriver: npcDriver
-        });
+        };
 
-        this.closeDeliveryModal();
-        this.showToast('Delivery requested!', 'success');
+        let result;
+        if (this.deliveryWhen === 'schedule') {
+            // datetime-local is in the player's time zone, the server gets an absolute time
+            const arrival = new Date(document.getElementById('delivery-time').value);
+            if (isNaN(arrival.getTime())) {
+                this.showToast(L('delivery_schedule_pick_time'), 'warning');
+                return;
+            }
+
+            data.scheduledAt = Math.floor(arrival.getTime() / 1000);
+            data.recurrence = document.getElementById('delivery-recurrence').value;
+            result = await this.runAction('scheduleDelivery', data);
+        } else {
+            result = await this.runAction('requestDelivery', data);
+        }
+
+        if (result) {
+            this.closeDeliveryModal();
+            this.selectedVehicle = null;
+        }
     },
 
     /**
@@ -419,202 +1179,2262 @@ const ParkingUI = {
     /**
      * View vehicle on map
      */
-    viewOnMap: function() {
+    viewOnMap: async function() {
         if (!this.selectedVehicle) return;
 
-        Utils.nuiCallback('viewOnMap', {
+        const result = await this.runAction('viewOnMap', {
             plate: this.selectedVehicle.plate
-        });
+        }, false);
 
-        this.close();
+        if (result) {
+            this.close();
+        }
     },
 
     /**
-     * Render deliveries list
+     * Render active deliveries and the delivery history
      */
     renderDeliveries: function() {
         const container = document.getElementById('delivery-list');
-        const emptyState = document.getElementById('empty-deliveries');
+        const history = this.deliveryHistory;
 
-        if (!this.deliveries.length) {
-            container.innerHTML = '';
+        const scheduled = this.scheduledDeliveries;
+
+        document.getElementById('delivery-active-section').classList.toggle('hidden', !this.deliveries.length);
+        document.getElementById('delivery-scheduled-section').classList.toggle('hidden', !scheduled.length);
+        document.getElementById('delivery-history-section').classList.toggle('hidden', !history.length);
+        document.getElementById('empty-deliveries').classList.toggle('hidden', this.deliveries.length + scheduled.length + history.length > 0);
+
+        this.renderScheduledDeliveries();
+        this.renderDeliveryHistory();
+
+        if (!this.deliveries.length) {
+            Render.clear(container);
+            this.stopDeliveryTicker();
+            return;
+        }
+
+        // Count down locally from the server's time left
+        this.deliveries.forEach(delivery => {
+            delivery.arrivesAt = delivery.arrivesAt || Date.now() + (delivery.eta || 0) * 1000;
+        });
+
+        Render.list(container, this.deliveries, delivery => delivery.id, delivery => {
+            const expanded = this.expandedDelivery === delivery.id;
+
+            // The ticker re-renders when the delivery reaches another stage
+            delivery.stage = this.getDeliveryStage(delivery);
+
+            return `
+                <div class="delivery-item ${expanded ? 'expanded' : ''}" data-delivery-id="${Utils.escapeHtml(delivery.id)}">
+                    <div class="delivery-row" data-action="toggleDelivery" data-delivery-id="${Utils.escapeHtml(delivery.id)}">
+                        <div class="delivery-info">
+                            <div class="delivery-plate">${Utils.escapeHtml(Utils.formatPlate(delivery.plate))}</div>
+                            <div class="delivery-status ${delivery.stage}">${Utils.escapeHtml(this.getDeliveryStatusLabel(delivery.stage))}</div>
+                        </div>
+                        <div class="delivery-details">
+                            <span><i class="fas fa-truck"></i> ${L(delivery.type === 'rush' ? 'delivery_type_rush' : 'delivery_type_standard')}</span>
+                            <span><i class="fas fa-clock"></i> <span class="delivery-eta">${Utils.formatCountdown(this.getDeliveryRemaining(delivery))}</span></span>
+                        </div>
+                        <div class="delivery-progress">
+                            <div class="progress-bar">
+                                <div class="progress-fill" style="width: ${this.getDeliveryProgress(delivery)}%"></div>
+                            </div>
+                        </div>
+                        <i class="fas fa-chevron-down delivery-chevron"></i>
+                    </div>
+                    ${expanded ? this.createDeliveryTracking(delivery) : ''}
+                </div>
+            `;
+        });
+
+        this.startDeliveryTicker();
+    },
+
+    /**
+     * Create the tracking card of an expanded delivery
+     * @param {object} delivery - Delivery data
+     * @returns {string} HTML string
+     */
+    createDeliveryTracking: function(delivery) {
+        const stages = ['requested', 'dispatched', 'en_route', 'arriving', 'delivered'];
+        const current = stages.indexOf(delivery.stage);
+        const canCancel = delivery.stage !== 'arriving' && delivery.refund != null;
+        const policy = this.config.delivery;
+
+        return `
+            <div class="delivery-tracking">
+                <div class="delivery-addresses">
+                    ${this.createDeliveryAddress('fa-square-parking', L('delivery_pickup'), delivery.pickup)}
+                    ${this.createDeliveryAddress('fa-flag-checkered', L('delivery_dropoff'), delivery.dropoff)}
+                </div>
+                ${delivery.pickup && delivery.dropoff
+                    ? MapUI.createRouteMap(delivery.pickup, delivery.dropoff, this.getDeliveryDriverPosition(delivery))
+                    : ''}
+                <div class="delivery-timeline">
+                    ${stages.map((stage, index) => `
+                        <div class="timeline-step ${index < current ? 'done' : ''} ${index === current ? 'current' : ''}">
+                            <span class="timeline-dot"></span>
+                            <span class="timeline-label">${L('delivery_status_' + stage)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="delivery-cancel-row">
+                    <span class="delivery-refund">
+                        ${L('delivery_refund_policy', {
+                            percent: Math.round(policy.cancelRefund * 100),
+                            seconds: policy.cancelCutoff
+                        })}
+                    </span>
+                    <button class="delivery-cancel" data-action="cancelDelivery" data-delivery-id="${Utils.escapeHtml(delivery.id)}" ${canCancel ? '' : 'disabled'}>
+                        <i class="fas fa-xmark"></i>
+                        ${canCancel
+                            ? L('delivery_cancel_refund', { amount: Utils.formatMoney(delivery.refund) })
+                            : L('delivery_cancel_closed')}
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create a pickup or drop-off address line
+     * @param {string} icon - Font Awesome icon
+     * @param {string} label - Address label
+     * @param {object|null} location - { x, y, z, street }
+     * @returns {string} HTML string
+     */
+    createDeliveryAddress: function(icon, label, location) {
+        return `
+            <div class="delivery-address">
+                <i class="fas ${icon}"></i>
+                <div>
+                    <span class="delivery-address-label">${label}</span>
+                    <span>${Utils.escapeHtml(location?.street || L('unknown_location'))}</span>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render booked deliveries, soonest first
+     */
+    renderScheduledDeliveries: function() {
+        const bookings = this.scheduledDeliveries.slice().sort((a, b) => a.scheduledAt - b.scheduledAt);
+
+        Render.list(document.getElementById('delivery-scheduled'), bookings, booking => booking.id, booking => `
+            <div class="delivery-item scheduled">
+                <div class="delivery-row">
+                    <div class="delivery-info">
+                        <div class="delivery-plate">${Utils.escapeHtml(Utils.formatPlate(booking.plate))}</div>
+                        <div class="delivery-status scheduled">${L('delivery_repeat_' + booking.recurrence)}</div>
+                    </div>
+                    <div class="delivery-details">
+                        <span><i class="fas fa-calendar"></i> ${Utils.escapeHtml(Utils.formatDateTime(booking.scheduledAt))}</span>
+                        <span><i class="fas fa-flag-checkered"></i> ${Utils.escapeHtml(booking.dropoff?.street || L('unknown_location'))}</span>
+                        <span><i class="fas fa-truck"></i> ${L(booking.type === 'rush' ? 'delivery_type_rush' : 'delivery_type_standard')}</span>
+                    </div>
+                    <button class="delivery-cancel" data-action="cancelScheduledDelivery" data-booking-id="${Utils.escapeHtml(booking.id)}">
+                        <i class="fas fa-xmark"></i> ${L('cancel')}
+                    </button>
+                </div>
+            </div>
+        `);
+    },
+
+    /**
+     * Cancel a booked delivery, nothing was charged yet
+     * @param {string} bookingId - Booking ID
+     */
+    cancelScheduledDelivery: async function(bookingId) {
+        Utils.playSound('click');
+        await this.runAction('cancelScheduledDelivery', { bookingId: bookingId });
+    },
+
+    /**
+     * Render finished deliveries
+     */
+    renderDeliveryHistory: function() {
+        Render.list(document.getElementById('delivery-history'), this.deliveryHistory, entry => entry.id, entry => `
+            <div class="delivery-item history">
+                <div class="delivery-row">
+                    <div class="delivery-info">
+                        <div class="delivery-plate">${Utils.escapeHtml(Utils.formatPlate(entry.plate))}</div>
+                        <div class="delivery-status ${entry.status}">${Utils.escapeHtml(this.getDeliveryStatusLabel(entry.status))}</div>
+                    </div>
+                    <div class="delivery-details">
+                        <span>
+                            <i class="fas fa-route"></i>
+                            ${Utils.escapeHtml(entry.from?.street || L('unknown_location'))}
+                            <i class="fas fa-arrow-right"></i>
+                            ${Utils.escapeHtml(entry.to?.street || L('unknown_location'))}
+                        </span>
+                        <span><i class="fas fa-clock"></i> ${Utils.formatTimeAgo(entry.completedAt || entry.createdAt)}</span>
+                    </div>
+                    <div class="delivery-fee">
+                        ${Utils.formatMoney(entry.fee)}
+                        ${entry.refund ? `<span class="delivery-fee-refund">${L('delivery_refunded', { amount: Utils.formatMoney(entry.refund) })}</span>` : ''}
+                    </div>
+                </div>
+            </div>
+        `);
+    },
+
+    /**
+     * Expand or collapse a delivery's tracking card
+     * @param {string} deliveryId - Delivery ID
+     */
+    toggleDelivery: function(deliveryId) {
+        this.expandedDelivery = this.expandedDelivery === deliveryId ? null : deliveryId;
+        this.renderDeliveries();
+        Utils.playSound('click');
+    },
+
+    /**
+     * Cancel a delivery for the policy refund
+     * @param {string} deliveryId - Delivery ID
+     */
+    cancelDelivery: async function(deliveryId) {
+        Utils.playSound('click');
+        await this.runAction('cancelDelivery', { deliveryId: deliveryId });
+    },
+
+    /**
+     * Seconds since a delivery was requested
+     * @param {object} delivery - Delivery data
+     * @returns {number}
+     */
+    getDeliveryElapsed: function(delivery) {
+        return (delivery.duration || 0) - this.getDeliveryRemaining(delivery);
+    },
+
+    /**
+     * Tracking stage of an active delivery
+     * @param {object} delivery - Delivery data
+     * @returns {string} requested, dispatched, en_route or arriving
+     */
+    getDeliveryStage: function(delivery) {
+        const timeline = delivery.timeline;
+        if (!timeline) return 'en_route';
+
+        const elapsed = this.getDeliveryElapsed(delivery);
+        if (elapsed >= timeline.arriving) return 'arriving';
+        if (elapsed >= timeline.enRoute) return 'en_route';
+        if (elapsed >= timeline.dispatched) return 'dispatched';
+        return 'requested';
+    },
+
+    /**
+     * Estimated driver position, moving from pickup to drop-off once en route
+     * @param {object} delivery - Delivery data
+     * @returns {object} { x, y }
+     */
+    getDeliveryDriverPosition: function(delivery) {
+        const from = delivery.pickup;
+        const to = delivery.dropoff;
+        const departs = delivery.timeline ? delivery.timeline.enRoute : 0;
+        const driving = delivery.duration - departs;
+        const t = driving > 0
+            ? Math.min(1, Math.max(0, (this.getDeliveryElapsed(delivery) - departs) / driving))
+            : 1;
+
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t
+        };
+    },
+
+    /**
+     * Seconds until a delivery arrives
+     * @param {object} delivery - Delivery data
+     * @returns {number}
+     */
+    getDeliveryRemaining: function(delivery) {
+        return Math.max(0, Math.ceil((delivery.arrivesAt - Date.now()) / 1000));
+    },
+
+    /**
+     * Delivery progress, moved along locally between server updates
+     * @param {object} delivery - Delivery data
+     * @returns {number} Percent complete
+     */
+    getDeliveryProgress: function(delivery) {
+        if (!delivery.duration) return delivery.progress || 0;
+
+        const elapsed = delivery.duration - this.getDeliveryRemaining(delivery);
+        return Math.min(100, Math.max(0, Math.floor(elapsed / delivery.duration * 100)));
+    },
+
+    /**
+     * Tick delivery countdowns every second
+     */
+    startDeliveryTicker: function() {
+        if (this.deliveryTicker) return;
+
+        this.deliveryTicker = setInterval(() => {
+            if (!this.deliveries.length) {
+                this.stopDeliveryTicker();
+                return;
+            }
+
+            // Status chip, timeline and cancel button change with the stage
+            if (this.deliveries.some(delivery => this.getDeliveryStage(delivery) !== delivery.stage)) {
+                this.renderDeliveries();
+                return;
+            }
+
+            this.deliveries.forEach(delivery => {
+                const el = document.querySelector(`.delivery-item[data-delivery-id="${CSS.escape(String(delivery.id))}"]`);
+                if (!el) return;
+
+                el.querySelector('.delivery-eta').textContent = Utils.formatCountdown(this.getDeliveryRemaining(delivery));
+                el.querySelector('.progress-fill').style.width = this.getDeliveryProgress(delivery) + '%';
+
+                const driver = el.querySelector('.route-point.driver');
+                if (driver) {
+                    const position = MapUI.projectRoute(delivery.pickup, delivery.dropoff, this.getDeliveryDriverPosition(delivery));
+                    driver.style.left = position.x + '%';
+                    driver.style.top = position.y + '%';
+                }
+            });
+        }, 1000);
+    },
+
+    /**
+     * Stop the delivery countdown ticker
+     */
+    stopDeliveryTicker: function() {
+        if (this.deliveryTicker) {
+            clearInterval(this.deliveryTicker);
+            this.deliveryTicker = null;
+        }
+    },
+
+    /**
+     * Label for a delivery status
+     * @param {string} status - Delivery status
+     * @returns {string}
+     */
+    getDeliveryStatusLabel: function(status) {
+        const key = 'delivery_status_' + status;
+        return Locale.has(key) ? L(key) : Utils.capitalize((status || '').replace(/_/g, ' '));
+    },
+
+    /**
+     * Render meters list
+     */
+    renderMeters: function() {
+        const container = document.getElementById('meter-list');
+        const emptyState = document.getElementById('empty-meters');
+
+        document.getElementById('meter-select-btn').classList.toggle('hidden', !this.meters.length);
+        document.getElementById('meter-rates').innerHTML = RateCurve.create(this.config.meters.rates);
+        this.renderMeterSettings();
+
+        if (!this.meters.length) {
+            Render.clear(container);
+            emptyState.classList.remove('hidden');
+            this.stopMeterTicker();
+            return;
+        }
+
+        const selecting = this.selectMode === 'meters';
+        const alerts = this.meterSettings.alerts;
+
+        emptyState.classList.add('hidden');
+        Render.list(container, this.meters, meter => meter.id, meter => {
+            const status = this.getMeterStatus(meter);
+            const isExpired = status.phase !== 'active' && status.phase !== 'low';
+
+            // The ticker re-renders when the meter moves to another phase
+            meter.phase = status.phase;
+
+            return `
+                <div class="meter-item ${isExpired ? 'expired' : ''} ${alerts && status.phase === 'low' ? 'warning' : ''} ${this.getBulkClass(meter.plate, 'meters')}"
+                     data-meter-id="${Utils.escapeHtml(meter.id)}" ${selecting ? `data-action="toggleBulkSelect" data-plate="${Utils.escapeHtml(meter.plate)}"` : ''}>
+                    <div class="meter-info">
+                        <div class="meter-plate">
+                            ${Utils.escapeHtml(Utils.formatPlate(meter.plate))}
+                            ${this.createAutoRenewMark(meter)}
+                        </div>
+                        <div class="meter-location">
+                            <i class="fas fa-map-marker-alt"></i>
+                            ${Utils.escapeHtml(meter.location || L('unknown'))}
+                        </div>
+                        ${this.createRenewSpent(meter)}
+                        ${this.createBulkFailure(meter.plate, 'meters')}
+                    </div>
+                    <div class="meter-time">
+                        <span class="time-remaining">${this.formatMeterStatus(status)}</span>
+                        ${selecting ? '' : `
+                            <button class="btn btn-small btn-secondary auto-renew-toggle ${meter.autoRenew ? 'active' : ''}" data-action="toggleAutoRenew" data-plate="${Utils.escapeHtml(meter.plate)}">
+                                <i class="fas fa-rotate"></i> ${L('meter_auto_renew')}
+                            </button>
+                        `}
+                        ${selecting ? this.createBulkCheck(meter.plate) : this.createMeterPayButton(meter, isExpired)}
+                    </div>
+                </div>
+            `;
+        });
+
+        this.startMeterTicker();
+    },
+
+    /**
+     * Where a meter is between paid time, the grace period and the tow
+     * @param {object} meter - Meter data
+     * @returns {object} { phase, seconds } phase: active, low, grace, ticketed or towing
+     */
+    getMeterStatus: function(meter) {
+        const remaining = Math.ceil(meter.expiresAt - this.getServerNow());
+        if (remaining >= this.getMeterLowSeconds()) return { phase: 'active', seconds: remaining };
+        if (remaining > 0) return { phase: 'low', seconds: remaining }; // Past the first alert
+
+        // Grace and tow times both count from expiry
+        const expiredFor = -remaining;
+        const settings = this.config.meters;
+
+        const graceLeft = settings.graceMinutes * 60 - expiredFor;
+        if (graceLeft > 0) return { phase: 'grace', seconds: graceLeft };
+
+        const towLeft = settings.towAfterMinutes * 60 - expiredFor;
+        if (towLeft > 0) return { phase: 'ticketed', seconds: towLeft };
+
+        return { phase: 'towing', seconds: 0 };
+    },
+
+    /**
+     * Current server time, from the offset measured when data last arrived
+     * @returns {number} Unix seconds
+     */
+    getServerNow: function() {
+        return (Date.now() + this.serverOffset) / 1000;
+    },
+
+    /**
+     * Seconds left when a meter counts as running low: the earliest alert
+     * @returns {number}
+     */
+    getMeterLowSeconds: function() {
+        const alerts = this.config.meters.alerts || [];
+        return alerts.length ? Math.max(...alerts) * 60 : 300;
+    },
+
+    /**
+     * Format a meter status for display
+     * @param {object} status - From getMeterStatus
+     * @returns {string}
+     */
+    formatMeterStatus: function(status) {
+        const time = Utils.formatTimeRemaining(status.seconds);
+
+        switch (status.phase) {
+            case 'grace': return L('meter_ticket_in', { time: time });
+            case 'ticketed': return L('meter_tow_in', { time: time });
+            case 'towing': return L('meter_tow_due');
+            default: return time;
+        }
+    },
+
+    /**
+     * Tick meter countdowns every second
+     */
+    startMeterTicker: function() {
+        if (this.meterTicker) return;
+
+        this.meterTicker = setInterval(() => {
+            if (!this.meters.length) {
+                this.stopMeterTicker();
+                return;
+            }
+
+            const statuses = this.meters.map(meter => this.getMeterStatus(meter));
+
+            // Warning/expired classes and buttons change with the phase
+            if (statuses.some((status, i) => status.phase !== this.meters[i].phase)) {
+                this.renderMeters();
+                this.renderVehicles(); // Meter expiring filter
+                return;
+            }
+
+            this.meters.forEach((meter, i) => {
+                const el = document.querySelector(`.meter-item[data-meter-id="${CSS.escape(String(meter.id))}"] .time-remaining`);
+                if (el) el.textContent = this.formatMeterStatus(statuses[i]);
+            });
+        }, 1000);
+    },
+
+    /**
+     * Stop the meter countdown ticker
+     */
+    stopMeterTicker: function() {
+        if (this.meterTicker) {
+            clearInterval(this.meterTicker);
+            this.meterTicker = null;
+        }
+    },
+
+    /**
+     * Create the add time / pay button of a meter card, or the price to confirm
+     * @param {object} meter - Meter data
+     * @param {boolean} isExpired - Whether the session has run out
+     * @returns {string} HTML string
+     */
+    createMeterPayButton: function(meter, isExpired) {
+        const quote = this.meterQuote;
+
+        if (quote && quote.plate === meter.plate) {
+            return `
+                <button class="btn btn-small btn-primary" data-action="confirmMeterPayment" data-plate="${Utils.escapeHtml(meter.plate)}">
+                    <i class="fas fa-check"></i> ${L('confirm_amount', { amount: Utils.formatMoney(quote.cost) })}
+                </button>
+            `;
+        }
+
+        return !isExpired ? `
+            <button class="btn btn-small btn-primary" data-action="addMeterTime" data-meter-id="${Utils.escapeHtml(meter.id)}">
+                <i class="fas fa-plus"></i> ${L('meter_add_time')}
+            </button>
+        ` : `
+            <button class="btn btn-small btn-warning" data-action="payMeter" data-meter-id="${Utils.escapeHtml(meter.id)}">
+                <i class="fas fa-coins"></i> ${L('meter_pay_now')}
+            </button>
+        `;
+    },
+
+    /**
+     * Price the minimum purchase on a meter and ask to confirm it on the card
+     * @param {string} plate - Vehicle plate (the meter ID)
+     */
+    quoteMeter: async function(plate) {
+        Utils.playSound('click');
+
+        const result = await Utils.nuiCallback('meter:getQuote', {
+            plate: plate,
+            minutes: this.config.meters.minimumMinutes
+        });
+
+        if (!result || !result.ok) {
+            this.meterQuote = null;
+            this.showToast(result?.error || L('meter_quote_failed'), 'error');
+        } else {
+            this.meterQuote = { plate: plate, minutes: result.data.minutes, cost: result.data.cost };
+        }
+
+        this.renderMeters();
+    },
+
+    /**
+     * Pay the quoted meter time; the server refuses a price above the quote
+     * @param {string} plate - Vehicle plate
+     */
+    confirmMeterPayment: async function(plate) {
+        const quote = this.meterQuote;
+        if (!quote || quote.plate !== plate) return;
+
+        this.meterQuote = null;
+        Utils.playSound('click');
+
+        const result = await this.runAction('payMeter', {
+            meterId: plate,
+            minutes: quote.minutes,
+            cost: quote.cost
+        });
+
+        // The price may have gone up since the quote; show the current one
+        if (!result) {
+            await this.quoteMeter(plate);
+        }
+    },
+
+    /**
+     * Turn auto-renew on or off for one meter
+     * @param {string} plate - Vehicle plate
+     */
+    toggleAutoRenew: async function(plate) {
+        const meter = this.meters.find(m => m.plate === plate);
+        if (!meter) return;
+
+        Utils.playSound('click');
+        await this.runAction('bulkSetAutoRenew', { plates: [plate], enabled: !meter.autoRenew });
+    },
+
+    /**
+     * Create the auto-renew spending line for a meter card
+     * @param {object} meter - Meter data
+     * @returns {string} HTML string
+     */
+    createRenewSpent: function(meter) {
+        if (!meter.autoRenew || !meter.autoRenewSpent) return '';
+
+        return `
+            <div class="meter-renew-spent">
+                ${L('meter_renew_spent', {
+                    spent: Utils.formatMoney(meter.autoRenewSpent),
+                    cap: Utils.formatMoney(this.meterSettings.renewCap)
+                })}
+            </div>
+        `;
+    },
+
+    /**
+     * Fill the alert and spending cap settings above the meter list
+     */
+    renderMeterSettings: function() {
+        const settings = this.config.meters;
+        const alerts = settings.alerts || [];
+        const caps = settings.autoRenew?.caps || [];
+
+        const alertsInput = document.getElementById('meter-alerts');
+        alertsInput.checked = this.meterSettings.alerts;
+        alertsInput.closest('.checkbox-option').classList.toggle('hidden', !alerts.length);
+        document.getElementById('meter-alerts-note').textContent = L('meter_alerts_note', {
+            times: [...alerts].sort((a, b) => b - a).map(minutes => Utils.formatDuration(minutes)).join(', ')
+        });
+
+        const capSelect = document.getElementById('meter-renew-cap');
+        capSelect.innerHTML = caps.map(cap => `
+            <option value="${cap}">${Utils.escapeHtml(Utils.formatMoney(cap))}</option>
+        `).join('');
+        capSelect.value = String(this.meterSettings.renewCap);
+        document.getElementById('meter-renew-note').textContent = L('meter_renew_note', {
+            duration: Utils.formatDuration(settings.autoRenew?.increment || settings.minimumMinutes)
+        });
+    },
+
+    /**
+     * Save the player's meter alert or spending cap setting
+     * @param {object} changes - { alerts } or { renewCap }
+     */
+    saveMeterSettings: async function(changes) {
+        Utils.playSound('click');
+
+        const payload = await this.runAction('setMeterSettings', changes, false);
+        if (payload) {
+            this.meterSettings = { alerts: payload.alerts, renewCap: payload.renewCap };
+            this.renderMeters();
+            return;
+        }
+
+        // Put the controls back to the saved settings
+        this.renderMeterSettings();
+    },
+
+    // Bulk actions offered on each tab, with their icon
+    bulkActions: {
+        vehicles: { deliver: 'fa-truck', autoRenew: 'fa-rotate' },
+        meters: { extend: 'fa-clock', autoRenew: 'fa-rotate' }
+    },
+
+    // NUI callback that applies each bulk action
+    bulkEvents: {
+        extend: 'bulkExtendMeters',
+        deliver: 'bulkRequestDelivery',
+        autoRenew: 'bulkSetAutoRenew'
+    },
+
+    // Meter extensions offered in the bulk modal (minutes)
+    bulkMinuteSteps: [15, 30, 60, 120],
+
+    /**
+     * Turn multi-select on or off for a tab
+     * @param {string} tab - 'vehicles' or 'meters'
+     */
+    toggleSelectMode: function(tab) {
+        this.setSelectMode(this.selectMode === tab ? null : tab);
+        Utils.playSound('click');
+    },
+
+    /**
+     * Enter multi-select on a tab, or leave it with null
+     * @param {string|null} tab - 'vehicles', 'meters' or null
+     */
+    setSelectMode: function(tab) {
+        this.selectMode = tab;
+        this.selectedPlates = [];
+        this.bulkFailures = {};
+
+        document.querySelectorAll('[data-select-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.selectMode === tab);
+        });
+
+        this.renderVehicles();
+        this.renderMeters();
+        this.renderBulkBar();
+    },
+
+    /**
+     * Select or deselect a plate
+     * @param {string} plate - Vehicle plate
+     */
+    toggleBulkSelect: function(plate) {
+        this.selectedPlates = this.selectedPlates.includes(plate)
+            ? this.selectedPlates.filter(p => p !== plate)
+            : this.selectedPlates.concat(plate);
+
+        this.renderVehicles();
+        this.renderMeters();
+        this.renderBulkBar();
+    },
+
+    /**
+     * Plates the current tab lists (after the vehicle search and filters)
+     * @returns {Array}
+     */
+    getSelectablePlates: function() {
+        if (this.selectMode === 'vehicles') {
+            return this.getFilteredVehicles().map(v => v.plate);
+        }
+        return this.selectMode === 'meters' ? this.meters.map(m => m.plate) : [];
+    },
+
+    /**
+     * Select every listed plate, or clear the selection when all are selected
+     */
+    selectAllBulk: function() {
+        const plates = this.getSelectablePlates();
+        const allSelected = plates.length && plates.every(plate => this.selectedPlates.includes(plate));
+
+        this.selectedPlates = allSelected ? [] : plates;
+
+        this.renderVehicles();
+        this.renderMeters();
+        this.renderBulkBar();
+        Utils.playSound('click');
+    },
+
+    /**
+     * Card classes for multi-select
+     * @param {string} plate - Vehicle plate
+     * @param {string} tab - Tab the card is on
+     * @returns {string}
+     */
+    getBulkClass: function(plate, tab) {
+        if (this.selectMode !== tab) return '';
+        return 'selectable' + (this.selectedPlates.includes(plate) ? ' selected' : '');
+    },
+
+    /**
+     * Create the checkbox shown on cards in multi-select
+     * @param {string} plate - Vehicle plate
+     * @returns {string} HTML string
+     */
+    createBulkCheck: function(plate) {
+        const selected = this.selectedPlates.includes(plate);
+        return `<i class="${selected ? 'fas fa-square-check' : 'far fa-square'} bulk-check"></i>`;
+    },
+
+    /**
+     * Create the note for a plate the last bulk action failed on
+     * @param {string} plate - Vehicle plate
+     * @param {string} tab - Tab the card is on
+     * @returns {string} HTML string
+     */
+    createBulkFailure: function(plate, tab) {
+        const error = this.selectMode === tab && this.bulkFailures[plate];
+        if (!error) return '';
+
+        return `
+            <div class="bulk-failure">
+                <i class="fas fa-triangle-exclamation"></i>
+                ${Utils.escapeHtml(error)}
+            </div>
+        `;
+    },
+
+    /**
+     * Create the auto-renew mark for a vehicle or meter card
+     * @param {object} item - Vehicle or meter data
+     * @returns {string} HTML string
+     */
+    createAutoRenewMark: function(item) {
+        if (!item.autoRenew) return '';
+        return `<i class="fas fa-rotate auto-renew-mark" title="${Utils.escapeHtml(L('auto_renew_on'))}"></i>`;
+    },
+
+    /**
+     * Render the bar of bulk actions under the dashboard
+     */
+    renderBulkBar: function() {
+        const bar = document.getElementById('bulk-bar');
+        const actions = this.bulkActions[this.selectMode];
+
+        bar.classList.toggle('hidden', !actions);
+        if (!actions) return;
+
+        // Drop plates that were unparked, delivered or lost their meter
+        const listed = new Set(this.selectMode === 'vehicles'
+            ? this.vehicles.map(v => v.plate)
+            : this.meters.map(m => m.plate));
+        this.selectedPlates = this.selectedPlates.filter(plate => listed.has(plate));
+
+        const count = this.selectedPlates.length;
+
+        bar.innerHTML = `
+            <div class="bulk-count">
+                <span>${L('bulk_selected', { count: count })}</span>
+                <button class="btn btn-ghost btn-small" data-action="selectAllBulk">${L('bulk_select_all')}</button>
+            </div>
+            <div class="bulk-actions">
+                ${Object.keys(actions).map(action => `
+                    <button class="btn btn-primary btn-small" data-action="openBulkModal" data-bulk="${action}" ${count ? '' : 'disabled'}>
+                        <i class="fas ${actions[action]}"></i> ${L('bulk_action_' + action)}
+                    </button>
+                `).join('')}
+                <button class="btn btn-ghost btn-small" data-action="exitSelectMode">${L('bulk_done')}</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Open the combined confirmation for a bulk action on the selection
+     * @param {string} action - 'extend', 'deliver' or 'autoRenew'
+     */
+    openBulkModal: function(action) {
+        if (!this.selectedPlates.length) return;
+
+        const steps = this.getBulkMinuteSteps();
+
+        this.bulkRequest = {
+            action: action,
+            plates: this.selectedPlates.slice(),
+            minutes: steps.includes(30) ? 30 : steps[0],
+            type: 'standard',
+            npcDriver: false,
+            enabled: true,
+            quote: null
+        };
+
+        document.getElementById('bulk-modal-title').textContent = L('bulk_title_' + action);
+        document.getElementById('bulk-confirm-label').textContent = L('bulk_confirm_' + action, { count: this.bulkRequest.plates.length });
+
+        this.renderBulkOptions();
+        this.updateBulkQuote();
+
+        const modal = document.getElementById('bulk-modal');
+        modal.classList.remove('hidden');
+        Utils.animateIn(modal.querySelector('.modal-content'), 'scaleIn');
+
+        Utils.playSound('click');
+    },
+
+    /**
+     * Meter extensions that fit within the meter limits
+     * @returns {Array} Minutes
+     */
+    getBulkMinuteSteps: function() {
+        const settings = this.config.meters;
+        const steps = this.bulkMinuteSteps.filter(minutes =>
+            minutes >= settings.minimumMinutes && minutes <= settings.maximumMinutes);
+
+        return steps.length ? steps : [settings.minimumMinutes];
+    },
+
+    /**
+     * Render the option chips for the bulk action
+     */
+    renderBulkOptions: function() {
+        const request = this.bulkRequest;
+        const chip = (option, value, label, active) => `
+            <button class="filter-chip ${active ? 'active' : ''}" data-action="setBulkOption" data-option="${option}" data-value="${value}">
+                ${Utils.escapeHtml(label)}
+            </button>
+        `;
+
+        let html = '';
+
+        if (request.action === 'extend') {
+            html = `
+                <span class="contest-label">${L('bulk_extend_by')}</span>
+                <div class="filter-chips">
+                    ${this.getBulkMinuteSteps().map(minutes =>
+                        chip('minutes', minutes, L('bulk_minutes', { minutes: minutes }), request.minutes === minutes)).join('')}
+                </div>
+            `;
+        } else if (request.action === 'deliver') {
+            html = `
+                <div class="filter-chips">
+                    ${chip('type', 'standard', L('delivery_type_standard'), request.type === 'standard')}
+                    ${chip('type', 'rush', L('delivery_type_rush'), request.type === 'rush')}
+                    ${chip('npcDriver', !request.npcDriver, L('npc_driver'), request.npcDriver)}
+                </div>
+                <p class="bulk-note">${L('bulk_deliver_note')}</p>
+            `;
+        } else {
+            html = `
+                <div class="filter-chips">
+                    ${chip('enabled', true, L('bulk_on'), request.enabled)}
+                    ${chip('enabled', false, L('bulk_off'), !request.enabled)}
+                </div>
+                <p class="bulk-note">${L('bulk_auto_renew_note', {
+                    duration: Utils.formatDuration(this.config.meters.autoRenew?.increment || this.config.meters.minimumMinutes),
+                    cap: Utils.formatMoney(this.meterSettings.renewCap)
+                })}</p>
+            `;
+        }
+
+        document.getElementById('bulk-options').innerHTML = html;
+    },
+
+    /**
+     * Change an option of the bulk action and re-price it
+     * @param {string} option - 'minutes', 'type', 'npcDriver' or 'enabled'
+     * @param {string} value - Value from the chip's dataset
+     */
+    setBulkOption: function(option, value) {
+        const request = this.bulkRequest;
+        if (!request) return;
+
+        if (option === 'minutes') {
+            request.minutes = Number(value);
+        } else if (option === 'type') {
+            request.type = value;
+        } else {
+            request[option] = value === 'true';
+        }
+
+        this.renderBulkOptions();
+        this.updateBulkQuote();
+        Utils.playSound('click');
+    },
+
+    /**
+     * Price each selected plate and render the combined total
+     */
+    updateBulkQuote: async function() {
+        const request = this.bulkRequest;
+
+        // Auto-renew is free to set; renewals are charged when they happen
+        if (request.action === 'autoRenew') {
+            request.quote = { items: request.plates.map(plate => ({ plate: plate })), total: null };
+            this.renderBulkQuote();
+            return;
+        }
+
+        document.getElementById('bulk-confirm').disabled = true;
+
+        const requestId = ++this.bulkQuoteId;
+        const result = await Utils.nuiCallback('getBulkQuote', {
+            action: request.action,
+            plates: request.plates,
+            minutes: request.minutes,
+            type: request.type,
+            npcDriver: request.npcDriver
+        });
+
+        // The options changed or the modal closed while this was in flight
+        if (requestId !== this.bulkQuoteId || request !== this.bulkRequest) return;
+
+        if (!result || !result.ok) {
+            request.quote = null;
+            this.showToast(result?.error || L('bulk_quote_failed'), 'error');
+        } else {
+            request.quote = result.data;
+        }
+
+        this.renderBulkQuote();
+    },
+
+    /**
+     * Render the per-plate lines and total of the bulk confirmation
+     */
+    renderBulkQuote: function() {
+        const request = this.bulkRequest;
+        const quote = request.quote;
+        const items = quote ? quote.items : [];
+
+        document.getElementById('bulk-items').innerHTML = items.map(item => {
+            let detail = '';
+            if (request.action === 'autoRenew') {
+                detail = L(request.enabled ? 'bulk_item_renew_on' : 'bulk_item_renew_off');
+            } else if (!item.error) {
+                detail = L(request.action === 'extend' ? 'bulk_item_minutes' : 'bulk_item_eta', { minutes: item.minutes });
+            }
+
+            return `
+                <div class="summary-row ${item.error ? 'failed' : ''}">
+                    <span><strong>${Utils.escapeHtml(Utils.formatPlate(item.plate))}</strong> ${Utils.escapeHtml(detail)}</span>
+                    <span>${item.error ? Utils.escapeHtml(item.error) : item.cost != null ? Utils.formatMoney(item.cost) : ''}</span>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('bulk-total-row').classList.toggle('hidden', request.action === 'autoRenew');
+        document.getElementById('bulk-total').textContent = quote && quote.total != null ? Utils.formatMoney(quote.total) : '--';
+
+        // Nothing left to confirm when every plate would fail
+        document.getElementById('bulk-confirm').disabled = !items.some(item => !item.error);
+    },
+
+    /**
+     * Apply the bulk action and mark the plates it failed on
+     */
+    confirmBulk: async function() {
+        const request = this.bulkRequest;
+        if (!request) return;
+
+        // Meters are charged at most the price shown for each plate
+        const costs = Object.fromEntries((request.quote?.items || [])
+            .filter(item => item.cost != null)
+            .map(item => [item.plate, item.cost]));
+
+        const result = await this.runAction(this.bulkEvents[request.action], {
+            plates: request.plates,
+            minutes: request.minutes,
+            costs: costs,
+            type: request.type,
+            npcDriver: request.npcDriver,
+            enabled: request.enabled
+        });
+
+        // Nothing went through; re-price in case a meter got more expensive
+        if (!result) {
+            if (request === this.bulkRequest) this.updateBulkQuote();
+            return;
+        }
+
+        this.closeBulkModal();
+
+        const failed = result.failed || [];
+        if (!failed.length) {
+            this.setSelectMode(null);
+            return;
+        }
+
+        // Keep the failed plates selected, with their reason on the card
+        this.selectedPlates = failed.map(item => item.plate);
+        this.bulkFailures = Object.fromEntries(failed.map(item => [item.plate, item.error]));
+
+        this.renderVehicles();
+        this.renderMeters();
+        this.renderBulkBar();
+    },
+
+    /**
+     * Close the bulk confirmation
+     */
+    closeBulkModal: function() {
+        document.getElementById('bulk-modal').classList.add('hidden');
+        this.bulkRequest = null;
+    },
+
+    /**
+     * Is a ticket still owed (unpaid or awaiting review)
+     * @param {object} ticket - Ticket data
+     * @returns {boolean}
+     */
+    isOutstanding: function(ticket) {
+        return ticket.status === 'unpaid' || ticket.status === 'contested';
+    },
+
+    /**
+     * Get the status chip for a ticket
+     * @param {object} ticket - Ticket data
+     * @returns {object} { label, icon, className }
+     */
+    getTicketStatus: function(ticket) {
+        const statuses = {
+            unpaid: { label: L('ticket_status_unpaid'), icon: 'fa-clock', className: 'unpaid' },
+            contested: { label: L('ticket_status_contested'), icon: 'fa-gavel', className: 'contested' },
+            paid: { label: L('ticket_status_paid'), icon: 'fa-check', className: 'paid' },
+            dismissed: { label: L('ticket_status_dismissed'), icon: 'fa-times', className: 'dismissed' }
+        };
+
+        if (ticket.status === 'unpaid' && ticket.isLate) {
+            return { label: L('ticket_status_overdue'), icon: 'fa-exclamation-triangle', className: 'overdue' };
+        }
+
+        return statuses[ticket.status] || statuses.unpaid;
+    },
+
+    /**
+     * Switch between outstanding tickets and history
+     * @param {string} view - outstanding or history
+     */
+    setTicketView: function(view) {
+        this.ticketView = view;
+
+        document.querySelectorAll('[data-ticket-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.ticketView === view);
+        });
+
+        document.getElementById('ticket-filters').classList.toggle('hidden', view !== 'history');
+        document.getElementById('pay-all-btn').classList.toggle('hidden', view !== 'outstanding');
+
+        this.renderTickets();
+        Utils.playSound('click');
+    },
+
+    /**
+     * Filter ticket history by status
+     * @param {string} filter - Status or 'all'
+     */
+    setTicketFilter: function(filter) {
+        this.ticketFilter = filter;
+
+        document.querySelectorAll('[data-ticket-filter]').forEach(chip => {
+            chip.classList.toggle('active', chip.dataset.ticketFilter === filter);
+        });
+
+        this.renderTickets();
+        Utils.playSound('click');
+    },
+
+    /**
+     * Get the tickets shown by the current view and filters
+     * @returns {Array} Tickets
+     */
+    getVisibleTickets: function() {
+        if (this.ticketView === 'outstanding') {
+            return this.tickets.filter(t => this.isOutstanding(t));
+        }
+
+        const search = document.getElementById('ticket-search')?.value?.toLowerCase() || '';
+
+        return this.tickets.filter(t =>
+            (this.ticketFilter === 'all' || t.status === this.ticketFilter) &&
+            (!search || t.plate?.toLowerCase().includes(search))
+        );
+    },
+
+    /**
+     * Render tickets list
+     */
+    renderTickets: function() {
+        const container = document.getElementById('ticket-list');
+        const emptyState = document.getElementById('empty-tickets');
+        const tickets = this.getVisibleTickets();
+
+        if (!tickets.length) {
+            Render.clear(container);
             emptyState.classList.remove('hidden');
+            emptyState.querySelector('h3').textContent = this.ticketView === 'outstanding'
+                ? L('tickets_empty_title')
+                : L('tickets_none_found');
+            emptyState.querySelector('p').textContent = this.ticketView === 'outstanding'
+                ? L('tickets_empty_text')
+                : L('tickets_none_match');
+            return;
+        }
+
+        emptyState.classList.add('hidden');
+        Render.list(container, tickets, ticket => ticket.id, ticket => this.createTicketItem(ticket));
+    },
+
+    /**
+     * Create ticket item HTML
+     * @param {object} ticket - Ticket data
+     * @returns {string} HTML string
+     */
+    createTicketItem: function(ticket) {
+        const status = this.getTicketStatus(ticket);
+        const outstanding = this.isOutstanding(ticket);
+        const id = Utils.escapeHtml(ticket.id);
+
+        return `
+            <div class="ticket-item ${outstanding ? '' : 'resolved'}">
+                <div class="ticket-info">
+                    <div class="ticket-plate">
+                        ${Utils.escapeHtml(Utils.formatPlate(ticket.plate))}
+                        <span class="ticket-status ${status.className}">
+                            <i class="fas ${status.icon}"></i> ${Utils.escapeHtml(status.label)}
+                        </span>
+                    </div>
+                    <div class="ticket-reason">${Utils.escapeHtml(ticket.reason || L('ticket_default_reason'))}</div>
+                    <div class="ticket-date">
+                        <i class="fas fa-calendar"></i>
+                        ${Utils.formatTimeAgo(ticket.issuedAt || 0)}
+                    </div>
+                    ${this.createTicketResolution(ticket)}
+                </div>
+                <div class="ticket-amount">
+                    <span class="amount">${Utils.formatMoney(outstanding ? ticket.amount : (ticket.paidAmount || ticket.originalAmount || 0))}</span>
+                    ${outstanding ? this.createLateFeeNote(ticket) : ''}
+                    ${outstanding ? `
+                        <div class="ticket-actions">
+                            ${ticket.status === 'unpaid' ? `
+                                <button class="btn btn-small btn-secondary" data-action="contestTicket" data-ticket-id="${id}">
+                                    <i class="fas fa-gavel"></i> ${L('ticket_contest')}
+                                </button>
+                            ` : ''}
+                            <button class="btn btn-small btn-primary" data-action="payTicket" data-ticket-id="${id}">
+                                <i class="fas fa-credit-card"></i> ${L('ticket_pay')}
+                            </button>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Late fee note for an outstanding ticket
+     * @param {object} ticket - Ticket data
+     * @returns {string} HTML string
+     */
+    createLateFeeNote: function(ticket) {
+        if (ticket.lateFee > 0) {
+            return `<span class="ticket-late-fee">${Utils.escapeHtml(L('ticket_late_fee', { amount: Utils.formatMoney(ticket.lateFee) }))}</span>`;
+        }
+
+        if (!ticket.lateAt) return '';
+
+        const hours = Math.ceil((ticket.lateAt - Date.now() / 1000) / 3600);
+        if (hours <= 0) return '';
+
+        return `
+            <span class="ticket-late-fee upcoming">
+                ${Utils.escapeHtml(L('ticket_late_fee_upcoming', {
+                    multiplier: this.config.tickets?.lateFeeMultiplier || 1.5,
+                    hours: hours
+                }))}
+            </span>
+        `;
+    },
+
+    /**
+     * Resolution line for a ticket
+     * @param {object} ticket - Ticket data
+     * @returns {string} HTML string
+     */
+    createTicketResolution: function(ticket) {
+        let text = '';
+
+        if (ticket.status === 'paid') {
+            const amount = Utils.formatMoney(ticket.paidAmount || ticket.amount);
+            text = ticket.paidAt
+                ? L('ticket_paid_resolution_ago', { amount: amount, ago: Utils.formatTimeAgo(ticket.paidAt) })
+                : L('ticket_paid_resolution', { amount: amount });
+        } else if (ticket.status === 'dismissed') {
+            text = ticket.dismissReason
+                ? L('ticket_dismissed_resolution_reason', { reason: ticket.dismissReason })
+                : L('ticket_dismissed_resolution');
+        } else if (ticket.status === 'contested') {
+            text = ticket.contestReason
+                ? L('ticket_contested_resolution_reason', { reason: Utils.truncate(ticket.contestReason, 80) })
+                : L('ticket_contested_resolution');
+        }
+
+        if (!text) return '';
+
+        return `<div class="ticket-resolution">${Utils.escapeHtml(text)}</div>`;
+    },
+
+    /**
+     * Open the contest form for a ticket
+     * @param {string} ticketId - Ticket ID
+     */
+    openContest: function(ticketId) {
+        const ticket = this.tickets.find(t => String(t.id) === String(ticketId));
+
+        if (!ticket || ticket.status !== 'unpaid') {
+            this.showToast(L('ticket_not_contestable'), 'warning');
+            return;
+        }
+
+        this.contestTicket = ticket;
+
+        document.getElementById('contest-ticket').innerHTML = `
+            <div class="summary-row">
+                <span>${Utils.escapeHtml(Utils.formatPlate(ticket.plate))} - ${Utils.escapeHtml(ticket.reason || L('ticket_default_reason'))}</span>
+                <span>${Utils.formatMoney(ticket.amount)}</span>
+            </div>
+        `;
+
+        const reason = document.getElementById('contest-reason');
+        reason.value = '';
+        reason.maxLength = this.config.tickets?.maxContestLength || 500;
+        this.updateContestCounter();
+
+        const modal = document.getElementById('contest-modal');
+        modal.classList.remove('hidden');
+        Utils.animateIn(modal.querySelector('.modal-content'), 'scaleIn');
+        reason.focus();
+
+        Utils.playSound('click');
+    },
+
+    /**
+     * Update the contest reason character counter
+     */
+    updateContestCounter: function() {
+        const reason = document.getElementById('contest-reason');
+        document.getElementById('contest-counter').textContent = reason.value.length + '/' + reason.maxLength;
+        document.getElementById('contest-submit').disabled = reason.value.trim().length === 0;
+    },
+
+    /**
+     * Submit the contest form
+     */
+    submitContest: async function() {
+        if (!this.contestTicket) return;
+
+        const reason = document.getElementById('contest-reason').value.trim();
+        if (!reason) return;
+
+        const result = await this.runAction('contestTicket', {
+            ticketId: this.contestTicket.id,
+            reason: reason
+        });
+
+        if (result) {
+            this.closeContestModal();
+        }
+    },
+
+    /**
+     * Close contest modal
+     */
+    closeContestModal: function() {
+        document.getElementById('contest-modal').classList.add('hidden');
+        this.contestTicket = null;
+    },
+
+    /**
+     * Pay a single ticket
+     * @param {string} ticketId - Ticket ID
+     */
+    payTicket: async function(ticketId) {
+        Utils.playSound('click');
+        await this.runAction('payTicket', { ticketId: ticketId });
+    },
+
+    /**
+     * Pay all tickets
+     */
+    payAllTickets: async function() {
+        const unpaid = this.tickets.filter(t => this.isOutstanding(t));
+        if (!unpaid.length) return;
+
+        const total = unpaid.reduce((sum, t) => sum + (t.amount || 0), 0);
+
+        Utils.playSound('click');
+        await this.runAction('payAllTickets', {
+            tickets: unpaid.map(t => t.id),
+            total: total
+        });
+    },
+
+    /**
+     * Render valet sessions and valet-held vehicles
+     */
+    renderValet: function() {
+        const sessions = this.valet.sessions || [];
+        const vehicles = (this.valet.vehicles || []).filter(v =>
+            !sessions.some(s => s.plate === v.plate)
+        );
+
+        // Count down locally from the server's remaining time
+        sessions.forEach(session => {
+            session.endsAt = session.endsAt || Date.now() + session.remaining * 1000;
+        });
+
+        document.getElementById('valet-sessions-section').classList.toggle('hidden', !sessions.length);
+        document.getElementById('valet-vehicles-section').classList.toggle('hidden', !vehicles.length);
+        document.getElementById('empty-valet').classList.toggle('hidden', sessions.length + vehicles.length > 0);
+
+        Render.list(document.getElementById('valet-sessions'), sessions, session => session.id, session => `
+            <div class="valet-item">
+                <div class="delivery-icon">
+                    <i class="fas ${session.type === 'retrieve' ? 'fa-key' : 'fa-parking'}"></i>
+                </div>
+                <div class="valet-info">
+                    <div class="delivery-plate">${Utils.escapeHtml(Utils.formatPlate(session.plate))}</div>
+                    <div class="valet-meta">
+                        ${Utils.escapeHtml(this.getValetSessionLabel(session))}
+                    </div>
+                    <div class="valet-queue">
+                        <i class="fas fa-list-ol"></i>
+                        ${session.queuePosition > 1
+                            ? L('valet_queue_position', { position: session.queuePosition, size: session.queueSize })
+                            : L('valet_on_it')}
+                    </div>
+                </div>
+                <div class="valet-countdown" data-valet-countdown="${Utils.escapeHtml(session.id)}">
+                    ${Utils.formatTimeRemaining(this.getValetRemaining(session))}
+                </div>
+            </div>
+        `);
+
+        Render.list(document.getElementById('valet-vehicles'), vehicles, vehicle => vehicle.plate, vehicle => `
+            <div class="valet-item">
+                <div class="delivery-icon">
+                    <i class="fas fa-car"></i>
+                </div>
+                <div class="valet-info">
+                    <div class="delivery-plate">${Utils.escapeHtml(Utils.formatPlate(vehicle.plate))}</div>
+                    <div class="valet-meta">
+                        <i class="fas fa-map-marker-alt"></i>
+                        ${Utils.escapeHtml(vehicle.locationName || L('valet_stand'))}
+                        &middot; ${Utils.formatTimeAgo(vehicle.parkedAt || 0)}
+                    </div>
+                </div>
+                <button class="btn btn-small btn-primary" data-action="retrieveValet" data-plate="${Utils.escapeHtml(vehicle.plate)}">
+                    <i class="fas fa-key"></i> ${L('valet_retrieve')}
+                </button>
+            </div>
+        `);
+
+        if (sessions.length) {
+            this.startValetTicker();
+        } else {
+            this.stopValetTicker();
+        }
+    },
+
+    /**
+     * Describe what the valet is doing for a session
+     * @param {object} session - Session data
+     * @returns {string}
+     */
+    getValetSessionLabel: function(session) {
+        const action = session.type === 'retrieve' ? 'valet_retrieving' : 'valet_parking';
+
+        return session.locationName
+            ? L(action + '_at', { location: session.locationName })
+            : L(action);
+    },
+
+    /**
+     * Seconds left on a valet session
+     * @param {object} session - Session data
+     * @returns {number}
+     */
+    getValetRemaining: function(session) {
+        return Math.max(0, Math.floor((session.endsAt - Date.now()) / 1000));
+    },
+
+    /**
+     * Tick valet countdowns every second
+     */
+    startValetTicker: function() {
+        if (this.valetTicker) return;
+
+        this.valetTicker = setInterval(() => {
+            this.valet.sessions.forEach(session => {
+                const el = document.querySelector(`[data-valet-countdown="${CSS.escape(session.id)}"]`);
+                if (el) el.textContent = Utils.formatTimeRemaining(this.getValetRemaining(session));
+            });
+        }, 1000);
+    },
+
+    /**
+     * Stop the valet countdown ticker
+     */
+    stopValetTicker: function() {
+        if (this.valetTicker) {
+            clearInterval(this.valetTicker);
+            this.valetTicker = null;
+        }
+    },
+
+    /**
+     * Apply a pushed valet update
+     * @param {object} valet - { vehicles, sessions }
+     */
+    updateValet: function(valet) {
+        if (!valet) return;
+
+        this.valet = Object.assign({}, this.valet, valet);
+        this.renderValet();
+        this.updateBadges();
+    },
+
+    /**
+     * Open the tip picker for a valet request
+     * @param {string} mode - park or retrieve
+     * @param {object} request - { plate, locationId, locationName }
+     */
+    openValetModal: function(mode, request) {
+        this.valetRequest = Object.assign({ mode: mode }, request);
+        this.valetTip = 'none';
+
+        document.getElementById('valet-modal-title').textContent = mode === 'park'
+            ? L('valet_park_title')
+            : L('valet_retrieve_title');
+
+        document.getElementById('valet-request').innerHTML = `
+            <div class="info-row">
+                <span class="label">${L('label_vehicle')}</span>
+                <span class="value">${Utils.escapeHtml(Utils.formatPlate(request.plate || ''))}</span>
+            </div>
+            ${request.locationName ? `
+                <div class="info-row">
+                    <span class="label">${L('label_location')}</span>
+                    <span class="value">${Utils.escapeHtml(request.locationName)}</span>
+                </div>
+            ` : ''}
+        `;
+
+        this.renderValetTips();
+
+        const modal = document.getElementById('valet-modal');
+        modal.classList.remove('hidden');
+        Utils.animateIn(modal.querySelector('.modal-content'), 'scaleIn');
+
+        Utils.playSound('click');
+    },
+
+    /**
+     * Render tip options with their cost and estimated wait
+     */
+    renderValetTips: function() {
+        const options = this.valet.tips?.[this.valetRequest.mode] || [];
+
+        Render.list(document.getElementById('valet-tips'), options, option => option.tipLevel, option => `
+            <div class="tip-option ${option.tipLevel === this.valetTip ? 'selected' : ''}"
+                 data-action="selectValetTip" data-tip-level="${Utils.escapeHtml(option.tipLevel)}">
+                <div class="tip-label">${Utils.escapeHtml(this.getValetTipLabel(option.tipLevel))}</div>
+                <div class="tip-amount">${option.tip > 0 ? '+' + Utils.formatMoney(option.tip) : '&nbsp;'}</div>
+                <div class="tip-wait">
+                    <i class="fas fa-stopwatch"></i> ~${Utils.formatCountdown(option.waitTime)}
+                </div>
+                <div class="tip-total">${Utils.formatMoney(option.cost)}</div>
+            </div>
+        `);
+
+        const selected = options.find(o => o.tipLevel === this.valetTip);
+        document.getElementById('valet-confirm-label').textContent = selected
+            ? L('confirm_amount', { amount: Utils.formatMoney(selected.cost) })
+            : L('confirm');
+    },
+
+    /**
+     * Label for a tip level
+     * @param {string} tipLevel - none, small, medium or large
+     * @returns {string}
+     */
+    getValetTipLabel: function(tipLevel) {
+        const key = 'valet_tip_' + tipLevel;
+        return Locale.has(key) ? L(key) : Utils.capitalize(tipLevel);
+    },
+
+    /**
+     * Select a tip level
+     * @param {string} tipLevel - none, small, medium or large
+     */
+    selectValetTip: function(tipLevel) {
+        this.valetTip = tipLevel;
+        this.renderValetTips();
+        Utils.playSound('click');
+    },
+
+    /**
+     * Confirm the valet request
+     */
+    confirmValet: async function() {
+        const request = this.valetRequest;
+        if (!request) return;
+
+        if (request.mode === 'park') {
+            // The valet takes the car from here, so hand control back
+            const result = await this.runAction('valetPark', {
+                locationId: request.locationId,
+                tipLevel: this.valetTip
+            }, false);
+
+            if (result) {
+                this.close();
+            }
+            return;
+        }
+
+        const result = await this.runAction('valetRetrieve', {
+            plate: request.plate,
+            tipLevel: this.valetTip
+        });
+
+        if (result) {
+            this.closeValetModal();
+        }
+    },
+
+    /**
+     * Close valet modal
+     */
+    closeValetModal: function() {
+        document.getElementById('valet-modal').classList.add('hidden');
+        this.valetRequest = null;
+    },
+
+    /**
+     * Render the player's rentals and the rentable spots
+     */
+    renderReserved: function() {
+        const rentals = this.reserved.rentals || [];
+        const available = this.reserved.available || [];
+
+        // Count down locally from the server's remaining time
+        rentals.forEach(rental => {
+            rental.endsAt = rental.endsAt || Date.now() + rental.remaining * 1000;
+        });
+
+        const discount = this.reserved.discount || 0;
+        document.getElementById('rental-discount').classList.toggle('hidden', discount <= 0);
+        document.getElementById('rental-discount-label').textContent = L('rental_vip_discount', { percent: Math.round(discount * 100) });
+
+        document.getElementById('rentals-section').classList.toggle('hidden', !rentals.length);
+        document.getElementById('available-section').classList.toggle('hidden', !available.length);
+        document.getElementById('empty-reserved').classList.toggle('hidden', rentals.length + available.length > 0);
+
+        Render.list(document.getElementById('rental-list'), rentals, rental => rental.spotId, rental => `
+            <div class="reserved-item">
+                <div class="delivery-icon">
+                    <i class="fas fa-square-parking"></i>
+                </div>
+                <div class="reserved-info">
+                    <div class="delivery-plate">${Utils.escapeHtml(rental.name)}</div>
+                    <div class="reserved-meta">
+                        <i class="fas fa-map-marker-alt"></i>
+                        ${Utils.escapeHtml(rental.location || L('unknown'))}
+                        &middot; ${Utils.escapeHtml(Utils.capitalize(rental.type || 'standard'))}
+                    </div>
+                </div>
+                <div class="reserved-countdown" data-rental-countdown="${Utils.escapeHtml(rental.spotId)}">
+                    ${this.formatRentalRemaining(this.getRentalRemaining(rental))}
+                </div>
+                <div class="reserved-actions">
+                    <button class="btn btn-small btn-secondary" data-action="showRentalOnMap" data-spot-id="${Utils.escapeHtml(rental.spotId)}">
+                        <i class="fas fa-map-marker-alt"></i>
+                    </button>
+                    <button class="btn btn-small btn-primary" data-action="renewRental" data-spot-id="${Utils.escapeHtml(rental.spotId)}">
+                        <i class="fas fa-redo"></i> ${L('rental_renew')}
+                    </button>
+                </div>
+            </div>
+        `);
+
+        Render.list(document.getElementById('available-list'), available, spot => spot.spotId, spot => `
+            <div class="reserved-item">
+                <div class="delivery-icon">
+                    <i class="fas fa-square-parking"></i>
+                </div>
+                <div class="reserved-info">
+                    <div class="delivery-plate">${Utils.escapeHtml(spot.name)}</div>
+                    <div class="reserved-meta">
+                        <i class="fas fa-map-marker-alt"></i>
+                        ${Utils.escapeHtml(spot.location || L('unknown'))}
+                        &middot; ${Utils.escapeHtml(Utils.capitalize(spot.type || 'standard'))}
+                    </div>
+                </div>
+                <div class="reserved-price">
+                    ${spot.discount > 0 ? `<span class="price-original">${Utils.formatMoney(spot.basePricePerHour)}</span>` : ''}
+                    <span>${L('per_hour', { amount: Utils.formatMoney(spot.pricePerHour) })}</span>
+                </div>
+                <button class="btn btn-small btn-primary" data-action="rentSpot" data-spot-id="${Utils.escapeHtml(spot.spotId)}">
+                    <i class="fas fa-key"></i> ${L('rental_rent')}
+                </button>
+            </div>
+        `);
+
+        if (rentals.length) {
+            this.startRentalTicker();
+        } else {
+            this.stopRentalTicker();
+        }
+    },
+
+    /**
+     * Seconds left on a rental
+     * @param {object} rental - Rental data
+     * @returns {number}
+     */
+    getRentalRemaining: function(rental) {
+        return Math.max(0, Math.floor((rental.endsAt - Date.now()) / 1000));
+    },
+
+    /**
+     * Format rental time left, switching to MM:SS in the last hour
+     * @param {number} seconds - Seconds remaining
+     * @returns {string}
+     */
+    formatRentalRemaining: function(seconds) {
+        if (seconds >= 3600) {
+            return Utils.formatDuration(Math.floor(seconds / 60));
+        }
+        return Utils.formatTimeRemaining(seconds);
+    },
+
+    /**
+     * Tick rental countdowns every second
+     */
+    startRentalTicker: function() {
+        if (this.rentalTicker) return;
+
+        this.rentalTicker = setInterval(() => {
+            this.reserved.rentals.forEach(rental => {
+                const el = document.querySelector(`[data-rental-countdown="${CSS.escape(String(rental.spotId))}"]`);
+                if (el) el.textContent = this.formatRentalRemaining(this.getRentalRemaining(rental));
+            });
+        }, 1000);
+    },
+
+    /**
+     * Stop the rental countdown ticker
+     */
+    stopRentalTicker: function() {
+        if (this.rentalTicker) {
+            clearInterval(this.rentalTicker);
+            this.rentalTicker = null;
+        }
+    },
+
+    /**
+     * Most hours that can be bought for the open rental request
+     * @returns {number}
+     */
+    getRentalMaxHours: function() {
+        const max = this.reserved.maxRentalHours || 24;
+        const request = this.rentalRequest;
+
+        if (request?.mode !== 'renew') return max;
+
+        // Renewals may not run further ahead than a fresh maximum rental
+        const remaining = this.getRentalRemaining(request.spot);
+        return Math.floor((max * 3600 - remaining) / 3600);
+    },
+
+    /**
+     * Open the rent/renew modal for a spot
+     * @param {string} mode - rent or renew
+     * @param {string} spotId - Spot ID
+     */
+    openRentalModal: function(mode, spotId) {
+        const list = mode === 'renew' ? this.reserved.rentals : this.reserved.available;
+        const spot = list.find(s => String(s.spotId) === String(spotId));
+        if (!spot) return;
+
+        this.rentalRequest = { mode: mode, spot: spot };
+
+        const maxHours = this.getRentalMaxHours();
+        if (maxHours < 1) {
+            this.showToast(L('rental_at_max'), 'warning');
+            this.rentalRequest = null;
             return;
         }
 
-        emptyState.classList.add('hidden');
-        container.innerHTML = this.deliveries.map(delivery => `
-            <div class="delivery-item">
-                <div class="delivery-info">
-                    <div class="delivery-plate">${Utils.escapeHtml(Utils.formatPlate(delivery.plate))}</div>
-                    <div class="delivery-status ${delivery.status}">${Utils.capitalize(delivery.status)}</div>
-                </div>
-                <div class="delivery-details">
-                    <span><i class="fas fa-truck"></i> ${delivery.type === 'rush' ? 'Rush' : 'Standard'}</span>
-                    <span><i class="fas fa-clock"></i> ${Utils.formatCountdown(delivery.eta || 0)}</span>
-                </div>
-                <div class="delivery-progress">
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${delivery.progress || 0}%"></div>
-                    </div>
+        document.getElementById('rental-modal-title').textContent = L(mode === 'renew' ? 'rental_renew_title' : 'rental_rent_title');
+        document.getElementById('rental-confirm-label').textContent = L(mode === 'renew' ? 'rental_renew' : 'rental_rent_title');
+
+        document.getElementById('rental-spot').innerHTML = `
+            <div class="info-row">
+                <span class="label">${L('label_spot')}</span>
+                <span class="value">${Utils.escapeHtml(spot.name)}</span>
+            </div>
+            <div class="info-row">
+                <span class="label">${L('label_location')}</span>
+                <span class="value">${Utils.escapeHtml(spot.location || L('unknown'))}</span>
+            </div>
+            ${mode === 'renew' ? `
+                <div class="info-row">
+                    <span class="label">${L('label_time_left')}</span>
+                    <span class="value">${this.formatRentalRemaining(this.getRentalRemaining(spot))}</span>
                 </div>
+            ` : ''}
+        `;
+
+        const slider = document.getElementById('rental-hours');
+        slider.max = maxHours;
+        this.setRentalHours(1);
+
+        const modal = document.getElementById('rental-modal');
+        modal.classList.remove('hidden');
+        Utils.animateIn(modal.querySelector('.modal-content'), 'scaleIn');
+
+        Utils.playSound('click');
+    },
+
+    /**
+     * Set the rental length
+     * @param {number} hours - Hours to rent
+     */
+    setRentalHours: function(hours) {
+        this.rentalHours = Math.min(Math.max(parseInt(hours, 10) || 1, 1), this.getRentalMaxHours());
+
+        document.getElementById('rental-hours').value = this.rentalHours;
+        document.getElementById('rental-hours-label').textContent = L('rental_hours', { count: this.rentalHours });
+
+        this.renderRentalSummary();
+    },
+
+    /**
+     * Step the rental length up or down
+     * @param {number} delta - Hours to add
+     */
+    changeRentalHours: function(delta) {
+        this.setRentalHours(this.rentalHours + delta);
+        Utils.playSound('click');
+    },
+
+    /**
+     * Render the rental price breakdown
+     */
+    renderRentalSummary: function() {
+        const hours = this.rentalHours;
+        const discount = this.reserved.discount || 0;
+        const rate = this.reserved.pricePerHour || 0;
+        const base = rate * hours;
+        const total = this.getRentalPrice(hours);
+
+        const rows = [
+            { label: L('rental_rate_line', { hours: hours, rate: Utils.formatMoney(rate) }), amount: base }
+        ];
+        if (discount > 0) {
+            rows.push({ label: L('rental_discount_line', { percent: Math.round(discount * 100) }), amount: total - base });
+        }
+
+        document.getElementById('rental-breakdown').innerHTML = rows.map(row => `
+            <div class="summary-row ${row.amount < 0 ? 'discount' : ''}">
+                <span>${Utils.escapeHtml(row.label)}</span>
+                <span>${row.amount < 0 ? '-' : ''}${Utils.formatMoney(Math.abs(row.amount))}</span>
             </div>
         `).join('');
+
+        document.getElementById('rental-total').textContent = Utils.formatMoney(total);
     },
 
     /**
-     * Render meters list
+     * Price of renting for a number of hours (mirrors Reserved.GetRentalPrice)
+     * @param {number} hours - Hours to rent
+     * @returns {number}
      */
-    renderMeters: function() {
-        const container = document.getElementById('meter-list');
-        const emptyState = document.getElementById('empty-meters');
+    getRentalPrice: function(hours) {
+        return Math.floor((this.reserved.pricePerHour || 0) * hours * (1 - (this.reserved.discount || 0)));
+    },
 
-        if (!this.meters.length) {
-            container.innerHTML = '';
+    /**
+     * Confirm the rental or renewal
+     */
+    confirmRental: async function() {
+        const request = this.rentalRequest;
+        if (!request) return;
+
+        const result = await this.runAction(request.mode === 'renew' ? 'renewRental' : 'rentSpot', {
+            spotId: request.spot.spotId,
+            hours: this.rentalHours
+        });
+
+        if (result) {
+            this.closeRentalModal();
+        }
+    },
+
+    /**
+     * Close rental modal
+     */
+    closeRentalModal: function() {
+        document.getElementById('rental-modal').classList.add('hidden');
+        this.rentalRequest = null;
+    },
+
+    /**
+     * Set GPS to a rented spot
+     * @param {string} spotId - Spot ID
+     */
+    showRentalOnMap: async function(spotId) {
+        const rental = this.reserved.rentals.find(r => String(r.spotId) === String(spotId));
+        if (!rental) return;
+
+        Utils.playSound('click');
+        await this.runAction('setWaypoint', { coords: rental.coords }, false);
+    },
+
+    /**
+     * Render impounded vehicles with their fee breakdown
+     */
+    renderImpounds: function() {
+        const container = document.getElementById('impound-list');
+        const emptyState = document.getElementById('empty-impound');
+
+        if (!this.impounds.length) {
+            Render.clear(container);
             emptyState.classList.remove('hidden');
             return;
         }
 
         emptyState.classList.add('hidden');
-        container.innerHTML = this.meters.map(meter => {
-            const isExpired = meter.remaining <= 0;
-            const isLow = meter.remaining > 0 && meter.remaining < 300; // 5 minutes
-
-            return `
-                <div class="meter-item ${isExpired ? 'expired' : ''} ${isLow ? 'warning' : ''}">
-                    <div class="meter-info">
-                        <div class="meter-plate">${Utils.escapeHtml(Utils.formatPlate(meter.plate))}</div>
-                        <div class="meter-location">
-                            <i class="fas fa-map-marker-alt"></i>
-                            ${Utils.escapeHtml(meter.location || 'Unknown')}
-                        </div>
+        Render.list(container, this.impounds, impound => impound.plate, impound => `
+            <div class="impound-item">
+                <div class="impound-header">
+                    <div class="impound-info">
+                        <div class="ticket-plate">${Utils.escapeHtml(Utils.formatPlate(impound.plate))}</div>
+                        <span class="impound-tier ${Utils.escapeHtml(impound.tier || '')}">${Utils.escapeHtml(impound.reason || L('impound_default_reason'))}</span>
                     </div>
-                    <div class="meter-time">
-                        <span class="time-remaining">${Utils.formatTimeRemaining(meter.remaining)}</span>
-                        ${!isExpired ? `
-                            <button class="btn btn-small btn-primary" onclick="ParkingUI.addTime('${Utils.escapeHtml(meter.id)}')">
-                                <i class="fas fa-plus"></i> Add Time
-                            </button>
-                        ` : `
-                            <button class="btn btn-small btn-warning" onclick="ParkingUI.payMeter('${Utils.escapeHtml(meter.id)}')">
-                                <i class="fas fa-coins"></i> Pay Now
-                            </button>
-                        `}
+                    <div class="ticket-date">
+                        <i class="fas fa-calendar"></i>
+                        ${impound.daysHeld > 0
+                            ? L('impound_held_days', { count: impound.daysHeld })
+                            : L('impound_today')}
                     </div>
                 </div>
-            `;
-        }).join('');
+                <div class="impound-breakdown">
+                    ${(impound.items || []).map(item => `
+                        <div class="summary-row ${item.amount < 0 ? 'discount' : ''}">
+                            <span>${Utils.escapeHtml(item.label)}</span>
+                            <span>${item.amount < 0 ? '-' : ''}${Utils.formatMoney(Math.abs(item.amount))}</span>
+                        </div>
+                    `).join('')}
+                    <div class="summary-row total">
+                        <span>${L('total')}</span>
+                        <span>${Utils.formatMoney(impound.total)}</span>
+                    </div>
+                </div>
+                <button class="btn btn-primary" data-action="retrieveImpound" data-plate="${Utils.escapeHtml(impound.plate)}">
+                    <i class="fas fa-key"></i> ${Utils.escapeHtml(L('impound_pay_retrieve', { amount: Utils.formatMoney(impound.total) }))}
+                </button>
+            </div>
+        `);
     },
 
     /**
-     * Add time to a meter
-     * @param {string} meterId - Meter ID
+     * Pay the impound fee and start retrieval
+     * @param {string} plate - Vehicle plate
      */
-    addTime: function(meterId) {
-        Utils.nuiCallback('addMeterTime', { meterId: meterId });
+    retrieveImpound: async function(plate) {
         Utils.playSound('click');
+
+        // The vehicle is released near the impound lot, so hand control back
+        const result = await this.runAction('retrieveImpound', { plate: plate }, false);
+        if (result) {
+            this.close();
+        }
     },
 
     /**
-     * Pay expired meter
-     * @param {string} meterId - Meter ID
+     * Get the lot shown in the business console
+     * @returns {object|null}
      */
-    payMeter: function(meterId) {
-        Utils.nuiCallback('payMeter', { meterId: meterId });
-        Utils.playSound('click');
+    getBusinessLot: function() {
+        const lots = this.business.lots || [];
+        return lots.find(l => l.lotId === this.businessLotId) || lots[0] || null;
     },
 
     /**
-     * Render tickets list
+     * Show another owned lot in the business console
+     * @param {number} lotId - Lot ID
      */
-    renderTickets: function() {
-        const container = document.getElementById('ticket-list');
-        const emptyState = document.getElementById('empty-tickets');
-
-        const unpaidTickets = this.tickets.filter(t => !t.paid);
+    selectBusinessLot: function(lotId) {
+        this.businessLotId = lotId;
+        this.renderBusiness();
+        Utils.playSound('click');
+    },
 
-        if (!unpaidTickets.length) {
-            container.innerHTML = '';
-            emptyState.classList.remove('hidden');
+    /**
+     * Render the business console for the selected lot
+     */
+    renderBusiness: function() {
+        const lots = this.business.lots || [];
+        const tab = document.querySelector('.nav-tab[data-tab="business"]');
+        tab.classList.toggle('hidden', !this.business.enabled || !lots.length);
+
+        const lot = this.getBusinessLot();
+        if (!lot) {
+            Render.clear(document.getElementById('business-lots'));
+            Render.clear(document.getElementById('business-console'));
+            if (this.currentTab === 'business') this.switchTab('vehicles');
             return;
         }
 
-        emptyState.classList.add('hidden');
-        container.innerHTML = unpaidTickets.map(ticket => `
-            <div class="ticket-item">
-                <div class="ticket-info">
-                    <div class="ticket-plate">${Utils.escapeHtml(Utils.formatPlate(ticket.plate))}</div>
-                    <div class="ticket-reason">${Utils.escapeHtml(ticket.reason || 'Parking Violation')}</div>
-                    <div class="ticket-date">
-                        <i class="fas fa-calendar"></i>
-                        ${Utils.formatTimeAgo(ticket.issuedAt || 0)}
+        this.businessLotId = lot.lotId;
+
+        Render.list(document.getElementById('business-lots'), lots.length > 1 ? lots : [], l => l.lotId, l => `
+            <button class="filter-chip ${l.lotId === lot.lotId ? 'active' : ''}" data-action="selectBusinessLot" data-lot-id="${Number(l.lotId)}">
+                ${Utils.escapeHtml(l.name)}
+            </button>
+        `);
+
+        // Panels are keyed so typing in the hire form or dragging the price
+        // slider survives updates to the other panels
+        const sections = [
+            { key: 'stats', html: this.createBusinessStats(lot) },
+            { key: 'finance', html: this.createBusinessFinance(lot) },
+            { key: 'employees', html: this.createBusinessEmployees(lot) },
+            { key: 'upgrades', html: this.createBusinessUpgrades(lot) },
+            { key: 'ledger', html: this.createBusinessLedger(lot) }
+        ];
+
+        Render.list(document.getElementById('business-console'), sections, section => lot.lotId + ':' + section.key, section => section.html);
+    },
+
+    /**
+     * Create the business stat cards
+     * @param {object} lot - Lot data
+     * @returns {string} HTML string
+     */
+    createBusinessStats: function(lot) {
+        const limits = this.business.limits;
+
+        return `
+            <div class="business-stats">
+                <div class="business-stat">
+                    <span class="stat-label">${L('business_uncollected')}</span>
+                    <span class="stat-value">${Utils.formatMoney(lot.revenue)}</span>
+                </div>
+                <div class="business-stat">
+                    <span class="stat-label">${L('business_occupancy')}</span>
+                    <span class="stat-value">${lot.occupied}/${lot.capacity}</span>
+                </div>
+                <div class="business-stat">
+                    <span class="stat-label">${L('business_parking_price')}</span>
+                    <span class="stat-value">${Utils.formatMoney(lot.price)}</span>
+                </div>
+                <div class="business-stat">
+                    <span class="stat-label">${L('business_employees')}</span>
+                    <span class="stat-value">${lot.employees.length}/${limits.maxEmployees}</span>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create the revenue and pricing panels
+     * @param {object} lot - Lot data
+     * @returns {string} HTML string
+     */
+    createBusinessFinance: function(lot) {
+        const limits = this.business.limits;
+
+        return `
+            <div class="business-grid">
+                <div class="business-panel">
+                    <h3 class="section-title">${L('business_revenue')}</h3>
+                    <div class="summary-row">
+                        <span>${L('business_uncollected_revenue')}</span>
+                        <span>${Utils.formatMoney(lot.revenue)}</span>
+                    </div>
+                    <div class="summary-row discount">
+                        <span>${L('business_city_tax', { percent: limits.taxPercent })}</span>
+                        <span>-${Utils.formatMoney(lot.tax)}</span>
                     </div>
+                    <div class="summary-row total">
+                        <span>${L('business_payout')}</span>
+                        <span>${Utils.formatMoney(lot.payout)}</span>
+                    </div>
+                    <button class="btn btn-primary" data-action="collectRevenue" data-lot-id="${Number(lot.lotId)}" ${lot.revenue > 0 ? '' : 'disabled'}>
+                        <i class="fas fa-hand-holding-usd"></i> ${L('business_collect', { amount: Utils.formatMoney(lot.payout) })}
+                    </button>
                 </div>
-                <div class="ticket-amount">
-                    <span class="amount">${Utils.formatMoney(ticket.amount || 0)}</span>
-                    <button class="btn btn-small btn-primary" onclick="ParkingUI.payTicket('${Utils.escapeHtml(ticket.id)}')">
-                        <i class="fas fa-credit-card"></i> Pay
+
+                <div class="business-panel">
+                    <h3 class="section-title">${L('business_pricing')}</h3>
+                    <div class="price-slider">
+                        <input type="range" id="lot-price"
+                               min="${limits.minPriceMultiplier}" max="${limits.maxPriceMultiplier}" step="0.05"
+                               value="${lot.priceMultiplier}" data-input-action="previewLotPrice">
+                        <div class="price-preview" id="lot-price-preview">
+                            ${this.formatLotPrice(lot, lot.priceMultiplier)}
+                        </div>
+                    </div>
+                    <button class="btn btn-secondary" data-action="saveLotPrice" data-lot-id="${Number(lot.lotId)}">
+                        <i class="fas fa-save"></i> ${L('business_save_price')}
                     </button>
                 </div>
             </div>
-        `).join('');
+        `;
     },
 
     /**
-     * Pay a single ticket
-     * @param {string} ticketId - Ticket ID
+     * Create the employees panel
+     * @param {object} lot - Lot data
+     * @returns {string} HTML string
      */
-    payTicket: function(ticketId) {
-        Utils.nuiCallback('payTicket', { ticketId: ticketId });
-        Utils.playSound('click');
+    createBusinessEmployees: function(lot) {
+        const limits = this.business.limits;
+
+        return `
+            <div class="business-panel">
+                <h3 class="section-title">${L('business_employees_count', { count: lot.employees.length, max: limits.maxEmployees })}</h3>
+                <div class="employee-list">
+                    ${lot.employees.length ? lot.employees.map(employee => `
+                        <div class="employee-item">
+                            <i class="fas fa-user"></i>
+                            <div class="employee-info">
+                                <span class="employee-name">${Utils.escapeHtml(employee.name || employee.citizenid)}</span>
+                                <span class="employee-meta">${L('business_hired', { ago: Utils.formatTimeAgo(employee.hiredAt || 0) })}</span>
+                            </div>
+                            <button class="btn btn-small btn-ghost" data-action="fireEmployee" data-lot-id="${Number(lot.lotId)}" data-citizenid="${Utils.escapeHtml(employee.citizenid)}">
+                                <i class="fas fa-user-minus"></i> ${L('business_fire')}
+                            </button>
+                        </div>
+                    `).join('') : `<p class="business-empty">${L('business_no_employees')}</p>`}
+                </div>
+                ${lot.employees.length < limits.maxEmployees ? `
+                    <div class="hire-form">
+                        <input type="number" min="1" id="hire-id" placeholder="${Utils.escapeHtml(L('business_player_id'))}">
+                        <button class="btn btn-small btn-primary" data-action="hireEmployee" data-lot-id="${Number(lot.lotId)}">
+                            <i class="fas fa-user-plus"></i> ${L('business_hire')}
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
     },
 
     /**
-     * Pay all tickets
+     * Create the upgrade shop panel
+     * @param {object} lot - Lot data
+     * @returns {string} HTML string
      */
-    payAllTickets: function() {
-        const unpaid = this.tickets.filter(t => !t.paid);
-        if (!unpaid.length) return;
+    createBusinessUpgrades: function(lot) {
+        return `
+            <div class="business-panel">
+                <h3 class="section-title">${L('business_upgrades')}</h3>
+                <div class="upgrade-grid">
+                    ${lot.upgrades.map(upgrade => this.createUpgradeCard(lot, upgrade)).join('')}
+                </div>
+            </div>
+        `;
+    },
 
-        const total = unpaid.reduce((sum, t) => sum + (t.amount || 0), 0);
+    /**
+     * Create the revenue ledger panel
+     * @param {object} lot - Lot data
+     * @returns {string} HTML string
+     */
+    createBusinessLedger: function(lot) {
+        return `
+            <div class="business-panel">
+                <h3 class="section-title">${L('business_ledger')}</h3>
+                <div class="ledger-list">
+                    ${lot.ledger.length ? lot.ledger.map(entry => `
+                        <div class="ledger-row ${Utils.escapeHtml(entry.type)}">
+                            <span class="ledger-desc">${Utils.escapeHtml(entry.description || (Locale.has('ledger_' + entry.type) ? L('ledger_' + entry.type) : Utils.capitalize(entry.type)))}</span>
+                            <span class="ledger-date">${Utils.formatTimeAgo(entry.createdAt || 0)}</span>
+                            <span class="ledger-amount">${entry.amount < 0 ? '-' : '+'}${Utils.formatMoney(Math.abs(entry.amount))}</span>
+                        </div>
+                    `).join('') : `<p class="business-empty">${L('business_no_transactions')}</p>`}
+                </div>
+            </div>
+        `;
+    },
 
-        Utils.nuiCallback('payAllTickets', {
-            tickets: unpaid.map(t => t.id),
-            total: total
+    /**
+     * Create an upgrade shop card
+     * @param {object} lot - Lot data
+     * @param {object} upgrade - Upgrade data
+     * @returns {string} HTML string
+     */
+    createUpgradeCard: function(lot, upgrade) {
+        const icons = {
+            security: 'fa-video',
+            lighting: 'fa-lightbulb',
+            capacity: 'fa-expand',
+            evCharging: 'fa-charging-station',
+            carwash: 'fa-soap',
+            valet: 'fa-concierge-bell'
+        };
+        const labelKey = 'upgrade_' + upgrade.key;
+        const info = {
+            label: Locale.has(labelKey) ? L(labelKey) : Utils.capitalize(upgrade.key),
+            icon: icons[upgrade.key] || 'fa-star'
+        };
+
+        const owned = !!upgrade.purchasedAt;
+
+        return `
+            <div class="upgrade-card ${owned ? 'owned' : ''}">
+                <i class="fas ${info.icon}"></i>
+                <div class="upgrade-name">${Utils.escapeHtml(info.label)}</div>
+                <div class="upgrade-desc">${Utils.escapeHtml(upgrade.description)}</div>
+                ${owned ? `
+                    <span class="upgrade-owned"><i class="fas fa-check"></i> ${L('business_installed')}</span>
+                ` : `
+                    <button class="btn btn-small btn-primary" data-action="purchaseUpgrade" data-lot-id="${Number(lot.lotId)}" data-upgrade="${Utils.escapeHtml(upgrade.key)}">
+                        ${Utils.formatMoney(upgrade.cost)}
+                    </button>
+                `}
+            </div>
+        `;
+    },
+
+    /**
+     * Format a lot price for a multiplier
+     * @param {object} lot - Lot data
+     * @param {number} multiplier - Price multiplier
+     * @returns {string}
+     */
+    formatLotPrice: function(lot, multiplier) {
+        const price = Math.floor(lot.basePrice * multiplier);
+        return `${Utils.formatMoney(price)} <small>(${Utils.escapeHtml(L('business_price_of_base', {
+            percent: Math.round(multiplier * 100),
+            base: Utils.formatMoney(lot.basePrice)
+        }))})</small>`;
+    },
+
+    /**
+     * Preview the price while dragging the slider
+     * @param {string} value - Slider value
+     */
+    previewLotPrice: function(value) {
+        const lot = this.getBusinessLot();
+        if (!lot) return;
+
+        document.getElementById('lot-price-preview').innerHTML = this.formatLotPrice(lot, parseFloat(value));
+    },
+
+    /**
+     * Save the slider price
+     * @param {number} lotId - Lot ID
+     */
+    saveLotPrice: async function(lotId) {
+        Utils.playSound('click');
+        await this.runAction('setLotPrice', {
+            lotId: lotId,
+            multiplier: parseFloat(document.getElementById('lot-price').value)
         });
+    },
 
+    /**
+     * Collect a lot's revenue
+     * @param {number} lotId - Lot ID
+     */
+    collectRevenue: async function(lotId) {
         Utils.playSound('click');
+        await this.runAction('collectRevenue', { lotId: lotId });
     },
 
     /**
-     * Show toast notification
-     * @param {string} message - Message to display
-     * @param {string} type - Toast type (success, error, warning, info)
+     * Hire the player whose ID is entered
+     * @param {number} lotId - Lot ID
      */
-    showToast: function(message, type = 'info') {
-        const container = document.getElementById('toast-container');
-        const toast = document.createElement('div');
-        toast.className = 'toast toast-' + type;
+    hireEmployee: async function(lotId) {
+        const targetId = parseInt(document.getElementById('hire-id').value, 10);
+        if (!targetId) {
+            this.showToast(L('business_enter_player_id'), 'warning');
+            return;
+        }
 
-        const icons = {
-            success: 'fa-check-circle',
-            error: 'fa-times-circle',
-            warning: 'fa-exclamation-triangle',
-            info: 'fa-info-circle'
-        };
+        Utils.playSound('click');
+        await this.runAction('hireEmployee', { lotId: lotId, targetId: targetId });
+    },
 
-        toast.innerHTML = `
-            <i class="fas ${icons[type] || icons.info}"></i>
-            <span>${Utils.escapeHtml(message)}</span>
-        `;
+    /**
+     * Fire an employee
+     * @param {number} lotId - Lot ID
+     * @param {string} citizenid - Employee citizen ID
+     */
+    fireEmployee: async function(lotId, citizenid) {
+        Utils.playSound('click');
+        await this.runAction('fireEmployee', { lotId: lotId, citizenid: citizenid });
+    },
 
-        container.appendChild(toast);
-        Utils.animateIn(toast, 'slideUp');
+    /**
+     * Buy a lot upgrade
+     * @param {number} lotId - Lot ID
+     * @param {string} upgrade - Upgrade key
+     */
+    purchaseUpgrade: async function(lotId, upgrade) {
+        Utils.playSound('click');
+        await this.runAction('purchaseUpgrade', { lotId: lotId, upgrade: upgrade });
+    },
 
-        setTimeout(() => {
-            toast.style.animation = 'fadeOut 0.3s ease-out forwards';
-            setTimeout(() => toast.remove(), 300);
-        }, 3000);
+    /**
+     * Show toast notification
+     * @param {string} message - Message to display
+     * @param {string} type - Toast type (success, error, warning, info)
+     */
+    showToast: function(message, type = 'info') {
+        Utils.showToast(message, type);
     },
 
     /**
@@ -626,6 +3446,7 @@ const ParkingUI = {
         if (delivery) {
             delivery.progress = data.progress;
             delivery.eta = data.eta;
+            delivery.arrivesAt = Date.now() + (data.eta || 0) * 1000;
             delivery.status = data.status;
             this.renderDeliveries();
             this.updateBadges();
@@ -640,7 +3461,7 @@ const ParkingUI = {
         this.deliveries = this.deliveries.filter(d => d.plate !== data.plate);
         this.renderDeliveries();
         this.updateBadges();
-        this.showToast('Vehicle delivered!', 'success');
+        this.showToast(L('delivery_complete'), 'success');
     },
 
     /**
@@ -651,15 +3472,35 @@ const ParkingUI = {
         const meter = this.meters.find(m => m.id === data.meterId);
         if (meter) {
             meter.remaining = data.remaining;
+            meter.expiresAt = data.expiresAt || this.getServerNow() + data.remaining;
             this.renderMeters();
         }
     },
 
+    /**
+     * Forward a meter message to the meter frame
+     * @param {object} data - NUI message
+     */
+    forwardToMeter: function(data) {
+        const frame = document.getElementById('meter-frame');
+        if (!frame) return;
+
+        frame.classList.toggle('hidden', data.action === 'closeMeter');
+        frame.contentWindow.postMessage(data, '*');
+
+        if (data.action === 'openMeter') {
+            frame.focus();
+        }
+    },
+
     /**
      * Refresh all data from server
      */
-    refresh: function() {
-        Utils.nuiCallback('refresh');
+    refresh: async function() {
+        const result = await Utils.nuiCallback('refresh');
+        if (result && result.ok) {
+            this.applyData(result.data);
+        }
     }
 };
 
@@ -674,6 +3515,16 @@ window.addEventListener('message', function(event) {
 
         case 'close':
             ParkingUI.hide();
+            EnforcementUI.hide();
+            AdminUI.hide();
+            break;
+
+        case 'openEnforcement':
+            EnforcementUI.open(data);
+            break;
+
+        case 'openAdmin':
+            AdminUI.open(data);
             break;
 
         case 'updateVehicles':
@@ -712,10 +3563,13 @@ window.addEventListener('message', function(event) {
 
         case 'ticketPaid':
             const ticket = ParkingUI.tickets.find(t => t.id === data.ticketId);
-            if (ticket) ticket.paid = true;
+            if (ticket) {
+                ticket.paid = true;
+                ticket.status = 'paid';
+            }
             ParkingUI.renderTickets();
             ParkingUI.updateBadges();
-            ParkingUI.showToast('Ticket paid!', 'success');
+            ParkingUI.showToast(L('ticket_paid_toast'), 'success');
             break;
 
         case 'toast':
@@ -728,13 +3582,16 @@ window.addEventListener('message', function(event) {
             break;
 
         case 'refresh':
-            ParkingUI.vehicles = data.vehicles || ParkingUI.vehicles;
-            ParkingUI.deliveries = data.deliveries || ParkingUI.deliveries;
-            ParkingUI.meters = data.meters || ParkingUI.meters;
-            ParkingUI.tickets = data.tickets || ParkingUI.tickets;
-            ParkingUI.playerData = data.playerData || ParkingUI.playerData;
-            ParkingUI.updateAllTabs();
-            ParkingUI.updateHeader();
+            ParkingUI.applyData(data);
+            break;
+
+        case 'updateValet':
+            ParkingUI.updateValet(data.valet);
+            break;
+
+        case 'openMeter':
+        case 'closeMeter':
+            ParkingUI.forwardToMeter(data);
             break;
     }
 });
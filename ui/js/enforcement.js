@@ -0,0 +1,381 @@
+/**
+ * DPS Parking - Enforcement Tablet
+ * Plate lookup, ticketing and impound forms for enforcement jobs
+ */
+
+const EnforcementUI = {
+    isOpen: false,
+    enforcement: null,
+    record: null,
+    form: 'ticket',
+    busy: false,
+
+    /**
+     * Initialize the tablet
+     */
+    init: function() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+
+        const plateInput = document.getElementById('lookup-plate');
+        if (plateInput) {
+            plateInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.lookup();
+                }
+            });
+        }
+    },
+
+    /**
+     * Open the tablet
+     * @param {object} data - { enforcement, plate, form }
+     */
+    open: function(data) {
+        Locale.set(data.locale);
+
+        this.isOpen = true;
+        this.enforcement = data.enforcement || {};
+        this.record = null;
+
+        document.getElementById('enforcement-app').classList.remove('hidden');
+        document.getElementById('lookup-plate').value = data.plate || '';
+
+        this.renderOfficer();
+        this.renderForms();
+        this.setForm(data.form || 'ticket');
+        this.renderRecord();
+
+        Utils.playSound('open');
+
+        // Look up the vehicle the tablet was opened on right away
+        if (data.plate) {
+            this.lookup();
+        } else {
+            document.getElementById('lookup-plate').focus();
+        }
+    },
+
+    /**
+     * Close the tablet
+     */
+    close: function() {
+        Utils.playSound('close');
+        Utils.nuiCallback('close');
+        this.hide();
+    },
+
+    /**
+     * Hide the tablet
+     */
+    hide: function() {
+        this.isOpen = false;
+        document.getElementById('enforcement-app').classList.add('hidden');
+    },
+
+    /**
+     * Render the officer badges in the header
+     */
+    renderOfficer: function() {
+        const officer = this.enforcement.officer || {};
+        const dutyBadge = document.getElementById('duty-badge');
+
+        document.getElementById('officer-label').textContent =
+            [officer.gradeName, Utils.capitalize(officer.jobName || '')].filter(Boolean).join(' · ') || L('enforcement_officer');
+
+        dutyBadge.classList.toggle('off-duty', !officer.onDuty);
+        document.getElementById('duty-label').textContent = L(officer.onDuty ? 'enforcement_on_duty' : 'enforcement_off_duty');
+
+        document.getElementById('lookup-btn').disabled = !this.enforcement.permissions?.lookup;
+    },
+
+    /**
+     * Fill the ticket and impound form options
+     */
+    renderForms: function() {
+        const permissions = this.enforcement.permissions || {};
+        const violations = this.enforcement.violations || [];
+        const tiers = this.enforcement.tiers || [];
+
+        document.getElementById('ticket-violation').innerHTML = violations.map(violation => `
+            <option value="${Utils.escapeHtml(violation.key)}">
+                ${Utils.escapeHtml(violation.label)} - ${Utils.formatMoney(violation.fine)}
+            </option>
+        `).join('');
+
+        document.getElementById('impound-reason').innerHTML = tiers.map(tier => `
+            <option value="${Utils.escapeHtml(tier.key)}" ${tier.allowed ? '' : 'disabled'}>
+                ${Utils.escapeHtml(tier.allowed
+                    ? tier.label + ' - ' + Utils.formatMoney(tier.fee)
+                    : L('form_rank_too_low', { label: tier.label + ' - ' + Utils.formatMoney(tier.fee) }))}
+            </option>
+        `).join('');
+
+        // Default to the first tier this officer may use
+        const firstAllowed = tiers.find(tier => tier.allowed);
+        if (firstAllowed) {
+            document.getElementById('impound-reason').value = firstAllowed.key;
+        }
+
+        document.getElementById('ticket-notes').value = '';
+        document.getElementById('impound-notes').value = '';
+        document.getElementById('ticket-submit').disabled = !permissions.issueTicket || !violations.length;
+        document.getElementById('impound-submit').disabled = !firstAllowed;
+    },
+
+    /**
+     * Switch between the ticket and impound forms
+     * @param {string} form - 'ticket' or 'impound'
+     */
+    setForm: function(form) {
+        this.form = form === 'impound' ? 'impound' : 'ticket';
+
+        document.querySelectorAll('[data-enforcement-form]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.enforcementForm === this.form);
+        });
+
+        document.getElementById('ticket-form').classList.toggle('hidden', this.form !== 'ticket');
+        document.getElementById('impound-form').classList.toggle('hidden', this.form !== 'impound');
+    },
+
+    /**
+     * Look up the plate in the search box
+     */
+    lookup: async function() {
+        const plate = document.getElementById('lookup-plate').value.trim().toUpperCase();
+        if (!plate) {
+            ParkingUI.showToast(L('lookup_enter_plate'), 'warning');
+            return;
+        }
+
+        if (this.busy) return;
+        this.busy = true;
+
+        const result = await ParkingUI.runAction('lookupPlate', { plate: plate }, false);
+        this.busy = false;
+
+        if (!result) return;
+
+        this.record = result.record;
+        document.getElementById('lookup-plate').value = this.record.plate;
+        this.renderRecord();
+    },
+
+    /**
+     * Render the looked up plate record
+     */
+    renderRecord: function() {
+        const container = document.getElementById('enforcement-record');
+        const emptyState = document.getElementById('empty-lookup');
+        const forms = document.getElementById('enforcement-forms');
+        const record = this.record;
+
+        if (!record) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            forms.classList.add('hidden');
+            emptyState.classList.remove('hidden');
+            return;
+        }
+
+        emptyState.classList.add('hidden');
+        container.classList.remove('hidden');
+        forms.classList.remove('hidden');
+
+        container.innerHTML = `
+            <div class="record-header">
+                <div class="ticket-plate">${Utils.escapeHtml(Utils.formatPlate(record.plate))}</div>
+                <span class="record-registered ${record.registered ? '' : 'unregistered'}">
+                    <i class="fas ${record.registered ? 'fa-id-card' : 'fa-circle-question'}"></i>
+                    ${L(record.registered ? 'record_registered' : 'record_unregistered')}
+                </span>
+            </div>
+            <div class="record-grid">
+                ${this.createParkedCard(record.parked)}
+                ${this.createMeterCard(record.meter)}
+                ${this.createTicketsCard(record.tickets)}
+                ${this.createImpoundCard(record.impound)}
+            </div>
+            ${this.createHistory(record.impoundHistory || [])}
+        `;
+    },
+
+    /**
+     * Create the parked state card
+     * @param {object|null} parked - { street, parkedAt, owner }
+     * @returns {string} HTML string
+     */
+    createParkedCard: function(parked) {
+        return `
+            <div class="record-card">
+                <span class="stat-label"><i class="fas fa-square-parking"></i> ${L('record_parked')}</span>
+                ${parked ? `
+                    <span class="record-value">${Utils.escapeHtml(parked.street || L('unknown_location'))}</span>
+                    <span class="record-meta">
+                        ${Utils.escapeHtml(parked.owner || L('record_unknown_owner'))}
+                        ${parked.parkedAt ? ' · ' + Utils.formatTimeAgo(parked.parkedAt) : ''}
+                    </span>
+                ` : `
+                    <span class="record-value muted">${L('record_not_parked')}</span>
+                `}
+            </div>
+        `;
+    },
+
+    /**
+     * Create the meter status card
+     * @param {object|null} meter - { expiresAt, remaining }
+     * @returns {string} HTML string
+     */
+    createMeterCard: function(meter) {
+        let value = `<span class="record-value muted">${L('record_no_meter')}</span>`;
+
+        if (meter && meter.remaining > 0) {
+            value = `<span class="record-value good">${L('record_meter_left', { time: Utils.formatCountdown(meter.remaining) })}</span>`;
+        } else if (meter) {
+            value = `<span class="record-value bad">${L('time_expired')}</span>`;
+        }
+
+        return `
+            <div class="record-card">
+                <span class="stat-label"><i class="fas fa-clock"></i> ${L('record_meter')}</span>
+                ${value}
+            </div>
+        `;
+    },
+
+    /**
+     * Create the unpaid tickets card
+     * @param {object} tickets - { unpaid, max }
+     * @returns {string} HTML string
+     */
+    createTicketsCard: function(tickets) {
+        const unpaid = tickets?.unpaid || 0;
+        const max = tickets?.max || 0;
+        const atRisk = max > 0 && unpaid >= max;
+
+        return `
+            <div class="record-card ${atRisk ? 'at-risk' : ''}">
+                <span class="stat-label"><i class="fas fa-ticket"></i> ${L('record_unpaid_tickets')}</span>
+                <span class="record-value ${atRisk ? 'bad' : ''}">${unpaid} / ${max}</span>
+                ${atRisk ? `
+                    <span class="record-meta bad">
+                        <i class="fas fa-triangle-exclamation"></i> ${L('record_impound_eligible')}
+                    </span>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Create the current impound card
+     * @param {object|null} impound - Impound details
+     * @returns {string} HTML string
+     */
+    createImpoundCard: function(impound) {
+        return `
+            <div class="record-card">
+                <span class="stat-label"><i class="fas fa-warehouse"></i> ${L('record_impound')}</span>
+                ${impound ? `
+                    <span class="record-value bad">${Utils.escapeHtml(impound.reason || L('impound_default_reason'))}</span>
+                    <span class="record-meta">
+                        ${L('record_impound_owed', { amount: Utils.formatMoney(impound.currentFee || 0) })}
+                        · ${Utils.formatTimeAgo(impound.impoundedAt)}
+                    </span>
+                ` : `
+                    <span class="record-value muted">${L('record_not_impounded')}</span>
+                `}
+            </div>
+        `;
+    },
+
+    /**
+     * Create the impound history list
+     * @param {Array} history - Impound audit entries, newest first
+     * @returns {string} HTML string
+     */
+    createHistory: function(history) {
+        return `
+            <div class="section-title">${L('record_impound_history')}</div>
+            ${history.length ? `
+                <div class="ledger-list">
+                    ${history.map(entry => `
+                        <div class="ledger-row">
+                            <div class="ledger-desc">
+                                <span>
+                                    ${Utils.escapeHtml(L('history_' + entry.action))}
+                                    ${entry.reason ? ' · ' + Utils.escapeHtml(entry.reason) : ''}
+                                </span>
+                                ${entry.notes ? `<span class="record-meta">${Utils.escapeHtml(entry.notes)}</span>` : ''}
+                                <span class="ledger-date">
+                                    ${Utils.formatTimeAgo(entry.createdAt)}
+                                    ${entry.officer ? ' · ' + Utils.escapeHtml(entry.officer) : ''}
+                                </span>
+                            </div>
+                            ${entry.fee ? `<span class="ledger-amount">${Utils.formatMoney(entry.fee)}</span>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : `
+                <div class="business-empty">${L('record_no_history')}</div>
+            `}
+        `;
+    },
+
+    /**
+     * Issue a ticket to the looked up plate
+     */
+    issueTicket: async function() {
+        if (!this.record || this.busy) return;
+
+        Utils.playSound('click');
+        this.busy = true;
+
+        const result = await ParkingUI.runAction('issueTicket', {
+            plate: this.record.plate,
+            violation: document.getElementById('ticket-violation').value,
+            notes: document.getElementById('ticket-notes').value.trim()
+        }, false);
+        this.busy = false;
+
+        if (!result) return;
+
+        Utils.playSound('success');
+        document.getElementById('ticket-notes').value = '';
+        await this.lookup();
+    },
+
+    /**
+     * Impound the looked up plate
+     */
+    impoundVehicle: async function() {
+        if (!this.record || this.busy) return;
+
+        Utils.playSound('click');
+        this.busy = true;
+
+        const result = await ParkingUI.runAction('impoundVehicle', {
+            plate: this.record.plate,
+            reason: document.getElementById('impound-reason').value,
+            notes: document.getElementById('impound-notes').value.trim()
+        }, false);
+        this.busy = false;
+
+        if (!result) return;
+
+        Utils.playSound('success');
+        document.getElementById('impound-notes').value = '';
+        await this.lookup();
+    }
+};
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    EnforcementUI.init();
+});
+
+// Export for global access
+window.EnforcementUI = EnforcementUI;
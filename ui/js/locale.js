@@ -0,0 +1,92 @@
+/**
+ * DPS Parking - Localization
+ * Translates the UI with the locale table sent from Lua (Locale.GetUI)
+ */
+
+const Locale = {
+    lang: 'en',
+    strings: {},
+    pluralRules: new Intl.PluralRules('en'),
+
+    /**
+     * Apply a locale table from Lua
+     * @param {object} data - { lang, strings }
+     */
+    set: function(data) {
+        if (!data || !data.strings) return;
+
+        this.lang = data.lang || 'en';
+        this.strings = data.strings;
+
+        try {
+            this.pluralRules = new Intl.PluralRules(this.lang);
+        } catch (error) {
+            this.pluralRules = new Intl.PluralRules('en');
+        }
+
+        document.documentElement.lang = this.lang;
+        this.translatePage();
+    },
+
+    /**
+     * Is a key translated
+     * @param {string} key - Locale key
+     * @returns {boolean}
+     */
+    has: function(key) {
+        return this.strings[key] != null;
+    },
+
+    /**
+     * Get a translated string
+     * @param {string} key - Locale key
+     * @param {object} params - Placeholder values; count also picks the plural form
+     * @returns {string} Translated string, or the key when missing
+     */
+    t: function(key, params = {}) {
+        let text = this.strings[key];
+        if (text == null) return key;
+
+        // Plural entries are { one, other, ... } keyed by Intl plural category
+        if (typeof text === 'object') {
+            text = text[this.pluralRules.select(params.count ?? 0)] ?? text.other ?? key;
+        }
+
+        return String(text).replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] != null ? params[name] : match
+        );
+    },
+
+    /**
+     * Translate static markup
+     * data-i18n sets the text, data-i18n-placeholder the placeholder and data-i18n-title the tooltip
+     * @param {HTMLElement|Document} root - Element to translate
+     */
+    translatePage: function(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle);
+        });
+    }
+};
+
+/**
+ * Shorthand for Locale.t, mirroring L() on the Lua side
+ * @param {string} key - Locale key
+ * @param {object} params - Placeholder values
+ * @returns {string}
+ */
+function L(key, params) {
+    return Locale.t(key, params);
+}
+
+// Export for global access
+window.Locale = Locale;
+window.L = L;
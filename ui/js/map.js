@@ -0,0 +1,458 @@
+/**
+ * DPS Parking - Dashboard Map
+ * Plots parked vehicles, meters, rentals, valet stands and lots on a map image
+ * Also frames delivery routes for the tracking cards
+ */
+
+const MapUI = {
+    // View
+    zoom: 1,
+    minZoom: 1,
+    maxZoom: 8,
+    panX: 0,
+    panY: 0,
+    drag: null,
+    layers: {
+        vehicles: true,
+        meters: true,
+        rentals: true,
+        valet: true,
+        lots: true
+    },
+
+    // Markers by key, for the hover tooltip
+    markers: new Map(),
+
+    // Delivery route maps: width / height, and the narrowest area shown (meters)
+    routeAspect: 2,
+    routeMinWidth: 400,
+
+    /**
+     * Initialize the map
+     */
+    init: function() {
+        const viewport = document.getElementById('map-viewport');
+        if (!viewport) return;
+
+        viewport.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomAt(e.deltaY < 0 ? 1.25 : 0.8, e.clientX, e.clientY);
+        }, { passive: false });
+
+        // Drag to pan, markers and controls keep their clicks
+        viewport.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || e.target.closest('.map-marker, .map-controls')) return;
+
+            this.drag = { x: e.clientX - this.panX, y: e.clientY - this.panY };
+            viewport.classList.add('dragging');
+            this.hideTooltip();
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (!this.drag) return;
+
+            this.panX = e.clientX - this.drag.x;
+            this.panY = e.clientY - this.drag.y;
+            this.applyView();
+        });
+
+        document.addEventListener('mouseup', () => {
+            if (!this.drag) return;
+
+            this.drag = null;
+            viewport.classList.remove('dragging');
+        });
+
+        viewport.addEventListener('mouseover', (e) => {
+            const marker = e.target.closest('.map-marker');
+            if (marker && !this.drag) this.showTooltip(marker);
+        });
+
+        viewport.addEventListener('mouseout', (e) => {
+            const marker = e.target.closest('.map-marker');
+            if (marker && !marker.contains(e.relatedTarget)) this.hideTooltip();
+        });
+
+        // Without an image the markers still sit on a plain grid
+        document.getElementById('map-image').addEventListener('error', () => {
+            viewport.classList.add('no-image');
+        });
+
+        window.addEventListener('resize', () => this.applyView());
+    },
+
+    /**
+     * Get the map settings sent from Lua
+     * @returns {object} { enabled, image, bounds, lots, valet }
+     */
+    getConfig: function() {
+        return ParkingUI.config.map || {};
+    },
+
+    /**
+     * Project world coordinates onto the map image
+     * @param {object} coords - { x, y }
+     * @returns {object|null} { x, y } in percent of the image, null when off the map
+     */
+    project: function(coords) {
+        const bounds = this.getConfig().bounds;
+        if (!bounds || !coords || coords.x == null || coords.y == null) return null;
+
+        const x = (coords.x - bounds.minX) / (bounds.maxX - bounds.minX) * 100;
+        const y = (bounds.maxY - coords.y) / (bounds.maxY - bounds.minY) * 100;
+
+        if (x < 0 || x > 100 || y < 0 || y > 100) return null;
+
+        return { x: x, y: y };
+    },
+
+    /**
+     * Get the player's distance to a point
+     * @param {object} coords - { x, y }
+     * @returns {number|null} Meters, null when the player position is unknown
+     */
+    getDistance: function(coords) {
+        const player = ParkingUI.playerCoords;
+        if (!player || !coords) return null;
+
+        return Math.hypot(coords.x - player.x, coords.y - player.y);
+    },
+
+    /**
+     * Build the markers for every enabled layer
+     * @returns {Array} Markers { key, layer, coords, icon, title, details, action }
+     */
+    getMarkers: function() {
+        const config = this.getConfig();
+        const markers = [];
+
+        if (this.layers.lots) {
+            (config.lots || []).forEach(lot => markers.push({
+                key: 'lot:' + lot.id,
+                layer: 'lots',
+                coords: lot,
+                radius: lot.radius,
+                icon: 'fa-square-parking',
+                title: lot.name,
+                details: [L('map_lot_capacity', { capacity: lot.capacity || 0 })]
+            }));
+        }
+
+        if (this.layers.valet) {
+            (config.valet || []).forEach(location => markers.push({
+                key: 'valet:' + location.id,
+                layer: 'valet',
+                coords: location,
+                icon: 'fa-concierge-bell',
+                title: location.name,
+                details: [L('map_valet_stand')]
+            }));
+        }
+
+        if (this.layers.rentals) {
+            ParkingUI.reserved.rentals.forEach(rental => markers.push({
+                key: 'rental:' + rental.spotId,
+                layer: 'rentals',
+                coords: rental.coords,
+                icon: 'fa-star',
+                title: rental.name,
+                details: [ParkingUI.formatRentalRemaining(ParkingUI.getRentalRemaining(rental))],
+                action: `data-action="showRentalOnMap" data-spot-id="${Utils.escapeHtml(rental.spotId)}"`
+            }));
+        }
+
+        if (this.layers.vehicles) {
+            ParkingUI.vehicles.forEach(vehicle => markers.push({
+                key: 'vehicle:' + vehicle.plate,
+                layer: 'vehicles',
+                coords: vehicle.coords,
+                icon: 'fa-car-side',
+                title: Utils.formatPlate(vehicle.plate),
+                details: [
+                    Utils.capitalize(vehicle.model || L('unknown')),
+                    vehicle.lot || vehicle.location || L('unknown_location')
+                ],
+                action: `data-action="selectVehicle" data-plate="${Utils.escapeHtml(vehicle.plate)}"`
+            }));
+        }
+
+        if (this.layers.meters) {
+            ParkingUI.meters.forEach(meter => {
+                const status = ParkingUI.getMeterStatus(meter);
+
+                markers.push({
+                    key: 'meter:' + meter.id,
+                    layer: 'meters',
+                    coords: meter.coords,
+                    icon: 'fa-clock',
+                    className: status.phase,
+                    title: Utils.formatPlate(meter.plate),
+                    details: [ParkingUI.formatMeterStatus(status)],
+                    action: `data-action="selectVehicle" data-plate="${Utils.escapeHtml(meter.plate)}"`
+                });
+            });
+        }
+
+        if (ParkingUI.playerCoords) {
+            markers.push({
+                key: 'player',
+                layer: 'player',
+                coords: ParkingUI.playerCoords,
+                icon: 'fa-location-arrow',
+                title: L('map_you'),
+                details: []
+            });
+        }
+
+        return markers;
+    },
+
+    /**
+     * Render the map tab
+     */
+    render: function() {
+        const config = this.getConfig();
+        const tab = document.querySelector('.nav-tab[data-tab="map"]');
+        tab.classList.toggle('hidden', !config.enabled);
+
+        if (!config.enabled) {
+            if (ParkingUI.currentTab === 'map') ParkingUI.switchTab('vehicles');
+            return;
+        }
+
+        const bounds = config.bounds;
+        const canvas = document.getElementById('map-canvas');
+        canvas.style.aspectRatio = (bounds.maxX - bounds.minX) + ' / ' + (bounds.maxY - bounds.minY);
+
+        const image = document.getElementById('map-image');
+        if (config.image && image.getAttribute('src') !== config.image) {
+            document.getElementById('map-viewport').classList.remove('no-image');
+            image.src = config.image;
+        }
+
+        document.querySelectorAll('[data-map-layer]').forEach(chip => {
+            chip.classList.toggle('active', this.layers[chip.dataset.mapLayer]);
+        });
+
+        this.markers.clear();
+
+        const areas = [];
+        const markers = [];
+
+        this.getMarkers().forEach(marker => {
+            const position = this.project(marker.coords);
+            if (!position) return;
+
+            marker.position = position;
+            this.markers.set(marker.key, marker);
+            markers.push(marker);
+
+            if (marker.radius) areas.push(marker);
+        });
+
+        Render.list(document.getElementById('map-areas'), areas, marker => marker.key, marker => `
+            <div class="map-area" style="left: ${marker.position.x}%; top: ${marker.position.y}%; width: ${marker.radius * 2 / (bounds.maxX - bounds.minX) * 100}%"></div>
+        `);
+
+        Render.list(document.getElementById('map-markers'), markers, marker => marker.key, marker => `
+            <div class="map-marker ${marker.layer} ${marker.className || ''}" style="left: ${marker.position.x}%; top: ${marker.position.y}%" data-marker="${Utils.escapeHtml(marker.key)}" ${marker.action || ''}>
+                <i class="fas ${marker.icon}"></i>
+            </div>
+        `);
+
+        this.applyView();
+    },
+
+    /**
+     * Show or hide a layer
+     * @param {string} layer - Layer name
+     */
+    toggleLayer: function(layer) {
+        if (!(layer in this.layers)) return;
+
+        this.layers[layer] = !this.layers[layer];
+        this.hideTooltip();
+        this.render();
+        Utils.playSound('click');
+    },
+
+    /**
+     * Zoom keeping a screen point in place
+     * @param {number} factor - Zoom multiplier
+     * @param {number} clientX - Screen X to zoom around
+     * @param {number} clientY - Screen Y to zoom around
+     */
+    zoomAt: function(factor, clientX, clientY) {
+        const rect = document.getElementById('map-viewport').getBoundingClientRect();
+        const zoom = Math.min(this.maxZoom, Math.max(this.minZoom, this.zoom * factor));
+        const x = clientX - rect.left;
+        const y = clientY - rect.top;
+
+        this.panX = x - (x - this.panX) * (zoom / this.zoom);
+        this.panY = y - (y - this.panY) * (zoom / this.zoom);
+        this.zoom = zoom;
+
+        this.hideTooltip();
+        this.applyView();
+    },
+
+    /**
+     * Zoom around the center of the map
+     * @param {number} factor - Zoom multiplier
+     */
+    zoomBy: function(factor) {
+        const rect = document.getElementById('map-viewport').getBoundingClientRect();
+        this.zoomAt(factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    },
+
+    /**
+     * Reset zoom and pan
+     */
+    resetView: function() {
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.applyView();
+    },
+
+    /**
+     * Keep the map in view and apply zoom and pan
+     */
+    applyView: function() {
+        const viewport = document.getElementById('map-viewport');
+        const canvas = document.getElementById('map-canvas');
+        if (!viewport.offsetWidth) return;
+
+        const width = canvas.offsetWidth * this.zoom;
+        const height = canvas.offsetHeight * this.zoom;
+
+        // Center along an axis the map doesn't fill, otherwise don't let it leave an edge
+        this.panX = width <= viewport.offsetWidth
+            ? (viewport.offsetWidth - width) / 2
+            : Math.min(0, Math.max(viewport.offsetWidth - width, this.panX));
+        this.panY = height <= viewport.offsetHeight
+            ? (viewport.offsetHeight - height) / 2
+            : Math.min(0, Math.max(viewport.offsetHeight - height, this.panY));
+
+        canvas.style.transform = `translate(${this.panX}px, ${this.panY}px) scale(${this.zoom})`;
+        canvas.style.setProperty('--map-zoom', this.zoom);
+    },
+
+    /**
+     * Get the world area framing a route, padded and at the route map's aspect
+     * @param {object} from - { x, y }
+     * @param {object} to - { x, y }
+     * @returns {object} { minX, maxY, width, height }
+     */
+    getRouteView: function(from, to) {
+        const width = Math.max(
+            Math.abs(to.x - from.x),
+            Math.abs(to.y - from.y) * this.routeAspect,
+            this.routeMinWidth
+        ) * 1.4;
+        const height = width / this.routeAspect;
+
+        return {
+            minX: (from.x + to.x) / 2 - width / 2,
+            maxY: (from.y + to.y) / 2 + height / 2,
+            width: width,
+            height: height
+        };
+    },
+
+    /**
+     * Project world coordinates onto a route map
+     * @param {object} from - Route start { x, y }
+     * @param {object} to - Route end { x, y }
+     * @param {object} coords - { x, y }
+     * @returns {object} { x, y } in percent of the route map
+     */
+    projectRoute: function(from, to, coords) {
+        const view = this.getRouteView(from, to);
+
+        return {
+            x: (coords.x - view.minX) / view.width * 100,
+            y: (view.maxY - coords.y) / view.height * 100
+        };
+    },
+
+    /**
+     * Create a small map of a route with a moving marker
+     * @param {object} from - Route start { x, y }
+     * @param {object} to - Route end { x, y }
+     * @param {object} current - Moving marker { x, y }
+     * @returns {string} HTML string
+     */
+    createRouteMap: function(from, to, current) {
+        const config = this.getConfig();
+        const bounds = config.bounds;
+        const view = this.getRouteView(from, to);
+        const start = this.projectRoute(from, to, from);
+        const end = this.projectRoute(from, to, to);
+        const position = this.projectRoute(from, to, current);
+
+        // The full map image, placed so the route's area fills the frame
+        const image = config.enabled && config.image && bounds ? `
+            <img class="route-image" src="${Utils.escapeHtml(config.image)}" alt="" style="
+                left: ${(bounds.minX - view.minX) / view.width * 100}%;
+                top: ${(view.maxY - bounds.maxY) / view.height * 100}%;
+                width: ${(bounds.maxX - bounds.minX) / view.width * 100}%;
+                height: ${(bounds.maxY - bounds.minY) / view.height * 100}%">
+        ` : '';
+
+        return `
+            <div class="route-map">
+                ${image}
+                <svg class="route-line" viewBox="0 0 100 100" preserveAspectRatio="none">
+                    <line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}"></line>
+                </svg>
+                <div class="route-point pickup" style="left: ${start.x}%; top: ${start.y}%"><i class="fas fa-square-parking"></i></div>
+                <div class="route-point dropoff" style="left: ${end.x}%; top: ${end.y}%"><i class="fas fa-flag-checkered"></i></div>
+                <div class="route-point driver" style="left: ${position.x}%; top: ${position.y}%"><i class="fas fa-car-side"></i></div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show details for a hovered marker
+     * @param {HTMLElement} element - Marker element
+     */
+    showTooltip: function(element) {
+        const marker = this.markers.get(element.dataset.marker);
+        if (!marker) return;
+
+        const tooltip = document.getElementById('map-tooltip');
+        const viewportRect = document.getElementById('map-viewport').getBoundingClientRect();
+        const markerRect = element.getBoundingClientRect();
+        const distance = marker.layer === 'player' ? null : this.getDistance(marker.coords);
+
+        tooltip.innerHTML = `
+            <div class="map-tooltip-title">${Utils.escapeHtml(marker.title)}</div>
+            ${marker.details.map(detail => `<div class="map-tooltip-detail">${Utils.escapeHtml(detail)}</div>`).join('')}
+            ${distance != null ? `
+                <div class="map-tooltip-distance">
+                    <i class="fas fa-route"></i> ${L('map_distance', { distance: Utils.formatDistance(distance) })}
+                </div>
+            ` : ''}
+        `;
+
+        tooltip.style.left = (markerRect.left + markerRect.width / 2 - viewportRect.left) + 'px';
+        tooltip.style.top = (markerRect.top - viewportRect.top) + 'px';
+        tooltip.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the marker tooltip
+     */
+    hideTooltip: function() {
+        document.getElementById('map-tooltip').classList.add('hidden');
+    }
+};
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    MapUI.init();
+});
+
+// Export for global access
+window.MapUI = MapUI;
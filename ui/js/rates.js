@@ -0,0 +1,102 @@
+/**
+ * DPS Parking - Meter Rate Curve
+ * Hour-by-hour meter rates from the server's pricing engine, shown by the
+ * dashboard and the parking meter
+ */
+
+const RateCurve = {
+    /**
+     * Build the rate chart for a day
+     * @param {object} curve - { hours, currentHour, ratePerHour, zoneName, occupancy, occupancyName, surgeMultiplier }
+     * @returns {string} HTML string
+     */
+    create: function(curve) {
+        if (!curve || !curve.hours || !curve.hours.length) return '';
+
+        const highest = Math.max(1, ...curve.hours.map(entry => entry.rate));
+        const current = curve.hours.find(entry => entry.hour === curve.currentHour) || curve.hours[0];
+
+        const bars = curve.hours.map(entry => {
+            const height = Math.max(4, Math.round(entry.rate / highest * 100));
+            const title = L('rates_bar', { hour: this.formatHour(entry.hour), rate: this.formatRate(entry) })
+                + (entry.label ? ' - ' + entry.label : '');
+
+            return `
+                <div class="rate-bar ${this.getBarClass(entry)} ${entry.hour === curve.currentHour ? 'current' : ''}"
+                     title="${Utils.escapeHtml(title)}">
+                    <span style="height: ${height}%"></span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="rate-curve">
+                <div class="rate-curve-header">
+                    <span class="rate-now">${L('rates_now', { rate: this.formatRate(current) })}</span>
+                    ${current.label ? `<span class="rate-label">${Utils.escapeHtml(current.label)}</span>` : ''}
+                </div>
+                <div class="rate-bars">${bars}</div>
+                <div class="rate-axis">
+                    ${[0, 6, 12, 18].map(hour => `<span>${this.formatHour(hour)}</span>`).join('')}
+                </div>
+                ${this.createOccupancy(curve)}
+                <p class="rate-note">${L('rates_note')}</p>
+            </div>
+        `;
+    },
+
+    /**
+     * Class for an hour's bar
+     * @param {object} entry - { hour, rate, multiplier, label }
+     * @returns {string}
+     */
+    getBarClass: function(entry) {
+        if (entry.multiplier === 0) return 'free';
+        if (entry.multiplier > 1) return 'peak';
+        if (entry.multiplier < 1) return 'off-peak';
+        return '';
+    },
+
+    /**
+     * Build the surge/occupancy line
+     * @param {object} curve - Rate curve
+     * @returns {string} HTML string
+     */
+    createOccupancy: function(curve) {
+        if (curve.occupancy == null) return '';
+
+        const params = {
+            name: curve.occupancyName || L('unknown'),
+            percent: Math.round(curve.occupancy * 100),
+            multiplier: curve.surgeMultiplier
+        };
+
+        return `
+            <div class="rate-occupancy ${curve.surgeMultiplier > 1 ? 'surge' : ''}">
+                <i class="fas fa-${curve.surgeMultiplier > 1 ? 'arrow-trend-up' : 'square-parking'}"></i>
+                ${Utils.escapeHtml(L(curve.surgeMultiplier > 1 ? 'rates_surge' : 'rates_occupancy', params))}
+            </div>
+        `;
+    },
+
+    /**
+     * Format an hour's rate
+     * @param {object} entry - { rate, multiplier }
+     * @returns {string}
+     */
+    formatRate: function(entry) {
+        return entry.multiplier === 0 ? L('rates_free') : L('rates_per_hour', { rate: Utils.formatMoney(entry.rate) });
+    },
+
+    /**
+     * Format an hour of the day
+     * @param {number} hour - 0-23
+     * @returns {string} e.g. 07:00
+     */
+    formatHour: function(hour) {
+        return String(hour).padStart(2, '0') + ':00';
+    }
+};
+
+// Export for global access
+window.RateCurve = RateCurve;
@@ -0,0 +1,81 @@
+/**
+ * DPS Parking - Keyed Rendering
+ * Patches lists card by card instead of rebuilding them with innerHTML
+ */
+
+const Render = {
+    // HTML each rendered card was built from
+    rendered: new WeakMap(),
+
+    /**
+     * Reconcile a container's children with a keyed list
+     * Unchanged cards keep their node (scroll, focus, hover), changed cards are
+     * swapped in place and cards whose key is gone are removed
+     * @param {HTMLElement} container - List container
+     * @param {Array} items - Items in display order
+     * @param {function} getKey - item => unique key (plate, meter id, ticket id...)
+     * @param {function} template - item => HTML string with a single root element
+     */
+    list: function(container, items, getKey, template) {
+        const existing = new Map();
+
+        Array.from(container.children).forEach(node => {
+            if (node.dataset.key != null && !existing.has(node.dataset.key)) {
+                existing.set(node.dataset.key, node);
+            } else {
+                node.remove();
+            }
+        });
+
+        items.forEach((item, index) => {
+            const key = String(getKey(item));
+            const html = template(item).trim();
+            let node = existing.get(key);
+
+            if (!node) {
+                node = this.createNode(key, html);
+            } else if (this.rendered.get(node) !== html) {
+                const fresh = this.createNode(key, html);
+                node.replaceWith(fresh);
+                node = fresh;
+            }
+
+            existing.delete(key);
+
+            const current = container.children[index];
+            if (current !== node) {
+                container.insertBefore(node, current || null);
+            }
+        });
+
+        existing.forEach(node => node.remove());
+    },
+
+    /**
+     * Build a card node from HTML
+     * @param {string} key - Card key
+     * @param {string} html - HTML string with a single root element
+     * @returns {HTMLElement}
+     */
+    createNode: function(key, html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const node = template.content.firstElementChild;
+        node.dataset.key = key;
+        this.rendered.set(node, html);
+
+        return node;
+    },
+
+    /**
+     * Empty a list container
+     * @param {HTMLElement} container - List container
+     */
+    clear: function(container) {
+        container.replaceChildren();
+    }
+};
+
+// Export for global access
+window.Render = Render;
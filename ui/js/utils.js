@@ -4,13 +4,64 @@
  */
 
 const Utils = {
+    // Currency settings (populated from Lua Config.Currency)
+    currency: {
+        symbol: '$',
+        position: 'before',
+        space: false,
+        locale: 'en-US',
+        decimals: 0
+    },
+    numberFormat: new Intl.NumberFormat('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }),
+
+    // VIP tier registry (populated from Lua Config.VIP.tiers), lowest rank first
+    vipTiers: [],
+
+    /**
+     * Apply currency settings from Lua
+     * @param {object} currency - { symbol, position, space, locale, decimals }
+     */
+    setCurrency: function(currency) {
+        if (!currency) return;
+
+        this.currency = Object.assign({}, this.currency, currency);
+
+        const options = {
+            minimumFractionDigits: this.currency.decimals,
+            maximumFractionDigits: this.currency.decimals
+        };
+
+        try {
+            this.numberFormat = new Intl.NumberFormat(this.currency.locale, options);
+        } catch (error) {
+            console.error('[DPS-Parking] Invalid currency locale:', this.currency.locale);
+            this.numberFormat = new Intl.NumberFormat('en-US', options);
+        }
+    },
+
+    /**
+     * Apply the VIP tier registry from Lua
+     * @param {Array} tiers - [{ key, label, color, icon, rank, slots, discounts, perks }]
+     */
+    setVIPTiers: function(tiers) {
+        if (!Array.isArray(tiers)) return;
+        this.vipTiers = tiers;
+    },
+
     /**
-     * Format currency with commas and dollar sign
+     * Format currency with the configured symbol and number format
      * @param {number} amount - Amount to format
      * @returns {string} Formatted currency string
      */
     formatMoney: function(amount) {
-        return '$' + amount.toLocaleString('en-US');
+        const value = Number(amount) || 0;
+        const number = this.numberFormat.format(Math.abs(value));
+        const gap = this.currency.space ? '\u00a0' : '';
+        const formatted = this.currency.position === 'after'
+            ? number + gap + this.currency.symbol
+            : this.currency.symbol + gap + number;
+
+        return (value < 0 ? '-' : '') + formatted;
     },
 
     /**
@@ -22,11 +73,11 @@ const Utils = {
         const now = Math.floor(Date.now() / 1000);
         const diff = now - timestamp;
 
-        if (diff < 60) return 'Just now';
-        if (diff < 3600) return Math.floor(diff / 60) + ' minutes ago';
-        if (diff < 86400) return Math.floor(diff / 3600) + ' hours ago';
-        if (diff < 604800) return Math.floor(diff / 86400) + ' days ago';
-        return Math.floor(diff / 604800) + ' weeks ago';
+        if (diff < 60) return L('time_just_now');
+        if (diff < 3600) return L('time_minutes_ago', { count: Math.floor(diff / 60) });
+        if (diff < 86400) return L('time_hours_ago', { count: Math.floor(diff / 3600) });
+        if (diff < 604800) return L('time_days_ago', { count: Math.floor(diff / 86400) });
+        return L('time_weeks_ago', { count: Math.floor(diff / 604800) });
     },
 
     /**
@@ -35,7 +86,7 @@ const Utils = {
      * @returns {string} Formatted time string (MM:SS)
      */
     formatTimeRemaining: function(seconds) {
-        if (seconds <= 0) return 'Expired';
+        if (seconds <= 0) return L('time_expired');
         const mins = Math.floor(seconds / 60);
         const secs = seconds % 60;
         return mins + ':' + secs.toString().padStart(2, '0');
@@ -47,9 +98,56 @@ const Utils = {
      * @returns {string} Formatted countdown
      */
     formatCountdown: function(seconds) {
-        if (seconds <= 0) return 'Arriving...';
-        if (seconds < 60) return seconds + 's';
-        return Math.ceil(seconds / 60) + ' min';
+        if (seconds <= 0) return L('time_arriving');
+        if (seconds < 60) return L('time_seconds_short', { count: seconds });
+        return L('time_minutes_short', { count: Math.ceil(seconds / 60) });
+    },
+
+    /**
+     * Format a duration in minutes
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} Formatted duration (e.g. 1h 30m)
+     */
+    formatDuration: function(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = Math.round(minutes % 60);
+        if (!hours) return L('duration_minutes', { minutes: mins });
+        return L('duration_hours', { hours: hours, minutes: mins });
+    },
+
+    /**
+     * Format a date and time in the player's locale
+     * @param {number} timestamp - Unix timestamp (seconds)
+     * @returns {string} Formatted date (e.g. Mon, 21 Oct, 08:00)
+     */
+    formatDateTime: function(timestamp) {
+        return new Date(timestamp * 1000).toLocaleString(Locale.lang, {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    },
+
+    /**
+     * Format a date as a datetime-local input value
+     * @param {Date} date - Date in the player's time zone
+     * @returns {string} YYYY-MM-DDTHH:MM
+     */
+    toDateTimeInput: function(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    },
+
+    /**
+     * Format a distance in meters
+     * @param {number} meters - Distance in meters
+     * @returns {string} Formatted distance (e.g. 350 m, 1.2 km)
+     */
+    formatDistance: function(meters) {
+        if (meters < 1000) return L('distance_meters', { distance: Math.round(meters) });
+        return L('distance_kilometers', { distance: (meters / 1000).toFixed(1) });
     },
 
     /**
@@ -92,37 +190,40 @@ const Utils = {
     },
 
     /**
-     * Get VIP tier info
-     * @param {string} tier - VIP tier name
-     * @returns {object} Tier info with color and icon
+     * Get VIP tier info from the registry
+     * @param {string} tier - VIP tier key
+     * @returns {object} Tier info with label, color, icon, discounts and perks
      */
     getVIPTierInfo: function(tier) {
-        const tiers = {
-            'standard': { color: '#9ca3af', icon: 'fa-user', label: 'Standard' },
-            'bronze': { color: '#cd7f32', icon: 'fa-medal', label: 'Bronze' },
-            'silver': { color: '#c0c0c0', icon: 'fa-crown', label: 'Silver' },
-            'gold': { color: '#ffd700', icon: 'fa-crown', label: 'Gold' },
-            'platinum': { color: '#e5e4e2', icon: 'fa-gem', label: 'Platinum' },
-            'diamond': { color: '#b9f2ff', icon: 'fa-gem', label: 'Diamond' }
-        };
-        return tiers[tier?.toLowerCase()] || tiers.standard;
+        const info = this.vipTiers.find(entry => entry.key === tier?.toLowerCase()) || this.vipTiers[0];
+
+        if (!info) {
+            return { key: 'standard', color: '#9ca3af', icon: 'fa-user', label: L('vip_standard'), discounts: {}, perks: {} };
+        }
+
+        return Object.assign({}, info, {
+            label: Locale.has('vip_' + info.key) ? L('vip_' + info.key) : info.label
+        });
     },
 
     /**
-     * Calculate discount based on VIP tier
-     * @param {string} tier - VIP tier name
+     * Get a VIP tier's discount for a service
+     * @param {string} tier - VIP tier key
+     * @param {string} service - 'delivery', 'meters' or 'rentals'
      * @returns {number} Discount percentage (0-1)
      */
-    getVIPDiscount: function(tier) {
-        const discounts = {
-            'standard': 0,
-            'bronze': 0.10,
-            'silver': 0.15,
-            'gold': 0.25,
-            'platinum': 0.35,
-            'diamond': 0.50
-        };
-        return discounts[tier?.toLowerCase()] || 0;
+    getVIPDiscount: function(tier, service) {
+        return this.getVIPTierInfo(tier).discounts?.[service] || 0;
+    },
+
+    /**
+     * Get the lowest VIP tier that includes a perk
+     * @param {string} perk - Perk flag, e.g. 'npcDriver'
+     * @returns {object|null} Tier info, or null when no tier has it
+     */
+    getVIPPerkTier: function(perk) {
+        const tier = this.vipTiers.find(entry => entry.perks?.[perk]);
+        return tier ? this.getVIPTierInfo(tier.key) : null;
     },
 
     /**
@@ -180,7 +281,7 @@ const Utils = {
      * @returns {string} Formatted plate
      */
     formatPlate: function(plate) {
-        if (!plate) return 'UNKNOWN';
+        if (!plate) return L('unknown').toUpperCase();
         return plate.toUpperCase().trim();
     },
 
@@ -251,10 +352,70 @@ const Utils = {
      * @returns {string} Escaped string
      */
     escapeHtml: function(str) {
-        if (!str) return '';
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
+        if (str == null) return '';
+        return String(str).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    },
+
+    /**
+     * Copy text to the clipboard
+     * NUI pages are not a secure context, so this goes through a hidden textarea
+     * @param {string} text - Text to copy
+     * @returns {boolean} Whether the copy succeeded
+     */
+    copyToClipboard: function(text) {
+        const area = document.createElement('textarea');
+        area.value = text;
+        area.style.position = 'fixed';
+        area.style.opacity = '0';
+        document.body.appendChild(area);
+        area.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            console.error('Clipboard Error:', error);
+        }
+
+        area.remove();
+        return copied;
+    },
+
+    /**
+     * Show toast notification in the frame's #toast-container
+     * @param {string} message - Message to display
+     * @param {string} type - Toast type (success, error, warning, info)
+     */
+    showToast: function(message, type = 'info') {
+        const container = document.getElementById('toast-container');
+        const toast = document.createElement('div');
+        toast.className = 'toast toast-' + type;
+
+        const icons = {
+            success: 'fa-check-circle',
+            error: 'fa-times-circle',
+            warning: 'fa-exclamation-triangle',
+            info: 'fa-info-circle'
+        };
+
+        toast.innerHTML = `
+            <i class="fas ${icons[type] || icons.info}"></i>
+            <span>${Utils.escapeHtml(message)}</span>
+        `;
+
+        container.appendChild(toast);
+        Utils.animateIn(toast, 'slideUp');
+
+        setTimeout(() => {
+            toast.style.animation = 'fadeOut 0.3s ease-out forwards';
+            setTimeout(() => toast.remove(), 300);
+        }, 3000);
     }
 };
 
@@ -0,0 +1,483 @@
+/**
+ * DPS Parking - Parking Meter
+ * Duration picker, server-quoted cost preview and session extension
+ */
+
+const MeterUI = {
+    // State
+    isOpen: false,
+    vehicles: [],
+    selectedPlate: null,
+    minutes: 60,
+    step: 15,
+    quote: null,
+    quoteRequestId: 0,
+    ratesRequestId: 0,
+    paying: false,
+    ticker: null,
+
+    // Config (populated from Lua)
+    config: {
+        minimumMinutes: 15,
+        maximumMinutes: 480,
+        ratePerHour: 50
+    },
+
+    /**
+     * Initialize the meter UI
+     */
+    init: function() {
+        this.requestQuote = Utils.debounce(() => this.fetchQuote(), 150);
+        this.setupEventListeners();
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners: function() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+
+        document.getElementById('meter-close').addEventListener('click', () => this.close());
+        document.getElementById('meter-minus').addEventListener('click', () => this.setMinutes(this.minutes - this.step));
+        document.getElementById('meter-plus').addEventListener('click', () => this.setMinutes(this.minutes + this.step));
+        document.getElementById('meter-pay').addEventListener('click', () => this.pay());
+
+        document.getElementById('meter-range').addEventListener('input', (e) => {
+            this.setMinutes(parseInt(e.target.value, 10));
+        });
+
+        document.getElementById('meter-vehicles').addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-plate]');
+            if (chip) this.selectVehicle(chip.dataset.plate);
+        });
+    },
+
+    /**
+     * Open the meter
+     * @param {object} data - { vehicles, config } from Lua
+     */
+    open: function(data) {
+        Locale.set(data.locale);
+
+        this.config = data.config || this.config;
+        Utils.setCurrency(this.config.currency);
+
+        this.vehicles = (data.vehicles || []).map(v => this.withEndTime(v));
+        this.isOpen = true;
+
+        document.getElementById('meter-range').min = this.config.minimumMinutes;
+        document.getElementById('meter-min-label').textContent = Utils.formatDuration(this.config.minimumMinutes);
+
+        const app = document.getElementById('meter-app');
+        app.classList.remove('hidden');
+        Utils.animateIn(app.querySelector('.meter-device'), 'scaleIn');
+
+        this.selectVehicle(this.vehicles[0]?.plate);
+        this.startTicker();
+    },
+
+    /**
+     * Close the meter and release focus
+     */
+    close: function() {
+        this.hide();
+        Utils.nuiCallback('meter:close');
+    },
+
+    /**
+     * Hide the meter without callback
+     */
+    hide: function() {
+        this.isOpen = false;
+        this.stopTicker();
+        document.getElementById('meter-app').classList.add('hidden');
+    },
+
+    /**
+     * Convert a server remaining time into a local end time
+     * @param {object} vehicle - { plate, street, status }
+     * @returns {object} Vehicle with endsAt (ms) when a session is active
+     */
+    withEndTime: function(vehicle) {
+        const status = vehicle.status || {};
+        vehicle.endsAt = status.active && status.remaining > 0
+            ? Date.now() + status.remaining * 1000
+            : null;
+        return vehicle;
+    },
+
+    /**
+     * Get the selected vehicle
+     * @returns {object|undefined}
+     */
+    getSelected: function() {
+        return this.vehicles.find(v => v.plate === this.selectedPlate);
+    },
+
+    /**
+     * Seconds left on a vehicle's session
+     * @param {object} vehicle
+     * @returns {number}
+     */
+    getRemaining: function(vehicle) {
+        if (!vehicle || !vehicle.endsAt) return 0;
+        return Math.max(0, Math.floor((vehicle.endsAt - Date.now()) / 1000));
+    },
+
+    /**
+     * Largest purchase allowed for the selected vehicle
+     * @returns {number} Minutes
+     */
+    getMaxMinutes: function() {
+        if (this.quote && this.quote.plate === this.selectedPlate) {
+            return this.quote.maxMinutes;
+        }
+        const used = Math.floor(this.getRemaining(this.getSelected()) / 60);
+        return Math.max(this.config.minimumMinutes, this.config.maximumMinutes - used);
+    },
+
+    /**
+     * Select the vehicle the meter pays for
+     * @param {string} plate - Vehicle plate
+     */
+    selectVehicle: function(plate) {
+        if (!plate) return;
+
+        this.selectedPlate = plate;
+        this.quote = null;
+        this.renderVehicles();
+        this.renderStatus();
+        this.setMinutes(this.minutes);
+        this.fetchRates();
+    },
+
+    /**
+     * Render vehicle chips
+     */
+    renderVehicles: function() {
+        const container = document.getElementById('meter-vehicles');
+
+        // A single vehicle needs no selector
+        container.classList.toggle('hidden', this.vehicles.length < 2);
+        container.innerHTML = this.vehicles.map(vehicle => `
+            <button class="meter-vehicle ${vehicle.plate === this.selectedPlate ? 'selected' : ''} ${vehicle.endsAt ? 'active' : ''}"
+                    data-plate="${Utils.escapeHtml(vehicle.plate)}">
+                ${Utils.escapeHtml(Utils.formatPlate(vehicle.plate))}
+            </button>
+        `).join('');
+
+        const selected = this.getSelected();
+        document.getElementById('meter-heading').textContent = selected
+            ? Utils.formatPlate(selected.plate) + (selected.street ? ' - ' + selected.street : '')
+            : L('meter_frame_title');
+    },
+
+    /**
+     * Render the current session display
+     */
+    renderStatus: function() {
+        const vehicle = this.getSelected();
+        const remaining = this.getRemaining(vehicle);
+        const display = document.getElementById('meter-display');
+        const label = document.getElementById('meter-display-label');
+        const time = document.getElementById('meter-remaining');
+        const hadSession = vehicle && vehicle.endsAt;
+
+        display.classList.toggle('warning', remaining > 0 && remaining < 300);
+        display.classList.toggle('expired', Boolean(hadSession) && remaining <= 0);
+
+        if (remaining > 0) {
+            label.textContent = L('meter_time_remaining');
+            time.textContent = Utils.formatTimeRemaining(remaining);
+        } else {
+            label.textContent = L(hadSession ? 'meter_session_expired' : 'meter_no_session');
+            time.textContent = '--:--';
+        }
+
+        document.getElementById('meter-pay-label').textContent = this.getPayLabel();
+        this.renderExpiry();
+    },
+
+    /**
+     * Set the purchase duration, clamped to the allowed range
+     * @param {number} minutes - Requested minutes
+     */
+    setMinutes: function(minutes) {
+        const max = this.getMaxMinutes();
+        const min = Math.min(this.config.minimumMinutes, max);
+
+        this.minutes = Math.min(Math.max(minutes || min, min), max);
+
+        const range = document.getElementById('meter-range');
+        range.max = max;
+        range.value = this.minutes;
+
+        document.getElementById('meter-duration').textContent = Utils.formatDuration(this.minutes);
+        document.getElementById('meter-max-label').textContent = Utils.formatDuration(max);
+        document.getElementById('meter-minus').disabled = this.minutes <= min;
+        document.getElementById('meter-plus').disabled = this.minutes >= max;
+
+        this.renderExpiry();
+        this.requestQuote();
+    },
+
+    /**
+     * Render when the session would end after paying
+     */
+    renderExpiry: function() {
+        const base = Date.now() + this.getRemaining(this.getSelected()) * 1000;
+        const until = new Date(base + this.minutes * 60000);
+        const clock = until.toLocaleTimeString(Locale.lang, { hour: '2-digit', minute: '2-digit' });
+
+        document.getElementById('meter-expires').textContent = L('meter_until', { time: clock });
+    },
+
+    /**
+     * Fetch the server quote for the current selection
+     */
+    fetchQuote: async function() {
+        if (!this.selectedPlate) return;
+
+        const requestId = ++this.quoteRequestId;
+        const result = await Utils.nuiCallback('meter:getQuote', {
+            plate: this.selectedPlate,
+            minutes: this.minutes
+        });
+
+        // A newer quote was requested while this one was in flight
+        if (requestId !== this.quoteRequestId) return;
+
+        if (!result || !result.ok) {
+            this.quote = null;
+            this.renderQuote(result?.error || L('meter_quote_failed'));
+            return;
+        }
+
+        this.quote = result.data;
+
+        // The server may clamp further (e.g. remaining time counts toward the max)
+        if (this.quote.minutes !== this.minutes) {
+            this.setMinutes(this.quote.minutes);
+            return;
+        }
+
+        this.renderQuote();
+    },
+
+    /**
+     * Fetch the day's rates at the selected vehicle's spot
+     */
+    fetchRates: async function() {
+        const requestId = ++this.ratesRequestId;
+        const result = await Utils.nuiCallback('meter:getRates', { plate: this.selectedPlate });
+
+        // The player picked another vehicle meanwhile
+        if (requestId !== this.ratesRequestId) return;
+
+        document.getElementById('meter-rates').innerHTML = result && result.ok ? RateCurve.create(result.data) : '';
+    },
+
+    /**
+     * Render the cost preview
+     * @param {string} error - Error message to show instead of a quote
+     */
+    renderQuote: function(error) {
+        const container = document.getElementById('meter-quote');
+        const payButton = document.getElementById('meter-pay');
+
+        payButton.disabled = Boolean(error) || !this.quote || this.paying;
+        document.getElementById('meter-pay-label').textContent = this.getPayLabel();
+
+        if (error) {
+            container.innerHTML = `<div class="summary-row"><span>${Utils.escapeHtml(error)}</span></div>`;
+            return;
+        }
+
+        const quote = this.quote;
+        const rows = [
+            `<div class="summary-row">
+                <span>${L('meter_quote_base', {
+                    duration: Utils.formatDuration(quote.minutes),
+                    rate: L('per_hour', { amount: Utils.formatMoney(quote.ratePerHour) })
+                })}</span>
+                <span>${Utils.formatMoney(quote.baseCost)}</span>
+            </div>`
+        ];
+
+        // Free hours are shown as their own row below
+        if (quote.scheduleAdjustment && quote.freeReason !== 'free_hours') {
+            rows.push(`
+                <div class="summary-row ${quote.scheduleAdjustment < 0 ? 'discount' : ''}">
+                    <span>${L(quote.scheduleAdjustment > 0 ? 'meter_quote_peak' : 'meter_quote_off_peak')}</span>
+                    <span>${this.formatAdjustment(quote.scheduleAdjustment)}</span>
+                </div>
+            `);
+        }
+
+        if (quote.multiplier !== 1) {
+            rows.push(`
+                <div class="summary-row">
+                    <span>${Utils.escapeHtml(quote.zoneName || L('meter_quote_zone'))} (x${quote.multiplier})</span>
+                    <span>${this.formatAdjustment(quote.zoneAdjustment)}</span>
+                </div>
+            `);
+        }
+
+        if (quote.surgeMultiplier > 1) {
+            rows.push(`
+                <div class="summary-row">
+                    <span>${L('meter_quote_surge', {
+                        multiplier: quote.surgeMultiplier,
+                        percent: Math.round(quote.occupancy * 100)
+                    })}</span>
+                    <span>${this.formatAdjustment(quote.surgeAdjustment)}</span>
+                </div>
+            `);
+        }
+
+        if (quote.vipDiscount > 0) {
+            rows.push(`
+                <div class="summary-row discount">
+                    <span>${L('meter_quote_vip')}</span>
+                    <span>-${Utils.formatMoney(quote.vipDiscount)}</span>
+                </div>
+            `);
+        }
+
+        if (quote.freeReason) {
+            rows.push(`
+                <div class="summary-row free">
+                    <span>${L(quote.freeReason === 'vip' ? 'meter_quote_free_vip' : 'meter_quote_free_hours')}</span>
+                    <span>${L('meter_quote_free')}</span>
+                </div>
+            `);
+        }
+
+        rows.push(`
+            <div class="summary-row total">
+                <span>${L('total')}</span>
+                <span>${Utils.formatMoney(quote.cost)}</span>
+            </div>
+        `);
+
+        container.innerHTML = rows.join('');
+    },
+
+    /**
+     * Format a price adjustment with its sign
+     * @param {number} amount - Adjustment, negative for reductions
+     * @returns {string}
+     */
+    formatAdjustment: function(amount) {
+        return (amount > 0 ? '+' : '') + Utils.formatMoney(amount);
+    },
+
+    /**
+     * Label for the pay button
+     * @returns {string}
+     */
+    getPayLabel: function() {
+        const verb = this.getRemaining(this.getSelected()) > 0 ? 'meter_extend' : 'meter_pay';
+        if (!this.quote) return L(verb);
+        return L(verb + '_amount', {
+            amount: this.quote.cost > 0 ? Utils.formatMoney(this.quote.cost) : L('meter_free_price')
+        });
+    },
+
+    /**
+     * Pay or extend the selected meter
+     */
+    pay: async function() {
+        if (!this.selectedPlate || this.paying) return;
+
+        this.paying = true;
+        document.getElementById('meter-pay').disabled = true;
+
+        const plate = this.selectedPlate;
+        const result = await Utils.nuiCallback('meter:pay', {
+            plate: plate,
+            minutes: this.minutes,
+            cost: this.quote ? this.quote.cost : null
+        });
+
+        this.paying = false;
+
+        if (!result || !result.ok) {
+            Utils.showToast(result?.error || L('meter_payment_failed'), 'error');
+            Utils.playSound('error');
+
+            // Show the current price; the server refuses one above the quote
+            this.fetchQuote();
+            return;
+        }
+
+        Utils.showToast(result.data?.message || L('meter_payment_done'), 'success');
+        Utils.playSound('success');
+        await this.refreshStatus(plate);
+    },
+
+    /**
+     * Reload a vehicle's session from the server
+     * @param {string} plate - Vehicle plate
+     */
+    refreshStatus: async function(plate) {
+        const result = await Utils.nuiCallback('meter:getStatus', { plate: plate });
+        const vehicle = this.vehicles.find(v => v.plate === plate);
+
+        if (vehicle && result && result.ok) {
+            vehicle.status = result.data;
+            this.withEndTime(vehicle);
+        }
+
+        if (plate === this.selectedPlate) {
+            this.selectVehicle(plate);
+        } else {
+            this.renderVehicles();
+        }
+    },
+
+    /**
+     * Tick the remaining time every second
+     */
+    startTicker: function() {
+        this.stopTicker();
+        this.ticker = setInterval(() => this.renderStatus(), 1000);
+    },
+
+    /**
+     * Stop the countdown ticker
+     */
+    stopTicker: function() {
+        if (this.ticker) {
+            clearInterval(this.ticker);
+            this.ticker = null;
+        }
+    }
+};
+
+// NUI Message Handler (forwarded by the main UI frame)
+window.addEventListener('message', function(event) {
+    const data = event.data;
+
+    switch (data.action) {
+        case 'openMeter':
+            MeterUI.open(data);
+            break;
+
+        case 'closeMeter':
+            MeterUI.hide();
+            break;
+    }
+});
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    MeterUI.init();
+});
+
+// Export for global access
+window.MeterUI = MeterUI;
@@ -0,0 +1,65 @@
+/**
+ * DPS Parking - Phone Adapters
+ * Hides the differences between the phone resources hosting the app.
+ * The phone is picked from the ?phone= query set in integrations/phone_client.lua.
+ *
+ * Every adapter provides:
+ *   fetch(event, data)   - call an NUI callback, resolves to { ok, error, data }
+ *   onMessage(handler)   - receive messages pushed by the client
+ *   getTheme()           - resolves to 'dark' or 'light'
+ *   pollInterval         - ms between refreshes when the phone cannot push (0 = never)
+ */
+
+const PhoneAdapters = {
+    /**
+     * lb-phone: pushes with SendCustomAppMessage and exposes getSettings()
+     */
+    lb: {
+        name: 'lb-phone',
+        pollInterval: 0,
+
+        fetch: function(event, data) {
+            return Utils.nuiCallback(event, data);
+        },
+
+        onMessage: function(handler) {
+            window.addEventListener('message', (event) => handler(event.data || {}));
+        },
+
+        getTheme: async function() {
+            if (typeof getSettings !== 'function') return 'dark';
+            const settings = await getSettings();
+            return settings?.display?.theme === 'light' ? 'light' : 'dark';
+        }
+    },
+
+    /**
+     * qs-smartphone-pro: no push API for custom apps, so the app polls
+     */
+    qs: {
+        name: 'qs-smartphone-pro',
+        pollInterval: 15000,
+
+        fetch: function(event, data) {
+            return Utils.nuiCallback(event, data);
+        },
+
+        onMessage: function() {},
+
+        getTheme: async function() {
+            return 'dark';
+        }
+    },
+
+    /**
+     * Get the adapter for the hosting phone
+     * @returns {object} Adapter (lb-phone by default)
+     */
+    resolve: function() {
+        const phone = new URLSearchParams(window.location.search).get('phone');
+        return this[phone] && phone !== 'resolve' ? this[phone] : this.lb;
+    }
+};
+
+// Export for global access
+window.PhoneAdapters = PhoneAdapters;
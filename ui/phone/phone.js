@@ -0,0 +1,269 @@
+/**
+ * DPS Parking - Phone App
+ * Vehicle list with live meter countdowns, one-tap delivery and unpaid tickets
+ */
+
+const PhoneApp = {
+    // State
+    adapter: null,
+    vehicles: [],
+    tickets: { count: 0, total: 0, tickets: [] },
+    rush: false,
+    pending: {},
+    ticker: null,
+    poller: null,
+
+    /**
+     * Initialize the phone app
+     */
+    init: async function() {
+        this.adapter = PhoneAdapters.resolve();
+        this.setupEventListeners();
+
+        this.adapter.onMessage((data) => this.handleMessage(data));
+        document.body.dataset.theme = await this.adapter.getTheme();
+
+        if (this.adapter.pollInterval > 0) {
+            this.poller = setInterval(() => this.refresh(), this.adapter.pollInterval);
+        }
+
+        this.ticker = setInterval(() => this.tick(), 1000);
+        await this.refresh();
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners: function() {
+        document.getElementById('phone-refresh').addEventListener('click', () => this.refresh());
+
+        document.getElementById('phone-rush-toggle').addEventListener('change', (e) => {
+            this.rush = e.target.checked;
+        });
+
+        document.getElementById('phone-vehicles').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-deliver]');
+            if (button) this.requestDelivery(button.dataset.deliver);
+        });
+
+        // Phones keep the iframe alive in the background
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.refresh();
+        });
+    },
+
+    /**
+     * Handle a message pushed by the client
+     * @param {object} data - Message with an action field
+     */
+    handleMessage: function(data) {
+        switch (data.action) {
+            case 'refresh':
+                this.refresh();
+                break;
+
+            case 'toast':
+                Utils.showToast(data.message, data.type);
+                break;
+        }
+    },
+
+    /**
+     * Load vehicles and tickets
+     */
+    refresh: async function() {
+        const result = await this.adapter.fetch('phone:getData');
+        if (!result || !result.ok) return;
+
+        Locale.set(result.data.locale);
+        Utils.setCurrency(result.data.currency);
+
+        this.vehicles = (result.data.vehicles || []).map(vehicle => {
+            // Count down locally from the server's remaining time
+            vehicle.endsAt = vehicle.meter ? Date.now() + vehicle.meter.remaining * 1000 : null;
+            return vehicle;
+        });
+        this.tickets = result.data.tickets || this.tickets;
+
+        this.renderVehicles();
+        this.renderTickets();
+    },
+
+    /**
+     * Seconds left on a vehicle's meter
+     * @param {object} vehicle
+     * @returns {number|null} Seconds, or null without a meter
+     */
+    getRemaining: function(vehicle) {
+        if (!vehicle.endsAt) return null;
+        return Math.max(0, Math.floor((vehicle.endsAt - Date.now()) / 1000));
+    },
+
+    /**
+     * Render meter status markup
+     * @param {object} vehicle
+     * @returns {string} HTML
+     */
+    renderMeter: function(vehicle) {
+        const remaining = this.getRemaining(vehicle);
+
+        if (remaining === null) {
+            return `<span class="phone-meter none"><i class="fas fa-parking"></i> ${L('record_no_meter')}</span>`;
+        }
+
+        const state = remaining <= 0 ? 'expired' : (remaining < 300 ? 'warning' : '');
+        return `
+            <span class="phone-meter ${state}">
+                <i class="fas fa-clock"></i>
+                ${Utils.formatTimeRemaining(remaining)}
+            </span>
+        `;
+    },
+
+    /**
+     * Render vehicle list
+     */
+    renderVehicles: function() {
+        const container = document.getElementById('phone-vehicles');
+        document.getElementById('phone-vehicle-count').textContent = this.vehicles.length;
+
+        if (this.vehicles.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-car"></i>
+                    <h3>${L('vehicles_empty_title')}</h3>
+                    <p>${L('phone_empty_text')}</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.vehicles.map(vehicle => {
+            const plate = Utils.escapeHtml(vehicle.plate);
+            const pending = this.pending[vehicle.plate];
+
+            return `
+                <div class="phone-vehicle">
+                    <div class="phone-vehicle-icon">
+                        <i class="fas fa-car"></i>
+                    </div>
+                    <div class="phone-vehicle-info">
+                        <div class="vehicle-plate">${Utils.escapeHtml(Utils.formatPlate(vehicle.plate))}</div>
+                        <div class="phone-vehicle-location">
+                            ${Utils.escapeHtml(Utils.truncate(vehicle.street || L('unknown_location'), 28))}
+                        </div>
+                        <div class="phone-vehicle-meta">
+                            <span data-meter="${plate}">${this.renderMeter(vehicle)}</span>
+                            <span><i class="fas fa-history"></i> ${Utils.formatTimeAgo(vehicle.parkedAt)}</span>
+                        </div>
+                    </div>
+                    <button class="btn btn-primary phone-deliver" data-deliver="${plate}" ${pending ? 'disabled' : ''}>
+                        <i class="fas ${pending ? 'fa-spinner fa-spin' : 'fa-truck'}"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Update meter countdowns in place
+     */
+    tick: function() {
+        this.vehicles.forEach(vehicle => {
+            if (!vehicle.endsAt) return;
+
+            const el = document.querySelector(`[data-meter="${CSS.escape(vehicle.plate)}"]`);
+            if (el) el.innerHTML = this.renderMeter(vehicle);
+
+            // The meter may have been extended elsewhere; check once when it runs out
+            if (this.getRemaining(vehicle) <= 0 && !vehicle.checkedExpiry) {
+                vehicle.checkedExpiry = true;
+                this.checkMeter(vehicle);
+            }
+        });
+    },
+
+    /**
+     * Reload a vehicle's meter status
+     * @param {object} vehicle
+     */
+    checkMeter: async function(vehicle) {
+        const result = await this.adapter.fetch('phone:getMeterStatus', { plate: vehicle.plate });
+        if (!result || !result.ok || !result.data.active || result.data.remaining <= 0) return;
+
+        vehicle.endsAt = Date.now() + result.data.remaining * 1000;
+        vehicle.checkedExpiry = false;
+    },
+
+    /**
+     * Render unpaid ticket summary
+     */
+    renderTickets: function() {
+        const container = document.getElementById('phone-tickets');
+        const summary = this.tickets;
+
+        container.classList.toggle('hidden', summary.count === 0);
+        if (summary.count === 0) return;
+
+        const lateCount = summary.tickets.filter(t => t.isLate).length;
+
+        container.innerHTML = `
+            <div class="phone-tickets-header">
+                <div>
+                    <i class="fas fa-receipt"></i>
+                    ${L('phone_unpaid_tickets', { count: summary.count })}
+                </div>
+                <strong>${Utils.formatMoney(summary.total)}</strong>
+            </div>
+            ${lateCount > 0 ? `
+                <div class="phone-tickets-late">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    ${L('phone_overdue_tickets', { count: lateCount })}
+                </div>
+            ` : ''}
+            <div class="phone-ticket-list">
+                ${summary.tickets.slice(0, 3).map(ticket => `
+                    <div class="phone-ticket ${ticket.isLate ? 'late' : ''}">
+                        <span>${Utils.escapeHtml(ticket.plate)} - ${Utils.escapeHtml(ticket.type)}</span>
+                        <span>${Utils.formatMoney(ticket.fine)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    /**
+     * Request delivery of a vehicle to the player
+     * @param {string} plate - Vehicle plate
+     */
+    requestDelivery: async function(plate) {
+        if (this.pending[plate]) return;
+
+        this.pending[plate] = true;
+        this.renderVehicles();
+
+        const result = await this.adapter.fetch('phone:requestDelivery', {
+            plate: plate,
+            rush: this.rush
+        });
+
+        delete this.pending[plate];
+
+        if (!result || !result.ok) {
+            Utils.showToast(result?.error || L('phone_delivery_failed'), 'error');
+            this.renderVehicles();
+            return;
+        }
+
+        Utils.showToast(result.data?.message || L('phone_delivery_requested'), 'success');
+        await this.refresh();
+    }
+};
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    PhoneApp.init();
+});
+
+// Export for global access
+window.PhoneApp = PhoneApp;